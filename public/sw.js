@@ -0,0 +1,109 @@
+/* AgroVue service worker
+ * Makes the app installable and usable offline:
+ *  - install precaches the app shell: index.html, the manifest and icons, plus
+ *    every file the production build lists in asset-manifest.json;
+ *  - page loads go to the network first and fall back to the cached shell;
+ *  - fingerprinted build files (main.3f2a91c4.js) never change, so they are
+ *    served from the cache; so are the on-device speech engine and its models
+ *    under speech/ (src/speechEngines.js), which are large and named by
+ *    version; other same-origin files are refreshed when online.
+ * The advisor API is never cached — a failed request is how the page knows to
+ * queue the question (src/offline.js). Prices, forecasts and chats already live
+ * in the page's own storage.
+ *
+ * It also shows price-alert notifications handed over by the page and routes
+ * clicks back to the app: an open AgroVue tab is focused and told which crop to
+ * show, otherwise a new window opens at /?crop=<crop>.
+ */
+
+const VERSION = "v2";
+const SHELL_CACHE = `agrovue-shell-${VERSION}`;
+const RUNTIME_CACHE = `agrovue-runtime-${VERSION}`;
+const SHELL = ["./", "index.html", "manifest.json", "favicon.ico", "logo192.png", "logo512.png"];
+const FINGERPRINTED = /\.[0-9a-f]{8}\.(?:chunk\.)?(?:js|css|woff2?|png|svg|jpg)$/;
+const SPEECH_FILES = /\/speech\/(?!manifest\.json$)/;
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+// The dev server has no asset-manifest.json; the shell alone is still cached
+async function buildFiles() {
+  try {
+    const res = await fetch(scoped("asset-manifest.json"), { cache: "no-store" });
+    if (!res.ok) return [];
+    const { files = {} } = await res.json();
+    return Object.values(files).filter(f => !f.endsWith(".map"));
+  } catch (e) {
+    return [];
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const urls = [...SHELL.map(scoped), ...(await buildFiles()).map(scoped)];
+    // One missing file should not leave the whole shell uncached
+    await Promise.all(urls.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("agrovue-") && !keep.includes(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(RUNTIME_CACHE)).put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.includes("/api/")) return;
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, scoped("index.html")));
+  } else if (FINGERPRINTED.test(url.pathname) || SPEECH_FILES.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const crop = event.notification.data && event.notification.data.crop;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find(c => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: "open-crop", crop });
+      return;
+    }
+    const url = new URL(self.registration.scope);
+    if (crop) url.searchParams.set("crop", crop);
+    await self.clients.openWindow(url.href);
+  })());
+});
@@ -0,0 +1,153 @@
+const http = require("http");
+const { writeEvent } = require("./sse");
+
+// ─── ADVISOR HTTP API ─────────────────────────────────────────────────────────
+//   POST /api/advisor   { system, messages:[{ role, content }], maxTokens?, tools?, toolChoice? }
+//                       header X-AgroVue-User: <username>
+//                       content is a string or an array of text / tool_use / tool_result blocks;
+//                       tools = [{ name, description, input_schema }], toolChoice = auto | any | none
+//     200 { text, model, usage, toolCalls:[{ id, name, input }], stopReason, remaining }
+//     400 { error }  malformed request
+//     429 { error, retryAfter }  per-user or per-address limit hit (Retry-After header in seconds)
+//     500 { error }  server bug
+//     502 { error }  provider failed
+//   With { stream: true } or Accept: text/event-stream the 200 is an SSE stream:
+//     event: delta  { text }                      one per chunk, in order
+//     event: done   { model, usage, toolCalls, stopReason, remaining }
+//     event: error  { error }                     provider failed mid-answer
+//   Closing the connection aborts the provider call.
+//   GET  /api/health    { ok, provider }
+// The browser never sees the provider's API key; it only knows this endpoint.
+// X-AgroVue-User is chosen by the client, so it only splits a connection's
+// quota between the people sharing it: `limiter` counts per address + user,
+// and `addressLimiter` caps each address however many users it claims to be.
+
+const MAX_BODY = 64 * 1024;
+const MAX_MESSAGES = 40;
+const MAX_TOOLS = 16;
+const BLOCK_TYPES = ["text", "tool_use", "tool_result"];
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0; const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error("Request body too large"), { status: 413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch { reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 })); }
+    });
+    req.on("error", reject);
+  });
+}
+
+function validate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return "body must be a JSON object";
+  if (!Array.isArray(body.messages) || !body.messages.length) return "messages must be a non-empty array";
+  if (body.messages.length > MAX_MESSAGES) return `at most ${MAX_MESSAGES} messages per request`;
+  const okContent = (c) => typeof c === "string" || (Array.isArray(c) && c.length > 0 && c.every(b => BLOCK_TYPES.includes(b?.type)));
+  const bad = body.messages.find(m => !["user", "assistant"].includes(m?.role) || !okContent(m.content));
+  if (bad) return "each message needs role user|assistant and string or content-block content";
+  if (body.messages[body.messages.length - 1].role !== "user") return "the last message must come from the user";
+  if (body.system !== undefined && typeof body.system !== "string") return "system must be a string";
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools) || body.tools.length > MAX_TOOLS) return `tools must be an array of at most ${MAX_TOOLS}`;
+    if (body.tools.some(t => typeof t?.name !== "string" || typeof t.input_schema !== "object")) return "each tool needs a name and an input_schema";
+  }
+  if (body.toolChoice !== undefined && !["auto", "any", "none"].includes(body.toolChoice)) return "toolChoice must be auto, any or none";
+  return null;
+}
+
+function createAdvisorHandler({ provider, limiter, addressLimiter = null, usage, corsOrigin = null }) {
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      ...(corsOrigin && { "Access-Control-Allow-Origin": corsOrigin, "Access-Control-Allow-Headers": "Content-Type, X-AgroVue-User" }),
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  // Anything thrown past here is a bug; answer 500 rather than leave an
+  // unhandled rejection to take the server down
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204, {});
+    if (req.method === "GET" && pathname === "/api/health") return send(res, 200, { ok: true, provider: provider.name });
+    if (pathname !== "/api/advisor") return send(res, 404, { error: "Not found" });
+    if (req.method !== "POST") return send(res, 405, { error: "Use POST" }, { Allow: "POST" });
+
+    const user = String(req.headers["x-agrovue-user"] || "anonymous").toLowerCase().slice(0, 64);
+    let body;
+    try { body = await readJson(req); } catch (e) { return send(res, e.status || 400, { error: e.message }); }
+    const invalid = validate(body);
+    if (invalid) return send(res, 400, { error: invalid });
+
+    const address = req.socket.remoteAddress || "unknown";
+    const perUser = limiter.check(`${address}|${user}`);
+    const perAddress = perUser.ok && addressLimiter ? addressLimiter.check(address) : perUser;
+    const quota = perAddress.ok ? { ...perUser, remaining: Math.min(perUser.remaining, perAddress.remaining) } : perAddress;
+    if (!quota.ok) {
+      const retryAfter = Math.ceil(quota.retryAfterMs / 1000);
+      usage.record({ user, provider: provider.name, status: 429 });
+      return send(res, 429, { error: `Advisor limit reached — try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter }, { "Retry-After": String(retryAfter) });
+    }
+
+    const started = Date.now();
+    const request = {
+      system: body.system || "", messages: body.messages, maxTokens: Math.max(1, Math.min(Math.floor(+body.maxTokens) || 1000, 2000)),
+      ...(body.tools?.length && { tools: body.tools, toolChoice: body.toolChoice }),
+    };
+    if (body.stream === true || String(req.headers.accept || "").includes("text/event-stream")) {
+      return streamReply(res, request, { user, quota, started });
+    }
+    try {
+      const out = await provider.complete(request);
+      usage.record({ user, provider: provider.name, model: out.model, status: 200, ...out.usage, ms: Date.now() - started });
+      return send(res, 200, { text: out.text, model: out.model, usage: out.usage, toolCalls: out.toolCalls || [], stopReason: out.stopReason || "end_turn", remaining: quota.remaining });
+    } catch (e) {
+      usage.record({ user, provider: provider.name, status: e.status || 502, error: e.message, ms: Date.now() - started });
+      return send(res, e.status || 502, { error: e.message });
+    }
+  };
+
+  return async (req, res) => {
+    try {
+      await handle(req, res);
+    } catch (e) {
+      console.error("Advisor request failed:", e);
+      if (!res.headersSent) send(res, 500, { error: "Internal server error" });
+      else res.end();
+    }
+  };
+
+  async function streamReply(res, request, { user, quota, started }) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      ...(corsOrigin && { "Access-Control-Allow-Origin": corsOrigin }),
+    });
+    const controller = new AbortController();
+    res.on("close", () => { if (!res.writableFinished) controller.abort(); });
+    const onDelta = (text) => { if (!controller.signal.aborted) writeEvent(res, "delta", { text }); };
+    try {
+      const out = provider.stream
+        ? await provider.stream(request, onDelta, { signal: controller.signal })
+        : await provider.complete(request).then(r => { onDelta(r.text); return r; });
+      usage.record({ user, provider: provider.name, model: out.model, status: 200, ...out.usage, ms: Date.now() - started, stream: true });
+      writeEvent(res, "done", { model: out.model, usage: out.usage, toolCalls: out.toolCalls || [], stopReason: out.stopReason || "end_turn", remaining: quota.remaining });
+    } catch (e) {
+      const aborted = controller.signal.aborted;
+      usage.record({ user, provider: provider.name, status: aborted ? 499 : e.status || 502, error: aborted ? "client closed" : e.message, ms: Date.now() - started, stream: true });
+      if (!aborted) writeEvent(res, "error", { error: e.message });
+    }
+    res.end();
+  }
+}
+
+const createAdvisorServer = (options) => http.createServer(createAdvisorHandler(options));
+
+module.exports = { createAdvisorHandler, createAdvisorServer, validate };
@@ -0,0 +1,149 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const { createAdvisorServer } = require("./app");
+const { mockProvider, anthropicProvider } = require("./providers");
+const { createRateLimiter, createUsageLog } = require("./limits");
+const { readSSE } = require("./sse");
+
+const servers = [];
+after(() => servers.forEach(s => s.close()));
+
+async function start({ provider = mockProvider(), limit = 5, addressLimit = null } = {}) {
+  const usage = createUsageLog();
+  const addressLimiter = addressLimit ? createRateLimiter({ limit: addressLimit }) : null;
+  const server = createAdvisorServer({ provider, limiter: createRateLimiter({ limit }), addressLimiter, usage });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const ask = (body, user = "ravi") => fetch(`${url}/api/advisor`, {
+    method: "POST", headers: { "Content-Type": "application/json", "X-AgroVue-User": user }, body: JSON.stringify(body),
+  });
+  return { url, ask, usage, provider };
+}
+
+const question = { system: "You are AgroVueAI", messages: [{ role: "user", content: "Best time to sell Onion?" }] };
+
+test("answers through the provider and logs usage", async () => {
+  const { ask, usage, provider } = await start();
+  const res = await ask(question);
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.strictEqual(body.text, "Mock advice for: Best time to sell Onion?");
+  assert.strictEqual(body.remaining, 4);
+  assert.deepStrictEqual(provider.calls[0].messages, question.messages);
+  assert.strictEqual(provider.calls[0].system, "You are AgroVueAI");
+  assert.strictEqual(usage.entries.length, 1);
+  assert.strictEqual(usage.entries[0].user, "ravi");
+  assert.strictEqual(usage.entries[0].status, 200);
+  assert.ok(usage.entries[0].outputTokens > 0);
+});
+
+test("rate limits each user separately", async () => {
+  const { ask } = await start({ limit: 2 });
+  assert.strictEqual((await ask(question)).status, 200);
+  assert.strictEqual((await ask(question)).status, 200);
+  const limited = await ask(question);
+  assert.strictEqual(limited.status, 429);
+  assert.ok(+limited.headers.get("retry-after") > 0);
+  assert.strictEqual((await ask(question, "meena")).status, 200);
+});
+
+test("a new user name per request does not escape the address limit", async () => {
+  const { ask } = await start({ limit: 2, addressLimit: 3 });
+  for (const user of ["a", "b", "c"]) assert.strictEqual((await ask(question, user)).status, 200);
+  assert.strictEqual((await ask(question, "d")).status, 429);
+});
+
+test("maxTokens is clamped to 1–2000", async () => {
+  const { ask, provider } = await start();
+  await ask({ ...question, maxTokens: -5 });
+  await ask({ ...question, maxTokens: 99999 });
+  assert.deepStrictEqual(provider.calls.map(c => c.maxTokens), [1, 2000]);
+});
+
+test("rejects malformed requests and surfaces provider failures", async () => {
+  const { ask, usage } = await start({ provider: mockProvider({ fail: "upstream down" }) });
+  assert.strictEqual((await ask({ messages: [] })).status, 400);
+  assert.strictEqual((await ask({ messages: [{ role: "assistant", content: "hi" }] })).status, 400);
+  for (const body of [null, "x", 1, []]) {
+    const res = await ask(body);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).error, "body must be a JSON object");
+  }
+  const res = await ask(question);
+  assert.strictEqual(res.status, 502);
+  assert.strictEqual((await res.json()).error, "upstream down");
+  assert.strictEqual(usage.entries[0].status, 502);
+});
+
+test("anthropic provider sends the key server-side and maps usage", async () => {
+  let sent;
+  const provider = anthropicProvider({
+    apiKey: "sk-test",
+    fetchImpl: async (url, init) => {
+      sent = { url, init };
+      return { ok: true, json: async () => ({ model: "m", content: [{ text: " Sell in March. " }], usage: { input_tokens: 12, output_tokens: 4 } }) };
+    },
+  });
+  const out = await provider.complete(question);
+  assert.strictEqual(sent.init.headers["x-api-key"], "sk-test");
+  assert.deepStrictEqual(out, { text: "Sell in March.", model: "m", usage: { inputTokens: 12, outputTokens: 4 }, toolCalls: [], stopReason: "end_turn" });
+});
+
+test("streams the answer as server-sent events", async () => {
+  const { ask, usage } = await start({ provider: mockProvider({ reply: "Hold Onion. Prices rise in March." }) });
+  const res = await ask({ ...question, stream: true });
+  assert.strictEqual(res.headers.get("content-type"), "text/event-stream");
+  const events = [];
+  for await (const e of readSSE(res.body)) events.push(e);
+  const deltas = events.filter(e => e.event === "delta").map(e => e.data.text);
+  assert.ok(deltas.length > 1);
+  assert.strictEqual(deltas.join(""), "Hold Onion. Prices rise in March.");
+  assert.deepStrictEqual(events.at(-1), { event: "done", data: { model: "mock", usage: { inputTokens: 8, outputTokens: 6 }, toolCalls: [], stopReason: "end_turn", remaining: 4 } });
+  assert.strictEqual(usage.entries[0].stream, true);
+});
+
+const TOOLS = [{ name: "get_price_history", description: "Daily prices", input_schema: { type: "object", properties: { crop: { type: "string" } } } }];
+
+test("passes tools through and returns the model's tool calls", async () => {
+  const reply = ({ messages }) => (typeof messages.at(-1).content === "string"
+    ? { text: "Checking prices.", toolCalls: [{ name: "get_price_history", input: { crop: "Onion" } }] }
+    : `Onion is at ${JSON.parse(messages.at(-1).content[0].content).latest}.`);
+  const { ask, provider } = await start({ provider: mockProvider({ reply }) });
+  const first = await (await ask({ ...question, tools: TOOLS })).json();
+  assert.strictEqual(first.stopReason, "tool_use");
+  assert.deepStrictEqual(first.toolCalls, [{ id: "toolu_mock_1_0", name: "get_price_history", input: { crop: "Onion" } }]);
+  assert.deepStrictEqual(provider.calls[0].tools, TOOLS);
+
+  const followUp = {
+    ...question, tools: TOOLS,
+    messages: [...question.messages,
+      { role: "assistant", content: [{ type: "text", text: first.text }, { type: "tool_use", ...first.toolCalls[0] }] },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: first.toolCalls[0].id, content: JSON.stringify({ latest: 1850 }) }] }],
+  };
+  const second = await (await ask(followUp)).json();
+  assert.strictEqual(second.text, "Onion is at 1850.");
+  assert.strictEqual(second.stopReason, "end_turn");
+  assert.strictEqual((await ask({ ...question, tools: [{ name: "x" }] })).status, 400);
+});
+
+test("anthropic stream assembles tool_use input from JSON deltas", async () => {
+  const sse = [
+    ["message_start", { message: { model: "m", usage: { input_tokens: 30 } } }],
+    ["content_block_start", { index: 0, content_block: { type: "text", text: "" } }],
+    ["content_block_delta", { index: 0, delta: { type: "text_delta", text: "Let me check." } }],
+    ["content_block_start", { index: 1, content_block: { type: "tool_use", id: "toolu_1", name: "run_forecast", input: {} } }],
+    ["content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: '{"crop":"Wh' } }],
+    ["content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: 'eat","days":14}' } }],
+    ["message_delta", { delta: { stop_reason: "tool_use" }, usage: { output_tokens: 22 } }],
+  ].map(([event, data]) => new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  let sent;
+  const provider = anthropicProvider({ apiKey: "sk-test", fetchImpl: async (url, init) => { sent = JSON.parse(init.body); return { ok: true, body: sse }; } });
+  const deltas = [];
+  const out = await provider.stream({ ...question, tools: TOOLS, toolChoice: "auto" }, d => deltas.push(d));
+  assert.deepStrictEqual(sent.tools, TOOLS);
+  assert.deepStrictEqual(sent.tool_choice, { type: "auto" });
+  assert.deepStrictEqual(deltas, ["Let me check."]);
+  assert.deepStrictEqual(out.toolCalls, [{ id: "toolu_1", name: "run_forecast", input: { crop: "Wheat", days: 14 } }]);
+  assert.deepStrictEqual([out.stopReason, out.usage.outputTokens], ["tool_use", 22]);
+});
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// AgroVue advisor server. Configuration comes from the environment:
+//   ANTHROPIC_API_KEY   key for the anthropic provider (never sent to the browser)
+//   ADVISOR_PROVIDER    anthropic | mock          (default: anthropic when a key is set, else mock)
+//   ADVISOR_MODEL       model id for the provider
+//   RATE_LIMIT          requests per user per hour (default 30)
+//   ADDRESS_RATE_LIMIT  requests per client address per hour, across all users (default 5 × RATE_LIMIT)
+//   USAGE_LOG           JSON-lines usage file      (default server/usage.log)
+//   CORS_ORIGIN         allowed browser origin when not served through the CRA proxy
+//   PORT                default 8787 — package.json "proxy" points `npm start` here
+const path = require("path");
+const { createAdvisorServer } = require("./app");
+const { createProvider } = require("./providers");
+const { createRateLimiter, createUsageLog } = require("./limits");
+
+const env = process.env;
+const providerName = env.ADVISOR_PROVIDER || (env.ANTHROPIC_API_KEY ? "anthropic" : "mock");
+const provider = createProvider(providerName, { apiKey: env.ANTHROPIC_API_KEY, ...(env.ADVISOR_MODEL && { model: env.ADVISOR_MODEL }) });
+const port = +env.PORT || 8787;
+
+const server = createAdvisorServer({
+  provider,
+  limiter: createRateLimiter({ limit: +env.RATE_LIMIT || 30 }),
+  addressLimiter: createRateLimiter({ limit: +env.ADDRESS_RATE_LIMIT || 5 * (+env.RATE_LIMIT || 30) }),
+  usage: createUsageLog({ file: env.USAGE_LOG || path.join(__dirname, "usage.log") }),
+  corsOrigin: env.CORS_ORIGIN || null,
+});
+
+server.listen(port, () => console.log(`AgroVue advisor server on :${port} using the ${provider.name} provider`));
@@ -0,0 +1,37 @@
+const fs = require("fs");
+
+// ─── PER-USER RATE LIMIT ──────────────────────────────────────────────────────
+// Sliding window: at most `limit` requests per user in any `windowMs`.
+function createRateLimiter({ limit = 30, windowMs = 60 * 60 * 1000, now = Date.now } = {}) {
+  const hits = new Map();
+  return {
+    check(user) {
+      const t = now();
+      const recent = (hits.get(user) || []).filter(at => t - at < windowMs);
+      if (recent.length >= limit) {
+        hits.set(user, recent);
+        return { ok: false, remaining: 0, retryAfterMs: windowMs - (t - recent[0]) };
+      }
+      recent.push(t);
+      hits.set(user, recent);
+      return { ok: true, remaining: limit - recent.length, retryAfterMs: 0 };
+    },
+  };
+}
+
+// ─── USAGE LOG ────────────────────────────────────────────────────────────────
+// One JSON object per line: { at, user, provider, model, status, inputTokens, outputTokens, ms }.
+// Without a file the entries are only kept in memory (tests, dry runs).
+function createUsageLog({ file = null } = {}) {
+  const entries = [];
+  return {
+    entries,
+    record(entry) {
+      const line = { at: new Date().toISOString(), ...entry };
+      entries.push(line);
+      if (file) fs.appendFile(file, JSON.stringify(line) + "\n", (e) => e && console.warn("Usage log write failed:", e.message));
+    },
+  };
+}
+
+module.exports = { createRateLimiter, createUsageLog };
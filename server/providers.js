@@ -0,0 +1,118 @@
+const { readSSE } = require("./sse");
+
+// ─── ADVISOR PROVIDERS ────────────────────────────────────────────────────────
+// A provider turns { system, messages, maxTokens, tools?, toolChoice? } into
+// { text, model, usage, toolCalls, stopReason } where usage = { inputTokens,
+// outputTokens } and toolCalls = [{ id, name, input }] when the model wants the
+// app to run one of `tools` ({ name, description, input_schema }) first. The
+// server only talks to this interface, so a different LLM vendor — or the
+// offline mock used by tests — is one entry in PROVIDERS.
+//
+//   complete(request)                       → Promise<{ text, model, usage, toolCalls, stopReason }>
+//   stream(request, onDelta, { signal })    → same, calling onDelta(text) per chunk;
+//                                             optional — the server falls back to complete()
+
+class ProviderError extends Error {
+  constructor(message, status = 502) { super(message); this.name = "ProviderError"; this.status = status; }
+}
+
+function anthropicProvider({ apiKey, model = "claude-sonnet-4-20250514", baseUrl = "https://api.anthropic.com", fetchImpl = fetch } = {}) {
+  if (!apiKey) throw new Error("anthropic provider needs ANTHROPIC_API_KEY");
+  const post = ({ system, messages, maxTokens = 1000, tools, toolChoice }, extra, signal) => fetchImpl(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
+    body: JSON.stringify({
+      model, max_tokens: maxTokens, system, messages,
+      ...(tools?.length && { tools }),
+      ...(toolChoice && { tool_choice: { type: toolChoice } }),
+      ...extra,
+    }),
+    signal,
+  });
+  const failure = async (res) => {
+    const data = await res.json().catch(() => ({}));
+    return new ProviderError(data.error?.message || `Anthropic API returned ${res.status}`);
+  };
+  return {
+    name: "anthropic",
+    async complete(request) {
+      const res = await post(request);
+      if (!res.ok) throw await failure(res);
+      const data = await res.json().catch(() => ({}));
+      const blocks = data.content || [];
+      return {
+        text: blocks.filter(b => b.type !== "tool_use").map(b => b.text || "").join("").trim(),
+        model: data.model || model,
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+        toolCalls: blocks.filter(b => b.type === "tool_use").map(({ id, name, input }) => ({ id, name, input })),
+        stopReason: data.stop_reason || "end_turn",
+      };
+    },
+    async stream(request, onDelta, { signal } = {}) {
+      const res = await post(request, { stream: true }, signal);
+      if (!res.ok) throw await failure(res);
+      let text = ""; let used = model; let stopReason = "end_turn";
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      const toolBlocks = {}; // content block index → { id, name, json }
+      for await (const { event, data } of readSSE(res.body)) {
+        if (event === "message_start") { used = data.message?.model || used; usage.inputTokens = data.message?.usage?.input_tokens || 0; }
+        else if (event === "content_block_start" && data.content_block?.type === "tool_use") toolBlocks[data.index] = { id: data.content_block.id, name: data.content_block.name, json: "" };
+        else if (event === "content_block_delta" && data.delta?.type === "text_delta") { text += data.delta.text; onDelta(data.delta.text); }
+        else if (event === "content_block_delta" && data.delta?.type === "input_json_delta" && toolBlocks[data.index]) toolBlocks[data.index].json += data.delta.partial_json;
+        else if (event === "message_delta") { usage.outputTokens = data.usage?.output_tokens || usage.outputTokens; stopReason = data.delta?.stop_reason || stopReason; }
+        else if (event === "error") throw new ProviderError(data.error?.message || "Anthropic stream error");
+      }
+      const toolCalls = Object.values(toolBlocks).map(({ id, name, json }) => {
+        try { return { id, name, input: json ? JSON.parse(json) : {} }; } catch { throw new ProviderError(`Malformed input for tool ${name}`); }
+      });
+      return { text: text.trim(), model: used, usage, toolCalls, stopReason };
+    },
+  };
+}
+
+// Deterministic, offline. `reply` may be a string, { text, toolCalls } or a
+// function of the request returning either; stream() emits the text word by
+// word, `delayMs` apart.
+function mockProvider({ reply = ({ messages }) => `Mock advice for: ${messages[messages.length - 1]?.content}`, fail = false, delayMs = 0 } = {}) {
+  const calls = [];
+  const words = (s) => String(s).split(/\s+/).filter(Boolean).length;
+  const answer = (request) => {
+    calls.push(request);
+    if (fail) throw new ProviderError(typeof fail === "string" ? fail : "Mock provider failure");
+    const out = typeof reply === "function" ? reply(request) : reply;
+    const { text = "", toolCalls = [] } = typeof out === "string" ? { text: out } : out;
+    return {
+      text, model: "mock",
+      usage: {
+        inputTokens: words(request.system) + request.messages.reduce((n, m) => n + words(typeof m.content === "string" ? m.content : JSON.stringify(m.content)), 0),
+        outputTokens: words(text),
+      },
+      toolCalls: toolCalls.map((c, i) => ({ id: c.id || `toolu_mock_${calls.length}_${i}`, name: c.name, input: c.input || {} })),
+      stopReason: toolCalls.length ? "tool_use" : "end_turn",
+    };
+  };
+  return {
+    name: "mock",
+    calls,
+    async complete(request) { return answer(request); },
+    async stream(request, onDelta, { signal } = {}) {
+      const out = answer(request);
+      for (const chunk of out.text.match(/\S+\s*/g) || []) {
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+        if (signal?.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+        onDelta(chunk);
+      }
+      return out;
+    },
+  };
+}
+
+const PROVIDERS = { anthropic: anthropicProvider, mock: mockProvider };
+
+function createProvider(name, options) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown advisor provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+  return factory(options);
+}
+
+module.exports = { ProviderError, anthropicProvider, mockProvider, PROVIDERS, createProvider };
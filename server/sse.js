@@ -0,0 +1,32 @@
+// ─── SERVER-SENT EVENTS ───────────────────────────────────────────────────────
+// Splits a text buffer into complete events; whatever follows the last blank
+// line is returned as `rest` and belongs to the next chunk. `data` is parsed as
+// JSON when it can be.
+function parseSSE(buffer) {
+  const blocks = buffer.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    let event = "message"; const data = [];
+    block.split("\n").forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    });
+    const raw = data.join("\n");
+    try { return { event, data: JSON.parse(raw) }; } catch { return { event, data: raw }; }
+  }).filter(e => e.data !== "");
+  return { events, rest };
+}
+
+async function* readSSE(body) {
+  const decoder = new TextDecoder(); let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const { events, rest } = parseSSE(buffer);
+    buffer = rest;
+    yield* events;
+  }
+}
+
+const writeEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+module.exports = { parseSSE, readSSE, writeEvent };
@@ -1,9 +1,34 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import {
   Line, Area, BarChart, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   ResponsiveContainer, ComposedChart
 } from "recharts";
+import { SESSION_KEY, hashPassword, verifyPassword, lockoutRemaining, recordFailedLogin, recordSuccessfulLogin, formatWait, createSession, touchSession, sessionValid } from "./auth";
+import { save, load, remove, openUserStorage, closeUserStorage, clearUserData, scopedKey, storageInfo, onStorageIssue } from "./storage";
+import { CROPS, CROP_META, CROP_TIPS } from "./crops";
+import { loadPrices, importPrices, monthlySeries, filterRecords, summarise, dailySeries, latestDate, shiftDate } from "./prices";
+import { genHistory, genRecords, DEMO_SEED_KEY, DEFAULT_SEED } from "./demoData";
+import { runForecast, MODEL_NAMES } from "./forecast";
+import { createForecastClient } from "./forecastClient";
+import { MANDIS, DISTRICTS, MANDI_COSTS_KEY, rankMandis, districtName, findDistrict } from "./mandis";
+import { ALERTS_KEY, THRESHOLDS_KEY, DEFAULT_THRESHOLDS, DEFAULT_NOTIFY, ALERT_TYPES, priceMoveAlerts, priceTargetAlerts, forecastAlerts, runAlertEngine, markAlertsRead, onAlertsSaved, timeAgo } from "./alerts";
+import { askAdvisor, streamAdvisor, createSentenceBuffer, AdvisorError } from "./advisorClient";
+import { loadAdvisorContext, citedSources } from "./advisorContext";
+import { runToolLoop, advisorModel } from "./toolLoop";
+import { ADVISOR_TOOLS } from "./advisorTools";
+import { loadConversations, saveConversations, activeThread, sortedThreads, createThread, addThread, upsertThread, selectThread, updateThread, deleteThread, togglePin, autoTitle, searchThreads, buildHistory, threadToMarkdown, threadToHtml } from "./conversations";
+import { getLocalFallback } from "./localFallback";
+import { speechText, speakAloud } from "./speech";
+import { pickSpeechEngine } from "./speechEngines";
+import { parseVoiceCommand, parseAppCommand } from "./voiceCommands";
+import { dashboardReadout, forecastReadout } from "./readouts";
+import { LANGS, langId, langCode } from "./languages";
+import { createT, UI_LANG_KEY } from "./i18n";
+import { isOnline, onConnectivityChange, dataAsOf, staleness, takeSnapshot, updateSnapshots, loadSnapshots, saveSnapshots, snapshotForecasts, enqueueQuestion, flushQueue, loadAdvisorQueue, updateAdvisorQueue } from "./offline";
+import { registerServiceWorker, requestNotificationPermission, notificationPermission, notifyAlerts } from "./notifications";
+import { EXPENSE_CATEGORIES, ledgerEntry, addEntry, removeEntry, entryTotal, monthlyTotals, cropSummary, seasonSummary, loadLedger, saveLedger, today } from "./ledger";
+import { loadWatchlist, saveWatchlist, addCrop, removeCrop, updateEntry, isWatched, thresholdsFor, sortByWatchlist, describeWatchlist, parseCropList } from "./watchlist";
 
 // ─── DESIGN TOKENS ────────────────────────────────────────────────────────────
 const C = {
@@ -12,89 +37,33 @@ const C = {
   earth: "#1A0F0A", rust: "#C1440E", gold: "#D4A017",
 };
 
-// ─── PERSIST HELPERS (window.storage — permanent across sessions) ─────────────
-const save = async (key, val) => {
-  try {
-    await window.storage.set(key, JSON.stringify(val));
-  } catch (e) {
-    console.warn("Storage save error:", e);
-  }
-};
-
-const load = async (key, fallback) => {
-  try {
-    const result = await window.storage.get(key);
-    return result ? JSON.parse(result.value) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-
 // ─── DATA HELPERS ─────────────────────────────────────────────────────────────
-const CROPS = ["Wheat","Rice","Maize","Tomato","Onion","Potato","Soybean","Cotton","Sugarcane","Chilli"];
-const STATES = ["Punjab","Haryana","UP","Maharashtra","Karnataka","AP","MP","Rajasthan","Gujarat","Bihar"];
-const MARKETS = ["Azadpur","Vashi","Koyambedu","Gultekdi","Lasalgaon","Fatehabad","Unjha","Karnal","Amritsar","Nagpur"];
-const CROP_META = {
-  Wheat:     { icon:"🌾", season:"Rabi",       harvest:"Mar-Apr", base:2200, vol:0.06 },
-  Rice:      { icon:"🍚", season:"Kharif",      harvest:"Oct-Nov", base:3100, vol:0.05 },
-  Maize:     { icon:"🌽", season:"Kharif",      harvest:"Sep-Oct", base:1800, vol:0.08 },
-  Tomato:    { icon:"🍅", season:"Year-round",  harvest:"Oct & Mar",base:1500,vol:0.35 },
-  Onion:     { icon:"🧅", season:"Rabi/Kharif", harvest:"Nov & Mar",base:1200,vol:0.40 },
-  Potato:    { icon:"🥔", season:"Rabi",        harvest:"Jan-Feb", base:900,  vol:0.25 },
-  Soybean:   { icon:"🫘", season:"Kharif",      harvest:"Oct-Nov", base:4500, vol:0.10 },
-  Cotton:    { icon:"☁️", season:"Kharif",      harvest:"Nov-Jan", base:6200, vol:0.07 },
-  Sugarcane: { icon:"🎋", season:"Year-round",  harvest:"Oct-Mar", base:380,  vol:0.03 },
-  Chilli:    { icon:"🌶️", season:"Rabi",        harvest:"Feb-Mar", base:8500, vol:0.30 },
-};
-const CROP_TIPS = {
-  Wheat:"Prices typically rise post-harvest export season (Apr–Jun). Best to store until May.",
-  Rice:"Sell 30–40% immediately post-harvest, store rest for Jan–Feb when prices rise 15–20%.",
-  Tomato:"High volatility crop. Monitor daily prices. Consider contract farming for stability.",
-  Onion:"Cold storage can yield 25–35% premium. April–July is the best selling window.",
-  Potato:"Store in cold storage. Market opens up in summer (May–Jul) with 20% higher prices.",
-  Maize:"Poultry feed demand drives prices. Nov–Jan tends to be the best selling period.",
-  Soybean:"Global soy prices heavily influence. Watch CBOT futures for export demand signals.",
-  Cotton:"Textile industry demand peaks in Feb–Mar. Hold for quality premium pricing.",
-  Sugarcane:"Regulated FRP prices ensure minimum income. Sell early to avoid payment delays.",
-  Chilli:"Export demand from Sri Lanka & Bangladesh boosts prices in May–Jun. Dry for better margins.",
-};
-
-function genHistory(crop, months = 24) {
-  const { base, vol } = CROP_META[crop] || { base:2000, vol:0.1 };
-  const data = []; let price = base; const now = new Date();
-  for (let i = months; i >= 0; i--) {
-    const d = new Date(now); d.setMonth(d.getMonth() - i);
-    const seasonal = Math.sin((d.getMonth() / 12) * 2 * Math.PI) * 0.1;
-    price = Math.max(price * (1 + (Math.random() - 0.48 + seasonal) * vol), base * 0.4);
-    data.push({
-      date: d.toLocaleDateString("en-IN", { month:"short", year:"2-digit" }),
-      actual: Math.round(price),
-      volume: Math.round(Math.random() * 5000 + 1000),
-    });
-  }
-  return data;
+// Imported mandi records win; the seeded random walk only fills in for crops with no data yet
+function historyFor(prices, crop, months = 24, seed = DEFAULT_SEED) {
+  const series = monthlySeries(prices?.[crop], months);
+  return series.length ? series : genHistory(crop, months, { seed });
 }
 
-function genForecast(history, days = 30) {
-  let price = history[history.length - 1]?.actual || 2000;
-  const now = new Date();
-  return Array.from({ length: days }, (_, i) => {
-    const d = new Date(now); d.setDate(d.getDate() + i + 1);
-    price = Math.max(price * (1 + (Math.random() - 0.47) * 0.04), price * 0.9);
-    const ci = Math.max(5, 15 - i * 0.3);
-    return {
-      date: d.toLocaleDateString("en-IN", { month:"short", day:"numeric" }),
-      predicted: Math.round(price),
-      upper: Math.round(price * (1 + ci / 100)),
-      lower: Math.round(price * (1 - ci / 100)),
-    };
-  });
+// Runs the alert engine and passes whatever it raised on to browser notifications
+function raiseAlerts(evaluate, onOpen) {
+  return runAlertEngine(evaluate)
+    .then(fresh => notifyAlerts(fresh, { onOpen }))
+    .catch(e => console.warn("Alert engine failed:", e));
 }
 
-// ─── REAL AI REPLY via Anthropic API (artifact-compatible) ───────────────────
-async function getAIReply(userMessage, crop, conversationHistory = []) {
+// ─── REAL AI REPLY via the AgroVue advisor server ────────────────────────────
+// With `onDelta` the reply streams in: onDelta(chunk, textSoFar) fires per token
+// and aborting `signal` returns whatever arrived so far, marked as stopped.
+// `context` comes from loadAdvisorContext() and grounds the answer in app data.
+// With `toolEnv` the model may also call the app tools in advisorTools.js
+// (see toolLoop.js); onToolCall(call) reports each one as it completes.
+// `summary` condenses turns too old to send verbatim (conversations.js buildHistory).
+// `lang` is the voice language; offline answers come from localFallback.js in it.
+// With `localFallback:false` a failure throws instead — the offline queue retries later.
+async function getAIReply(userMessage, { crop, history: conversationHistory = [], summary = "", watchlist = [], user, context, lang, onDelta, signal, toolEnv, onToolCall, localFallback = true } = {}) {
   const cropInfo = CROP_META[crop] || {};
   const cropTip  = CROP_TIPS[crop] || "";
+  const spoken   = lang && langId(lang) !== "en" ? LANGS.find(l => l.id === langId(lang)) : null;
 
   const systemPrompt = `You are AgroVueAI, an expert agricultural advisor for Indian farmers. You have deep knowledge of:
 - Indian crop markets (Mandi prices, APMC, eNAM, AgMarkNet data)
@@ -111,192 +80,64 @@ Currently selected crop context:
 - Approx base price: ₹${cropInfo.base || "N/A"}/quintal
 - Key insight: ${cropTip}
 
+Farmer's watchlist (crops they grow or trade): ${describeWatchlist(watchlist) || "not set"}
+
+APP DATA — the farmer's own AgroVue numbers, each block under a source tag:
+${context?.text || "(none available)"}
+${summary ? `
+EARLIER IN THIS CONVERSATION (summary of older turns; 📌 = answers the farmer pinned):
+${summary}
+` : ""}
 IMPORTANT RULES:
 1. Answer ONLY what the farmer is asking. Be direct and specific to their question.
 2. Do not give generic advice unrelated to the question.
 3. Use Indian units: quintal (qtl), rupees (₹), acres.
 4. Keep responses concise — 3 to 6 lines max unless detailed explanation is needed.
 5. Use relevant emojis naturally (🌾 💰 📦 🌦️ 📈 etc.).
-6. If the question is about a specific crop, answer about that crop specifically.
-7. Respond in the same language the farmer uses (Hindi/English/mixed).
-8. Never make up prices — if you don't know current live price, say it's an estimate and advise checking local mandi or eNAM portal.`;
+6. If the question is about a specific crop, answer about that crop specifically; for general questions ("which crops…", "what should I sell…") focus on the watchlist crops.
+7. Respond in the same language the farmer uses (Hindi/English/mixed).${spoken ? ` The farmer has chosen ${spoken.label} — answer in ${spoken.label} unless they write in another language.` : ""}
+8. Answer price, trend and selling questions from APP DATA, not from memory, and cite every block you used by its tag in square brackets, e.g. [Prices:Wheat] [Forecast:Wheat].
+9. If a series is marked SIMULATED, say the numbers are demo data. If APP DATA does not cover the question, say so — never make up prices — and advise checking the local mandi or eNAM portal.${toolEnv ? `
+10. When APP DATA is not enough, use the tools: price history for another crop, mandi or period; a forecast with a different horizon or model; mandi ranking by net realisation; or creating an alert when the farmer asks for one. Base the answer on what they return.` : ""}`;
 
-  // Build messages: inject system context into first user message so it works via the artifact API
-  const historyMessages = conversationHistory.map(m => ({
-    role: m.role === "ai" ? "assistant" : "user",
-    content: m.text,
-  }));
-
-  const fullPrompt = `${systemPrompt}\n\n---\nFarmer's question: ${userMessage}`;
-
-  const messages = historyMessages.length > 0
-    ? [...historyMessages, { role: "user", content: userMessage }]
-    : [{ role: "user", content: fullPrompt }];
+  const turns = conversationHistory.map(m => ({ role: m.role === "ai" ? "assistant" : "user", content: m.text }));
+  // Providers expect the conversation to open with a user turn
+  while (turns[0]?.role === "assistant") turns.shift();
+  const messages = [...turns, { role: "user", content: userMessage }];
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        system: systemPrompt,
-        messages,
-      }),
-    });
-
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      console.error("API error:", err);
-      throw new Error("API returned " + response.status);
+    if (toolEnv) {
+      const { text, stopped } = await runToolLoop({ system: systemPrompt, messages, model: advisorModel({ user }), env: toolEnv, onDelta, onToolCall, signal });
+      if (stopped) return text ? `${text} …⏹️` : "⏹️ Stopped.";
+      return text || "Sorry, I could not get a response. Please try again.";
     }
-
-    const data = await response.json();
-    const text = data.content?.map(b => b.text || "").join("") || "";
-    return text.trim() || "Sorry, I could not get a response. Please try again.";
+    if (onDelta) {
+      const { text, stopped } = await streamAdvisor({ system: systemPrompt, messages, user }, { onDelta, signal });
+      if (stopped) return text ? `${text} …⏹️` : "⏹️ Stopped.";
+      return text || "Sorry, I could not get a response. Please try again.";
+    }
+    const text = await askAdvisor({ system: systemPrompt, messages, user });
+    return text || "Sorry, I could not get a response. Please try again.";
   } catch (err) {
-    console.error("Claude API error:", err);
-    // Intelligent fallback using local knowledge when API is unavailable
-    return getLocalFallback(userMessage, crop);
-  }
-}
-
-// ─── SMART LOCAL FALLBACK ─────────────────────────────────────────────────────
-// Scores each intent category by counting matching signals in the question.
-// The highest-scoring category wins — no single keyword can dominate.
-function getLocalFallback(msg, crop) {
-  const q = msg.toLowerCase()
-    .replace(/[?।!,]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  const m   = CROP_META[crop] || { base: 2000, harvest: "varies", season: "varies", vol: 0.1 };
-  const tip = CROP_TIPS[crop] || "";
-  const has = (...terms) => terms.reduce((score, t) => score + (q.includes(t) ? 1 : 0), 0);
-
-  // Score every intent
-  const scores = {
-    price:    has("price","rate","bhav","daam","aaj","today","current","kitna","how much",
-                  "mandi","market","bhaav","today price","rate kya","kya bhav","what is price",
-                  "दाम","भाव","आज","कितना","क्या भाव","मंडी"),
-    sell:     has("sell","selling","bechna","kab beche","when sell","best time","kab","timing",
-                  "hold","store or sell","should i sell","kb bechu","कब बेचूं","बेचना","कब"),
-    msp:      has("msp","minimum support","government price","sarkar","scheme","support price",
-                  "sarkari","pm kisan","pmkisan","subsidy","compensation","सरकार","एमएसपी",
-                  "समर्थन मूल्य","सरकारी"),
-    storage:  has("storage","store","cold storage","godown","rakhna","warehouse","bhndaran",
-                  "kitne din","how long","preserve","रखना","भंडारण","गोदाम","ठंडा"),
-    weather:  has("weather","rain","monsoon","mausam","barish","drought","flood","climate",
-                  "temperature","baarish","season","kharif","rabi","मौसम","बारिश","सूखा","बाढ़"),
-    profit:   has("profit","income","earning","kamai","fayda","labh","margin","roi","return",
-                  "kitna milega","how much earn","benefit","कमाई","फायदा","लाभ","मुनाफा"),
-    disease:  has("disease","pest","insect","fungus","virus","spray","medicine","dawai","kit",
-                  "rog","keeda","blight","wilt","rot","yellow","leaf","कीट","रोग","दवाई","कीड़ा"),
-    fertilizer:has("fertilizer","khad","urea","dap","npk","manure","compost","potash","zinc",
-                   "nutrient","खाद","यूरिया","डीएपी"),
-    water:    has("water","irrigation","drip","paani","sinchai","pump","borewell","canal",
-                  "पानी","सिंचाई","नहर"),
-    loan:     has("loan","credit","bank","kcc","kisan card","finance","interest","byaj","nabard",
-                  "insurance","pmfby","बीमा","ऋण","लोन","ब्याज","किसान कार्ड"),
-    export:   has("export","foreign","international","demand","global","abroad","विदेश","निर्यात"),
-    sowing:   has("sow","sowing","plant","seed","baai","ugana","nursery","transplant","बुवाई",
-                  "बीज","उगाना","नर्सरी"),
-    harvest:  has("harvest","cutting","katai","ready","ripeness","kab katna","कटाई","तैयार"),
-    variety:  has("variety","type","which type","konsa","breed","hybrid","variety konsi",
-                  "किस्म","कौन सी","हाइब्रिड"),
-    transport:has("transport","truck","vehicle","freight","delivery","gaadi","ढुलाई","गाड़ी"),
-  };
-
-  // Find the top-scoring intent
-  const topIntent = Object.entries(scores).sort((a,b) => b[1]-a[1])[0];
-  const intent    = topIntent[1] > 0 ? topIntent[0] : "general";
-
-  // Mention which crop the question is about (detect if user mentioned a specific crop)
-  const mentionedCrop = CROPS.find(c => q.includes(c.toLowerCase())) || crop;
-  const cm = CROP_META[mentionedCrop] || m;
-  const ct = CROP_TIPS[mentionedCrop] || tip;
-
-  switch (intent) {
-    case "price":
-      return `📊 **${mentionedCrop} Market Price**\n\nCurrent approximate price: ₹${cm.base}–₹${Math.round(cm.base * 1.2)}/quintal\n(Varies by quality, location & season)\n\nBest harvest window: ${cm.harvest} | Season: ${cm.season}\n\n🔍 Check live prices at:\n• eNAM portal → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• Your local APMC mandi board\n\n${ct}`;
-
-    case "sell":
-      return `📅 **Best Time to Sell ${mentionedCrop}**\n\n${ct}\n\nHarvest window: ${cm.harvest} | Season: ${cm.season}\n\n💡 Strategy: Avoid selling at peak harvest when supply floods the market. Wait 4–6 weeks after harvest — prices usually rise 10–20%.\n\nCheck daily mandi rates on eNAM (enam.gov.in) before deciding.`;
-
-    case "msp":
-      return `🏛️ **MSP for ${mentionedCrop}**\n\nThe government sets MSP (Minimum Support Price) each season to protect farmers. To claim MSP:\n\n1️⃣ Register on PM-KISAN portal → pmkisan.gov.in\n2️⃣ Documents needed: Khatauni (land record), Aadhaar, Bank passbook\n3️⃣ Sell through your local APMC mandi or registered procurement center\n\n📞 Kisan Helpline: 1800-180-1551 (Toll Free, 24x7)\n🌐 agri.gov.in for current MSP notifications`;
-
-    case "storage":
-      return `❄️ **Storage Tips for ${mentionedCrop}**\n\n${ct}\n\nStorage options:\n• Cold storage: Best for ${mentionedCrop === "Potato" || mentionedCrop === "Onion" ? "25–40% price premium" : "short-term holding"}\n• Join a local FPO for shared cold storage at lower cost/quintal\n• Proper drying & grading before storage reduces losses by 15–20%\n\nAsk your district agriculture officer for nearest government cold storage facility.`;
-
-    case "weather":
-      return `🌦️ **Weather Impact on ${mentionedCrop}**\n\nMonsoon effect: Deficit rainfall → supply shortage → price rise 15–25%\nExcess rain → crop damage → short spike then crash\nCold wave → affects ${mentionedCrop === "Tomato" || mentionedCrop === "Potato" ? "quality & supply significantly" : "field operations"}\n\n🛡️ Protect your income:\n• PMFBY crop insurance — register before sowing season\n• IMD weather forecast → imd.gov.in for your district`;
-
-    case "profit":
-      return `💰 **Profit Maximization — ${mentionedCrop}**\n\n${ct}\n\nTo increase your income from ${mentionedCrop}:\n• Time your sale correctly (${cm.harvest})\n• Reduce post-harvest losses with proper storage & grading\n• Sell directly to buyers via eNAM — skip middlemen\n• Explore value addition: processing, packaging, or contract farming\n• Join an FPO to negotiate better prices in bulk`;
-
-    case "disease":
-      return `🌿 **Disease & Pest Management — ${mentionedCrop}**\n\nCommon issues in ${mentionedCrop}: fungal blight, aphids, leaf curl, root rot (varies by season).\n\nImmediate steps:\n1. Identify the pest/disease accurately before spraying\n2. Contact your Krishi Vigyan Kendra (KVK) — free expert advice\n3. Use recommended pesticides at correct dosage\n\n📞 Kisan Call Centre: 1800-180-1551\n🌐 State agriculture department app for photo-based diagnosis\n\n⚠️ Early treatment prevents 20–30% yield loss.`;
-
-    case "fertilizer":
-      return `🌱 **Fertilizer Guide — ${mentionedCrop}**\n\nGeneral recommendation for ${mentionedCrop} (per acre):\n• Basal dose: DAP 50 kg + MOP 25 kg at sowing\n• Top dressing: Urea 25–30 kg at 30 days after planting\n• Micronutrients: Zinc sulphate if soil is deficient\n\nAlways get a **soil test done** (free at KVK or for ₹50 at district lab) before applying fertilizers — saves 20–30% fertilizer cost.\n\n📞 Contact your local agriculture extension officer for crop-specific doses.`;
-
-    case "water":
-      return `💧 **Irrigation for ${mentionedCrop}**\n\n${mentionedCrop} water requirement: ${
-        mentionedCrop==="Rice"?"High — 1200–2000 mm (flood or SRI method)":
-        mentionedCrop==="Sugarcane"?"High — irrigate every 10–15 days":
-        mentionedCrop==="Wheat"?"Medium — 4–6 irrigations (CRI, tillering, jointing, grain fill)":
-        mentionedCrop==="Tomato"?"Frequent — drip irrigation saves 40% water":
-        "Moderate — check soil moisture before irrigating"}\n\n💡 Drip/sprinkler irrigation saves 30–50% water vs flood irrigation.\nApply for Pradhan Mantri Krishi Sinchai Yojana (PMKSY) subsidy on drip systems.`;
-
-    case "loan":
-      return `🏦 **Farm Finance & Insurance**\n\n• **Kisan Credit Card (KCC):** Up to ₹3 lakh at 4% effective interest (7% minus 3% subvention) — apply at any bank\n• **PM-KISAN:** ₹6,000/year direct to your bank → pmkisan.gov.in\n• **PMFBY Crop Insurance:** Covers crop loss from drought, flood, pest — enroll before sowing\n• **NABARD loans** via cooperative banks for farm infrastructure\n\n📞 Bank helpline or nearest PACS for KCC application\n📞 Kisan Helpline: 1800-180-1551`;
-
-    case "export":
-      return `🌍 **Export Opportunities for ${mentionedCrop}**\n\n${ct}\n\nKey export markets for Indian ${mentionedCrop}:\n${mentionedCrop==="Chilli"?"• Sri Lanka, Bangladesh, UAE, Malaysia — May–Jun is peak export season":
-        mentionedCrop==="Onion"?"• Malaysia, Sri Lanka, UAE — Apr–Jul when domestic prices are high":
-        mentionedCrop==="Rice"?"• Middle East, Africa, SE Asia — India is world's largest rice exporter":
-        mentionedCrop==="Cotton"?"• Bangladesh, China for textile — premium for long staple quality":
-        "• Check APEDA portal (apeda.gov.in) for your crop's export potential"}\n\nRegister on APEDA (Agricultural and Processed Food Products Export Authority) at apeda.gov.in to connect with exporters.`;
-
-    case "sowing":
-      return `🌱 **Sowing Guide — ${mentionedCrop}**\n\nSeason: ${cm.season} | Best sowing time varies by region.\n\nGeneral steps:\n1. Soil preparation: Deep plowing + 2–3 harrowings\n2. Seed treatment: Use certified seeds, treat with fungicide\n3. Spacing & depth: As per variety recommendation\n4. Basal fertilizer: Apply DAP at sowing\n\n📞 Contact your Krishi Vigyan Kendra (KVK) for region-specific sowing schedule and variety recommendations for ${mentionedCrop}.`;
-
-    case "harvest":
-      return `🌾 **Harvest Time — ${mentionedCrop}**\n\nTypical harvest window: **${cm.harvest}**\nSeason: ${cm.season}\n\nSigns of maturity for ${mentionedCrop}:\n${mentionedCrop==="Wheat"?"• Golden yellow color, grains hard & dry, moisture 14–16%":
-        mentionedCrop==="Rice"?"• 80% grains golden yellow, moisture 20–25% at harvest":
-        mentionedCrop==="Tomato"?"• Red color, firm texture — harvest every 3–4 days":
-        mentionedCrop==="Onion"?"• Neck fall (70% plants), tops dry and fall naturally":
-        "• Check crop-specific maturity indicators with your KVK"}\n\n⏰ Harvest at the right time to avoid quality loss and price drop.`;
-
-    case "variety":
-      return `🌱 **Best Varieties — ${mentionedCrop}**\n\nTop recommended varieties for ${mentionedCrop}:\n${
-        mentionedCrop==="Wheat"?"• HD-2967, HD-3086, GW-322, DBW-187 (disease resistant)":
-        mentionedCrop==="Rice"?"• Swarna, MTU-1010, Pusa Basmati 1121, BPT-5204":
-        mentionedCrop==="Tomato"?"• Arka Vikas, Pusa Ruby, Solan Vajra, hybrid varieties":
-        mentionedCrop==="Onion"?"• Bhima Super, Agrifound Light Red, Phule Safed":
-        mentionedCrop==="Potato"?"• Kufri Jyoti, Kufri Pukhraj, Kufri Chipsona":
-        mentionedCrop==="Maize"?"• DHM-117, Vivek QPM-9, DKC-9144 (hybrid)":
-        "• Contact your state agriculture department or KVK for region-specific variety recommendations"}\n\nAlways buy **certified seeds** from government-registered dealers.`;
-
-    case "transport":
-      return `🚛 **Transport & Logistics for ${mentionedCrop}**\n\nTips to reduce transport costs:\n• Join or form an FPO to aggregate produce and share transport\n• Sell on eNAM (enam.gov.in) — buyers can bid from anywhere, reducing your need to travel\n• Harvest at the right time to avoid emergency transport\n• Use government-subsidized transport schemes in your state\n\nFor perishables like ${mentionedCrop==="Tomato"||mentionedCrop==="Onion"?"Tomato/Onion":"this crop"}, pre-cool before transport to reduce losses.`;
-
-    default:
-      // Smart general answer that still uses the question text
-      return `🌾 **AgroVueAI — ${mentionedCrop} Answer**\n\nYour question: "${msg}"\n\n${ct}\n\nRelevant info for ${mentionedCrop}:\n• Season: ${cm.season} | Harvest: ${cm.harvest}\n• Approx price: ₹${cm.base}/qtl\n\n📞 For expert advice specific to your question:\n• Kisan Call Centre: 1800-180-1551 (Toll Free, 24x7)\n• eNAM portal: enam.gov.in\n• Nearest Krishi Vigyan Kendra (KVK)`;
+    console.error("Advisor server error:", err);
+    if (!localFallback) throw err;
+    if (err.partial) return `${err.partial}\n\n⚠️ The answer was cut off — ${err.message}`;
+    // Intelligent fallback using local knowledge when the server is unreachable or over its limit
+    const fallback = getLocalFallback(userMessage, crop, { lang, headline: context?.headline });
+    return err instanceof AdvisorError && err.status === 429 ? `⏳ ${err.message}\n\n${fallback}` : fallback;
   }
 }
 
 // ─── NAV ──────────────────────────────────────────────────────────────────────
-function NavBar({ tab, setTab, user, onLogout }) {
+function NavBar({ tab, setTab, user, onLogout, t, onLangChange, online = true }) {
   const tabs = [
-    { id:"dashboard", label:"Dashboard",     icon:"📊" },
-    { id:"predict",   label:"Price Forecast", icon:"🔮" },
-    { id:"market",    label:"Market Intel",   icon:"🏪" },
-    { id:"advisor",   label:"AI Advisor",     icon:"🤖" },
-    { id:"voice",     label:"Voice",          icon:"🎙️" },
-    { id:"alerts",    label:"Alerts",         icon:"🔔" },
-    { id:"profile",   label:"Profile",        icon:"👤" },
+    { id:"dashboard", icon:"📊" },
+    { id:"predict",   icon:"🔮" },
+    { id:"market",    icon:"🏪" },
+    { id:"advisor",   icon:"🤖" },
+    { id:"voice",     icon:"🎙️" },
+    { id:"alerts",    icon:"🔔" },
+    { id:"profile",   icon:"👤" },
   ];
   return (
     <nav style={{ background:`linear-gradient(135deg,${C.earth},#2D1810)`, borderBottom:`3px solid ${C.harvest}`, position:"sticky", top:0, zIndex:1000, boxShadow:"0 4px 24px rgba(0,0,0,.4)" }}>
@@ -305,26 +146,28 @@ function NavBar({ tab, setTab, user, onLogout }) {
           <img src={LOGO_B64} alt="AgroVue" style={{ width:40, height:40, objectFit:"contain", filter:"drop-shadow(0 2px 6px rgba(0,0,0,0.3))" }} />
           <div>
             <div style={{ color:C.harvest, fontFamily:"Georgia,serif", fontSize:16, fontWeight:700 }}>AgroVue</div>
-            <div style={{ color:"rgba(255,255,255,.4)", fontSize:9, letterSpacing:2, textTransform:"uppercase" }}>Price Intelligence</div>
+            <div style={{ color:"rgba(255,255,255,.4)", fontSize:9, letterSpacing:2, textTransform:"uppercase" }}>{t("nav.tagline")}</div>
           </div>
         </div>
         <div style={{ display:"flex", gap:0, flex:1, overflowX:"auto" }}>
-          {tabs.map(t => (
-            <button key={t.id} onClick={() => setTab(t.id)} style={{ background:tab===t.id?"rgba(244,162,97,.15)":"transparent", border:"none", borderBottom:tab===t.id?`3px solid ${C.harvest}`:"3px solid transparent", color:tab===t.id?C.harvest:"rgba(255,255,255,.55)", padding:"15px 14px", cursor:"pointer", fontSize:12, fontWeight:tab===t.id?700:400, display:"flex", alignItems:"center", gap:5, whiteSpace:"nowrap", transition:"all .2s" }}>
-              {t.icon} {t.label}
+          {tabs.map(tb => (
+            <button key={tb.id} onClick={() => setTab(tb.id)} style={{ background:tab===tb.id?"rgba(244,162,97,.15)":"transparent", border:"none", borderBottom:tab===tb.id?`3px solid ${C.harvest}`:"3px solid transparent", color:tab===tb.id?C.harvest:"rgba(255,255,255,.55)", padding:"15px 14px", cursor:"pointer", fontSize:12, fontWeight:tab===tb.id?700:400, display:"flex", alignItems:"center", gap:5, whiteSpace:"nowrap", transition:"all .2s" }}>
+              {tb.icon} {t(`nav.${tb.id}`)}
             </button>
           ))}
         </div>
         <div style={{ display:"flex", alignItems:"center", gap:8, paddingLeft:12, borderLeft:"1px solid rgba(255,255,255,.1)", flexShrink:0 }}>
+          {!online && <span role="status" style={{ background:"rgba(231,111,81,.2)", border:`1px solid ${C.rust}`, color:C.harvest, borderRadius:20, padding:"3px 10px", fontSize:10, fontWeight:700, whiteSpace:"nowrap" }}>📴 {t("nav.offline")}</span>}
+          <LanguagePicker t={t} onChange={onLangChange} dark />
           <div style={{ width:34, height:34, borderRadius:"50%", background:`linear-gradient(135deg,${C.seedling},${C.leaf})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:16 }}>
             {user.role==="Farmer"?"👨‍🌾":user.role==="Trader"?"👨‍💼":"👨‍💻"}
           </div>
           <div>
             <div style={{ color:"white", fontSize:11, fontWeight:600 }}>{user.name}</div>
-            <div style={{ color:C.seedling, fontSize:9, letterSpacing:1 }}>{user.role.toUpperCase()}</div>
+            <div style={{ color:C.seedling, fontSize:9, letterSpacing:1 }}>{t(`role.${user.role}`).toUpperCase()}</div>
           </div>
-          <button onClick={onLogout} title="Sign out" style={{ marginLeft:6, background:"rgba(255,255,255,.08)", border:"1px solid rgba(255,255,255,.15)", color:"rgba(255,255,255,.6)", borderRadius:8, padding:"5px 10px", fontSize:11, cursor:"pointer", display:"flex", alignItems:"center", gap:4 }}>
-            🚪 <span style={{ fontSize:10 }}>Logout</span>
+          <button onClick={onLogout} title={t("nav.signOut")} style={{ marginLeft:6, background:"rgba(255,255,255,.08)", border:"1px solid rgba(255,255,255,.15)", color:"rgba(255,255,255,.6)", borderRadius:8, padding:"5px 10px", fontSize:11, cursor:"pointer", display:"flex", alignItems:"center", gap:4 }}>
+            🚪 <span style={{ fontSize:10 }}>{t("nav.logout")}</span>
           </button>
         </div>
       </div>
@@ -332,27 +175,70 @@ function NavBar({ tab, setTab, user, onLogout }) {
   );
 }
 
+// The chosen language is saved to the profile (or, signed out, to the device)
+function LanguagePicker({ t, onChange, dark = false }) {
+  return (
+    <select value={t.lang} onChange={e=>onChange(e.target.value)} title={t("common.language")} aria-label={t("common.language")}
+      style={dark
+        ? { background:"rgba(255,255,255,.08)", border:"1px solid rgba(255,255,255,.15)", color:"rgba(255,255,255,.75)", borderRadius:8, padding:"5px 6px", fontSize:11, cursor:"pointer" }
+        : { padding:"6px 9px", borderRadius:8, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12, background:"white", cursor:"pointer" }}>
+      {LANGS.map(l=><option key={l.id} value={l.id} style={{ color:"#1A0F0A" }}>🌐 {l.native}</option>)}
+    </select>
+  );
+}
+
+// ─── STORAGE BANNER ───────────────────────────────────────────────────────────
+const STORAGE_LABELS = {
+  AgroVue_prices:"imported mandi prices", AgroVue_chat:"advisor conversations", AgroVue_alerts:"alerts",
+  AgroVue_profile:"profile", AgroVue_watchlist:"watchlist", AgroVue_users:"account",
+};
+
+function StorageBanner({ issue, backend, onDismiss }) {
+  const what = STORAGE_LABELS[issue?.key] || issue?.key || "data";
+  const text = !issue
+    ? backend?.persistent === false && "This browser blocks storage — nothing you change will be kept after the tab is closed."
+    : issue.kind === "quota"   ? `Storage is full, so your ${what} could not be saved. Free space by clearing imported mandi prices or old chats.`
+    : issue.kind === "corrupt" ? `Saved ${what} could not be read and was ignored.`
+    : `Could not ${issue.kind === "read" ? "read" : "save"} your ${what}: ${issue.message}`;
+  if (!text) return null;
+  return (
+    <div role="alert" style={{ background:"#FEF3C7", borderBottom:"1px solid #FDE68A", color:"#92400E", fontSize:12, padding:"8px 24px", display:"flex", justifyContent:"space-between", alignItems:"center", gap:12 }}>
+      <span>⚠️ {text}</span>
+      {issue && <button onClick={onDismiss} style={{ border:"none", background:"none", color:"#92400E", cursor:"pointer", fontSize:13 }}>✕</button>}
+    </div>
+  );
+}
+
 // ─── DASHBOARD ───────────────────────────────────────────────────────────────
-function Dashboard({ crop, setCrop }) {
-  const hist = genHistory(crop, 24);
+function Dashboard({ crop, setCrop, prices, seed, watchlist, onWatchlistChange, t, online = true, snapshots }) {
+  const hist = useMemo(() => historyFor(prices, crop, 24, seed), [prices, crop, seed]);
   const cur  = hist[hist.length-1]?.actual || 0;
   const prev = hist[hist.length-2]?.actual || 1;
   const chg  = ((cur-prev)/prev*100).toFixed(1);
-  const fc7  = genForecast(hist, 7);
+  const fc7  = useMemo(() => runForecast(hist, "Ensemble", 7).rows, [hist]);
   const fc7p = fc7[6]?.predicted || 0;
   const fc7c = ((fc7p-cur)/cur*100).toFixed(1);
-  const ticker = CROPS.map(c => {
-    const d = genHistory(c,2); const l=d[d.length-1]?.actual||0; const p=d[d.length-2]?.actual||1;
-    return { c, price:l, chg:+((l-p)/p*100).toFixed(2), icon:CROP_META[c]?.icon };
-  });
+  // Every price carries the date of the data behind it, coloured by how old that is
+  const asOf = dataAsOf(prices[crop]);
+  const asOfBadge = { text:t("dash.asOf", { date:t.date(asOf) }), title:t("dash.ageNote", { ago:t.ago(asOf) }), color:{ fresh:C.leaf, stale:C.sun, old:C.rust }[staleness(asOf)] };
+  const offlineSnaps = online ? [] : watchlist.map(({ crop: c }) => snapshots?.[c]).filter(Boolean);
+  const ticker = useMemo(() => sortByWatchlist(CROPS, watchlist).map(c => {
+    const d = historyFor(prices, c, 2, seed); const l=d[d.length-1]?.actual||0; const p=d[d.length-2]?.actual||1;
+    return { c, price:l, chg:+((l-p)/p*100).toFixed(2), icon:CROP_META[c]?.icon, watched:isWatched(watchlist, c) };
+  }), [prices, seed, watchlist]);
+  const toggleWatch = (e, c) => {
+    e.stopPropagation();
+    onWatchlistChange(isWatched(watchlist, c) ? removeCrop(watchlist, c) : addCrop(watchlist, c));
+  };
 
-  const Card = ({ label, value, sub, icon, color }) => (
+  const Card = ({ label, value, sub, icon, color, badge }) => (
     <div style={{ background:"white", borderRadius:14, padding:"18px 20px", border:`1px solid ${color}22`, boxShadow:"0 2px 12px rgba(0,0,0,.06)", display:"flex", gap:14 }}>
       <div style={{ width:48, height:48, borderRadius:12, background:`${color}22`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:22, flexShrink:0 }}>{icon}</div>
       <div>
         <div style={{ color:"#888", fontSize:10, letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>{label}</div>
         <div style={{ color:C.earth, fontSize:20, fontWeight:800, fontFamily:"Georgia,serif" }}>{value}</div>
         <div style={{ color:"#999", fontSize:11, marginTop:2 }}>{sub}</div>
+        {badge && <span title={badge.title} style={{ display:"inline-block", marginTop:6, background:`${badge.color}20`, color:badge.color, padding:"2px 8px", borderRadius:20, fontSize:10, fontWeight:600 }}>🕒 {badge.text}</span>}
       </div>
     </div>
   );
@@ -360,48 +246,63 @@ function Dashboard({ crop, setCrop }) {
   return (
     <div style={{ padding:24, maxWidth:1400, margin:"0 auto" }}>
       <div style={{ marginBottom:20 }}>
-        <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:0, fontWeight:800 }}>🌾 Market Intelligence Dashboard</h1>
-        <p style={{ color:"#666", margin:"5px 0 0", fontSize:13 }}>{new Date().toLocaleDateString("en-IN",{weekday:"long",day:"numeric",month:"long",year:"numeric"})}</p>
+        <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:0, fontWeight:800 }}>🌾 {t("dash.title")}</h1>
+        <p style={{ color:"#666", margin:"5px 0 0", fontSize:13 }}>{t.date(new Date(),{weekday:"long",day:"numeric",month:"long",year:"numeric"})}</p>
       </div>
 
       <div style={{ display:"flex", gap:8, flexWrap:"wrap", marginBottom:18 }}>
         {CROPS.map(c=>(
           <button key={c} onClick={()=>setCrop(c)} style={{ padding:"6px 14px", borderRadius:30, border:`1.5px solid ${crop===c?C.leaf:"rgba(0,0,0,.12)"}`, background:crop===c?C.leaf:"white", color:crop===c?"white":"#555", fontSize:12, fontWeight:crop===c?700:400, cursor:"pointer", display:"flex", alignItems:"center", gap:4, transition:"all .2s" }}>
-            {CROP_META[c]?.icon} {c}
+            {CROP_META[c]?.icon} {t.crop(c)}
           </button>
         ))}
       </div>
 
+      {offlineSnaps.length > 0 && (
+        <div role="status" style={{ background:`${C.sun}14`, border:`1.5px solid ${C.sun}55`, borderRadius:14, padding:"12px 18px", marginBottom:18 }}>
+          <div style={{ fontWeight:700, color:C.earth, fontSize:12, marginBottom:8 }}>📴 {t("dash.offline")}</div>
+          <div style={{ display:"flex", gap:8, flexWrap:"wrap" }}>
+            {offlineSnaps.map(s=>(
+              <button key={s.crop} onClick={()=>setCrop(s.crop)} title={t("dash.ageNote", { ago:t.ago(s.asOf) })} style={{ background:"white", border:`1px solid ${crop===s.crop?C.leaf:"rgba(0,0,0,.1)"}`, borderRadius:10, padding:"6px 12px", fontSize:11, cursor:"pointer", textAlign:"left" }}>
+                <div style={{ fontWeight:700 }}>{CROP_META[s.crop]?.icon} {t.crop(s.crop)} · {t.rupees(s.price)}</div>
+                <div style={{ color:"#888", fontSize:10 }}>🔮 {t.rupees(s.fc7)} · {t("dash.asOf", { date:t.date(s.asOf) })}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(210px,1fr))", gap:14, marginBottom:20 }}>
-        <Card label="Current Price"  value={`₹${cur.toLocaleString()}/qtl`}  sub={`${+chg>=0?"▲":"▼"} ${Math.abs(chg)}% vs last month`} icon={CROP_META[crop]?.icon} color={C.leaf} />
-        <Card label="7-Day Forecast" value={`₹${fc7p.toLocaleString()}/qtl`} sub={`${+fc7c>=0?"📈 Bullish":"📉 Bearish"} trend`}          icon="🔮" color={C.sky} />
-        <Card label="24-Month High"  value={`₹${Math.max(...hist.map(d=>d.actual)).toLocaleString()}/qtl`} sub="Best price recorded"    icon="📈" color={C.sun} />
-        <Card label="Market Volume"  value={`${(hist[hist.length-1]?.volume||0).toLocaleString()} MT`}     sub="Today's arrivals"        icon="📦" color={C.rust} />
+        <Card label={t("dash.currentPrice")} value={`${t.rupees(cur)}${t("unit.perQtl")}`}  sub={`${+chg>=0?"▲":"▼"} ${t("dash.vsLastMonth", { pct:t.num(Math.abs(chg)) })}`} icon={CROP_META[crop]?.icon} color={C.leaf} badge={asOfBadge} />
+        <Card label={t("dash.forecast7")}    value={`${t.rupees(fc7p)}${t("unit.perQtl")}`} sub={+fc7c>=0?`📈 ${t("dash.bullish")}`:`📉 ${t("dash.bearish")}`} icon="🔮" color={C.sky} badge={asOfBadge} />
+        <Card label={t("dash.high24")}       value={`${t.rupees(Math.max(...hist.map(d=>d.actual)))}${t("unit.perQtl")}`} sub={t("dash.bestPrice")} icon="📈" color={C.sun} />
+        <Card label={t("dash.volume")}       value={`${t.num(hist[hist.length-1]?.volume||0)} ${t("unit.mt")}`} sub={t("dash.arrivals")} icon="📦" color={C.rust} />
       </div>
 
       <div style={{ display:"grid", gridTemplateColumns:"1fr 320px", gap:18, marginBottom:18 }}>
         <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)" }}>
-          <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth }}>{crop} — 24 Month History</h3>
+          <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth }}>{t("dash.history", { crop:t.crop(crop) })}</h3>
           <ResponsiveContainer width="100%" height={260}>
             <ComposedChart data={hist}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
-              <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} />
-              <YAxis tick={{ fontSize:10 }} tickLine={false} tickFormatter={v=>`₹${(v/1000).toFixed(1)}k`} />
-              <Tooltip formatter={(v,n)=>n==="actual"?[`₹${v.toLocaleString()}`,"Price"]:[`${v.toLocaleString()} MT`,"Volume"]} />
+              <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.months} />
+              <YAxis tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.rupees} />
+              <Tooltip labelFormatter={t.months} formatter={(v,n)=>n==="actual"?[t.rupees(v),t("dash.price")]:[`${t.num(v)} ${t("unit.mt")}`,t("dash.volume")]} />
               <Bar dataKey="volume" yAxisId={0} fill={`${C.harvest}33`} radius={[2,2,0,0]} />
               <Area type="monotone" dataKey="actual" stroke={C.leaf} strokeWidth={2.5} fill={`${C.leaf}15`} dot={false} />
             </ComposedChart>
           </ResponsiveContainer>
         </div>
         <div style={{ background:"white", borderRadius:16, padding:18, boxShadow:"0 2px 14px rgba(0,0,0,.06)", overflowY:"auto", maxHeight:350 }}>
-          <h3 style={{ margin:"0 0 12px", fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>All Crops</h3>
-          {ticker.map(({ c,price,chg:ch,icon })=>(
+          <h3 style={{ margin:"0 0 12px", fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>{t("dash.allCrops")}</h3>
+          {ticker.map(({ c,price,chg:ch,icon,watched })=>(
             <div key={c} onClick={()=>setCrop(c)} style={{ display:"flex", alignItems:"center", justifyContent:"space-between", padding:"9px 10px", borderRadius:9, cursor:"pointer", background:crop===c?`${C.leaf}10`:"transparent", marginBottom:3, border:crop===c?`1px solid ${C.leaf}33`:"1px solid transparent" }}>
               <div style={{ display:"flex", alignItems:"center", gap:9 }}>
+                <span onClick={e=>toggleWatch(e,c)} title={t(watched?"common.unwatch":"common.watch", { crop:t.crop(c) })} style={{ fontSize:13, color:watched?C.gold:"#ccc" }}>{watched?"★":"☆"}</span>
                 <span style={{ fontSize:17 }}>{icon}</span>
-                <div><div style={{ fontWeight:600, fontSize:12 }}>{c}</div><div style={{ fontSize:10, color:"#888" }}>₹{price.toLocaleString()}</div></div>
+                <div><div style={{ fontWeight:600, fontSize:12 }}>{t.crop(c)}</div><div style={{ fontSize:10, color:"#888" }}>{t.rupees(price)}</div></div>
               </div>
-              <span style={{ fontWeight:700, fontSize:12, color:ch>=0?"#16A34A":"#DC2626" }}>{ch>=0?"▲":"▼"}{Math.abs(ch)}%</span>
+              <span style={{ fontWeight:700, fontSize:12, color:ch>=0?"#16A34A":"#DC2626" }}>{ch>=0?"▲":"▼"}{t.num(Math.abs(ch))}%</span>
             </div>
           ))}
         </div>
@@ -410,11 +311,11 @@ function Dashboard({ crop, setCrop }) {
       <div style={{ background:`${C.leaf}10`, border:`1.5px solid ${C.leaf}40`, borderRadius:14, padding:"18px 22px", display:"flex", gap:16 }}>
         <span style={{ fontSize:32 }}>💡</span>
         <div>
-          <div style={{ fontWeight:700, color:C.leaf, fontSize:13, marginBottom:4 }}>AI Insight for {crop}</div>
+          <div style={{ fontWeight:700, color:C.leaf, fontSize:13, marginBottom:4 }}>{t("dash.insight", { crop:t.crop(crop) })}</div>
           <div style={{ color:"#444", fontSize:13, lineHeight:1.6 }}>{CROP_TIPS[crop]}</div>
           <div style={{ marginTop:8, display:"flex", gap:10 }}>
-            <span style={{ background:`${C.leaf}20`, color:C.leaf, padding:"3px 10px", borderRadius:20, fontSize:11, fontWeight:600 }}>Season: {CROP_META[crop]?.season}</span>
-            <span style={{ background:`${C.sun}20`, color:C.rust, padding:"3px 10px", borderRadius:20, fontSize:11, fontWeight:600 }}>Harvest: {CROP_META[crop]?.harvest}</span>
+            <span style={{ background:`${C.leaf}20`, color:C.leaf, padding:"3px 10px", borderRadius:20, fontSize:11, fontWeight:600 }}>{t("dash.season", { season:t.season(CROP_META[crop]?.season) })}</span>
+            <span style={{ background:`${C.sun}20`, color:C.rust, padding:"3px 10px", borderRadius:20, fontSize:11, fontWeight:600 }}>{t("dash.harvest", { months:t.harvest(CROP_META[crop]?.harvest) })}</span>
           </div>
         </div>
       </div>
@@ -423,43 +324,81 @@ function Dashboard({ crop, setCrop }) {
 }
 
 // ─── FORECAST ────────────────────────────────────────────────────────────────
-function PriceForecast({ crop: initCrop }) {
+function PriceForecast({ crop: initCrop, prices, seed, onForecast, t }) {
   const [crop, setCrop]       = useState(initCrop);
-  const [model, setModel]     = useState("LSTM");
+  useEffect(() => setCrop(initCrop), [initCrop]); // follows crops picked elsewhere, e.g. by voice
+  const [model, setModel]     = useState("Ensemble");
   const [horizon, setHorizon] = useState(30);
   const [loading, setLoading] = useState(false);
   const [done, setDone]       = useState(false);
-  const [hist]                = useState(()=>genHistory(crop,12));
+  const hist                  = useMemo(()=>historyFor(prices, crop, 36, seed), [prices, crop, seed]);
   const [fc, setFc]           = useState([]);
+  const [holdout, setHoldout] = useState(6);
+  const [scores, setScores]   = useState(null);
+  const [progress, setProgress] = useState(null);
+  const clientRef = useRef(null);
+  const jobRef    = useRef(null);
+
+  const MODELS = MODEL_NAMES;
+  // Measured accuracy: 100 − MAPE from a rolling-origin backtest over the last `holdout` months
+  const SCORE  = Object.fromEntries((scores || []).map(r => [r.model, r]));
+  const ACC    = Object.fromEntries((scores || []).map(r => [r.model, Math.max(0, 100 - r.mape).toFixed(1)]));
+
+  // Model fitting and backtests run in the forecast worker
+  useEffect(() => {
+    const client = createForecastClient();
+    clientRef.current = client;
+    return client.dispose;
+  }, []);
 
-  const MODELS = ["LSTM","ARIMA","Prophet","Transformer","XGBoost","Ensemble"];
-  const ACC    = { LSTM:94.2, ARIMA:89.1, Prophet:91.7, Transformer:95.8, XGBoost:92.4, Ensemble:96.1 };
+  useEffect(() => {
+    setScores(null);
+    const job = clientRef.current.run({ kind:"backtest", history:hist, holdout });
+    job.promise.then(r => r && setScores(r)).catch(e => console.warn("Backtest failed:", e));
+    return job.cancel;
+  }, [hist, holdout]);
 
-  const run = () => { setLoading(true); setDone(false); setTimeout(()=>{ setFc(genForecast(hist,horizon)); setLoading(false); setDone(true); }, 1600); };
+  // Switching crop, model or horizon abandons whatever forecast was in flight
+  useEffect(() => {
+    jobRef.current?.cancel();
+    jobRef.current = null;
+    setLoading(false); setDone(false); setProgress(null);
+  }, [hist, model, horizon]);
+
+  const run = () => {
+    jobRef.current?.cancel();
+    setLoading(true); setDone(false); setProgress(null);
+    const job = clientRef.current.run({ kind:"forecast", history:hist, model, horizon }, setProgress);
+    jobRef.current = job;
+    job.promise
+      .then(r => { if (!r) return; setFc(r.rows); setLoading(false); setDone(true); onForecast?.(crop, model, hist, r.rows); })
+      .catch(e => { console.warn("Forecast failed:", e); setLoading(false); });
+  };
 
   const chartData = [...hist.slice(-8), ...(done ? fc.slice(0,15).map(d=>({...d, actual:undefined})) : [])];
 
   return (
     <div style={{ padding:24, maxWidth:1400, margin:"0 auto" }}>
-      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>🔮 AI Price Forecasting Engine</h1>
-      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Multi-model deep learning forecasts with confidence intervals</p>
+      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>🔮 {t("fc.title")}</h1>
+      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>{t("fc.subtitle")}</p>
 
       <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(180px,1fr))", gap:14, marginBottom:20 }}>
-        {[["Crop",<select value={crop} onChange={e=>setCrop(e.target.value)} style={sel}>{CROPS.map(c=><option key={c}>{c}</option>)}</select>],
-          ["AI Model",<select value={model} onChange={e=>setModel(e.target.value)} style={sel}>{MODELS.map(m=><option key={m}>{m}</option>)}</select>],
-          ["Horizon",<select value={horizon} onChange={e=>setHorizon(+e.target.value)} style={sel}><option value={7}>7 Days</option><option value={14}>14 Days</option><option value={30}>30 Days</option><option value={60}>60 Days</option><option value={90}>90 Days</option></select>],
-          ["",<button onClick={run} disabled={loading} style={{ ...sel, background:loading?"#ccc":`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontWeight:700, cursor:loading?"not-allowed":"pointer", border:"none", marginTop:22 }}>{loading?"⚙️ Running...":"🚀 Run Forecast"}</button>]
+        {[[t("fc.crop"),<select value={crop} onChange={e=>setCrop(e.target.value)} style={sel}>{CROPS.map(c=><option key={c} value={c}>{t.crop(c)}</option>)}</select>],
+          [t("fc.model"),<select value={model} onChange={e=>setModel(e.target.value)} style={sel}>{MODELS.map(m=><option key={m}>{m}</option>)}</select>],
+          [t("fc.horizon"),<select value={horizon} onChange={e=>setHorizon(+e.target.value)} style={sel}>{[7,14,30,60,90].map(n=><option key={n} value={n}>{t("fc.days", { n:t.num(n) })}</option>)}</select>],
+          ["",<button onClick={run} disabled={loading} style={{ ...sel, background:loading?"#ccc":`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontWeight:700, cursor:loading?"not-allowed":"pointer", border:"none", marginTop:22 }}>{loading?`⚙️ ${t("fc.running")}`:`🚀 ${t("fc.run")}`}</button>]
         ].map(([label,el],i)=>(
           <div key={i}>{label && <label style={{ fontSize:10, color:"#888", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:5 }}>{label}</label>}{el}</div>
         ))}
       </div>
 
-      <div style={{ display:"grid", gridTemplateColumns:"repeat(6,1fr)", gap:10, marginBottom:20 }}>
+      <div style={{ display:"grid", gridTemplateColumns:`repeat(${MODELS.length},1fr)`, gap:10, marginBottom:20 }}>
         {MODELS.map(m=>(
           <div key={m} onClick={()=>setModel(m)} style={{ background:model===m?`linear-gradient(135deg,${C.leaf},${C.seedling})`:"white", borderRadius:12, padding:"13px 10px", textAlign:"center", cursor:"pointer", border:`1.5px solid ${model===m?"transparent":"rgba(0,0,0,.08)"}`, boxShadow:model===m?`0 4px 16px ${C.leaf}44`:"none" }}>
             <div style={{ fontSize:11, fontWeight:700, color:model===m?"white":C.earth, marginBottom:3 }}>{m}</div>
-            <div style={{ fontSize:17, fontWeight:800, color:model===m?"white":C.leaf }}>{ACC[m]}%</div>
-            <div style={{ fontSize:9, color:model===m?"rgba(255,255,255,.65)":"#999", marginTop:1 }}>Accuracy</div>
+            <div style={{ fontSize:17, fontWeight:800, color:model===m?"white":C.leaf }}>{ACC[m] ? `${t.num(+ACC[m])}%` : "…"}</div>
+            <div style={{ fontSize:9, color:model===m?"rgba(255,255,255,.65)":"#999", marginTop:1 }}>{t("fc.accuracy")}</div>
+            <div style={{ fontSize:9, color:model===m?"rgba(255,255,255,.65)":"#999", marginTop:1 }}>{t("fc.inBand", { rmse:t.rupees(SCORE[m]?.rmse||0), pct:t.num(Math.round(SCORE[m]?.coverage||0)) })}</div>
           </div>
         ))}
       </div>
@@ -467,25 +406,25 @@ function PriceForecast({ crop: initCrop }) {
       <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:16 }}>
         <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:16 }}>
           <div>
-            <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth }}>{crop} — {model} Forecast</h3>
-            <p style={{ margin:"4px 0 0", color:"#888", fontSize:12 }}>{done?`${horizon}-day prediction with 95% confidence band`:"Configure & run forecast above"}</p>
+            <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth }}>{t("fc.chartTitle", { crop:t.crop(crop), model })}</h3>
+            <p style={{ margin:"4px 0 0", color:"#888", fontSize:12 }}>{done?t("fc.bandNote", { n:t.num(horizon) }):t("fc.configure")}</p>
           </div>
-          {done && <div style={{ background:`${C.leaf}15`, borderRadius:10, padding:"8px 16px", textAlign:"center" }}><div style={{ fontSize:10, color:"#666", letterSpacing:1 }}>ACCURACY</div><div style={{ fontSize:20, fontWeight:800, color:C.leaf }}>{ACC[model]}%</div></div>}
+          {done && <div style={{ background:`${C.leaf}15`, borderRadius:10, padding:"8px 16px", textAlign:"center" }}><div style={{ fontSize:10, color:"#666", letterSpacing:1, textTransform:"uppercase" }}>{t("fc.accuracy")}</div><div style={{ fontSize:20, fontWeight:800, color:C.leaf }}>{ACC[model] ? `${t.num(+ACC[model])}%` : "…"}</div></div>}
         </div>
 
-        {!done && !loading && <div style={{ height:280, display:"flex", alignItems:"center", justifyContent:"center", background:"rgba(0,0,0,.02)", borderRadius:12 }}><div style={{ textAlign:"center" }}><div style={{ fontSize:48, marginBottom:10 }}>🔮</div><div style={{ color:"#888" }}>Select model & click Run Forecast</div></div></div>}
-        {loading && <div style={{ height:280, display:"flex", alignItems:"center", justifyContent:"center" }}><div style={{ textAlign:"center" }}><div style={{ fontSize:48, marginBottom:12, display:"inline-block", animation:"spin 1s linear infinite" }}>⚙️</div><div style={{ color:C.leaf, fontWeight:700, fontSize:16 }}>Training {model} on historical data…</div></div></div>}
+        {!done && !loading && <div style={{ height:280, display:"flex", alignItems:"center", justifyContent:"center", background:"rgba(0,0,0,.02)", borderRadius:12 }}><div style={{ textAlign:"center" }}><div style={{ fontSize:48, marginBottom:10 }}>🔮</div><div style={{ color:"#888" }}>{t("fc.empty")}</div></div></div>}
+        {loading && <div style={{ height:280, display:"flex", alignItems:"center", justifyContent:"center" }}><div style={{ textAlign:"center" }}><div style={{ fontSize:48, marginBottom:12, display:"inline-block", animation:"spin 1s linear infinite" }}>⚙️</div><div style={{ color:C.leaf, fontWeight:700, fontSize:16 }}>{progress?.label || t("fc.starting", { model })}…</div><div style={{ width:220, height:6, background:"#eee", borderRadius:3, margin:"12px auto 0" }}><div style={{ width:`${progress ? progress.done/progress.total*100 : 0}%`, height:"100%", background:C.leaf, borderRadius:3, transition:"width .2s" }}/></div></div></div>}
         {done && (
           <ResponsiveContainer width="100%" height={300}>
             <ComposedChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
-              <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} />
-              <YAxis tick={{ fontSize:10 }} tickLine={false} tickFormatter={v=>`₹${(v/1000).toFixed(1)}k`} />
-              <Tooltip />
-              <Area type="monotone" dataKey="upper" stroke="transparent" fill={`${C.sky}20`} name="Upper CI" />
-              <Area type="monotone" dataKey="lower" stroke="transparent" fill="white" name="Lower CI" />
-              <Line type="monotone" dataKey="actual"    stroke={C.leaf} strokeWidth={2.5} dot={{ r:2 }} name="Historical" />
-              <Line type="monotone" dataKey="predicted" stroke={C.sky}  strokeWidth={2.5} strokeDasharray="6 3" dot={{ r:2 }} name="Predicted" />
+              <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.months} />
+              <YAxis tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.rupees} />
+              <Tooltip labelFormatter={t.months} formatter={v=>t.rupees(v)} />
+              <Area type="monotone" dataKey="upper" stroke="transparent" fill={`${C.sky}20`} name={t("fc.upperCI")} />
+              <Area type="monotone" dataKey="lower" stroke="transparent" fill="white" name={t("fc.lowerCI")} />
+              <Line type="monotone" dataKey="actual"    stroke={C.leaf} strokeWidth={2.5} dot={{ r:2 }} name={t("fc.historical")} />
+              <Line type="monotone" dataKey="predicted" stroke={C.sky}  strokeWidth={2.5} strokeDasharray="6 3" dot={{ r:2 }} name={t("fc.predicted")} />
             </ComposedChart>
           </ResponsiveContainer>
         )}
@@ -493,50 +432,234 @@ function PriceForecast({ crop: initCrop }) {
 
       {done && (
         <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)" }}>
-          <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth }}>📋 Daily Prediction Table</h3>
+          <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth }}>📋 {t("fc.table")}</h3>
           <div style={{ overflowX:"auto" }}>
             <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
-              <thead><tr style={{ background:`${C.leaf}10` }}>{["Date","Predicted","Lower CI","Upper CI","Trend","Confidence"].map(h=><th key={h} style={{ padding:"9px 13px", textAlign:"left", color:C.leaf, fontWeight:700, borderBottom:`2px solid ${C.leaf}30` }}>{h}</th>)}</tr></thead>
-              <tbody>{fc.slice(0,14).map((row,i)=>{ const prev=i===0?hist[hist.length-1]?.actual:fc[i-1]?.predicted; const up=row.predicted>=prev; const conf=Math.round(100-(row.upper-row.lower)/row.predicted*100); return (
+              <thead><tr style={{ background:`${C.leaf}10` }}>{[t("fc.date"),t("fc.predicted"),t("fc.lowerCI"),t("fc.upperCI"),t("fc.trend"),t("fc.confidence")].map(h=><th key={h} style={{ padding:"9px 13px", textAlign:"left", color:C.leaf, fontWeight:700, borderBottom:`2px solid ${C.leaf}30` }}>{h}</th>)}</tr></thead>
+              <tbody>{fc.slice(0,14).map((row,i)=>{ const prev=i===0?hist[hist.length-1]?.actual:fc[i-1]?.predicted; const up=row.predicted>=prev; const conf=Math.max(0,Math.round(100-(row.upper-row.lower)/row.predicted*100)); return (
                 <tr key={i} style={{ borderBottom:"1px solid rgba(0,0,0,.04)", background:i%2?"rgba(0,0,0,.01)":"white" }}>
-                  <td style={{ padding:"8px 13px", fontWeight:600 }}>{row.date}</td>
-                  <td style={{ padding:"8px 13px", fontWeight:700 }}>₹{row.predicted.toLocaleString()}</td>
-                  <td style={{ padding:"8px 13px", color:"#666" }}>₹{row.lower.toLocaleString()}</td>
-                  <td style={{ padding:"8px 13px", color:"#666" }}>₹{row.upper.toLocaleString()}</td>
-                  <td style={{ padding:"8px 13px" }}><span style={{ color:up?"#16A34A":"#DC2626", fontWeight:700 }}>{up?"▲ Up":"▼ Down"}</span></td>
-                  <td style={{ padding:"8px 13px" }}><div style={{ display:"flex", alignItems:"center", gap:7 }}><div style={{ width:56, height:5, background:"#eee", borderRadius:3 }}><div style={{ width:`${conf}%`, height:"100%", background:conf>80?C.leaf:conf>60?C.sun:C.rust, borderRadius:3 }}/></div><span style={{ fontSize:10, color:"#666" }}>{conf}%</span></div></td>
+                  <td style={{ padding:"8px 13px", fontWeight:600 }}>{t.months(row.date)}</td>
+                  <td style={{ padding:"8px 13px", fontWeight:700 }}>{t.rupees(row.predicted)}</td>
+                  <td style={{ padding:"8px 13px", color:"#666" }}>{t.rupees(row.lower)}</td>
+                  <td style={{ padding:"8px 13px", color:"#666" }}>{t.rupees(row.upper)}</td>
+                  <td style={{ padding:"8px 13px" }}><span style={{ color:up?"#16A34A":"#DC2626", fontWeight:700 }}>{up?`▲ ${t("fc.up")}`:`▼ ${t("fc.down")}`}</span></td>
+                  <td style={{ padding:"8px 13px" }}><div style={{ display:"flex", alignItems:"center", gap:7 }}><div style={{ width:56, height:5, background:"#eee", borderRadius:3 }}><div style={{ width:`${conf}%`, height:"100%", background:conf>80?C.leaf:conf>60?C.sun:C.rust, borderRadius:3 }}/></div><span style={{ fontSize:10, color:"#666" }}>{t.num(conf)}%</span></div></td>
                 </tr>
               )})}</tbody>
             </table>
           </div>
         </div>
       )}
+
+      <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginTop:16 }}>
+        <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:14 }}>
+          <div>
+            <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth }}>🧪 {t("fc.backtest", { crop:t.crop(crop) })}</h3>
+            <p style={{ margin:"4px 0 0", color:"#888", fontSize:12 }}>{t("fc.backtestNote")}</p>
+          </div>
+          <select value={holdout} onChange={e=>setHoldout(+e.target.value)} style={{ ...sel, width:160 }}>
+            {[3,6,12].map(n=><option key={n} value={n}>{t("fc.lastMonths", { n:t.num(n) })}</option>)}
+          </select>
+        </div>
+        <div style={{ display:"grid", gridTemplateColumns:"1fr 360px", gap:18 }}>
+          <ResponsiveContainer width="100%" height={240}>
+            <ComposedChart data={SCORE[model]?.points || []}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
+              <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.months} />
+              <YAxis tick={{ fontSize:10 }} tickLine={false} tickFormatter={t.rupees} />
+              <Tooltip labelFormatter={t.months} formatter={v=>[t.rupees(v)]} />
+              <Legend />
+              <Area type="monotone" dataKey="upper" stroke="transparent" fill={`${C.sky}20`} name={t("fc.upperBand")} />
+              <Area type="monotone" dataKey="lower" stroke="transparent" fill="white" name={t("fc.lowerBand")} />
+              <Line type="monotone" dataKey="actual"    stroke={C.leaf} strokeWidth={2.5} dot={{ r:3 }} name={t("fc.realised")} />
+              <Line type="monotone" dataKey="predicted" stroke={C.sky}  strokeWidth={2.5} strokeDasharray="6 3" dot={{ r:3 }} name={t("fc.modelForecast", { model })} />
+            </ComposedChart>
+          </ResponsiveContainer>
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12, alignSelf:"start" }}>
+            <thead><tr>{["#",t("fc.colModel"),"MAPE","RMSE",t("fc.coverage")].map(h=><th key={h} style={{ padding:"7px 10px", textAlign:"left", color:"#888", fontWeight:600, borderBottom:"2px solid #eee", fontSize:11 }}>{h}</th>)}</tr></thead>
+            <tbody>{!scores && <tr><td colSpan={5} style={{ padding:"14px 10px", color:"#888" }}>⚙️ {t("fc.backtesting")}</td></tr>}{(scores || []).map((r,i)=>(
+              <tr key={r.model} onClick={()=>setModel(r.model)} style={{ borderBottom:"1px solid rgba(0,0,0,.04)", cursor:"pointer", background:model===r.model?`${C.leaf}10`:"white" }}>
+                <td style={{ padding:"7px 10px", color:"#999" }}>{i+1}</td>
+                <td style={{ padding:"7px 10px", fontWeight:600 }}>{r.model}</td>
+                <td style={{ padding:"7px 10px" }}>{t.num(r.mape, { minimumFractionDigits:1, maximumFractionDigits:1 })}%</td>
+                <td style={{ padding:"7px 10px" }}>{t.rupees(r.rmse)}</td>
+                <td style={{ padding:"7px 10px", color:r.coverage>=80?"#16A34A":C.rust, fontWeight:700 }}>{t.num(Math.round(r.coverage))}%</td>
+              </tr>
+            ))}</tbody>
+          </table>
+        </div>
+      </div>
     </div>
   );
 }
 
 // ─── MARKET INTEL ─────────────────────────────────────────────────────────────
-function MarketIntel() {
-  const regional = STATES.map(s=>({ state:s, avgPrice:Math.round(Math.random()*2000+1500), arrivals:Math.round(Math.random()*5000+500), growth:(Math.random()*20-5).toFixed(1) }));
-  const mkts     = MARKETS.map(m=>({ market:m, price:Math.round(Math.random()*2000+1000), premium:Math.round(Math.random()*500) }));
+// Ranks mandis by what the farmer actually takes home per quintal
+function NetRealisation({ crop, records, last, user }) {
+  const [district, setDistrict] = useState(() => findDistrict(user.district) || "");
+  const [quantity, setQuantity] = useState(50);
+  const [freight, setFreight]   = useState(35);
+  const [costs, setCosts]       = useState({});
+
+  useEffect(() => { load(MANDI_COSTS_KEY, {}).then(setCosts); }, []);
+
+  const updateCost = async (mandi, field, value) => {
+    const next = { ...costs, [mandi]: { ...costs[mandi], [field]: value } };
+    setCosts(next);
+    await save(MANDI_COSTS_KEY, next);
+  };
+
+  // Last 7 days of modal prices per mandi
+  const mandiPrices = useMemo(() => Object.fromEntries(
+    summarise(filterRecords(records, { from:shiftDate(last, -6), to:last }), "market").map(r => [r.key, r.avgPrice])
+  ), [records, last]);
+  const ranked = useMemo(() => rankMandis({ mandiPrices, district, quantity, freightPerKm:freight, costs }), [mandiPrices, district, quantity, freight, costs]);
+  const num = { width:70, padding:"4px 6px", borderRadius:6, border:"1px solid rgba(0,0,0,.12)", fontSize:11 };
+
+  return (
+    <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:18 }}>
+      <h3 style={{ margin:"0 0 4px", fontFamily:"Georgia,serif", color:C.earth }}>🚚 Net Realisation Calculator — {crop}</h3>
+      <p style={{ margin:"0 0 14px", color:"#888", fontSize:12 }}>Mandi price (last 7 days) minus commission, market fee and freight from your district. Works offline with bundled distances.</p>
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(170px,1fr))", gap:14, marginBottom:14 }}>
+        {[["Your District",<select value={district} onChange={e=>setDistrict(e.target.value)} style={sel}><option value="">Select district</option>{Object.keys(DISTRICTS).sort().map(d=><option key={d} value={d}>{districtName(d)}</option>)}</select>],
+          ["Quantity (qtl)",<input type="number" min={1} value={quantity} onChange={e=>setQuantity(+e.target.value)} style={sel} />],
+          ["Freight (₹/km)",<input type="number" min={0} value={freight} onChange={e=>setFreight(+e.target.value)} style={sel} />],
+        ].map(([label,el])=>(
+          <div key={label}><label style={{ fontSize:10, color:"#888", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:5 }}>{label}</label>{el}</div>
+        ))}
+      </div>
+      {!district && <div style={{ fontSize:12, color:C.rust, marginBottom:10 }}>{user.district ? `"${user.district}" is not in the distance table — pick the nearest district.` : "Set your district to include freight."}</div>}
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
+          <thead><tr style={{ background:`${C.leaf}10` }}>{["#","Mandi","Price","Distance","Commission %","Market Fee %","Freight","Net ₹/qtl","Total"].map(h=><th key={h} style={{ padding:"8px 10px", textAlign:"left", color:C.leaf, fontWeight:700, borderBottom:`2px solid ${C.leaf}30` }}>{h}</th>)}</tr></thead>
+          <tbody>{ranked.map((r,i)=>(
+            <tr key={r.mandi} style={{ borderBottom:"1px solid rgba(0,0,0,.04)", background:i===0?`${C.leaf}08`:"white" }}>
+              <td style={{ padding:"7px 10px", color:"#999" }}>{i===0?"🏆":i+1}</td>
+              <td style={{ padding:"7px 10px", fontWeight:600 }}>{r.mandi}</td>
+              <td style={{ padding:"7px 10px" }}>₹{r.price.toLocaleString()}</td>
+              <td style={{ padding:"7px 10px", color:"#666" }}>{r.km===null?"—":`${r.km.toLocaleString()} km`}</td>
+              <td style={{ padding:"7px 10px" }}><input type="number" step={0.5} min={0} value={r.commission} onChange={e=>updateCost(r.mandi,"commission",+e.target.value)} style={num} /></td>
+              <td style={{ padding:"7px 10px" }}><input type="number" step={0.05} min={0} value={r.fee} onChange={e=>updateCost(r.mandi,"fee",+e.target.value)} style={num} /></td>
+              <td style={{ padding:"7px 10px", color:"#666" }}>₹{r.freight.toLocaleString()}</td>
+              <td style={{ padding:"7px 10px", fontWeight:800, color:C.leaf }}>₹{r.net.toLocaleString()}</td>
+              <td style={{ padding:"7px 10px", fontWeight:600 }}>₹{r.total.toLocaleString()}</td>
+            </tr>
+          ))}
+          {!ranked.length && <tr><td colSpan={9} style={{ padding:"14px 10px", color:"#999" }}>No recent prices for the bundled mandis.</td></tr>}</tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function MarketIntel({ crop: initCrop, prices, onImport, seed, user }) {
+  const [crop, setCrop]     = useState(initCrop);
+  useEffect(() => setCrop(initCrop), [initCrop]); // follows crops picked elsewhere, e.g. by voice
+  const [state, setState]   = useState("");
+  const [market, setMarket] = useState("");
+  const [range, setRange]   = useState(30);
+  const [custom, setCustom] = useState({ from:"", to:"" });
+  const [sort, setSort]     = useState({ key:"avgPrice", dir:-1 });
+  const [importMsg, setImportMsg] = useState("");
+  const fileRef = useRef(null);
+  const stored  = CROPS.map(c => ({ c, n:prices?.[c]?.length || 0, last:prices?.[c]?.[prices[c].length-1]?.date })).filter(r => r.n > 0);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setImportMsg("⚙️ Importing…");
+    try {
+      const { added, updated, skipped } = await onImport(await file.text());
+      setImportMsg(`✅ ${added} new, ${updated} updated${skipped ? `, ${skipped} rows skipped (unknown crop, date or price)` : ""}`);
+    } catch (err) {
+      setImportMsg("❌ Could not read file: " + err.message);
+    }
+    e.target.value = "";
+  };
+
+  const RANGES = [[7,"Last 7 days"],[30,"Last 30 days"],[90,"Last 90 days"],[365,"Last 12 months"],[0,"Custom range"]];
+  const imported = (prices?.[crop]?.length || 0) > 0;
+  const records  = useMemo(() => imported ? prices[crop] : genRecords(crop, { seed }), [imported, prices, crop, seed]);
+  const last     = latestDate(records);
+  const to       = range ? last : custom.to || last;
+  const from     = range ? shiftDate(last, -(range - 1)) : custom.from;
+  const states   = useMemo(() => [...new Set(records.map(r => r.state).filter(Boolean))].sort(), [records]);
+  const markets  = useMemo(() => [...new Set(filterRecords(records, { state }).map(r => r.market).filter(Boolean))].sort(), [records, state]);
+  const scoped   = useMemo(() => filterRecords(records, { state, market }), [records, state, market]);
+  const level    = state ? "market" : "state";
+
+  const total = useMemo(() => summarise(scoped, "crop", { from, to })[0], [scoped, from, to]);
+  const table = useMemo(() => {
+    const val = (r) => (r[sort.key] === null ? -Infinity : r[sort.key]);
+    return summarise(scoped, level, { from, to }).sort((a, b) => (val(a) > val(b) ? 1 : val(a) < val(b) ? -1 : 0) * sort.dir);
+  }, [scoped, level, from, to, sort]);
+  const mkts  = useMemo(() => summarise(filterRecords(records, { state }), "market", { from, to }).sort((a, b) => b.avgPrice - a.avgPrice), [records, state, from, to]);
+  const trend = useMemo(() => dailySeries(filterRecords(scoped, { from, to })), [scoped, from, to]);
+
+  const pickCrop  = (c) => { setCrop(c); setState(""); setMarket(""); };
+  const pickMarket = (m) => { setState(records.find(r => r.market === m)?.state || ""); setMarket(m); };
+  const drillDown = (key) => (level === "state" ? setState(key) : setMarket(key));
+  const sortBy    = (key) => setSort(p => ({ key, dir: p.key === key ? -p.dir : -1 }));
+  const fmtGrowth = (g) => g === null ? <span style={{ color:"#bbb" }}>—</span> : <span style={{ color:g>=0?"#16A34A":"#DC2626", fontWeight:700 }}>{g>=0?"▲":"▼"}{Math.abs(g)}%</span>;
+  const crumb     = { background:"none", border:"none", padding:0, color:C.leaf, fontWeight:600, cursor:"pointer", fontSize:12 };
+
   return (
     <div style={{ padding:24, maxWidth:1400, margin:"0 auto" }}>
       <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>🏪 Market Intelligence Center</h1>
-      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Region-wise mandi analytics</p>
+      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Region-wise mandi analytics{imported ? " from imported AgMarkNet / eNAM records" : ` — no ${crop} records imported yet, showing simulated mandi data`}</p>
+
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(170px,1fr))", gap:14, marginBottom:range?20:10 }}>
+        {[["Crop",<select value={crop} onChange={e=>pickCrop(e.target.value)} style={sel}>{CROPS.map(c=><option key={c}>{c}</option>)}</select>],
+          ["State",<select value={state} onChange={e=>{ setState(e.target.value); setMarket(""); }} style={sel}><option value="">All states</option>{states.map(s=><option key={s}>{s}</option>)}</select>],
+          ["Mandi",<select value={market} onChange={e=>setMarket(e.target.value)} style={sel}><option value="">All mandis</option>{markets.map(m=><option key={m}>{m}</option>)}</select>],
+          ["Period",<select value={range} onChange={e=>{ const v=+e.target.value; setRange(v); if (!v) setCustom({ from:from||"", to }); }} style={sel}>{RANGES.map(([v,l])=><option key={v} value={v}>{l}</option>)}</select>],
+        ].map(([label,el])=>(
+          <div key={label}><label style={{ fontSize:10, color:"#888", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:5 }}>{label}</label>{el}</div>
+        ))}
+      </div>
+      {!range && (
+        <div style={{ display:"flex", gap:10, alignItems:"center", marginBottom:20, fontSize:12, color:"#666" }}>
+          From <input type="date" value={custom.from} max={custom.to||last} onChange={e=>setCustom(p=>({...p,from:e.target.value}))} style={{ ...sel, width:170 }} />
+          to <input type="date" value={custom.to} min={custom.from} max={last} onChange={e=>setCustom(p=>({...p,to:e.target.value}))} style={{ ...sel, width:170 }} />
+        </div>
+      )}
+
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(200px,1fr))", gap:14, marginBottom:18 }}>
+        {[["Avg Modal Price", total ? `₹${total.avgPrice.toLocaleString()}/qtl` : "—", "Arrival-weighted"],
+          ["Arrivals",        total ? `${total.arrivals.toLocaleString()} MT` : "—", `${total?.count || 0} mandi-day reports`],
+          ["Growth",          total ? fmtGrowth(total.growth) : "—", "vs previous period of equal length"],
+        ].map(([label,value,sub])=>(
+          <div key={label} style={{ background:"white", borderRadius:14, padding:"16px 18px", boxShadow:"0 2px 12px rgba(0,0,0,.06)" }}>
+            <div style={{ color:"#888", fontSize:10, letterSpacing:1, textTransform:"uppercase", marginBottom:3 }}>{label}</div>
+            <div style={{ color:C.earth, fontSize:20, fontWeight:800, fontFamily:"Georgia,serif" }}>{value}</div>
+            <div style={{ color:"#999", fontSize:11, marginTop:2 }}>{sub}</div>
+          </div>
+        ))}
+      </div>
+
       <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:18, marginBottom:18 }}>
         <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)" }}>
-          <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth }}>🗺️ State-wise Overview</h3>
+          <h3 style={{ margin:"0 0 6px", fontFamily:"Georgia,serif", color:C.earth }}>🗺️ {level==="state" ? "State-wise Overview" : "Mandi-wise Overview"}</h3>
+          <div style={{ fontSize:12, color:"#888", marginBottom:12, display:"flex", gap:6, alignItems:"center" }}>
+            <button onClick={()=>{ setState(""); setMarket(""); }} style={crumb}>All states</button>
+            {state && <>› <button onClick={()=>setMarket("")} style={crumb}>{state}</button></>}
+            {market && <>› <span>{market}</span></>}
+            {level==="state" && <span style={{ marginLeft:"auto", color:"#bbb" }}>Click a state to see its mandis</span>}
+          </div>
           <div style={{ overflowY:"auto", maxHeight:300 }}>
             <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
-              <thead><tr>{["State","Avg Price","Arrivals","Growth"].map(h=><th key={h} style={{ padding:"7px 10px", textAlign:"left", color:"#888", fontWeight:600, borderBottom:"2px solid #eee", fontSize:11 }}>{h}</th>)}</tr></thead>
-              <tbody>{regional.map(({ state,avgPrice,arrivals,growth })=>(
-                <tr key={state} style={{ borderBottom:"1px solid rgba(0,0,0,.04)" }}>
-                  <td style={{ padding:"7px 10px", fontWeight:600 }}>{state}</td>
+              <thead><tr>{[["key",level==="state"?"State":"Mandi"],["avgPrice","Avg Price"],["arrivals","Arrivals"],["growth","Growth"]].map(([k,h])=>(
+                <th key={k} onClick={()=>sortBy(k)} style={{ padding:"7px 10px", textAlign:"left", color:sort.key===k?C.leaf:"#888", fontWeight:600, borderBottom:"2px solid #eee", fontSize:11, cursor:"pointer", userSelect:"none" }}>{h} {sort.key===k ? (sort.dir>0?"▲":"▼") : ""}</th>
+              ))}</tr></thead>
+              <tbody>{table.map(({ key,avgPrice,arrivals,growth })=>(
+                <tr key={key} onClick={()=>drillDown(key)} style={{ borderBottom:"1px solid rgba(0,0,0,.04)", cursor:"pointer", background:market===key?`${C.leaf}10`:"white" }}>
+                  <td style={{ padding:"7px 10px", fontWeight:600 }}>{key}</td>
                   <td style={{ padding:"7px 10px" }}>₹{avgPrice.toLocaleString()}</td>
                   <td style={{ padding:"7px 10px" }}>{arrivals.toLocaleString()} MT</td>
-                  <td style={{ padding:"7px 10px", color:+growth>=0?"#16A34A":"#DC2626", fontWeight:700 }}>{+growth>=0?"▲":"▼"}{Math.abs(growth)}%</td>
+                  <td style={{ padding:"7px 10px" }}>{fmtGrowth(growth)}</td>
                 </tr>
-              ))}</tbody>
+              ))}
+              {!table.length && <tr><td colSpan={4} style={{ padding:"14px 10px", color:"#999" }}>No records in this period.</td></tr>}</tbody>
             </table>
           </div>
         </div>
@@ -545,16 +668,50 @@ function MarketIntel() {
           <ResponsiveContainer width="100%" height={270}>
             <BarChart data={mkts}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
-              <XAxis dataKey="market" tick={{ fontSize:9 }} />
+              <XAxis dataKey="key" tick={{ fontSize:9 }} />
               <YAxis tick={{ fontSize:10 }} tickFormatter={v=>`₹${(v/1000).toFixed(1)}k`} />
               <Tooltip formatter={v=>[`₹${v.toLocaleString()}`]} />
               <Legend />
-              <Bar dataKey="price"   name="Base Price"      fill={C.leaf}    radius={[4,4,0,0]} />
-              <Bar dataKey="premium" name="Quality Premium" fill={C.harvest} radius={[4,4,0,0]} />
+              <Bar dataKey="avgPrice" name="Modal Price"     fill={C.leaf}    radius={[4,4,0,0]} onClick={d=>d.payload && pickMarket(d.payload.key)} cursor="pointer" />
+              <Bar dataKey="premium"  name="Quality Premium" fill={C.harvest} radius={[4,4,0,0]} />
             </BarChart>
           </ResponsiveContainer>
         </div>
       </div>
+
+      <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:18 }}>
+        <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth }}>📈 {crop} — {market || state || "All India"} Daily Trend</h3>
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart data={trend}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
+            <XAxis dataKey="date" tick={{ fontSize:10 }} tickLine={false} tickFormatter={d=>d.slice(5)} minTickGap={20} />
+            <YAxis yAxisId="p" tick={{ fontSize:10 }} tickLine={false} tickFormatter={v=>`₹${(v/1000).toFixed(1)}k`} domain={["auto","auto"]} />
+            <YAxis yAxisId="a" orientation="right" hide />
+            <Tooltip formatter={(v,n)=>n==="price"?[`₹${v.toLocaleString()}`,"Modal price"]:[`${v.toLocaleString()} MT`,"Arrivals"]} />
+            <Bar  yAxisId="a" dataKey="arrivals" fill={`${C.harvest}33`} />
+            <Line yAxisId="p" type="monotone" dataKey="price" stroke={C.leaf} strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <NetRealisation crop={crop} records={records} last={last} user={user} />
+
+      <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)" }}>
+        <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
+          <div>
+            <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth }}>📥 Import Mandi Prices</h3>
+            <p style={{ margin:"4px 0 0", color:"#888", fontSize:12 }}>AgMarkNet / eNAM daily records — CSV or JSON with commodity, market, state, date, modal price & arrivals</p>
+          </div>
+          <button onClick={()=>fileRef.current?.click()} style={{ padding:"8px 16px", borderRadius:9, border:"none", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontSize:12, fontWeight:700, cursor:"pointer" }}>📂 Choose File</button>
+          <input ref={fileRef} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} style={{ display:"none" }} />
+        </div>
+        {importMsg && <div style={{ fontSize:12, color:C.earth, marginBottom:10 }}>{importMsg}</div>}
+        {stored.length
+          ? <div style={{ display:"flex", gap:8, flexWrap:"wrap" }}>{stored.map(({ c,n,last })=>(
+              <span key={c} style={{ background:`${C.leaf}12`, color:C.leaf, padding:"4px 11px", borderRadius:20, fontSize:11, fontWeight:600 }}>{CROP_META[c]?.icon} {c} · {n.toLocaleString()} records · to {last}</span>
+            ))}</div>
+          : <div style={{ fontSize:12, color:"#999" }}>No price data imported yet — charts show simulated prices.</div>}
+      </div>
     </div>
   );
 }
@@ -562,215 +719,488 @@ function MarketIntel() {
 // ─── AI ADVISOR ──────────────────────────────────────────────────────────────
 const DEFAULT_CHAT = (name) => [{ role:"ai", text:`Namaste ${name}! 🙏 I'm your AgroVue Advisor.\n\nAsk me about crop prices, best time to sell, MSP schemes, weather impact, cold storage, or profitability. How can I help you today?` }];
 
-function AIAdvisor({ crop, user }) {
-  const [msgs, setMsgs] = useState(null); // null = loading
+// Saves text as a file through a temporary object URL
+function downloadText(filename, text, type = "text/markdown") {
+  const url = URL.createObjectURL(new Blob([text], { type:`${type};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const fileSlug = (s) => String(s || "conversation").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "conversation";
+
+function AIAdvisor({ crop, user, watchlist, prices, seed, forecasts, onWatchlistChange, onForecast, online = true }) {
+  const [store, setStore] = useState(null); // null = loading
   const [input, setInput] = useState("");
-  const [typing, setTyping] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [query, setQuery] = useState("");
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [highlight, setHighlight] = useState(null); // message index opened from search
+  const [notice, setNotice] = useState("");
+  const storeRef = useRef(null);
   const endRef = useRef(null);
-  const QUICK = [`Best time to sell ${crop}?`, "Which crops are profitable now?", "How to get MSP?", "Weather impact on prices?", "Cold storage ROI?"];
+  const abortRef = useRef(null); // AbortController of the reply being streamed
 
-  // Load chat history on mount
+  // Load conversations on mount
   const initialUserName = user.name;
   useEffect(() => {
-    load("AgroVue_chat", null).then(stored => {
-      setMsgs(stored || DEFAULT_CHAT(initialUserName));
-    });
+    loadConversations({ greeting:DEFAULT_CHAT(initialUserName), crop:null }).then(s => { storeRef.current = s; setStore(s); });
   }, [initialUserName]);
 
+  // Every change goes through here so streaming updates and saves see the same store
+  const apply = (change, persist = true) => {
+    const next = change(storeRef.current);
+    storeRef.current = next;
+    setStore(next);
+    if (persist) saveConversations(next);
+    return next;
+  };
+
+  const thread     = store && activeThread(store);
+  const msgs       = thread?.messages || [];
+  const threadCrop = thread?.crop || crop;
+  const pinCount   = msgs.filter(m => m.pinned).length;
+  const hits       = useMemo(() => (store && query.trim() ? searchThreads(store, query) : []), [store, query]);
+  const QUICK = [`Best time to sell ${threadCrop}?`, "Which crops are profitable now?", "How to get MSP?", "Weather impact on prices?", "Cold storage ROI?"];
+
   const send = async (msg = input) => {
-    if (!msg.trim() || msgs === null) return;
-    const updated = [...msgs, { role:"user", text:msg }];
-    setMsgs(updated);
-    await save("AgroVue_chat", updated);
-    setInput("");
-    setTyping(true);
+    if (!msg.trim() || !thread || busy) return;
+    const id = thread.id;
+    const updated = [...msgs, { role:"user", text:msg, ts:Date.now() }];
+    const isFirst = !msgs.some(m => m.role === "user");
+    apply(s => updateThread(s, id, { messages:updated, ...(isFirst && !thread.title && { title:autoTitle(msg) }) }));
+    setInput(""); setPinnedOnly(false); setHighlight(null);
+    setBusy(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const setReply = (reply, persist) => apply(s => updateThread(s, id, { messages:[...updated, reply] }), persist);
     try {
-      // Pass last 10 messages as context (exclude first welcome message)
-      const historyForAPI = updated.slice(1).slice(-10);
-      const replyText = await getAIReply(msg, crop, historyForAPI.slice(0, -1));
-      const reply = [...updated, { role:"ai", text:replyText }];
-      setMsgs(reply);
-      await save("AgroVue_chat", reply);
+      // Recent turns go verbatim; older ones (and pinned answers) as a summary
+      const { recent, summary } = buildHistory(updated.slice(0, -1));
+      const context = await loadAdvisorContext({ crop:threadCrop, prices, seed, watchlist, profile:user, forecasts });
+      if (!isOnline()) {
+        // Answered from built-in knowledge now, and by the advisor once back online
+        const queue = await updateAdvisorQueue(q => enqueueQuestion(q, { threadId:id, text:msg, crop:threadCrop }));
+        setReply({ role:"ai", text:getLocalFallback(msg, threadCrop, { lang:user.lang, headline:context.headline }), ts:Date.now(), queued:queue[queue.length - 1].id }, true);
+        return;
+      }
+      // Tool calls are shown in the reply bubble as they complete, ahead of the text
+      let sofar = ""; const tools = [];
+      const show = () => setReply({ role:"ai", text:sofar, tools:[...tools] }, false);
+      const replyText = await getAIReply(msg, {
+        crop:threadCrop, history:recent, summary, watchlist, user:user.username, context,
+        signal: controller.signal,
+        toolEnv: { prices, seed, watchlist, profile:user, onWatchlistChange, onForecast },
+        onDelta: (_, text) => { sofar = text; show(); },
+        onToolCall: (c) => { tools.push({ name:c.name, input:c.input, ok:c.ok, summary:c.ok ? c.summary : c.error }); show(); },
+      });
+      setReply({ role:"ai", text:replyText, ts:Date.now(), sources:citedSources(replyText, context.sources), ...(tools.length && { tools }) }, true);
     } catch (e) {
-      const reply = [...updated, { role:"ai", text:"⚠️ Something went wrong. Please try again." }];
-      setMsgs(reply);
+      setReply({ role:"ai", text:"⚠️ Something went wrong. Please try again.", ts:Date.now() }, false);
     } finally {
-      setTyping(false);
+      abortRef.current = null;
+      setBusy(false);
     }
   };
 
-  const clearChat = async () => {
-    const fresh = DEFAULT_CHAT(user.name);
-    setMsgs(fresh);
-    await save("AgroVue_chat", fresh);
+  const stop = () => abortRef.current?.abort();
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Questions asked offline go to the advisor once the connection is back; its
+  // answer replaces the built-in one where it stood
+  const flushingRef = useRef(false);
+  const answerQueued = async () => {
+    if (flushingRef.current || !isOnline()) return;
+    flushingRef.current = true;
+    try {
+      const queue = await loadAdvisorQueue();
+      if (!queue.length) return;
+      const left = await flushQueue(queue, async (q) => {
+        const asked = storeRef.current.threads.find(th => th.id === q.threadId);
+        const at = asked ? asked.messages.findIndex(m => m.queued === q.id) : -1;
+        if (at < 1) return null; // the conversation was deleted since
+        const { recent, summary } = buildHistory(asked.messages.slice(0, at - 1));
+        const context = await loadAdvisorContext({ crop:q.crop, prices, seed, watchlist, profile:user, forecasts });
+        const text = await getAIReply(q.text, { crop:q.crop, history:recent, summary, watchlist, user:user.username, context, localFallback:false });
+        return { role:"ai", text, ts:Date.now(), sources:citedSources(text, context.sources), askedOffline:q.askedAt };
+      }, {
+        onAnswered: (q, reply) => reply && apply(s => {
+          const asked = s.threads.find(th => th.id === q.threadId);
+          return asked ? updateThread(s, q.threadId, { messages:asked.messages.map(m => (m.queued === q.id ? reply : m)) }) : s;
+        }),
+      });
+      // Re-read before saving, so a question queued meanwhile is kept
+      const done = new Set(queue.slice(0, queue.length - left.length).map(q => q.id));
+      await updateAdvisorQueue(current => current.filter(q => !done.has(q.id)));
+      const answered = done.size;
+      if (answered) setNotice(`🔄 Back online — the advisor answered ${answered} question${answered > 1 ? "s" : ""} you asked offline.`);
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+  const answerQueuedRef = useRef(answerQueued);
+  answerQueuedRef.current = answerQueued;
+  const storeReady = store !== null;
+  useEffect(() => {
+    if (!storeReady) return;
+    answerQueuedRef.current();
+    return onConnectivityChange(up => up && answerQueuedRef.current());
+  }, [storeReady]);
+
+  const newChat = (c = crop) => {
+    apply(s => addThread(s, createThread({ crop:c, greeting:DEFAULT_CHAT(user.name) })));
+    setQuery(""); setPinnedOnly(false); setHighlight(null);
   };
 
-  useEffect(() => { endRef.current?.scrollIntoView({ behavior:"smooth" }); }, [msgs, typing]);
+  const openThread = (id, index = null) => {
+    apply(s => selectThread(s, id));
+    setPinnedOnly(false); setHighlight(index);
+  };
+
+  const deleteChat = () => {
+    if (busy) return;
+    if (msgs.some(m => m.role === "user") && !window.confirm(`Delete "${thread.title || "this conversation"}"? This cannot be undone.`)) return;
+    apply(s => deleteThread(s, thread.id, { greeting:DEFAULT_CHAT(user.name), crop:null }));
+    setHighlight(null);
+  };
+
+  const exportMarkdown = () => downloadText(`agrovue-${fileSlug(thread.title)}.md`, threadToMarkdown(thread, { user, crop }));
+  const exportPdf = () => {
+    const w = window.open("", "_blank");
+    if (!w) { setNotice("⚠️ Allow pop-ups for this site to export a PDF."); return; }
+    w.document.write(threadToHtml(thread, { user, crop }));
+    w.document.close();
+    w.focus();
+    w.print(); // the print dialog's "Save as PDF" produces the file
+  };
 
-  if (msgs === null) return (
+  // Jump to a search hit; otherwise follow new and streaming messages (not renames or pins)
+  const lastText = msgs[msgs.length - 1]?.text;
+  const threadId = thread?.id;
+  useEffect(() => {
+    if (highlight !== null) document.getElementById(`advisor-msg-${highlight}`)?.scrollIntoView({ behavior:"smooth", block:"center" });
+    else endRef.current?.scrollIntoView({ behavior:"smooth" });
+  }, [threadId, msgs.length, lastText, busy, highlight]);
+  // Dots until the first token lands in the reply bubble
+  const typing = busy && msgs[msgs.length - 1]?.role === "user";
+
+  if (store === null) return (
     <div style={{ padding:24, maxWidth:860, margin:"0 auto", textAlign:"center", paddingTop:80 }}>
       <div style={{ fontSize:40, marginBottom:12 }}>💬</div>
       <div style={{ color:"#888" }}>Loading chat history…</div>
     </div>
   );
 
+  const small = { padding:"5px 11px", borderRadius:8, border:"1px solid rgba(0,0,0,.12)", background:"white", color:"#555", fontSize:11, cursor:"pointer", fontWeight:600 };
+
   return (
-    <div style={{ padding:24, maxWidth:860, margin:"0 auto" }}>
-      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", marginBottom:16 }}>
-        <div>
-          <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 4px" }}>🤖 AI Farming Advisor</h1>
-          <p style={{ color:"#666", fontSize:13, margin:0 }}>Powered by Claude AI • Answers your exact question • Chat saved permanently</p>
-        </div>
-        <button onClick={clearChat}
-          style={{ padding:"6px 14px", borderRadius:8, border:`1px solid ${C.rust}`, background:"white", color:C.rust, fontSize:11, cursor:"pointer", fontWeight:600 }}>🗑️ Clear Chat</button>
+    <div style={{ padding:24, maxWidth:1160, margin:"0 auto" }}>
+      <div style={{ marginBottom:16 }}>
+        <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 4px" }}>🤖 AI Farming Advisor</h1>
+        <p style={{ color:"#666", fontSize:13, margin:0 }}>Powered by Claude AI • Answers from your own price & forecast data • Conversations saved permanently</p>
       </div>
 
-      <div style={{ background:"white", borderRadius:16, overflow:"hidden", boxShadow:"0 2px 16px rgba(0,0,0,.08)" }}>
-        <div style={{ background:`linear-gradient(135deg,${C.earth},#2D1810)`, padding:"14px 18px", display:"flex", alignItems:"center", gap:12 }}>
-          <div style={{ width:40, height:40, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:20 }}>🤖</div>
-          <div>
-            <div style={{ color:"white", fontWeight:700 }}>AgroVueAI Assistant</div>
-            <div style={{ color:C.seedling, fontSize:11, display:"flex", alignItems:"center", gap:5 }}><span style={{ width:6, height:6, borderRadius:"50%", background:C.seedling, display:"inline-block" }} />Powered by Claude AI • Real answers to your questions</div>
+      <div style={{ display:"grid", gridTemplateColumns:"minmax(220px,280px) 1fr", gap:16, alignItems:"start" }}>
+        <div style={{ background:"white", borderRadius:16, padding:14, boxShadow:"0 2px 16px rgba(0,0,0,.06)" }}>
+          <button onClick={()=>newChat()} disabled={busy} style={{ width:"100%", padding:"9px 12px", borderRadius:10, border:"none", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontWeight:700, fontSize:12, cursor:"pointer", marginBottom:10 }}>＋ New chat about {crop}</button>
+          <input value={query} onChange={e=>setQuery(e.target.value)} placeholder="🔍 Search all conversations…" style={{ width:"100%", padding:"8px 11px", borderRadius:9, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12, outline:"none", marginBottom:10 }} />
+          <div style={{ maxHeight:470, overflowY:"auto", display:"flex", flexDirection:"column", gap:5 }}>
+            {query.trim()
+              ? (hits.length
+                  ? hits.map(h=>(
+                      <div key={`${h.threadId}-${h.index}`} onClick={()=>!busy&&openThread(h.threadId, h.index)} style={{ padding:"8px 10px", borderRadius:9, background:"#f8f9fa", cursor:"pointer", fontSize:11 }}>
+                        <div style={{ fontWeight:700, color:C.earth, marginBottom:2 }}>{h.title || "Untitled chat"}</div>
+                        <div style={{ color:"#666" }}>{h.role==="user"?"🧑‍🌾":"🤖"} {h.snippet}</div>
+                      </div>
+                    ))
+                  : <div style={{ fontSize:12, color:"#999", padding:8 }}>No messages match "{query}".</div>)
+              : sortedThreads(store).map(t=>{
+                  const active = t.id === thread.id;
+                  const pins = t.messages.filter(m => m.pinned).length;
+                  return (
+                    <div key={t.id} onClick={()=>!busy&&openThread(t.id)} style={{ padding:"8px 10px", borderRadius:9, cursor:"pointer", background:active?`${C.leaf}12`:"white", border:`1px solid ${active?`${C.leaf}40`:"rgba(0,0,0,.05)"}` }}>
+                      <div style={{ fontSize:12, fontWeight:active?700:600, color:C.earth, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{t.voice ? "🎙️" : CROP_META[t.crop]?.icon || "💬"} {t.title || "New chat"}</div>
+                      <div style={{ fontSize:10, color:"#999", marginTop:2 }}>{t.crop || "Any crop"} · {t.messages.filter(m => m.role==="user").length} questions · {timeAgo(t.updatedAt)}{pins ? ` · 📌 ${pins}` : ""}</div>
+                    </div>
+                  );
+                })}
           </div>
         </div>
 
-        <div style={{ height:400, overflowY:"auto", padding:18, background:"#f8f9fa" }}>
-          {msgs.map((m,i)=>(
-            <div key={i} style={{ display:"flex", justifyContent:m.role==="user"?"flex-end":"flex-start", marginBottom:14 }}>
-              {m.role==="ai" && <div style={{ width:30, height:30, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:15, flexShrink:0, marginRight:8, marginTop:3 }}>🤖</div>}
-              <div style={{ maxWidth:"76%", background:m.role==="user"?`linear-gradient(135deg,${C.leaf},${C.seedling})`:"white", color:m.role==="user"?"white":C.earth, padding:"11px 15px", borderRadius:m.role==="user"?"16px 16px 3px 16px":"3px 16px 16px 16px", fontSize:13, lineHeight:1.6, boxShadow:"0 1px 6px rgba(0,0,0,.07)", whiteSpace:"pre-line" }}>
-                {m.text.split("**").map((p,j)=>j%2===1?<strong key={j}>{p}</strong>:p)}
+        <div style={{ background:"white", borderRadius:16, overflow:"hidden", boxShadow:"0 2px 16px rgba(0,0,0,.08)" }}>
+          <div style={{ background:`linear-gradient(135deg,${C.earth},#2D1810)`, padding:"14px 18px", display:"flex", alignItems:"center", gap:12 }}>
+            <div style={{ width:40, height:40, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:20, flexShrink:0 }}>🤖</div>
+            <div style={{ flex:1, minWidth:0 }}>
+              <input value={thread.title} onChange={e=>apply(s => updateThread(s, thread.id, { title:e.target.value }, { touch:false }))} placeholder="Name this conversation…" aria-label="Conversation name"
+                style={{ width:"100%", background:"transparent", border:"none", borderBottom:"1px dashed rgba(255,255,255,.25)", color:"white", fontWeight:700, fontSize:14, outline:"none", padding:"2px 0" }} />
+              <div style={{ color:C.seedling, fontSize:11, display:"flex", alignItems:"center", gap:6, marginTop:4 }}>
+                <span style={{ width:6, height:6, borderRadius:"50%", background:C.seedling, display:"inline-block" }} />About
+                <select value={thread.crop || ""} onChange={e=>apply(s => updateThread(s, thread.id, { crop:e.target.value || null }, { touch:false }))} style={{ background:"rgba(255,255,255,.1)", color:"white", border:"1px solid rgba(255,255,255,.2)", borderRadius:6, fontSize:11, padding:"1px 4px" }}>
+                  <option value="" style={{ color:C.earth }}>Selected crop ({crop})</option>
+                  {CROPS.map(c=><option key={c} value={c} style={{ color:C.earth }}>{c}</option>)}
+                </select>
               </div>
             </div>
-          ))}
-          {typing && <div style={{ display:"flex", gap:8, alignItems:"center" }}><div style={{ width:30, height:30, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:14 }}>🤖</div><div style={{ background:"white", borderRadius:"3px 16px 16px 16px", padding:"11px 15px", boxShadow:"0 1px 6px rgba(0,0,0,.07)" }}><span style={{ display:"flex", gap:4 }}>{[0,1,2].map(i=><span key={i} style={{ width:6, height:6, borderRadius:"50%", background:C.leaf, display:"inline-block", animation:`bounce .9s ${i*.18}s infinite` }}/>)}</span></div></div>}
-          <div ref={endRef} />
-        </div>
+            <div style={{ display:"flex", gap:6, flexWrap:"wrap", justifyContent:"flex-end" }}>
+              <button onClick={()=>setPinnedOnly(p=>!p)} disabled={!pinCount} title="Show only pinned answers" style={{ ...small, background:pinnedOnly?C.gold:"white", color:pinnedOnly?"white":"#555", opacity:pinCount?1:.5 }}>📌 {pinCount}</button>
+              <button onClick={exportMarkdown} title="Download as Markdown" style={small}>⬇️ .md</button>
+              <button onClick={exportPdf} title="Print or save as PDF" style={small}>🖨️ PDF</button>
+              <button onClick={deleteChat} disabled={busy} title="Delete conversation" style={{ ...small, color:C.rust, borderColor:`${C.rust}60` }}>🗑️</button>
+            </div>
+          </div>
+          {notice && <div onClick={()=>setNotice("")} style={{ background:"#FFFBEB", color:"#7A4F01", fontSize:12, padding:"7px 16px", cursor:"pointer" }}>{notice}</div>}
+
+          <div style={{ height:400, overflowY:"auto", padding:18, background:"#f8f9fa" }}>
+            {msgs.map((m,i)=>(pinnedOnly && !m.pinned) ? null : (
+              <div key={i} id={`advisor-msg-${i}`} style={{ display:"flex", justifyContent:m.role==="user"?"flex-end":"flex-start", marginBottom:14 }}>
+                {m.role==="ai" && <div style={{ width:30, height:30, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:15, flexShrink:0, marginRight:8, marginTop:3 }}>🤖</div>}
+                <div style={{ maxWidth:"76%", background:m.role==="user"?`linear-gradient(135deg,${C.leaf},${C.seedling})`:"white", color:m.role==="user"?"white":C.earth, padding:"11px 15px", borderRadius:m.role==="user"?"16px 16px 3px 16px":"3px 16px 16px 16px", fontSize:13, lineHeight:1.6, boxShadow:highlight===i?`0 0 0 2px ${C.sun}`:m.pinned?`0 0 0 1.5px ${C.gold}`:"0 1px 6px rgba(0,0,0,.07)", whiteSpace:"pre-line" }}>
+                  {m.tools?.length > 0 && (
+                    <div style={{ display:"flex", flexDirection:"column", gap:4, marginBottom:m.text?8:0 }}>
+                      {m.tools.map((t,j)=>(
+                        <div key={j} title={JSON.stringify(t.input)} style={{ fontSize:11, background:t.ok?`${C.leaf}0D`:"#FEF2F2", border:`1px solid ${t.ok?`${C.leaf}30`:"#FECACA"}`, color:t.ok?C.leaf:"#DC2626", borderRadius:8, padding:"4px 9px", whiteSpace:"normal" }}>
+                          <strong>{ADVISOR_TOOLS[t.name]?.label || `🔧 ${t.name}`}</strong> · {Object.values(t.input || {}).join(" · ")} → {t.summary}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {m.text.split("**").map((p,j)=>j%2===1?<strong key={j}>{p}</strong>:p)}
+                  {m.sources?.length > 0 && (
+                    <div style={{ marginTop:8, paddingTop:7, borderTop:"1px dashed rgba(0,0,0,.1)", display:"flex", gap:5, flexWrap:"wrap", alignItems:"center" }}>
+                      <span style={{ fontSize:10, color:"#888", fontWeight:600 }}>📊 Based on</span>
+                      {m.sources.map(s=><span key={s.tag} title={`[${s.tag}]`} style={{ background:`${C.sky}12`, color:C.sky, padding:"2px 8px", borderRadius:12, fontSize:10, fontWeight:600 }}>{s.label}</span>)}
+                    </div>
+                  )}
+                  {m.queued && <div style={{ marginTop:8, fontSize:10, color:"#7A4F01", background:"#FFFBEB", borderRadius:8, padding:"4px 9px", whiteSpace:"normal" }}>📴 Answered offline from built-in knowledge — the advisor will answer again when you are back online.</div>}
+                  {m.askedOffline && <div style={{ marginTop:6, fontSize:10, color:"#999" }}>🔄 Asked offline {timeAgo(m.askedOffline)}, answered when back online</div>}
+                  {m.role==="ai" && i > 0 && !(busy && i === msgs.length - 1) && (
+                    <div style={{ textAlign:"right", marginTop:4 }}>
+                      <button onClick={()=>apply(s => updateThread(s, thread.id, { messages:togglePin(msgs, i) }, { touch:false }))} title={m.pinned?"Unpin":"Pin this answer"}
+                        style={{ border:"none", background:"transparent", cursor:"pointer", fontSize:11, color:m.pinned?C.gold:"#bbb", padding:0 }}>📌 {m.pinned?"Pinned":"Pin"}</button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+            {typing && <div style={{ display:"flex", gap:8, alignItems:"center" }}><div style={{ width:30, height:30, borderRadius:"50%", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, display:"flex", alignItems:"center", justifyContent:"center", fontSize:14 }}>🤖</div><div style={{ background:"white", borderRadius:"3px 16px 16px 16px", padding:"11px 15px", boxShadow:"0 1px 6px rgba(0,0,0,.07)" }}><span style={{ display:"flex", gap:4 }}>{[0,1,2].map(i=><span key={i} style={{ width:6, height:6, borderRadius:"50%", background:C.leaf, display:"inline-block", animation:`bounce .9s ${i*.18}s infinite` }}/>)}</span></div></div>}
+            <div ref={endRef} />
+          </div>
 
-        <div style={{ padding:"10px 16px", background:"#f8f9fa", borderTop:"1px solid rgba(0,0,0,.06)", display:"flex", gap:6, flexWrap:"wrap" }}>
-          {QUICK.map(p=><button key={p} onClick={()=>send(p)} style={{ padding:"4px 11px", borderRadius:20, border:`1px solid ${C.leaf}40`, background:"white", color:C.leaf, fontSize:11, fontWeight:500, cursor:"pointer" }}>{p}</button>)}
-        </div>
-        <div style={{ padding:"10px 14px", borderTop:"1px solid rgba(0,0,0,.06)", display:"flex", gap:8 }}>
-          <input value={input} onChange={e=>setInput(e.target.value)} onKeyPress={e=>e.key==="Enter"&&send()} placeholder="Ask about prices, selling strategy, crop advice…" style={{ flex:1, padding:"10px 14px", borderRadius:11, border:"1.5px solid rgba(0,0,0,.12)", fontSize:13, outline:"none" }} />
-          <button onClick={()=>send()} style={{ padding:"10px 18px", borderRadius:11, border:"none", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontWeight:700, cursor:"pointer" }}>➤</button>
+          <div style={{ padding:"10px 16px", background:"#f8f9fa", borderTop:"1px solid rgba(0,0,0,.06)", display:"flex", gap:6, flexWrap:"wrap" }}>
+            {QUICK.map(p=><button key={p} onClick={()=>send(p)} style={{ padding:"4px 11px", borderRadius:20, border:`1px solid ${C.leaf}40`, background:"white", color:C.leaf, fontSize:11, fontWeight:500, cursor:"pointer" }}>{p}</button>)}
+          </div>
+          <div style={{ padding:"10px 14px", borderTop:"1px solid rgba(0,0,0,.06)", display:"flex", gap:8 }}>
+            <input value={input} onChange={e=>setInput(e.target.value)} onKeyPress={e=>e.key==="Enter"&&send()} placeholder={online ? "Ask about prices, selling strategy, crop advice…" : "📴 Offline — built-in answers now, the advisor's when back online…"} style={{ flex:1, padding:"10px 14px", borderRadius:11, border:"1.5px solid rgba(0,0,0,.12)", fontSize:13, outline:"none" }} />
+            {busy
+              ? <button onClick={stop} title="Stop — keeps the answer so far" style={{ padding:"10px 16px", borderRadius:11, border:"none", background:`linear-gradient(135deg,${C.rust},#E57A44)`, color:"white", fontWeight:700, cursor:"pointer" }}>⏹ Stop</button>
+              : <button onClick={()=>send()} style={{ padding:"10px 18px", borderRadius:11, border:"none", background:`linear-gradient(135deg,${C.leaf},${C.seedling})`, color:"white", fontWeight:700, cursor:"pointer" }}>➤</button>}
+          </div>
         </div>
       </div>
     </div>
   );
 }
 
-// ─── VOICE ASSISTANT (REAL WEB SPEECH API) ───────────────────────────────────
-function VoiceAssistant({ crop }) {
+// ─── VOICE ASSISTANT (PLUGGABLE SPEECH ENGINE) ───────────────────────────────
+// The speech engine that listens in `lang` (speechEngines.js), re-chosen when
+// the connection comes or goes: undefined while checking, null if there is none
+function useSpeechEngine(lang, online) {
+  const [engine, setEngine] = useState(undefined);
+  useEffect(() => {
+    let live = true;
+    pickSpeechEngine(lang, { online }).then(e => { if (live) setEngine(e); });
+    return () => { live = false; };
+  }, [lang, online]);
+  return engine;
+}
+
+function VoiceAssistant({ crop, setCrop, watchlist, onWatchlistChange, user, prices, seed, forecasts, online }) {
   const [phase, setPhase]           = useState("idle");
   const [transcript, setTranscript] = useState("");
   const [response, setResponse]     = useState("");
   const [error, setError]           = useState("");
-  const [lang, setLang]             = useState("en-IN");
+  const [lang, setLang]             = useState(() => langCode(user.lang));
+  const [handsFree, setHandsFree]   = useState(false);
+  const [session, setSession]       = useState(null); // this conversation, saved as a voice thread
   const recognRef    = useRef(null);
   const processingRef = useRef(false); // prevents duplicate async calls
+  const abortRef     = useRef(null);  // AbortController of the streaming reply
+  const queueRef     = useRef({ pending:0, done:true }); // utterances queued for the current reply
+  // Speech callbacks outlive the render that created them, so they read these
+  const handsFreeRef = useRef(false);
+  const sessionRef   = useRef(null);
+  const listenRef    = useRef(null);
+  const engine = useSpeechEngine(lang, online);
+  const t = useMemo(() => createT(lang), [lang]); // replies are spoken in the voice language
+
+  // Speech finished: back to idle, or straight back to listening in conversation mode
+  const finishTurn = () => {
+    setPhase("idle");
+    if (handsFreeRef.current) listenRef.current?.();
+  };
 
-  const LANGS = [
-    { label:"English",  code:"en-IN" },
-    { label:"Hindi",    code:"hi-IN" },
-    { label:"Punjabi",  code:"pa-IN" },
-    { label:"Telugu",   code:"te-IN" },
-    { label:"Tamil",    code:"ta-IN" },
-    { label:"Marathi",  code:"mr-IN" },
-    { label:"Gujarati", code:"gu-IN" },
-    { label:"Kannada",  code:"kn-IN" },
-  ];
-
-  const speak = (text) => {
+  // Sentences are queued as they stream in; the turn ends once the reply has
+  // finished arriving and the last queued sentence has been spoken. Stopping
+  // replaces queueRef, so a cancelled queue never ends a turn.
+  const settle = (queue) => { if (queue.done && queue.pending === 0 && queueRef.current === queue) finishTurn(); };
+  const speakSentence = (queue, sentence) => {
     if (!window.speechSynthesis) return;
-    window.speechSynthesis.cancel();
-    // Strip markdown for speech
-    const clean = text
-      .replace(/\*\*/g, "")
-      .replace(/#{1,3} /g, "")
-      .replace(/•/g, ",")
-      .replace(/→/g, "means")
-      .replace(/₹/g, "rupees ")
-      .replace(/\n/g, ". ");
-    const utt = new SpeechSynthesisUtterance(clean);
+    const utt = new SpeechSynthesisUtterance(speechText(sentence, lang));
     utt.lang = lang; utt.rate = 0.88; utt.pitch = 1;
-    utt.onend = () => setPhase("idle");
+    queue.pending++;
+    utt.onend = utt.onerror = () => { queue.pending--; settle(queue); };
     window.speechSynthesis.speak(utt);
   };
 
+  const speak = (text) => {
+    window.speechSynthesis?.cancel();
+    const queue = { pending:0, done:true };
+    queueRef.current = queue;
+    speakSentence(queue, text);
+    settle(queue); // without speech synthesis there is nothing to wait for
+  };
+
+  const toggleHandsFree = () => { handsFreeRef.current = !handsFree; setHandsFree(!handsFree); };
+
+  // Each answered question is saved straight away, so the session shows up in
+  // the AI Advisor's conversation list even if the tab is closed mid-talk
+  const recordTurn = async (question, answer, extra = {}) => {
+    const now = Date.now();
+    const prev = sessionRef.current || { ...createThread({ title:autoTitle(question), now }), voice:true };
+    const next = { ...prev, updatedAt:now, messages:[...prev.messages, { role:"user", text:question, ts:now }, { role:"ai", text:answer, ts:now, ...extra }] };
+    sessionRef.current = next;
+    setSession(next);
+    const store = await loadConversations({ greeting:DEFAULT_CHAT(user.name), crop:null });
+    await saveConversations(upsertThread(store, next));
+  };
+
+  const newSession = () => {
+    sessionRef.current = null;
+    setSession(null); setTranscript(""); setResponse(""); setError("");
+  };
+
+  // Spoken commands change the app and are confirmed aloud instead of going to the advisor
+  const runCommand = (command) => {
+    if (command.type === "crop") {
+      setCrop(command.crop);
+      return t("vc.crop", { crop:t.crop(command.crop) });
+    }
+    if (command.type === "alert") {
+      onWatchlistChange(updateEntry(addCrop(watchlist, command.crop), command.crop, { [command.direction]: command.price }));
+      return t("vc.alert", { crop:t.crop(command.crop), target:t(`al.${command.direction}`, { price:t.rupees(command.price) }) });
+    }
+    handsFreeRef.current = false;
+    setHandsFree(false);
+    return t("vc.bye");
+  };
+
   const processQuestion = async (finalText) => {
     if (processingRef.current) return; // already processing
     processingRef.current = true;
     setPhase("processing");
     setTranscript(finalText);
+    window.speechSynthesis?.cancel();
+
+    const command = parseVoiceCommand(finalText, { crop, lang });
+    if (command) {
+      const reply = runCommand(command);
+      setResponse(reply);
+      processingRef.current = false;
+      setPhase("speaking");
+      speak(reply);
+      await recordTurn(finalText, reply);
+      return;
+    }
+
+    const queue = { pending:0, done:false };
+    queueRef.current = queue;
+    const sentences = createSentenceBuffer(s => speakSentence(queue, s));
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let streamed = false;
     try {
-      const replyText = await getAIReply(finalText, crop, []);
+      const context = await loadAdvisorContext({ crop, prices, seed, watchlist, profile:user, forecasts });
+      // Earlier turns of this conversation, so follow-ups like "and next week?" make sense
+      const { recent, summary } = buildHistory(sessionRef.current?.messages || []);
+      const replyText = await getAIReply(finalText, {
+        crop, watchlist, user: user.username, context, lang, history: recent, summary,
+        signal: controller.signal,
+        onDelta: (delta, sofar) => {
+          if (!streamed) { streamed = true; setPhase("speaking"); }
+          setResponse(sofar);
+          sentences.push(delta);
+        },
+      });
       setResponse(replyText);
-      setPhase("speaking");
-      speak(replyText);
+      await recordTurn(finalText, replyText, { sources:citedSources(replyText, context.sources) });
+      if (controller.signal.aborted) return;
+      if (streamed) { sentences.flush(); queue.done = true; settle(queue); }
+      else { setPhase("speaking"); speak(replyText); } // local fallback arrives whole
     } catch (err) {
       setError("⚠️ Could not get a response. Please try again.");
       setPhase("idle");
     } finally {
+      abortRef.current = null;
       processingRef.current = false;
     }
   };
 
   const startListening = () => {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      setError("❌ Speech Recognition not supported. Please use Chrome or Edge on desktop.");
+    if (!engine) {
+      setError(engine === null
+        ? `❌ No speech engine for ${LANGS.find(l=>l.code===lang)?.label}. Use Chrome or Edge while online, or add an on-device voice model to talk offline.`
+        : "⏳ Still choosing a speech engine — tap again in a moment.");
       return;
     }
 
     setError(""); setTranscript(""); setResponse("");
     processingRef.current = false;
-    const recog = new SpeechRecognition();
-    recog.lang = lang;
-    recog.interimResults = true;
-    recog.maxAlternatives = 1;
-    recog.continuous = false;
-    recognRef.current = recog;
-
-    recog.onstart  = () => setPhase("listening");
-    recog.onerror  = (e) => { setPhase("idle"); setError(`⚠️ Mic error: ${e.error}. Please allow microphone access.`); };
-    recog.onend    = () => { /* let processQuestion handle phase changes */ };
-
-    recog.onresult = (e) => {
-      // Show interim transcript live
-      const interim = Array.from(e.results).map(r => r[0].transcript).join("");
-      setTranscript(interim);
-
-      // Only process on final result
-      if (e.results[e.results.length - 1].isFinal) {
-        const finalText = Array.from(e.results)
-          .filter(r => r.isFinal)
-          .map(r => r[0].transcript)
-          .join(" ")
-          .trim();
+    let heard = false;
+
+    recognRef.current = engine.listen({
+      lang,
+      onStart: () => setPhase("listening"),
+      onError: (code) => {
+        setPhase("idle");
+        setError(code === "no-speech" ? "🔇 I didn't hear anything — tap the mic to carry on."
+          : code === "network" ? `📡 ${engine.label} needs the internet. Add an on-device voice model to talk offline.`
+          : code === "engine-unavailable" ? `⚠️ ${engine.label} could not start. Check that its model files are installed.`
+          : `⚠️ Mic error: ${code}. Please allow microphone access.`);
+      },
+      // Silence ends recognition without a result; processQuestion handles the rest
+      onEnd: () => { if (!heard) setPhase(p => (p === "listening" ? "idle" : p)); },
+      // Interim text is shown live; only the final text is processed
+      onResult: (text, isFinal) => {
+        setTranscript(text);
+        if (!isFinal) return;
+        heard = true;
         recognRef.current?.stop();
-        processQuestion(finalText);
-      }
-    };
-
-    recog.start();
+        processQuestion(text);
+      },
+    });
   };
+  listenRef.current = startListening;
 
+  // Tapping the button always ends the turn; conversation mode stays on for the next tap
   const stopListening = () => {
     recognRef.current?.stop();
-    if (phase === "listening") setPhase("idle");
-    if (phase === "speaking") { window.speechSynthesis?.cancel(); setPhase("idle"); }
+    abortRef.current?.abort();
+    queueRef.current = null;
+    window.speechSynthesis?.cancel();
+    setPhase("idle");
   };
 
-  useEffect(() => () => { recognRef.current?.stop(); window.speechSynthesis?.cancel(); }, []);
+  useEffect(() => () => { handsFreeRef.current = false; recognRef.current?.stop(); abortRef.current?.abort(); window.speechSynthesis?.cancel(); }, []);
 
   const btnColor = { idle:`linear-gradient(135deg,${C.leaf},${C.seedling})`, listening:`linear-gradient(135deg,${C.rust},#E57A44)`, processing:`linear-gradient(135deg,${C.sky},#38BDF8)`, speaking:`linear-gradient(135deg,${C.gold},${C.harvest})` }[phase];
   const btnIcon  = { idle:"🎙️", listening:"🔴", processing:"⚙️", speaking:"🔊" }[phase];
-  const btnLabel = { idle:"Tap to Speak", listening:"Listening… Tap to Stop", processing:"Processing…", speaking:"Speaking… Tap to stop" }[phase];
+  const btnLabel = { idle:"Tap to Speak", listening:"Listening… Tap to Stop", processing:"Processing… Tap to stop", speaking:"Speaking… Tap to stop" }[phase];
 
   return (
     <div style={{ padding:24, maxWidth:680, margin:"0 auto" }}>
       <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>🎙️ Voice Assistant</h1>
-      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Real microphone • Uses your browser's Speech API</p>
+      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Real microphone • {engine ? `${engine.onDevice ? "📴" : "🌐"} ${engine.label} — ${engine.onDevice ? "runs on this device, works offline" : "needs internet"}` : engine === null ? "⚠️ No speech engine for this language" : "Choosing a speech engine…"}</p>
 
       <div style={{ marginBottom:22 }}>
         <label style={{ fontSize:10, color:"#888", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:8 }}>Language</label>
@@ -779,6 +1209,14 @@ function VoiceAssistant({ crop }) {
         </div>
       </div>
 
+      <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", gap:12, background:handsFree?`${C.leaf}10`:"white", border:`1.5px solid ${handsFree?C.leaf:"rgba(0,0,0,.08)"}`, borderRadius:14, padding:"12px 16px", marginBottom:18 }}>
+        <div>
+          <div style={{ fontWeight:700, fontSize:13, color:C.earth }}>🔁 Conversation mode</div>
+          <div style={{ fontSize:11, color:"#888", marginTop:2 }}>Listens again after every answer, so you can ask follow-ups hands-free. Say "stop" to end.</div>
+        </div>
+        <button onClick={toggleHandsFree} aria-pressed={handsFree} style={{ padding:"6px 14px", borderRadius:20, border:"none", background:handsFree?C.leaf:"#ccc", color:"white", fontSize:12, fontWeight:700, cursor:"pointer", flexShrink:0 }}>{handsFree?"ON":"OFF"}</button>
+      </div>
+
       <div style={{ background:"white", borderRadius:22, padding:38, textAlign:"center", boxShadow:"0 4px 36px rgba(0,0,0,.10)", border:"1px solid rgba(0,0,0,.06)" }}>
         <div style={{ position:"relative", display:"inline-block", marginBottom:28 }}>
           {phase==="listening" && [140,120].map((s,i)=>(
@@ -795,7 +1233,7 @@ function VoiceAssistant({ crop }) {
         </div>
 
         <div style={{ fontSize:15, fontWeight:700, color:C.earth, marginBottom:4 }}>{btnLabel}</div>
-        <div style={{ fontSize:11, color:"#888", marginBottom:20 }}>Language: {LANGS.find(l=>l.code===lang)?.label}</div>
+        <div style={{ fontSize:11, color:"#888", marginBottom:20 }}>Language: {LANGS.find(l=>l.code===lang)?.label} · Crop: {crop}{handsFree ? " · 🔁 Hands-free" : ""}</div>
 
         {error && <div style={{ background:"#FEF2F2", border:"1px solid #FECACA", borderRadius:10, padding:"12px 16px", marginBottom:16, color:"#DC2626", fontSize:13, textAlign:"left" }}>{error}</div>}
 
@@ -815,6 +1253,24 @@ function VoiceAssistant({ crop }) {
           </div>
         )}
 
+        {session && session.messages.length > 2 && (
+          <div style={{ marginTop:14, textAlign:"left" }}>
+            <div style={{ fontSize:10, color:"#888", letterSpacing:1, marginBottom:6, fontWeight:700 }}>EARLIER IN THIS CONVERSATION</div>
+            {session.messages.slice(0, -2).map((m,i)=>(
+              <div key={i} style={{ fontSize:12, color:m.role==="user"?C.earth:"#666", padding:"4px 0", borderBottom:"1px solid rgba(0,0,0,.04)", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+                {m.role==="user"?"🎤":"🤖"} {m.text.replace(/\*\*/g, "")}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {session && (
+          <div style={{ marginTop:14, display:"flex", justifyContent:"space-between", alignItems:"center", fontSize:11, color:"#888" }}>
+            <span>💾 Saved to your AI Advisor chats as "{session.title}"</span>
+            <button onClick={newSession} disabled={phase!=="idle"} style={{ padding:"4px 12px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, fontWeight:600, cursor:phase==="idle"?"pointer":"not-allowed" }}>＋ New conversation</button>
+          </div>
+        )}
+
         {phase==="idle" && !response && (
           <div style={{ marginTop:20, background:"#f8f9fa", borderRadius:12, padding:16, textAlign:"left" }}>
             <div style={{ fontSize:11, color:"#888", marginBottom:10, textAlign:"center", fontWeight:600 }}>💬 Sample Questions to Ask</div>
@@ -823,6 +1279,12 @@ function VoiceAssistant({ crop }) {
                 <span style={{ color:C.leaf }}>🗣️</span>{q}
               </div>
             ))}
+            <div style={{ fontSize:11, color:"#888", margin:"10px 0 6px", textAlign:"center", fontWeight:600 }}>⚡ Commands</div>
+            {["Switch to onion","Set alert for tomato above 2000","Tell me when wheat falls below 2,200","Stop"].map((q,i)=>(
+              <div key={i} style={{ background:"white", borderRadius:8, padding:"7px 12px", marginBottom:6, fontSize:12, color:"#555", display:"flex", gap:7, alignItems:"center" }}>
+                <span style={{ color:C.sun }}>⚡</span>{q}
+              </div>
+            ))}
             <div style={{ marginTop:12, padding:"10px 14px", background:`${C.sun}15`, borderRadius:10, fontSize:11, color:"#7A4F01", lineHeight:1.5 }}>
               ⚠️ <strong>Browser Permission Required:</strong> Click the mic button → allow microphone access when prompted. Works best in <strong>Chrome or Edge</strong> on desktop.
             </div>
@@ -833,61 +1295,133 @@ function VoiceAssistant({ crop }) {
   );
 }
 
+// ─── VOICE COMMANDS (EVERY TAB) ──────────────────────────────────────────────
+// A floating mic that takes one spoken command at a time in the app language:
+// open a tab, pick a crop, set a price alert, or hear the Dashboard cards or the
+// forecast table read aloud (voiceCommands.js, readouts.js). Questions for the
+// advisor still go to the 🎙️ tab.
+function VoiceCommandButton({ t, tab, crop, onCommand, online }) {
+  const [phase, setPhase]   = useState("idle"); // idle | listening | speaking
+  const [heard, setHeard]   = useState("");
+  const [status, setStatus] = useState("");
+  const recognRef = useRef(null);
+  const engine = useSpeechEngine(t.lang, online);
+
+  const say = (text) => {
+    setStatus(text);
+    setPhase(speakAloud(text, t.lang, { onEnd:() => setPhase("idle") }) ? "speaking" : "idle");
+  };
+
+  const listen = () => {
+    if (!engine) { setHeard(""); setStatus(t("vc.unsupported")); return; }
+    let done = false;
+    recognRef.current = engine.listen({
+      lang: t.lang,
+      interim: false,
+      onStart: () => { setPhase("listening"); setHeard(""); setStatus(t("vc.listening")); },
+      onError: (code) => { done = true; setPhase("idle"); setStatus(code === "no-speech" ? "" : t("vc.micError", { error:code })); },
+      onEnd:   () => { if (!done) { setPhase("idle"); setStatus(""); } },
+      onResult: (text, isFinal) => {
+        if (!isFinal) return;
+        done = true;
+        setHeard(text);
+        const command = parseAppCommand(text, { crop, lang:t.lang, tab });
+        say(command ? onCommand(command) : t("vc.notUnderstood"));
+      },
+    });
+  };
+
+  const stop = () => {
+    recognRef.current?.stop();
+    window.speechSynthesis?.cancel();
+    setPhase("idle");
+  };
+
+  useEffect(() => () => { recognRef.current?.stop(); window.speechSynthesis?.cancel(); }, []);
+
+  const color = { idle:`linear-gradient(135deg,${C.leaf},${C.seedling})`, listening:`linear-gradient(135deg,${C.rust},#E57A44)`, speaking:`linear-gradient(135deg,${C.gold},${C.harvest})` }[phase];
+  return (
+    <div style={{ position:"fixed", right:20, bottom:20, zIndex:1100, display:"flex", flexDirection:"column", alignItems:"flex-end", gap:10 }}>
+      {(status || heard) && (
+        <div role="status" style={{ background:"white", borderRadius:14, padding:"10px 14px", boxShadow:"0 6px 28px rgba(0,0,0,.18)", maxWidth:320, maxHeight:220, overflowY:"auto", fontSize:12, color:C.earth, lineHeight:1.5, position:"relative" }}>
+          <button onClick={()=>{ setStatus(""); setHeard(""); }} aria-label="✕" style={{ position:"absolute", top:4, right:6, border:"none", background:"none", color:"#aaa", cursor:"pointer", fontSize:12 }}>✕</button>
+          {heard && <div style={{ color:"#888", fontSize:11, marginBottom:4, paddingRight:14 }}>🎤 “{heard}”</div>}
+          {status && <div style={{ paddingRight:14 }}>{status}</div>}
+        </div>
+      )}
+      <button onClick={phase==="idle"?listen:stop} title={engine ? `${t("vc.title")} · ${engine.label}` : t("vc.title")} aria-label={t("vc.title")}
+        style={{ width:56, height:56, borderRadius:"50%", border:"none", background:color, color:"white", fontSize:24, cursor:"pointer", boxShadow:`0 6px 22px ${C.leaf}55` }}>
+        {{ idle:"🎙️", listening:"🔴", speaking:"🔊" }[phase]}
+      </button>
+    </div>
+  );
+}
+
 // ─── ALERTS ───────────────────────────────────────────────────────────────────
-const INIT_ALERTS = [
-  { id:1, type:"price_rise", crop:"Tomato",  msg:"Tomato prices surged 18% at Azadpur due to Himachal supply shortage", time:"2h ago",  read:false, sev:"high"   },
-  { id:2, type:"forecast",   crop:"Wheat",   msg:"AI forecast: Wheat prices to rise 5–7% over next 2 weeks — export demand strong", time:"5h ago",  read:false, sev:"medium" },
-  { id:3, type:"weather",    crop:"Onion",   msg:"Heavy rainfall in Maharashtra — Onion harvest delayed, price spike likely",         time:"1d ago",  read:true,  sev:"high"   },
-  { id:4, type:"msp",        crop:"Rice",    msg:"Govt announces MSP hike of ₹117/qtl for Kharif rice",                              time:"2d ago",  read:true,  sev:"low"    },
-  { id:5, type:"price_drop", crop:"Potato",  msg:"Cold storage arrivals pressuring potato prices — 8% decline in UP markets",        time:"3d ago",  read:true,  sev:"medium" },
-  { id:6, type:"opportunity",crop:"Chilli",  msg:"Bangladesh export inquiry driving Chilli premium in Guntur (+₹800/qtl)",           time:"3d ago",  read:true,  sev:"medium" },
-];
-
-function Alerts({ crop }) {
+function Alerts({ watchlist, onWatchlistChange, t }) {
   const [alerts, setAlerts] = useState(null);
   const [rise, setRise]     = useState(10);
   const [drop, setDrop]     = useState(8);
+  const [adding, setAdding] = useState("");
+  const [notify, setNotify] = useState(DEFAULT_NOTIFY);
+  const [perm, setPerm]     = useState(notificationPermission);
   const ICONS = { price_rise:"📈", price_drop:"📉", forecast:"🔮", weather:"🌦️", msp:"🏛️", opportunity:"💰" };
   const SEVC  = { high:C.rust, medium:C.sun, low:C.leaf };
 
+  // Alerts raised while the tab is open show up as soon as they are saved
   useEffect(() => {
-    load("AgroVue_alerts", INIT_ALERTS).then(setAlerts);
-    load("AgroVue_alert_thresholds", { rise:10, drop:8 }).then(t => {
-      setRise(t.rise); setDrop(t.drop);
+    load(ALERTS_KEY, []).then(setAlerts);
+    load(THRESHOLDS_KEY, DEFAULT_THRESHOLDS).then(saved => {
+      setRise(saved.rise); setDrop(saved.drop); setNotify({ ...DEFAULT_NOTIFY, ...saved.notify });
     });
+    return onAlertsSaved(setAlerts);
   }, []);
 
-  const updateAlerts = async (updated) => {
-    setAlerts(updated);
-    await save("AgroVue_alerts", updated);
+  const updateThresholds = async (patch) => {
+    await save(THRESHOLDS_KEY, { rise, drop, notify, ...patch });
+  };
+
+  const updateNotify = (patch) => {
+    const next = { ...notify, ...patch };
+    setNotify(next);
+    updateThresholds({ notify: next });
   };
 
-  const updateThresholds = async (newRise, newDrop) => {
-    await save("AgroVue_alert_thresholds", { rise: newRise, drop: newDrop });
+  const toggleNotifications = async () => {
+    if (notify.enabled) return updateNotify({ enabled:false });
+    const result = await requestNotificationPermission();
+    setPerm(result);
+    if (result === "granted") updateNotify({ enabled:true });
   };
 
-  if (!alerts) return <div style={{ padding:24, textAlign:"center", color:"#888" }}>Loading alerts…</div>;
+  const setEntry = (c, patch) => onWatchlistChange(updateEntry(watchlist, c, patch));
+  const pct = (v) => (v === "" ? null : Math.min(Math.max(+v, 1), 50));
+  const unwatched = CROPS.filter(c => !isWatched(watchlist, c));
+  const mini = { padding:"4px 5px", borderRadius:6, border:"1px solid rgba(0,0,0,.12)", fontSize:10, width:"100%", minWidth:0, background:"white" };
+
+  if (!alerts) return <div style={{ padding:24, textAlign:"center", color:"#888" }}>{t("al.loading")}</div>;
 
   return (
     <div style={{ padding:24, maxWidth:900, margin:"0 auto" }}>
-      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 20px" }}>🔔 Smart Alerts</h1>
+      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 20px" }}>🔔 {t("al.title")}</h1>
       <div style={{ display:"grid", gridTemplateColumns:"1fr 300px", gap:18 }}>
         <div>
           <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
-            <span style={{ fontWeight:700, color:C.earth }}>{alerts.filter(a=>!a.read).length} Unread</span>
-            <button onClick={()=>updateAlerts(alerts.map(a=>({...a,read:true})))} style={{ padding:"5px 13px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, cursor:"pointer", fontWeight:600 }}>Mark all read</button>
+            <span style={{ fontWeight:700, color:C.earth }}>{t("al.unread", { n:t.num(alerts.filter(a=>!a.read).length) })}</span>
+            <button onClick={()=>markAlertsRead()} style={{ padding:"5px 13px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, cursor:"pointer", fontWeight:600 }}>{t("al.markRead")}</button>
           </div>
+          {!alerts.length && <div style={{ background:"white", borderRadius:12, padding:"28px 18px", textAlign:"center", color:"#888", fontSize:12 }}>{t("al.empty")}</div>}
           {alerts.map(a=>(
-            <div key={a.id} onClick={()=>updateAlerts(alerts.map(x=>x.id===a.id?{...x,read:true}:x))} style={{ background:a.read?"white":`${SEVC[a.sev]}08`, border:`1.5px solid ${a.read?"rgba(0,0,0,.07)":SEVC[a.sev]+"40"}`, borderLeft:`4px solid ${a.read?"rgba(0,0,0,.1)":SEVC[a.sev]}`, borderRadius:"0 11px 11px 0", padding:"13px 14px", marginBottom:9, cursor:"pointer" }}>
+            <div key={a.id} onClick={()=>markAlertsRead([a.id])} style={{ background:a.read?"white":`${SEVC[a.sev]}08`, border:`1.5px solid ${a.read?"rgba(0,0,0,.07)":SEVC[a.sev]+"40"}`, borderLeft:`4px solid ${a.read?"rgba(0,0,0,.1)":SEVC[a.sev]}`, borderRadius:"0 11px 11px 0", padding:"13px 14px", marginBottom:9, cursor:"pointer" }}>
               <div style={{ display:"flex", gap:11, alignItems:"flex-start" }}>
                 <span style={{ fontSize:20, flexShrink:0 }}>{ICONS[a.type]}</span>
                 <div style={{ flex:1 }}>
                   <div style={{ display:"flex", justifyContent:"space-between", marginBottom:5 }}>
                     <div style={{ display:"flex", gap:6 }}>
-                      <span style={{ background:SEVC[a.sev]+"20", color:SEVC[a.sev], fontSize:9, fontWeight:700, padding:"2px 7px", borderRadius:20 }}>{a.sev.toUpperCase()}</span>
-                      <span style={{ background:"rgba(0,0,0,.05)", color:"#555", fontSize:9, padding:"2px 7px", borderRadius:20 }}>{a.crop}</span>
+                      <span style={{ background:SEVC[a.sev]+"20", color:SEVC[a.sev], fontSize:9, fontWeight:700, padding:"2px 7px", borderRadius:20 }}>{t(`sev.${a.sev}`).toUpperCase()}</span>
+                      <span style={{ background:"rgba(0,0,0,.05)", color:"#555", fontSize:9, padding:"2px 7px", borderRadius:20 }}>{t.crop(a.crop)}</span>
                     </div>
-                    <span style={{ fontSize:10, color:"#aaa" }}>{a.time}</span>
+                    <span title={t.dateTime(a.ts)} style={{ fontSize:10, color:"#aaa" }}>{t.ago(a.ts)}</span>
                   </div>
                   <div style={{ fontSize:12, color:C.earth, lineHeight:1.5 }}>{a.msg}</div>
                 </div>
@@ -897,25 +1431,77 @@ function Alerts({ crop }) {
           ))}
         </div>
         <div style={{ background:"white", borderRadius:16, padding:18, boxShadow:"0 2px 14px rgba(0,0,0,.06)", alignSelf:"start" }}>
-          <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>⚙️ Alert Thresholds</h3>
-          {[["Price Rise Alert (%)", rise, v => { setRise(v); updateThresholds(v, drop); }, C.leaf],
-            ["Price Drop Alert (%)", drop, v => { setDrop(v); updateThresholds(rise, v); }, C.rust]
+          <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>⚙️ {t("al.thresholds")}</h3>
+          {[[t("al.rise"), rise, v => { setRise(v); updateThresholds({ rise:v }); }, C.leaf],
+            [t("al.drop"), drop, v => { setDrop(v); updateThresholds({ drop:v }); }, C.rust]
           ].map(([lbl,val,setter,col])=>(
             <div key={lbl} style={{ marginBottom:18 }}>
               <label style={{ fontSize:10, color:"#888", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:6 }}>{lbl}</label>
               <input type="range" min={1} max={30} value={val} onChange={e=>setter(+e.target.value)} style={{ width:"100%", accentColor:col }} />
               <div style={{ display:"flex", justifyContent:"space-between", fontSize:11, color:"#888", marginTop:3 }}>
-                <span>Trigger threshold</span><span style={{ fontWeight:700, color:col }}>{val}%</span>
+                <span>{t("al.trigger")}</span><span style={{ fontWeight:700, color:col }}>{t.num(val)}%</span>
               </div>
             </div>
           ))}
           <div style={{ marginTop:8, padding:"12px 14px", background:`${C.leaf}10`, borderRadius:10 }}>
-            <div style={{ fontSize:11, fontWeight:700, color:C.leaf, marginBottom:6 }}>👀 Watching</div>
-            {["Wheat","Onion","Tomato",crop].filter((v,i,a)=>a.indexOf(v)===i).map(c=>(
-              <div key={c} style={{ display:"flex", justifyContent:"space-between", fontSize:12, padding:"5px 0", borderBottom:"1px solid rgba(0,0,0,.04)" }}>
-                <span>{CROP_META[c]?.icon} {c}</span>
-                <span style={{ color:C.leaf, fontSize:11, fontWeight:600 }}>Active</span>
+            <div style={{ fontSize:11, fontWeight:700, color:C.leaf, marginBottom:6 }}>👀 {t("al.watching")}</div>
+            {!watchlist.length && <div style={{ fontSize:11, color:"#888", padding:"4px 0" }}>{t("al.nothingWatched")}</div>}
+            {watchlist.map(w=>(
+              <div key={w.crop} style={{ padding:"7px 0", borderBottom:"1px solid rgba(0,0,0,.04)" }}>
+                <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", fontSize:12 }}>
+                  <span>{CROP_META[w.crop]?.icon} {t.crop(w.crop)}</span>
+                  <button onClick={()=>onWatchlistChange(removeCrop(watchlist, w.crop))} title={t("common.unwatch", { crop:t.crop(w.crop) })} style={{ border:"none", background:"none", color:C.rust, fontSize:12, cursor:"pointer", padding:0 }}>✕</button>
+                </div>
+                <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr 2fr", gap:5, marginTop:5 }}>
+                  <input type="number" min={1} max={50} value={w.rise ?? ""} placeholder={`▲ ${rise}%`} title={t("al.riseTitle")} onChange={e=>setEntry(w.crop, { rise:pct(e.target.value) })} style={mini} />
+                  <input type="number" min={1} max={50} value={w.drop ?? ""} placeholder={`▼ ${drop}%`} title={t("al.dropTitle")} onChange={e=>setEntry(w.crop, { drop:pct(e.target.value) })} style={mini} />
+                  <select value={w.mandi || ""} title={t("al.mandiTitle")} onChange={e=>setEntry(w.crop, { mandi:e.target.value || null })} style={mini}>
+                    <option value="">{t("al.anyMandi")}</option>
+                    {Object.keys(MANDIS).map(m=><option key={m}>{m}</option>)}
+                  </select>
+                </div>
+                {(w.above || w.below) && (
+                  <div style={{ display:"flex", gap:5, flexWrap:"wrap", marginTop:5 }}>
+                    {[["above", C.leaf], ["below", C.rust]].filter(([k])=>w[k]).map(([k,col])=>(
+                      <span key={k} style={{ background:`${col}15`, color:col, padding:"2px 8px", borderRadius:20, fontSize:10, fontWeight:600 }}>
+                        🎯 {t(`al.${k}`, { price:t.rupees(w[k]) })}
+                        <button onClick={()=>setEntry(w.crop, { [k]:null })} title={t("al.clearTarget")} style={{ border:"none", background:"none", color:col, fontSize:10, cursor:"pointer", padding:"0 0 0 4px" }}>✕</button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+            {unwatched.length > 0 && (
+              <div style={{ display:"flex", gap:6, marginTop:10 }}>
+                <select value={adding} onChange={e=>setAdding(e.target.value)} style={{ ...mini, fontSize:11, flex:1 }}>
+                  <option value="">{t("al.addCrop")}</option>
+                  {unwatched.map(c=><option key={c} value={c}>{t.crop(c)}</option>)}
+                </select>
+                <button disabled={!adding} onClick={()=>{ onWatchlistChange(addCrop(watchlist, adding)); setAdding(""); }} style={{ padding:"4px 10px", borderRadius:6, border:"none", background:adding?C.leaf:"#ccc", color:"white", fontSize:11, fontWeight:700, cursor:adding?"pointer":"not-allowed" }}>+ {t("al.add")}</button>
               </div>
+            )}
+          </div>
+          <div style={{ marginTop:12, padding:"12px 14px", background:`${C.sky}10`, borderRadius:10 }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:6 }}>
+              <span style={{ fontSize:11, fontWeight:700, color:C.sky }}>🔔 {t("al.notifications")}</span>
+              <button onClick={toggleNotifications} disabled={perm==="unsupported" || perm==="denied"} style={{ padding:"3px 10px", borderRadius:20, border:"none", background:notify.enabled?C.leaf:"#ccc", color:"white", fontSize:10, fontWeight:700, cursor:"pointer" }}>{notify.enabled?t("al.on"):t("al.off")}</button>
+            </div>
+            <div style={{ fontSize:10, color:"#888", marginBottom:8, lineHeight:1.5 }}>
+              {perm==="unsupported" ? t("al.unsupported") : perm==="denied" ? t("al.blocked") : t("al.notifyNote")}
+            </div>
+            <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:11, color:"#555", marginBottom:5 }}>
+              <input type="checkbox" checked={notify.quiet.enabled} onChange={e=>updateNotify({ quiet:{ ...notify.quiet, enabled:e.target.checked } })} /> {t("al.quiet")}
+            </label>
+            <div style={{ display:"flex", gap:6, alignItems:"center", marginBottom:10, opacity:notify.quiet.enabled?1:.5 }}>
+              <input type="time" value={notify.quiet.from} disabled={!notify.quiet.enabled} onChange={e=>updateNotify({ quiet:{ ...notify.quiet, from:e.target.value } })} style={mini} />
+              <span style={{ fontSize:10, color:"#888" }}>{t("al.to")}</span>
+              <input type="time" value={notify.quiet.to} disabled={!notify.quiet.enabled} onChange={e=>updateNotify({ quiet:{ ...notify.quiet, to:e.target.value } })} style={mini} />
+            </div>
+            {Object.keys(ALERT_TYPES).map(type=>(
+              <label key={type} style={{ display:"flex", alignItems:"center", gap:6, fontSize:11, color:"#555", padding:"2px 0" }}>
+                <input type="checkbox" checked={notify.types[type] !== false} onChange={e=>updateNotify({ types:{ ...notify.types, [type]:e.target.checked } })} /> {ICONS[type]} {t(`alertType.${type}`)}
+              </label>
             ))}
           </div>
         </div>
@@ -926,8 +1512,179 @@ function Alerts({ crop }) {
 
 // ─── PROFILE ─────────────────────────────────────────────────────────────────
 const DEFAULT_PROFILE = { name:"AgroVue", role:"Farmer", state:"Andhra Pradesh", district:"Krishna", farmSize:"8.5", phone:"", crops:"Wheat, Rice, Onion" };
+const EMPTY_ENTRY = { crop:CROPS[0], qty:"", price:"", mandi:"", category:"seed", amount:"", expenseCrop:"", note:"" };
+
+// The farmer's own sales and expenses (ledger.js). The Income Analytics chart
+// and the per-crop and per-season profit tables are computed from them.
+function FarmLedger({ t }) {
+  const [ledger, setLedger]   = useState(null);
+  const [kind, setKind]       = useState("sale");
+  const [fields, setFields]   = useState(() => ({ ...EMPTY_ENTRY, date:today() }));
+  const [invalid, setInvalid] = useState(false);
+
+  useEffect(() => {
+    loadLedger().then(setLedger);
+  }, []);
+
+  const update = async (next) => {
+    setLedger(next);
+    await saveLedger(next);
+  };
+
+  const add = () => {
+    const entry = ledgerEntry(kind, kind === "sale" ? fields : { ...fields, crop:fields.expenseCrop || null });
+    setInvalid(!entry);
+    if (!entry) return;
+    update(addEntry(ledger, entry));
+    setFields(f => ({ ...f, qty:"", price:"", amount:"", note:"" }));
+  };
+
+  const monthly = useMemo(() => monthlyTotals(ledger || []), [ledger]);
+  const crops   = useMemo(() => cropSummary(ledger || []), [ledger]);
+  const seasons = useMemo(() => seasonSummary(ledger || []), [ledger]);
+
+  if (!ledger) return null;
+
+  const card  = { background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:16 };
+  const input = { width:"100%", padding:"8px 11px", borderRadius:8, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12, outline:"none", boxSizing:"border-box", background:"white" };
+  const label = { fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 };
+  const th    = { padding:"8px 10px", textAlign:"left", color:C.leaf, fontWeight:700, borderBottom:`2px solid ${C.leaf}30`, whiteSpace:"nowrap" };
+  const td    = { padding:"7px 10px", borderBottom:"1px solid rgba(0,0,0,.04)" };
+  const pl    = (n) => <span style={{ color:n>=0?"#16A34A":"#DC2626", fontWeight:700 }}>{n>=0?"":"−"}{t.rupees(Math.abs(n))}</span>;
+  const perQtl = (n) => (n === null ? "—" : `${t.rupees(n)}${t("unit.perQtl")}`);
+  const field = (key, type = "text", props = {}) => (
+    <div>
+      <label style={label}>{t(`led.${key}`)}</label>
+      <input type={type} value={fields[key]} onChange={e=>setFields(f=>({ ...f, [key]:e.target.value }))} style={input} {...props} />
+    </div>
+  );
+
+  return (
+    <>
+      <div style={card}>
+        <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth }}>📊 {t("pr.income")}</h3>
+        <ResponsiveContainer width="100%" height={230}>
+          <BarChart data={monthly}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
+            <XAxis dataKey="month" tick={{ fontSize:11 }} tickFormatter={t.months} />
+            <YAxis tick={{ fontSize:11 }} tickFormatter={t.compact} />
+            <Tooltip labelFormatter={t.months} formatter={v=>[t.rupees(v)]} />
+            <Legend />
+            <Bar dataKey="revenue"  name={t("pr.revenue")}  fill={C.leaf}    radius={[4,4,0,0]} />
+            <Bar dataKey="expenses" name={t("pr.expenses")} fill={C.harvest+"90"} radius={[4,4,0,0]} />
+          </BarChart>
+        </ResponsiveContainer>
+
+        {crops.length > 0 && (
+          <div style={{ overflowX:"auto", marginTop:18 }}>
+            <h4 style={{ margin:"0 0 8px", color:C.earth, fontSize:13 }}>🌾 {t("led.byCrop")}</h4>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
+              <thead><tr style={{ background:`${C.leaf}10` }}>{[t("led.crop"),t("led.sold"),t("pr.revenue"),t("led.costs"),t("led.profit"),t("led.avgPrice"),t("led.costPerQtl"),t("led.breakEven")].map(h=><th key={h} style={th}>{h}</th>)}</tr></thead>
+              <tbody>{crops.map(r=>(
+                <tr key={r.crop}>
+                  <td style={{ ...td, fontWeight:600 }}>{CROP_META[r.crop]?.icon} {t.crop(r.crop)}</td>
+                  <td style={td}>{t("led.qtl", { n:t.num(r.qty) })}</td>
+                  <td style={td}>{t.rupees(r.revenue)}</td>
+                  <td style={td}>{t.rupees(r.cost)}</td>
+                  <td style={td}>{pl(r.profit)}</td>
+                  <td style={td}>{perQtl(r.avgPrice)}</td>
+                  <td style={td}>{perQtl(r.costPerQtl)}</td>
+                  <td style={{ ...td, fontWeight:700, color:r.breakEven!==null&&r.avgPrice<r.breakEven?"#DC2626":C.earth }}>{perQtl(r.breakEven)}</td>
+                </tr>
+              ))}</tbody>
+            </table>
+            <div style={{ fontSize:10, color:"#999", marginTop:6 }}>{t("led.sharedNote")}</div>
+          </div>
+        )}
 
-function Profile({ user, setUser }) {
+        {seasons.length > 0 && (
+          <div style={{ overflowX:"auto", marginTop:18 }}>
+            <h4 style={{ margin:"0 0 8px", color:C.earth, fontSize:13 }}>🗓️ {t("led.bySeason")}</h4>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
+              <thead><tr style={{ background:`${C.leaf}10` }}>{[t("led.season"),t("pr.revenue"),t("pr.expenses"),t("led.profit")].map(h=><th key={h} style={th}>{h}</th>)}</tr></thead>
+              <tbody>{seasons.map(r=>(
+                <tr key={r.key}>
+                  <td style={{ ...td, fontWeight:600 }}>{t.season(r.season)} {r.year}</td>
+                  <td style={td}>{t.rupees(r.revenue)}</td>
+                  <td style={td}>{t.rupees(r.expenses)}</td>
+                  <td style={td}>{pl(r.profit)}</td>
+                </tr>
+              ))}</tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div style={card}>
+        <h3 style={{ margin:"0 0 6px", fontFamily:"Georgia,serif", color:C.earth, fontSize:15 }}>📒 {t("pr.ledger")}</h3>
+        <p style={{ margin:"0 0 14px", color:"#888", fontSize:12 }}>{t("pr.ledgerNote")}</p>
+
+        <div style={{ display:"flex", gap:6, marginBottom:12 }}>
+          {["sale","expense"].map(k=>(
+            <button key={k} onClick={()=>{ setKind(k); setInvalid(false); }} aria-pressed={kind===k}
+              style={{ padding:"6px 14px", borderRadius:20, border:`1.5px solid ${kind===k?C.leaf:"rgba(0,0,0,.12)"}`, background:kind===k?C.leaf:"white", color:kind===k?"white":"#555", fontSize:12, fontWeight:kind===k?700:400, cursor:"pointer" }}>
+              {k==="sale"?"💰":"🧾"} {t(`led.${k}`)}
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fill,minmax(130px,1fr))", gap:10, alignItems:"end" }}>
+          {field("date", "date")}
+          {kind === "sale" ? <>
+            <div>
+              <label style={label}>{t("led.crop")}</label>
+              <select value={fields.crop} onChange={e=>setFields(f=>({ ...f, crop:e.target.value }))} style={input}>
+                {CROPS.map(c=><option key={c} value={c}>{t.crop(c)}</option>)}
+              </select>
+            </div>
+            {field("qty", "number", { min:0, step:"any" })}
+            {field("price", "number", { min:0, step:"any" })}
+            {field("mandi", "text", { list:"ledger-mandis" })}
+            <datalist id="ledger-mandis">{Object.keys(MANDIS).map(m=><option key={m} value={m} />)}</datalist>
+          </> : <>
+            <div>
+              <label style={label}>{t("led.category")}</label>
+              <select value={fields.category} onChange={e=>setFields(f=>({ ...f, category:e.target.value }))} style={input}>
+                {EXPENSE_CATEGORIES.map(c=><option key={c} value={c}>{t(`led.cat.${c}`)}</option>)}
+              </select>
+            </div>
+            {field("amount", "number", { min:0, step:"any" })}
+            <div>
+              <label style={label}>{t("led.crop")}</label>
+              <select value={fields.expenseCrop} onChange={e=>setFields(f=>({ ...f, expenseCrop:e.target.value }))} style={input}>
+                <option value="">{t("led.wholeFarm")}</option>
+                {CROPS.map(c=><option key={c} value={c}>{t.crop(c)}</option>)}
+              </select>
+            </div>
+            {field("note")}
+          </>}
+          <button onClick={add} style={{ padding:"9px 16px", borderRadius:8, border:"none", background:C.leaf, color:"white", fontSize:12, fontWeight:700, cursor:"pointer" }}>＋ {t("led.add")}</button>
+        </div>
+        {invalid && <div style={{ marginTop:8, fontSize:11, color:"#DC2626" }}>⚠️ {t("led.invalid")}</div>}
+
+        <h4 style={{ margin:"18px 0 8px", color:C.earth, fontSize:13 }}>{t("led.entries")}</h4>
+        {ledger.length === 0
+          ? <div style={{ fontSize:12, color:"#999" }}>{t("pr.ledgerEmpty")}</div>
+          : <div style={{ maxHeight:260, overflowY:"auto" }}>
+              {ledger.map(e=>(
+                <div key={e.id} style={{ display:"flex", alignItems:"center", gap:10, padding:"7px 0", borderBottom:"1px solid rgba(0,0,0,.05)", fontSize:12 }}>
+                  <span style={{ color:"#999", width:84, flexShrink:0 }}>{t.date(e.date, { day:"numeric", month:"short", year:"2-digit" })}</span>
+                  <span style={{ flex:1, color:C.earth }}>
+                    {e.kind === "sale"
+                      ? <>💰 {t.crop(e.crop)} · {t("led.qtl", { n:t.num(e.qty) })} × {t.rupees(e.price)}{t("unit.perQtl")}{e.mandi ? ` · ${e.mandi}` : ""}</>
+                      : <>🧾 {t(`led.cat.${e.category}`)} · {e.crop ? t.crop(e.crop) : t("led.wholeFarm")}{e.note ? ` · ${e.note}` : ""}</>}
+                  </span>
+                  <span style={{ fontWeight:700, color:e.kind==="sale"?"#16A34A":"#DC2626" }}>{e.kind==="sale"?"+":"−"}{t.rupees(entryTotal(e))}</span>
+                  <button onClick={()=>update(removeEntry(ledger, e.id))} aria-label={t("led.delete")} title={t("led.delete")} style={{ border:"none", background:"none", color:"#bbb", cursor:"pointer", fontSize:12 }}>✕</button>
+                </div>
+              ))}
+            </div>}
+      </div>
+    </>
+  );
+}
+
+function Profile({ user, setUser, seed, onSeedChange, watchlist, onWatchlistChange, backend, t, onLangChange }) {
   const [form, setForm]       = useState(null);
   const [editing, setEditing] = useState(false);
   const [saved, setSaved]     = useState(false);
@@ -938,38 +1695,37 @@ function Profile({ user, setUser }) {
   }, []);
 
   const handleSave = async () => {
-    await save("AgroVue_profile", form);
-    setUser(form);
+    // The language is changed by the picker, which saves on its own
+    const profile = { ...form, lang:user.lang };
+    await save("AgroVue_profile", profile);
+    setUser(profile);
+    // Crops newly listed under "Crops Grown" join the watchlist
+    const next = parseCropList(form.crops).reduce(addCrop, watchlist);
+    if (next !== watchlist) onWatchlistChange(next);
     setEditing(false);
     setSaved(true);
     setTimeout(()=>setSaved(false), 2500);
   };
 
   const clearAll = async () => {
-    if (!window.confirm("This will delete all your data including your account. Are you sure?")) return;
+    if (!window.confirm(t("pr.clearConfirm"))) return;
     try {
-      await window.storage.delete("AgroVue_profile");
-      await window.storage.delete("AgroVue_chat");
-      await window.storage.delete("AgroVue_alerts");
-      await window.storage.delete("AgroVue_alert_thresholds");
-      await window.storage.delete("AgroVue_session");
-      alert("All AgroVue data cleared. You will be logged out.");
+      await clearUserData();
+      alert(t("pr.cleared"));
       window.location.reload();
     } catch (e) {
-      alert("Error clearing data: " + e.message);
+      alert(t("pr.clearError", { message:e.message }));
     }
   };
 
-  const profitData = Array.from({length:6},(_,i)=>{ const d=new Date(); d.setMonth(d.getMonth()-(5-i)); return { month:d.toLocaleDateString("en-IN",{month:"short"}), revenue:Math.round(Math.random()*30000+10000), expenses:Math.round(Math.random()*15000+5000) }; });
-
-  if (!form) return <div style={{ padding:24, textAlign:"center", color:"#888" }}>Loading profile…</div>;
+  if (!form) return <div style={{ padding:24, textAlign:"center", color:"#888" }}>{t("pr.loading")}</div>;
 
   return (
     <div style={{ padding:24, maxWidth:1100, margin:"0 auto" }}>
-      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>👤 Farmer Profile</h1>
-      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>Your data is saved permanently — persists across all sessions</p>
+      <h1 style={{ fontFamily:"Georgia,serif", fontSize:24, color:C.earth, margin:"0 0 6px" }}>👤 {t("pr.title")}</h1>
+      <p style={{ color:"#666", fontSize:13, margin:"0 0 20px" }}>{t("pr.subtitle")}</p>
 
-      {saved && <div style={{ background:"#ECFDF5", border:"1.5px solid #6EE7B7", borderRadius:10, padding:"12px 18px", marginBottom:16, color:"#065F46", fontWeight:600, fontSize:13 }}>✅ Profile saved successfully! Changes are permanent.</div>}
+      {saved && <div style={{ background:"#ECFDF5", border:"1.5px solid #6EE7B7", borderRadius:10, padding:"12px 18px", marginBottom:16, color:"#065F46", fontWeight:600, fontSize:13 }}>✅ {t("pr.saved")}</div>}
 
       <div style={{ display:"grid", gridTemplateColumns:"320px 1fr", gap:20 }}>
         <div>
@@ -978,85 +1734,97 @@ function Profile({ user, setUser }) {
               {form.role==="Farmer"?"👨‍🌾":form.role==="Trader"?"👨‍💼":"👨‍💻"}
             </div>
             <div style={{ color:C.harvest, fontFamily:"Georgia,serif", fontSize:19, fontWeight:700, marginBottom:3 }}>{form.name}</div>
-            <div style={{ color:C.seedling, fontSize:11, letterSpacing:1, marginBottom:10 }}>{form.role.toUpperCase()}</div>
+            <div style={{ color:C.seedling, fontSize:11, letterSpacing:1, marginBottom:10 }}>{t(`role.${form.role}`).toUpperCase()}</div>
             <div style={{ display:"flex", gap:6, justifyContent:"center", flexWrap:"wrap" }}>
               <span style={{ background:"rgba(255,255,255,.1)", color:"rgba(255,255,255,.7)", padding:"3px 10px", borderRadius:20, fontSize:10 }}>📍 {form.state||"—"}</span>
-              <span style={{ background:"rgba(255,255,255,.1)", color:"rgba(255,255,255,.7)", padding:"3px 10px", borderRadius:20, fontSize:10 }}>🌾 {form.farmSize||"—"} acres</span>
+              <span style={{ background:"rgba(255,255,255,.1)", color:"rgba(255,255,255,.7)", padding:"3px 10px", borderRadius:20, fontSize:10 }}>🌾 {t("pr.acres", { n:form.farmSize||"—" })}</span>
             </div>
           </div>
 
           <div style={{ background:"white", borderRadius:16, padding:20, boxShadow:"0 2px 14px rgba(0,0,0,.06)" }}>
             <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:14 }}>
-              <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>Profile Details</h3>
+              <h3 style={{ margin:0, fontFamily:"Georgia,serif", color:C.earth, fontSize:14 }}>{t("pr.details")}</h3>
               {editing
                 ? <div style={{ display:"flex", gap:8 }}>
-                    <button onClick={()=>setEditing(false)} style={{ padding:"5px 12px", borderRadius:8, border:"1px solid #ddd", background:"white", fontSize:11, cursor:"pointer" }}>Cancel</button>
-                    <button onClick={handleSave} style={{ padding:"5px 12px", borderRadius:8, border:"none", background:C.leaf, color:"white", fontSize:11, cursor:"pointer", fontWeight:700 }}>💾 Save</button>
+                    <button onClick={()=>setEditing(false)} style={{ padding:"5px 12px", borderRadius:8, border:"1px solid #ddd", background:"white", fontSize:11, cursor:"pointer" }}>{t("pr.cancel")}</button>
+                    <button onClick={handleSave} style={{ padding:"5px 12px", borderRadius:8, border:"none", background:C.leaf, color:"white", fontSize:11, cursor:"pointer", fontWeight:700 }}>💾 {t("pr.save")}</button>
                   </div>
-                : <button onClick={()=>setEditing(true)} style={{ padding:"5px 13px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, cursor:"pointer", fontWeight:600 }}>✏️ Edit</button>
+                : <button onClick={()=>setEditing(true)} style={{ padding:"5px 13px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, cursor:"pointer", fontWeight:600 }}>✏️ {t("pr.edit")}</button>
               }
             </div>
 
-            {[["Full Name","name","text"],["State","state","text"],["District","district","text"],["Farm Size (acres)","farmSize","text"],["Phone","phone","tel"],["Crops Grown","crops","text"]].map(([lbl,key,type])=>(
+            {[["name","text"],["state","text"],["district","text"],["farmSize","text"],["phone","tel"],["crops","text"]].map(([key,type])=>(
               <div key={key} style={{ marginBottom:11 }}>
-                <label style={{ fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 }}>{lbl}</label>
+                <label style={{ fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 }}>{t(`pr.field.${key}`)}</label>
                 {editing
                   ? <input type={type} value={form[key]||""} onChange={e=>setForm(p=>({...p,[key]:e.target.value}))} style={{ width:"100%", padding:"8px 11px", borderRadius:8, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12, outline:"none", boxSizing:"border-box" }} />
-                  : <div style={{ fontSize:13, color:C.earth, padding:"5px 0", borderBottom:"1px solid rgba(0,0,0,.04)" }}>{form[key]||<span style={{ color:"#bbb" }}>Not set</span>}</div>
+                  : <div style={{ fontSize:13, color:C.earth, padding:"5px 0", borderBottom:"1px solid rgba(0,0,0,.04)" }}>{form[key]||<span style={{ color:"#bbb" }}>{t("pr.notSet")}</span>}</div>
                 }
               </div>
             ))}
 
             <div style={{ marginBottom:11 }}>
-              <label style={{ fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 }}>Role</label>
+              <label style={{ fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 }}>{t("pr.field.role")}</label>
               {editing
                 ? <select value={form.role} onChange={e=>setForm(p=>({...p,role:e.target.value}))} style={{ width:"100%", padding:"8px 11px", borderRadius:8, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12 }}>
-                    {ROLES.map(r=><option key={r}>{r}</option>)}
+                    {ROLES.map(r=><option key={r} value={r}>{t(`role.${r}`)}</option>)}
                   </select>
-                : <div style={{ fontSize:13, color:C.earth, padding:"5px 0" }}>{form.role}</div>
+                : <div style={{ fontSize:13, color:C.earth, padding:"5px 0" }}>{t(`role.${form.role}`)}</div>
               }
             </div>
+
+            <div style={{ marginBottom:11 }}>
+              <label style={{ fontSize:9, color:"#999", letterSpacing:1, textTransform:"uppercase", display:"block", marginBottom:3 }}>{t("common.language")}</label>
+              <LanguagePicker t={t} onChange={onLangChange} />
+              <div style={{ fontSize:10, color:"#999", marginTop:4 }}>{t("pr.langNote")}</div>
+            </div>
           </div>
         </div>
 
         <div>
-          <div style={{ background:"white", borderRadius:16, padding:22, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:16 }}>
-            <h3 style={{ margin:"0 0 16px", fontFamily:"Georgia,serif", color:C.earth }}>📊 Income Analytics (Last 6 Months)</h3>
-            <ResponsiveContainer width="100%" height={230}>
-              <BarChart data={profitData}>
-                <CartesianGrid strokeDasharray="3 3" stroke="rgba(0,0,0,.05)" />
-                <XAxis dataKey="month" tick={{ fontSize:11 }} />
-                <YAxis tick={{ fontSize:11 }} tickFormatter={v=>`₹${(v/1000).toFixed(0)}k`} />
-                <Tooltip formatter={v=>[`₹${v.toLocaleString()}`]} />
-                <Legend />
-                <Bar dataKey="revenue"  name="Revenue"  fill={C.leaf}    radius={[4,4,0,0]} />
-                <Bar dataKey="expenses" name="Expenses" fill={C.harvest+"90"} radius={[4,4,0,0]} />
-              </BarChart>
-            </ResponsiveContainer>
+          <FarmLedger t={t} />
+
+          <div style={{ background:"white", borderRadius:16, padding:20, boxShadow:"0 2px 14px rgba(0,0,0,.06)", marginBottom:16 }}>
+            <h3 style={{ margin:"0 0 6px", fontFamily:"Georgia,serif", color:C.earth, fontSize:15 }}>🎲 {t("pr.seed")}</h3>
+            <p style={{ margin:"0 0 12px", color:"#888", fontSize:12 }}>{t("pr.seedNote")}</p>
+            <div style={{ display:"flex", gap:8 }}>
+              <input type="number" value={seed} onChange={e=>e.target.value!==""&&onSeedChange(Math.trunc(+e.target.value))} style={{ width:140, padding:"8px 11px", borderRadius:8, border:"1.5px solid rgba(0,0,0,.12)", fontSize:12, outline:"none" }} />
+              <button onClick={()=>onSeedChange(Math.floor(Math.random()*100000))} style={{ padding:"8px 14px", borderRadius:8, border:`1px solid ${C.leaf}`, background:"white", color:C.leaf, fontSize:11, cursor:"pointer", fontWeight:600 }}>🎲 {t("pr.shuffle")}</button>
+              <button onClick={()=>onSeedChange(DEFAULT_SEED)} style={{ padding:"8px 14px", borderRadius:8, border:"1px solid #ddd", background:"white", color:"#666", fontSize:11, cursor:"pointer" }}>{t("pr.reset")}</button>
+            </div>
           </div>
 
           <div style={{ background:`${C.leaf}08`, border:`1.5px solid ${C.leaf}25`, borderRadius:16, padding:20 }}>
-            <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth, fontSize:15 }}>💾 Permanent Storage Info</h3>
+            <h3 style={{ margin:"0 0 14px", fontFamily:"Georgia,serif", color:C.earth, fontSize:15 }}>💾 {t("pr.storage")}</h3>
             <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:10 }}>
               {[
-                ["Profile data",         "AgroVue_profile",           "Name, role, location & farm details"],
-                ["AI Chat history",      "AgroVue_chat",              "All advisor conversations, permanent"],
-                ["Alerts state",         "AgroVue_alerts",            "Read/unread status remembered forever"],
-                ["Alert thresholds",     "AgroVue_alert_thresholds",  "Your price alert settings, auto-saved"],
-              ].map(([title,key,desc])=>(
-                <div key={title} style={{ background:"white", borderRadius:12, padding:"13px 14px", border:"1px solid rgba(0,0,0,.06)" }}>
-                  <div style={{ fontWeight:700, fontSize:12, color:C.earth, marginBottom:3 }}>{title}</div>
-                  <div style={{ fontSize:10, color:C.leaf, fontFamily:"monospace", marginBottom:4, wordBreak:"break-all" }}>{key}</div>
-                  <div style={{ fontSize:11, color:"#888" }}>{desc}</div>
+                ["profile",    "AgroVue_profile"],
+                ["chat",       "AgroVue_chat"],
+                ["alerts",     "AgroVue_alerts"],
+                ["thresholds", "AgroVue_alert_thresholds"],
+                ["prices",     "AgroVue_prices"],
+                ["seed",       "AgroVue_demo_seed"],
+                ["costs",      "AgroVue_mandi_costs"],
+                ["watchlist",  "AgroVue_watchlist"],
+                ["snapshots",  "AgroVue_snapshots"],
+                ["queue",      "AgroVue_advisor_queue"],
+                ["ledger",     "AgroVue_ledger"],
+              ].map(([id,key])=>(
+                <div key={id} style={{ background:"white", borderRadius:12, padding:"13px 14px", border:"1px solid rgba(0,0,0,.06)" }}>
+                  <div style={{ fontWeight:700, fontSize:12, color:C.earth, marginBottom:3 }}>{t(`pr.store.${id}`)}</div>
+                  <div style={{ fontSize:10, color:C.leaf, fontFamily:"monospace", marginBottom:4, wordBreak:"break-all" }}>{scopedKey(key)}</div>
+                  <div style={{ fontSize:11, color:"#888" }}>{t(`pr.store.${id}.desc`)}</div>
                 </div>
               ))}
             </div>
             <div style={{ marginTop:14, padding:"10px 14px", background:`${C.sky}10`, border:`1px solid ${C.sky}30`, borderRadius:10, fontSize:12, color:"#0369a1" }}>
-              ✅ <strong>Data is stored permanently</strong> using AgroVue's secure storage — survives browser restarts, clearing cache, and new sessions.
+              {backend?.persistent === false
+                ? <>⚠️ <strong>{t("pr.notPersistent")}</strong> {t("pr.notPersistentNote")}</>
+                : <>✅ <strong>{t("pr.persistent")}</strong> {t("pr.persistentNote", { backend:backend?.name || t("pr.browserStorage") })}</>}
             </div>
             <button onClick={clearAll}
               style={{ marginTop:14, padding:"8px 18px", borderRadius:9, border:`1px solid ${C.rust}`, background:"white", color:C.rust, fontSize:11, cursor:"pointer", fontWeight:600 }}>
-              🗑️ Clear All Saved Data
+              🗑️ {t("pr.clear")}
             </button>
           </div>
         </div>
@@ -1068,11 +1836,8 @@ function Profile({ user, setUser }) {
 // ─── SHARED STYLES ────────────────────────────────────────────────────────────
 const sel = { width:"100%", padding:"10px 13px", borderRadius:10, border:"1.5px solid rgba(0,0,0,.12)", fontSize:13, background:"white", cursor:"pointer", outline:"none" };
 
-// ─── AUTH HELPERS ─────────────────────────────────────────────────────────────
-const hashPass = (p) => btoa(unescape(encodeURIComponent(p + "_agrovue_salt_2025")));
-
 // ─── LOGIN SCREEN ─────────────────────────────────────────────────────────────
-function LoginScreen({ onLogin, onGoRegister }) {
+function LoginScreen({ onLogin, onGoRegister, notice, t, onLangChange }) {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [showPass, setShowPass] = useState(false);
@@ -1081,18 +1846,31 @@ function LoginScreen({ onLogin, onGoRegister }) {
 
   const handleLogin = async () => {
     setError("");
-    if (!username.trim() || !password.trim()) { setError("Please enter both username and password."); return; }
+    if (!username.trim() || !password.trim()) { setError(t("login.missing")); return; }
     setLoading(true);
     try {
       const users = await load("AgroVue_users", {});
       const key   = username.trim().toLowerCase();
-      if (!users[key]) { setError("❌ Username not found. Please register first."); setLoading(false); return; }
-      if (users[key].passwordHash !== hashPass(password)) { setError("❌ Incorrect password. Please try again."); setLoading(false); return; }
+      if (!users[key]) { setError(`❌ ${t("login.notFound")}`); setLoading(false); return; }
+      const wait = lockoutRemaining(users[key]);
+      if (wait) { setError(`🔒 ${t("login.tryAgainIn", { wait:formatWait(wait) })}`); setLoading(false); return; }
+      const { ok, upgrade } = await verifyPassword(users[key], password);
+      if (!ok) {
+        users[key] = recordFailedLogin(users[key]);
+        await save("AgroVue_users", users);
+        const locked = lockoutRemaining(users[key]);
+        setError(locked ? `🔒 ${t("login.lockedFor", { wait:formatWait(locked) })}` : `❌ ${t("login.wrongPassword")}`);
+        setLoading(false); return;
+      }
+      // Old base64 hashes are replaced by PBKDF2 here, on the first successful login
+      users[key] = recordSuccessfulLogin(users[key], upgrade);
+      await save("AgroVue_users", users);
       // Save session
-      await save("AgroVue_session", { username: key, loggedInAt: Date.now() });
-      onLogin(users[key].profile);
+      await save(SESSION_KEY, createSession(key));
+      await openUserStorage(key);
+      onLogin(await load("AgroVue_profile", users[key].profile));
     } catch (e) {
-      setError("Something went wrong. Please try again.");
+      setError(t("auth.failed"));
     }
     setLoading(false);
   };
@@ -1116,18 +1894,24 @@ function LoginScreen({ onLogin, onGoRegister }) {
       </div>
 
       <div style={{ width:"100%", maxWidth:420, animation:"fadeUp .5s ease" }}>
+        <div style={{ display:"flex", justifyContent:"flex-end", marginBottom:8 }}><LanguagePicker t={t} onChange={onLangChange} dark /></div>
         {/* Logo */}
         <div style={{ textAlign:"center", marginBottom:32 }}>
           <div style={{ fontSize:52, marginBottom:10, animation:"float 3s ease-in-out infinite" }}><img src={LOGO_B64} alt="AgroVue" style={{ width:110, height:110, objectFit:"contain", filter:"drop-shadow(0 4px 16px rgba(0,0,0,0.25))" }} /></div>
           <div style={{ color:"#F4A261", fontFamily:"Georgia,serif", fontSize:28, fontWeight:700, letterSpacing:1 }}>AgroVue</div>
-          <div style={{ color:"rgba(255,255,255,.4)", fontSize:11, letterSpacing:3, textTransform:"uppercase", marginTop:4 }}>Price Intelligence Platform</div>
+          <div style={{ color:"rgba(255,255,255,.4)", fontSize:11, letterSpacing:3, textTransform:"uppercase", marginTop:4 }}>{t("login.tagline")}</div>
         </div>
 
         {/* Card */}
         <div style={{ background:"rgba(255,255,255,.97)", borderRadius:22, padding:"36px 36px 32px", boxShadow:"0 24px 80px rgba(0,0,0,.35)" }}>
-          <h2 style={{ margin:"0 0 6px", fontFamily:"Georgia,serif", color:"#1A0F0A", fontSize:22, fontWeight:700 }}>Welcome back 👋</h2>
-          <p style={{ margin:"0 0 28px", color:"#888", fontSize:13 }}>Sign in to access your farm dashboard</p>
+          <h2 style={{ margin:"0 0 6px", fontFamily:"Georgia,serif", color:"#1A0F0A", fontSize:22, fontWeight:700 }}>{t("login.welcome")} 👋</h2>
+          <p style={{ margin:"0 0 28px", color:"#888", fontSize:13 }}>{t("login.subtitle")}</p>
 
+          {notice && !error && (
+            <div style={{ background:"#FFFBEB", border:"1.5px solid #FDE68A", borderRadius:10, padding:"10px 14px", marginBottom:18, color:"#B45309", fontSize:13, display:"flex", alignItems:"center", gap:8 }}>
+              {notice}
+            </div>
+          )}
           {error && (
             <div style={{ background:"#FEF2F2", border:"1.5px solid #FECACA", borderRadius:10, padding:"10px 14px", marginBottom:18, color:"#DC2626", fontSize:13, display:"flex", alignItems:"center", gap:8 }}>
               {error}
@@ -1135,7 +1919,7 @@ function LoginScreen({ onLogin, onGoRegister }) {
           )}
 
           <div style={{ marginBottom:18 }}>
-            <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>USERNAME</label>
+            <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>{t("auth.username").toUpperCase()}</label>
             <div style={{ position:"relative" }}>
               <span style={{ position:"absolute", left:13, top:"50%", transform:"translateY(-50%)", fontSize:16 }}>👤</span>
               <input
@@ -1143,14 +1927,14 @@ function LoginScreen({ onLogin, onGoRegister }) {
                 value={username}
                 onChange={e=>setUsername(e.target.value)}
                 onKeyPress={e=>e.key==="Enter"&&handleLogin()}
-                placeholder="Enter your username"
+                placeholder={t("login.usernamePh")}
                 style={{ width:"100%", padding:"12px 14px 12px 40px", borderRadius:11, border:"1.5px solid rgba(0,0,0,.12)", fontSize:14, boxSizing:"border-box", transition:"all .2s", background:"#FAFAFA" }}
               />
             </div>
           </div>
 
           <div style={{ marginBottom:24 }}>
-            <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>PASSWORD</label>
+            <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>{t("auth.password").toUpperCase()}</label>
             <div style={{ position:"relative" }}>
               <span style={{ position:"absolute", left:13, top:"50%", transform:"translateY(-50%)", fontSize:16 }}>🔒</span>
               <input
@@ -1159,7 +1943,7 @@ function LoginScreen({ onLogin, onGoRegister }) {
                 value={password}
                 onChange={e=>setPassword(e.target.value)}
                 onKeyPress={e=>e.key==="Enter"&&handleLogin()}
-                placeholder="Enter your password"
+                placeholder={t("login.passwordPh")}
                 style={{ width:"100%", padding:"12px 44px 12px 40px", borderRadius:11, border:"1.5px solid rgba(0,0,0,.12)", fontSize:14, boxSizing:"border-box", transition:"all .2s", background:"#FAFAFA" }}
               />
               <button onClick={()=>setShowPass(p=>!p)} style={{ position:"absolute", right:13, top:"50%", transform:"translateY(-50%)", background:"none", border:"none", cursor:"pointer", fontSize:16, padding:0 }}>
@@ -1173,19 +1957,19 @@ function LoginScreen({ onLogin, onGoRegister }) {
             onClick={handleLogin}
             disabled={loading}
             style={{ width:"100%", padding:"13px", borderRadius:12, border:"none", background:loading?"#ccc":`linear-gradient(135deg,#2D6A4F,#52B788)`, color:"white", fontSize:15, fontWeight:700, cursor:loading?"not-allowed":"pointer", transition:"all .2s", boxShadow:"0 4px 18px rgba(45,106,79,.3)", letterSpacing:.5 }}>
-            {loading ? "⚙️ Signing in…" : "🚀 Sign In"}
+            {loading ? `⚙️ ${t("login.signingIn")}` : `🚀 ${t("login.signIn")}`}
           </button>
 
           <div style={{ textAlign:"center", marginTop:22, fontSize:13, color:"#888" }}>
-            Don't have an account?{" "}
+            {t("login.noAccount")}{" "}
             <span className="auth-link" onClick={onGoRegister} style={{ color:"#2D6A4F", fontWeight:700, cursor:"pointer", transition:"color .2s" }}>
-              Register here →
+              {t("login.register")} →
             </span>
           </div>
         </div>
 
         <div style={{ textAlign:"center", marginTop:20, color:"rgba(255,255,255,.3)", fontSize:11 }}>
-          🔐 Your data is stored securely • No server required
+          🔐 {t("login.footer")}
         </div>
       </div>
     </div>
@@ -1193,7 +1977,7 @@ function LoginScreen({ onLogin, onGoRegister }) {
 }
 
 // ─── REGISTER SCREEN ──────────────────────────────────────────────────────────
-function RegisterScreen({ onGoLogin, onLogin }) {
+function RegisterScreen({ onGoLogin, onLogin, t, onLangChange }) {
   const ROLES = ["Farmer","Trader","Researcher","Admin"];
   const [form, setForm]     = useState({ username:"", password:"", confirmPassword:"", name:"", role:"Farmer", state:"", phone:"" });
   const [showPass, setShowPass] = useState(false);
@@ -1203,13 +1987,13 @@ function RegisterScreen({ onGoLogin, onLogin }) {
   const set = (k,v) => setForm(p=>({...p,[k]:v}));
 
   const validate = () => {
-    if (!form.username.trim())        return "Username is required.";
-    if (form.username.trim().length < 3) return "Username must be at least 3 characters.";
-    if (!/^[a-zA-Z0-9_]+$/.test(form.username.trim())) return "Username: only letters, numbers, underscores.";
-    if (!form.password)               return "Password is required.";
-    if (form.password.length < 6)     return "Password must be at least 6 characters.";
-    if (form.password !== form.confirmPassword) return "Passwords do not match.";
-    if (!form.name.trim())            return "Full name is required.";
+    if (!form.username.trim())        return t("reg.err.username");
+    if (form.username.trim().length < 3) return t("reg.err.usernameShort");
+    if (!/^[a-zA-Z0-9_]+$/.test(form.username.trim())) return t("reg.err.usernameChars");
+    if (!form.password)               return t("reg.err.password");
+    if (form.password.length < 6)     return t("reg.err.passwordShort");
+    if (form.password !== form.confirmPassword) return t("reg.err.mismatch");
+    if (!form.name.trim())            return t("reg.err.name");
     return null;
   };
 
@@ -1221,24 +2005,26 @@ function RegisterScreen({ onGoLogin, onLogin }) {
     try {
       const users = await load("AgroVue_users", {});
       const key   = form.username.trim().toLowerCase();
-      if (users[key]) { setError("❌ Username already taken. Please choose another."); setLoading(false); return; }
+      if (users[key]) { setError(`❌ ${t("reg.err.taken")}`); setLoading(false); return; }
 
-      const profile = { name: form.name.trim(), role: form.role, state: form.state, district:"", farmSize:"", phone: form.phone, crops:"", username: key };
-      users[key] = { passwordHash: hashPass(form.password), profile, createdAt: Date.now() };
+      const profile = { name: form.name.trim(), role: form.role, state: form.state, district:"", farmSize:"", phone: form.phone, crops:"", username: key, lang: t.lang };
+      users[key] = { password: await hashPassword(form.password), profile, createdAt: Date.now() };
       await save("AgroVue_users", users);
-      await save("AgroVue_session", { username: key, loggedInAt: Date.now() });
+      await save(SESSION_KEY, createSession(key));
+      await openUserStorage(key);
       await save("AgroVue_profile", profile);
-      setSuccess("✅ Account created! Logging you in…");
+      setSuccess(`✅ ${t("reg.created")}`);
       setTimeout(() => onLogin(profile), 1000);
     } catch (e) {
-      setError("Something went wrong. Please try again.");
+      setError(t("auth.failed"));
     }
     setLoading(false);
   };
 
+  // Label and placeholder are message keys
   const inp = (label, key, type="text", placeholder="", icon="✏️") => (
     <div style={{ marginBottom:16 }}>
-      <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>{label.toUpperCase()}</label>
+      <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>{t(label).toUpperCase()}</label>
       <div style={{ position:"relative" }}>
         <span style={{ position:"absolute", left:13, top:"50%", transform:"translateY(-50%)", fontSize:15 }}>{icon}</span>
         <input
@@ -1246,7 +2032,7 @@ function RegisterScreen({ onGoLogin, onLogin }) {
           type={key==="password"||key==="confirmPassword" ? (showPass?"text":"password") : type}
           value={form[key]}
           onChange={e=>set(key,e.target.value)}
-          placeholder={placeholder}
+          placeholder={placeholder && t(placeholder)}
           style={{ width:"100%", padding:"11px 14px 11px 38px", borderRadius:10, border:"1.5px solid rgba(0,0,0,.12)", fontSize:13, boxSizing:"border-box", transition:"all .2s", background:"#FAFAFA" }}
         />
         {(key==="password"||key==="confirmPassword") && (
@@ -1269,45 +2055,46 @@ function RegisterScreen({ onGoLogin, onLogin }) {
       `}</style>
 
       <div style={{ width:"100%", maxWidth:460, animation:"fadeUp .5s ease" }}>
+        <div style={{ display:"flex", justifyContent:"flex-end", marginBottom:8 }}><LanguagePicker t={t} onChange={onLangChange} dark /></div>
         <div style={{ textAlign:"center", marginBottom:28 }}>
           <div style={{ fontSize:44, marginBottom:8, animation:"float 3s ease-in-out infinite" }}><img src={LOGO_B64} alt="AgroVue" style={{ width:90, height:90, objectFit:"contain", filter:"drop-shadow(0 4px 12px rgba(0,0,0,0.2))" }} /></div>
           <div style={{ color:"#F4A261", fontFamily:"Georgia,serif", fontSize:24, fontWeight:700 }}>AgroVue</div>
-          <div style={{ color:"rgba(255,255,255,.35)", fontSize:10, letterSpacing:3, textTransform:"uppercase", marginTop:3 }}>Create Your Account</div>
+          <div style={{ color:"rgba(255,255,255,.35)", fontSize:10, letterSpacing:3, textTransform:"uppercase", marginTop:3 }}>{t("reg.tagline")}</div>
         </div>
 
         <div style={{ background:"rgba(255,255,255,.97)", borderRadius:22, padding:"32px 34px 28px", boxShadow:"0 24px 80px rgba(0,0,0,.35)" }}>
-          <h2 style={{ margin:"0 0 4px", fontFamily:"Georgia,serif", color:"#1A0F0A", fontSize:20, fontWeight:700 }}>Create Account 🌱</h2>
-          <p style={{ margin:"0 0 24px", color:"#888", fontSize:12 }}>Join thousands of farmers using AgroVue</p>
+          <h2 style={{ margin:"0 0 4px", fontFamily:"Georgia,serif", color:"#1A0F0A", fontSize:20, fontWeight:700 }}>{t("reg.title")} 🌱</h2>
+          <p style={{ margin:"0 0 24px", color:"#888", fontSize:12 }}>{t("reg.subtitle")}</p>
 
           {error   && <div style={{ background:"#FEF2F2", border:"1.5px solid #FECACA", borderRadius:10, padding:"10px 14px", marginBottom:16, color:"#DC2626", fontSize:13 }}>{error}</div>}
           {success && <div style={{ background:"#ECFDF5", border:"1.5px solid #6EE7B7", borderRadius:10, padding:"10px 14px", marginBottom:16, color:"#065F46", fontSize:13 }}>{success}</div>}
 
           <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 14px" }}>
-            <div style={{ gridColumn:"1/-1" }}>{inp("Username","username","text","Choose a username","👤")}</div>
-            {inp("Full Name","name","text","Your full name","🧑‍🌾")}
+            <div style={{ gridColumn:"1/-1" }}>{inp("auth.username","username","text","reg.usernamePh","👤")}</div>
+            {inp("pr.field.name","name","text","reg.namePh","🧑‍🌾")}
             <div>
-              <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>ROLE</label>
+              <label style={{ fontSize:11, fontWeight:600, color:"#555", letterSpacing:.5, display:"block", marginBottom:7 }}>{t("pr.field.role").toUpperCase()}</label>
               <select value={form.role} onChange={e=>set("role",e.target.value)} style={{ width:"100%", padding:"11px 13px", borderRadius:10, border:"1.5px solid rgba(0,0,0,.12)", fontSize:13, background:"#FAFAFA", marginBottom:16 }}>
-                {ROLES.map(r=><option key={r}>{r}</option>)}
+                {ROLES.map(r=><option key={r} value={r}>{t(`role.${r}`)}</option>)}
               </select>
             </div>
-            {inp("State","state","text","e.g. Punjab","📍")}
-            {inp("Phone (optional)","phone","tel","Mobile number","📞")}
-            <div style={{ gridColumn:"1/-1" }}>{inp("Password","password","password","Min. 6 characters","🔒")}</div>
-            <div style={{ gridColumn:"1/-1" }}>{inp("Confirm Password","confirmPassword","password","Re-enter password","🔑")}</div>
+            {inp("pr.field.state","state","text","reg.statePh","📍")}
+            {inp("reg.phone","phone","tel","reg.phonePh","📞")}
+            <div style={{ gridColumn:"1/-1" }}>{inp("auth.password","password","password","reg.passwordPh","🔒")}</div>
+            <div style={{ gridColumn:"1/-1" }}>{inp("reg.confirm","confirmPassword","password","reg.confirmPh","🔑")}</div>
           </div>
 
           {/* Password strength */}
           {form.password && (
             <div style={{ marginBottom:18, marginTop:-8 }}>
-              {[["Weak","#DC2626",1],["Fair","#F59E0B",2],["Good","#10B981",3],["Strong","#2D6A4F",4]].map(([label,color,level])=>{
+              {[["weak","#DC2626",1],["fair","#F59E0B",2],["good","#10B981",3],["strong","#2D6A4F",4]].map(([label,color,level])=>{
                 const strength = form.password.length >= 10 && /[A-Z]/.test(form.password) && /[0-9]/.test(form.password) ? 4
                   : form.password.length >= 8 ? 3 : form.password.length >= 6 ? 2 : 1;
                 if (strength !== level) return null;
                 return (
                   <div key={label} style={{ display:"flex", alignItems:"center", gap:8 }}>
                     <div style={{ display:"flex", gap:3 }}>{[1,2,3,4].map(i=><div key={i} style={{ width:36, height:4, borderRadius:2, background: i<=strength ? color : "#eee" }}/>)}</div>
-                    <span style={{ fontSize:11, color, fontWeight:600 }}>{label}</span>
+                    <span style={{ fontSize:11, color, fontWeight:600 }}>{t(`reg.${label}`)}</span>
                   </div>
                 );
               })}
@@ -1319,19 +2106,19 @@ function RegisterScreen({ onGoLogin, onLogin }) {
             onClick={handleRegister}
             disabled={loading}
             style={{ width:"100%", padding:"13px", borderRadius:12, border:"none", background:loading?"#ccc":`linear-gradient(135deg,#2D6A4F,#52B788)`, color:"white", fontSize:15, fontWeight:700, cursor:loading?"not-allowed":"pointer", transition:"all .2s", boxShadow:"0 4px 18px rgba(45,106,79,.3)" }}>
-            {loading ? "⚙️ Creating account…" : "🌱 Create Account"}
+            {loading ? `⚙️ ${t("reg.creating")}` : `🌱 ${t("reg.title")}`}
           </button>
 
           <div style={{ textAlign:"center", marginTop:20, fontSize:13, color:"#888" }}>
-            Already have an account?{" "}
+            {t("reg.haveAccount")}{" "}
             <span className="auth-link" onClick={onGoLogin} style={{ color:"#2D6A4F", fontWeight:700, cursor:"pointer", transition:"color .2s" }}>
-              Sign in →
+              {t("login.signIn")} →
             </span>
           </div>
         </div>
 
         <div style={{ textAlign:"center", marginTop:18, color:"rgba(255,255,255,.25)", fontSize:11 }}>
-          🔐 Data stored locally in your browser • Private & secure
+          🔐 {t("reg.footer")}
         </div>
       </div>
     </div>
@@ -1369,13 +2156,43 @@ export default function App() {
   const [authScreen, setAuthScreen] = useState("login"); // "login" | "register"
   const [loggedIn, setLoggedIn]     = useState(false);
   const [ready, setReady]     = useState(false);
+  const [prices, setPrices]   = useState({});
+  const [seed, setSeed]       = useState(DEFAULT_SEED);
+  const [watchlist, setWatchlist] = useState([]);
+  const [authNotice, setAuthNotice] = useState("");
+  const [backend, setBackend] = useState(null);
+  const [storageIssue, setStorageIssue] = useState(null);
+  const [forecasts, setForecasts] = useState({}); // crop → latest { model, rows, at }, for the advisor
+  const [uiLang, setUiLang]   = useState("en");   // the device's language until a profile says otherwise
+  const [online, setOnline]   = useState(isOnline);
+  const [snapshots, setSnapshots] = useState(null); // crop → offline snapshot (offline.js); null until loaded
+  const t = useMemo(() => createT(user.lang || uiLang), [user.lang, uiLang]);
+
+  // Which storage backend is in use, and any save/load failures, are shown to the user
+  useEffect(() => {
+    storageInfo().then(setBackend);
+    return onStorageIssue(setStorageIssue);
+  }, []);
+
+  // The service worker caches the app shell, so it registers before sign-in too
+  useEffect(() => {
+    registerServiceWorker();
+    return onConnectivityChange(setOnline);
+  }, []);
 
   // On mount: check for existing session
   useEffect(() => {
     (async () => {
       try {
-        const session = await load("AgroVue_session", null);
-        if (session && session.username) {
+        const deviceLang = await load(UI_LANG_KEY, "en");
+        setUiLang(deviceLang);
+        const session = await load(SESSION_KEY, null);
+        if (session && !sessionValid(session)) {
+          await remove(SESSION_KEY);
+          setAuthNotice(`⏱️ ${createT(deviceLang)("auth.expired")}`);
+        } else if (session) {
+          await save(SESSION_KEY, touchSession(session));
+          await openUserStorage(session.username);
           const profile = await load("AgroVue_profile", DEFAULT_USER);
           setUser(profile);
           setLoggedIn(true);
@@ -1385,18 +2202,167 @@ export default function App() {
     })();
   }, []);
 
+  // Mandi price records and the demo-data seed are shared by every tab
+  useEffect(() => {
+    if (!loggedIn) return;
+    loadPrices().then(setPrices);
+    load(DEMO_SEED_KEY, DEFAULT_SEED).then(setSeed);
+    load("AgroVue_profile", null).then(loadWatchlist).then(setWatchlist);
+    // Forecasts run in an earlier session are still there for the advisor
+    loadSnapshots().then(s => { setSnapshots(s); setForecasts(f => ({ ...snapshotForecasts(s), ...f })); });
+  }, [loggedIn]);
+
+  // Watched crops keep a snapshot of their latest price and forecast for offline use
+  const snapshotsReady = snapshots !== null;
+  useEffect(() => {
+    if (!loggedIn || !snapshotsReady) return;
+    const fresh = watchlist.map(({ crop: c }) => {
+      const hist = historyFor(prices, c, 24, seed);
+      return takeSnapshot(c, hist, { outlook:runForecast(hist, "Ensemble", 7).rows, forecast:forecasts[c] || null, imported:!!prices[c]?.length, asOf:dataAsOf(prices[c]) });
+    });
+    setSnapshots(current => updateSnapshots(current, fresh));
+  }, [prices, seed, watchlist, forecasts, loggedIn, snapshotsReady]);
+
+  useEffect(() => {
+    if (loggedIn && snapshots) saveSnapshots(snapshots);
+  }, [snapshots, loggedIn]);
+
+  const handleSeedChange = async (next) => {
+    setSeed(next);
+    await save(DEMO_SEED_KEY, next);
+  };
+
+  const handleImportPrices = async (text) => {
+    const result = await importPrices(text);
+    setPrices(result.prices);
+    return result;
+  };
+
+  // Notification clicks (service worker message or ?crop= on a fresh window) land on that crop's dashboard
+  const openCrop = (c) => {
+    if (!CROPS.includes(c)) return;
+    setCrop(c); setTab("dashboard");
+  };
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("crop")) {
+      openCrop(params.get("crop"));
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+    const onMessage = (e) => { if (e.data?.type === "open-crop") openCrop(e.data.crop); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, [loggedIn]);
+
+  const handleWatchlistChange = async (next) => {
+    setWatchlist(next);
+    await saveWatchlist(next);
+  };
+
+  // Read-outs use the numbers the tabs show: the Dashboard cards, and the
+  // latest forecast run for the crop (a quick 7-day Ensemble when there is none)
+  const readout = (what, c) => {
+    const hist = historyFor(prices, c, 24, seed);
+    if (what === "forecast") {
+      const run = forecasts[c] || { model:"Ensemble", rows:runForecast(hist, "Ensemble", 7).rows };
+      return forecastReadout(t, { crop:c, model:run.model, rows:run.rows });
+    }
+    return dashboardReadout(t, { crop:c, hist, outlook:runForecast(hist, "Ensemble", 7).rows, asOf:dataAsOf(prices[c]) });
+  };
+
+  // The app-wide mic: acts on a parsed command and returns what to say back
+  const handleVoiceCommand = (command) => {
+    if (command.type === "tab") {
+      setTab(command.tab);
+      if (command.crop) setCrop(command.crop);
+      return t("vc.opened", { tab:t(`nav.${command.tab}`) });
+    }
+    if (command.type === "crop") {
+      setCrop(command.crop);
+      return t("vc.crop", { crop:t.crop(command.crop) });
+    }
+    if (command.type === "alert") {
+      handleWatchlistChange(updateEntry(addCrop(watchlist, command.crop), command.crop, { [command.direction]:command.price }));
+      return t("vc.alert", { crop:t.crop(command.crop), target:t(`al.${command.direction}`, { price:t.rupees(command.price) }) });
+    }
+    // On the Forecast tab "read the forecast" means the run just made there
+    const latest = Object.entries(forecasts).sort(([, a], [, b]) => b.at - a.at)[0]?.[0];
+    const c = command.crop || (command.what === "forecast" && tab === "predict" && latest) || crop;
+    if (command.crop) setCrop(command.crop);
+    return readout(command.what, c);
+  };
+
+  // New price data re-checks every watched crop that has imported records,
+  // at its preferred mandi when one is set. ₹ targets are checked for every
+  // watched crop, on the demo series when nothing was imported, so a target
+  // set by voice fires whichever data the app is showing.
+  useEffect(() => {
+    if (!loggedIn || !watchlist.length) return;
+    raiseAlerts(thresholds => watchlist.flatMap(w => {
+      const imported = !!prices[w.crop]?.length;
+      const series = imported ? monthlySeries(prices[w.crop], 1, { market: w.mandi || undefined }) : historyFor(prices, w.crop, 1, seed);
+      return [
+        ...(imported ? priceMoveAlerts(w.crop, series, thresholdsFor(watchlist, w.crop, thresholds), { mandi: w.mandi }) : []),
+        ...priceTargetAlerts(w.crop, series, w, { mandi: imported ? w.mandi : null }),
+      ];
+    }), openCrop);
+  }, [prices, watchlist, loggedIn, seed]);
+
+  const handleForecast = (fcCrop, model, hist, rows) => {
+    setForecasts(f => ({ ...f, [fcCrop]: { model, rows, at: Date.now() } }));
+    if (!isWatched(watchlist, fcCrop)) return;
+    raiseAlerts(thresholds => forecastAlerts(fcCrop, hist[hist.length - 1]?.actual, rows, thresholdsFor(watchlist, fcCrop, thresholds), { model }), openCrop);
+  };
+
   const handleLogin = (profile) => {
     setUser(profile);
+    setAuthNotice("");
     setLoggedIn(true);
+    // The login screen next time opens in this user's language
+    if (profile.lang) { setUiLang(profile.lang); save(UI_LANG_KEY, profile.lang); }
   };
 
-  const handleLogout = async () => {
-    try { await window.storage.delete("AgroVue_session"); } catch {}
+  // From the nav bar, Profile or the login screens: saved to the profile when
+  // someone is signed in, and as the device language either way
+  const handleLangChange = async (lang) => {
+    setUiLang(lang);
+    await save(UI_LANG_KEY, lang);
+    if (!loggedIn) return;
+    const next = { ...user, lang };
+    setUser(next);
+    await save("AgroVue_profile", next);
+  };
+
+  const handleLogout = async (notice = "") => {
+    await remove(SESSION_KEY);
+    closeUserStorage();
     setLoggedIn(false);
     setUser(DEFAULT_USER);
+    setAuthNotice(notice);
     setAuthScreen("login");
   };
 
+  // Activity keeps the session alive (written at most once a minute); a
+  // once-a-minute check signs out on idle timeout or absolute expiry
+  useEffect(() => {
+    if (!loggedIn) return;
+    let lastTouch = Date.now();
+    const onActivity = async () => {
+      if (Date.now() - lastTouch < 60000) return;
+      lastTouch = Date.now();
+      const session = await load(SESSION_KEY, null);
+      if (sessionValid(session)) await save(SESSION_KEY, touchSession(session));
+    };
+    const timer = setInterval(async () => {
+      if (!sessionValid(await load(SESSION_KEY, null))) handleLogout(`⏱️ ${t("auth.signedOut")}`);
+    }, 60000);
+    const EVENTS = ["click", "keydown", "touchstart"];
+    EVENTS.forEach(ev => window.addEventListener(ev, onActivity));
+    return () => { clearInterval(timer); EVENTS.forEach(ev => window.removeEventListener(ev, onActivity)); };
+  }, [loggedIn, t]);
+
   // Loading splash
   if (!ready && !loggedIn && authScreen === "login") {
     // Just show auth immediately — no need for loading screen
@@ -1404,8 +2370,8 @@ export default function App() {
 
   if (!loggedIn) {
     return authScreen === "login"
-      ? <LoginScreen    onLogin={handleLogin} onGoRegister={()=>setAuthScreen("register")} />
-      : <RegisterScreen onLogin={handleLogin} onGoLogin={()=>setAuthScreen("login")} />;
+      ? <LoginScreen    onLogin={handleLogin} onGoRegister={()=>setAuthScreen("register")} notice={authNotice} t={t} onLangChange={handleLangChange} />
+      : <RegisterScreen onLogin={handleLogin} onGoLogin={()=>setAuthScreen("login")} t={t} onLangChange={handleLangChange} />;
   }
 
   return (
@@ -1422,19 +2388,21 @@ export default function App() {
         input[type=range] { accent-color:#2D6A4F; }
       `}</style>
 
-      <NavBar tab={tab} setTab={setTab} user={user} onLogout={handleLogout} />
+      <NavBar tab={tab} setTab={setTab} user={user} onLogout={()=>handleLogout()} t={t} onLangChange={handleLangChange} online={online} />
+      <StorageBanner issue={storageIssue} backend={backend} onDismiss={()=>setStorageIssue(null)} />
 
-      {tab==="dashboard" && <Dashboard crop={crop} setCrop={setCrop} />}
-      {tab==="predict"   && <PriceForecast   crop={crop} />}
-      {tab==="market"    && <MarketIntel />}
-      {tab==="advisor"   && <AIAdvisor  crop={crop} user={user} />}
-      {tab==="voice"     && <VoiceAssistant  crop={crop} />}
-      {tab==="alerts"    && <Alerts     crop={crop} />}
-      {tab==="profile"   && <Profile    user={user} setUser={setUser} />}
+      {tab==="dashboard" && <Dashboard crop={crop} setCrop={setCrop} prices={prices} seed={seed} watchlist={watchlist} onWatchlistChange={handleWatchlistChange} t={t} online={online} snapshots={snapshots} />}
+      {tab==="predict"   && <PriceForecast   crop={crop} prices={prices} seed={seed} onForecast={handleForecast} t={t} />}
+      {tab==="market"    && <MarketIntel crop={crop} prices={prices} onImport={handleImportPrices} seed={seed} user={user} />}
+      {tab==="advisor"   && <AIAdvisor  crop={crop} user={user} watchlist={watchlist} prices={prices} seed={seed} forecasts={forecasts} onWatchlistChange={handleWatchlistChange} onForecast={handleForecast} online={online} />}
+      {tab==="voice"     && <VoiceAssistant  crop={crop} setCrop={setCrop} watchlist={watchlist} onWatchlistChange={handleWatchlistChange} user={user} prices={prices} seed={seed} forecasts={forecasts} online={online} />}
+      {tab==="alerts"    && <Alerts     watchlist={watchlist} onWatchlistChange={handleWatchlistChange} t={t} />}
+      {tab==="profile"   && <Profile    user={user} setUser={setUser} seed={seed} onSeedChange={handleSeedChange} watchlist={watchlist} onWatchlistChange={handleWatchlistChange} backend={backend} t={t} onLangChange={handleLangChange} />}
 
       <footer style={{ padding:"18px 24px", textAlign:"center", color:"#bbb", fontSize:11, borderTop:"1px solid rgba(0,0,0,.06)", marginTop:40, background:"rgba(255,255,255,.5)" }}>
         <span style={{ color:C.leaf }}>🌾 AgroVue</span> — AI Agricultural Intelligence &nbsp;•&nbsp; Data: AgMarkNet, eNAM, IMD &nbsp;•&nbsp; Prices are AI estimates; verify before selling
       </footer>
+      {tab!=="voice" && <VoiceCommandButton t={t} tab={tab} crop={crop} onCommand={handleVoiceCommand} online={online} />}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+// ─── ADVISOR CLIENT ───────────────────────────────────────────────────────────
+// Talks to the AgroVue advisor server (server/app.js), which holds the provider
+// API key and enforces per-user limits. In development `npm start` proxies
+// /api to the server on :8787; REACT_APP_ADVISOR_URL points elsewhere if needed.
+
+export const ADVISOR_URL = process.env.REACT_APP_ADVISOR_URL || "/api/advisor";
+
+export class AdvisorError extends Error {
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = "AdvisorError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export async function askAdvisor({ system, messages, user, maxTokens = 1000 }, { fetchImpl = (...a) => window.fetch(...a), url = ADVISOR_URL } = {}) {
+  const res = await fetchImpl(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-AgroVue-User": user || "anonymous" },
+    body: JSON.stringify({ system, messages, maxTokens }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new AdvisorError(data.error || `Advisor server returned ${res.status}`, res.status, data.retryAfter ?? null);
+  return (data.text || "").trim();
+}
+
+// Same SSE framing as server/sse.js: complete events plus the unfinished tail.
+export function parseSSE(buffer) {
+  const blocks = buffer.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    let event = "message"; const data = [];
+    block.split("\n").forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    });
+    try { return { event, data: JSON.parse(data.join("\n")) }; } catch { return { event, data: {} }; }
+  });
+  return { events, rest };
+}
+
+// Streams the reply, calling onDelta(chunk, textSoFar) as tokens arrive, and
+// resolves with { text, stopped, toolCalls } — toolCalls lists the `tools` the
+// model asked the app to run before it can finish (see toolLoop.js).
+// Aborting `signal` resolves with { text: partial, stopped: true } instead of
+// throwing; any other failure throws with the partial text on `err.partial`.
+export async function streamAdvisor({ system, messages, user, maxTokens = 1000, tools, toolChoice }, { onDelta = () => {}, signal, fetchImpl = (...a) => window.fetch(...a), url = ADVISOR_URL } = {}) {
+  let text = ""; let toolCalls = [];
+  try {
+    const res = await fetchImpl(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream", "X-AgroVue-User": user || "anonymous" },
+      body: JSON.stringify({ system, messages, maxTokens, stream: true, ...(tools?.length && { tools, toolChoice }) }),
+      signal,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new AdvisorError(data.error || `Advisor server returned ${res.status}`, res.status, data.retryAfter ?? null);
+    }
+    const reader = res.body.getReader(); const decoder = new TextDecoder(); let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      const { events, rest } = parseSSE(buffer + decoder.decode(value, { stream: true }));
+      buffer = rest;
+      for (const { event, data } of events) {
+        if (event === "delta" && data.text) { text += data.text; onDelta(data.text, text); }
+        else if (event === "done") toolCalls = data.toolCalls || [];
+        else if (event === "error") throw new AdvisorError(data.error || "Advisor stream failed", 502);
+      }
+    }
+    return { text: text.trim(), stopped: false, toolCalls };
+  } catch (err) {
+    if (err.name === "AbortError" || signal?.aborted) return { text: text.trim(), stopped: true, toolCalls: [] };
+    err.partial = text.trim();
+    throw err;
+  }
+}
+
+// Collects streamed chunks and hands out whole sentences, so speech synthesis
+// can start on the first one while the rest is still arriving.
+export function createSentenceBuffer(onSentence) {
+  let pending = "";
+  const emit = (s) => { const t = s.trim(); if (t) onSentence(t); };
+  return {
+    push(delta) {
+      pending += delta;
+      const re = /[.!?।]+["')\]]*\s+|\n+/g; let cut = 0; let m;
+      while ((m = re.exec(pending))) { emit(pending.slice(cut, m.index + m[0].length)); cut = m.index + m[0].length; }
+      pending = pending.slice(cut);
+    },
+    flush() { emit(pending); pending = ""; },
+  };
+}
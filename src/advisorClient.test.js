@@ -0,0 +1,69 @@
+import { TextEncoder, TextDecoder } from "util";
+import { askAdvisor, streamAdvisor, createSentenceBuffer, AdvisorError } from "./advisorClient";
+
+// jsdom has no TextDecoder; the stream reader needs it
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const reply = (status, body) => async () => ({ ok: status < 400, status, json: async () => body });
+
+test("posts the conversation with the user header and returns the text", async () => {
+  let sent;
+  const fetchImpl = async (url, init) => { sent = { url, init }; return reply(200, { text: " Sell in March. " })(); };
+  const text = await askAdvisor({ system: "sys", messages: [{ role: "user", content: "When?" }], user: "ravi" }, { fetchImpl });
+  expect(text).toBe("Sell in March.");
+  expect(sent.url).toBe("/api/advisor");
+  expect(sent.init.headers["X-AgroVue-User"]).toBe("ravi");
+  expect(JSON.parse(sent.init.body)).toMatchObject({ system: "sys", messages: [{ role: "user", content: "When?" }] });
+});
+
+test("server errors surface as AdvisorError with status and retry hint", async () => {
+  const err = await askAdvisor({ messages: [] }, { fetchImpl: reply(429, { error: "Advisor limit reached", retryAfter: 120 }) }).catch(e => e);
+  expect(err).toBeInstanceOf(AdvisorError);
+  expect(err).toMatchObject({ status: 429, retryAfter: 120, message: "Advisor limit reached" });
+});
+
+// A fetch whose body yields the given strings as separate network chunks and,
+// like the real one, rejects the next read once the request is aborted
+const streaming = (chunks) => async (url, init) => {
+  const encoded = chunks.map(c => new TextEncoder().encode(c));
+  const read = async () => {
+    if (init.signal?.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+    return encoded.length ? { value: encoded.shift(), done: false } : { done: true };
+  };
+  return { ok: true, status: 200, body: { getReader: () => ({ read }) } };
+};
+
+test("streams deltas split across network chunks", async () => {
+  const seen = [];
+  const out = await streamAdvisor({ messages: [] }, {
+    fetchImpl: streaming(['event: delta\ndata: {"text":"Hold "}\n\nevent: del', 'ta\ndata: {"text":"Onion."}\n\n', 'event: done\ndata: {"model":"m"}\n\n']),
+    onDelta: (d, sofar) => seen.push([d, sofar]),
+  });
+  expect(seen).toEqual([["Hold ", "Hold "], ["Onion.", "Hold Onion."]]);
+  expect(out).toEqual({ text: "Hold Onion.", stopped: false, toolCalls: [] });
+});
+
+test("aborting keeps the partial answer; stream errors carry it too", async () => {
+  const controller = new AbortController();
+  const out = await streamAdvisor({ messages: [] }, {
+    signal: controller.signal,
+    fetchImpl: streaming(['event: delta\ndata: {"text":"Sell half "}\n\n', 'event: delta\ndata: {"text":"now"}\n\n']),
+    onDelta: () => controller.abort(),
+  });
+  expect(out).toEqual({ text: "Sell half", stopped: true, toolCalls: [] });
+
+  const err = await streamAdvisor({ messages: [] }, {
+    fetchImpl: streaming(['event: delta\ndata: {"text":"Prices "}\n\n', 'event: error\ndata: {"error":"upstream down"}\n\n']),
+  }).catch(e => e);
+  expect(err).toBeInstanceOf(AdvisorError);
+  expect(err.partial).toBe("Prices");
+});
+
+test("sentence buffer hands out whole sentences as they complete", () => {
+  const out = [];
+  const buf = createSentenceBuffer(s => out.push(s));
+  ["Hold ", "Onion. Pri", "ces rise in March! ", "गेहूं बेचें। Check", " eNAM"].forEach(d => buf.push(d));
+  expect(out).toEqual(["Hold Onion.", "Prices rise in March!", "गेहूं बेचें।"]);
+  buf.flush();
+  expect(out[3]).toBe("Check eNAM");
+});
@@ -0,0 +1,109 @@
+import { load } from "./storage";
+import { monthlySeries, dailySeries, filterRecords, latestDate, shiftDate } from "./prices";
+import { genHistory, DEFAULT_SEED } from "./demoData";
+import { runForecast } from "./forecast";
+import { ALERTS_KEY, timeAgo } from "./alerts";
+
+// ─── ADVISOR GROUNDING ────────────────────────────────────────────────────────
+// Turns what the app already knows — stored mandi prices, the latest forecast,
+// watchlist alerts and the farmer's profile — into a data block for the
+// advisor's system prompt. Every fact is filed under a source tag such as
+// [Prices:Wheat]; the model is asked to cite the tags it used, and
+// citedSources() maps them back to labels the chat can show.
+
+const MAX_CROPS  = 4;  // selected crop + the first watched ones
+const MAX_ALERTS = 5;
+const FORECAST_DAYS = 14;
+
+const rupees = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+const pct = (from, to) => { const x = (to - from) / from * 100; return `${x >= 0 ? "+" : ""}${x.toFixed(1)}%`; };
+
+function priceSource(crop, records, { seed, now, mandi }) {
+  if (records?.length) {
+    const last = latestDate(records);
+    const recent = dailySeries(filterRecords(records, { market: mandi || undefined, from: shiftDate(last, -6), to: last }));
+    const monthly = monthlySeries(records, 6, { market: mandi || undefined });
+    const where = mandi && recent.length ? `${mandi} mandi` : "all imported mandis";
+    const lines = [
+      `${crop} — ${records.length.toLocaleString("en-IN")} imported AgMarkNet/eNAM records up to ${last} (${where}).`,
+      recent.length ? `  Last 7 days (modal, arrival-weighted): ${recent.map(d => `${d.date.slice(5)} ${rupees(d.price)}`).join(", ")}` : "",
+      monthly.length ? `  Monthly: ${monthly.map(m => `${m.date} ${rupees(m.actual)}`).join(", ")}` : "",
+    ].filter(Boolean);
+    return { tag: `Prices:${crop}`, label: `${crop} mandi prices (imported, to ${last})`, lines, history: monthlySeries(records, 36), simulated: false };
+  }
+  const history = genHistory(crop, 36, { seed, now });
+  const lines = [
+    `${crop} — no imported records; SIMULATED demo series (not real market data).`,
+    `  Monthly: ${history.slice(-6).map(m => `${m.date} ${rupees(m.actual)}`).join(", ")}`,
+  ];
+  return { tag: `Prices:${crop}`, label: `${crop} prices (simulated demo data)`, lines, history, simulated: true };
+}
+
+// The forecast the farmer last ran for this crop, or a fresh Ensemble run on the same series
+function forecastSource(crop, history, latest, { now }) {
+  const run = latest || { model: "Ensemble", rows: runForecast(history, "Ensemble", FORECAST_DAYS, { now }).rows, at: null };
+  const last = history[history.length - 1]?.actual;
+  if (!run.rows?.length || !last) return null;
+  const pick = (i) => run.rows[Math.min(i, run.rows.length - 1)];
+  const points = [pick(6), pick(run.rows.length - 1)].filter((r, i, a) => a.indexOf(r) === i);
+  const lines = [
+    `${crop} — ${run.model} forecast, ${run.rows.length} days, ${run.at ? `run ${timeAgo(run.at, now.getTime())}` : "computed now"}; latest price ${rupees(last)}.`,
+    ...points.map(r => `  ${r.date}: ${rupees(r.predicted)} (${pct(last, r.predicted)}), 95% band ${rupees(r.lower)}–${rupees(r.upper)}`),
+  ];
+  return { tag: `Forecast:${crop}`, label: `${crop} ${run.model} forecast${run.at ? "" : " (auto)"}`, lines };
+}
+
+function alertSource(alerts, crops, now) {
+  const relevant = (alerts || []).filter(a => crops.includes(a.crop)).slice(0, MAX_ALERTS);
+  if (!relevant.length) return null;
+  return {
+    tag: "Alerts", label: `${relevant.length} recent alert${relevant.length > 1 ? "s" : ""}`,
+    lines: relevant.map(a => `${a.sev.toUpperCase()} · ${timeAgo(a.ts, now.getTime())} · ${a.msg}`),
+  };
+}
+
+function profileSource(profile, watchlist) {
+  const facts = [
+    profile?.district || profile?.state ? `Location: ${[profile.district, profile.state].filter(Boolean).join(", ")}` : "",
+    profile?.farmSize ? `Farm size: ${profile.farmSize} acres` : "",
+    profile?.role ? `Role: ${profile.role}` : "",
+    watchlist?.length ? `Watchlist: ${watchlist.map(e => `${e.crop}${e.mandi ? ` (sells at ${e.mandi})` : ""}`).join(", ")}` : "",
+  ].filter(Boolean);
+  return facts.length ? { tag: "Profile", label: "Your profile", lines: facts } : null;
+}
+
+// Pure: everything it needs is passed in. `forecasts` maps crop → { model, rows, at }.
+export function buildAdvisorContext({ crop, prices = {}, seed = DEFAULT_SEED, watchlist = [], profile = {}, forecasts = {}, alerts = [], now = new Date() }) {
+  const crops = [crop, ...watchlist.map(e => e.crop)].filter((c, i, a) => c && a.indexOf(c) === i).slice(0, MAX_CROPS);
+  const sources = [];
+  let headline = "";
+  crops.forEach(c => {
+    const mandi = watchlist.find(e => e.crop === c)?.mandi;
+    const price = priceSource(c, prices[c], { seed, now, mandi });
+    const forecast = forecastSource(c, price.history, forecasts[c], { now });
+    sources.push(price);
+    if (forecast) sources.push(forecast);
+    if (c === crop) {
+      const last = price.history[price.history.length - 1]?.actual;
+      headline = [
+        last ? `${c} ${rupees(last)}/qtl${price.simulated ? " (simulated)" : ""} [${price.tag}]` : "",
+        forecast ? `${forecast.lines[1].trim()} [${forecast.tag}]` : "",
+      ].filter(Boolean).join(" · ");
+    }
+  });
+  [alertSource(alerts, crops, now), profileSource(profile, watchlist)].forEach(s => s && sources.push(s));
+
+  const text = sources.map(s => `[${s.tag}]\n${s.lines.join("\n")}`).join("\n\n");
+  return { text, sources: sources.map(({ tag, label }) => ({ tag, label })), headline };
+}
+
+// Loads the stored alerts, then builds the context
+export async function loadAdvisorContext(options) {
+  const alerts = await load(ALERTS_KEY, []);
+  return buildAdvisorContext({ ...options, alerts });
+}
+
+// Sources whose [Tag] appears in the reply, in the order they were offered
+export function citedSources(text, sources = []) {
+  return sources.filter(s => String(text).includes(`[${s.tag}]`));
+}
@@ -0,0 +1,38 @@
+import { buildAdvisorContext, citedSources } from "./advisorContext";
+
+const NOW = new Date(2025, 3, 10, 12);
+const rec = (date, modal, market = "Karnal") => ({ crop:"Wheat", date, modal, market, state:"Haryana", min:modal, max:modal + 100, arrivals:100 });
+const WHEAT = [rec("2025-02-20", 2200), rec("2025-03-20", 2300), rec("2025-04-07", 2400), rec("2025-04-08", 2450), rec("2025-04-08", 2600, "Azadpur")];
+
+test("grounds the selected crop in imported prices, the last forecast, alerts and profile", () => {
+  const forecasts = { Wheat: { model:"ARIMA", at: NOW.getTime() - 3600e3, rows: Array.from({ length:14 }, (_, i) => ({ date:`Apr ${11 + i}`, predicted:2500 + i * 10, lower:2300, upper:2800 })) } };
+  const alerts = [{ crop:"Wheat", sev:"high", ts: NOW.getTime() - 7200e3, msg:"Wheat price rose 12%" }, { crop:"Cotton", sev:"low", ts: NOW.getTime(), msg:"Cotton fell" }];
+  const ctx = buildAdvisorContext({
+    crop:"Wheat", prices:{ Wheat: WHEAT }, watchlist:[{ crop:"Wheat", mandi:"Karnal" }],
+    profile:{ district:"Karnal", state:"Haryana", farmSize:"12" }, forecasts, alerts, now: NOW,
+  });
+  expect(ctx.sources.map(s => s.tag)).toEqual(["Prices:Wheat", "Forecast:Wheat", "Alerts", "Profile"]);
+  expect(ctx.text).toContain("5 imported AgMarkNet/eNAM records up to 2025-04-08 (Karnal mandi)");
+  expect(ctx.text).toContain("04-08 ₹2,450");
+  expect(ctx.text).toContain("ARIMA forecast, 14 days, run 1h ago");
+  expect(ctx.text).toContain("95% band ₹2,300–₹2,800");
+  expect(ctx.text).toContain("Wheat price rose 12%");
+  expect(ctx.text).not.toContain("Cotton fell");
+  expect(ctx.text).toContain("Location: Karnal, Haryana");
+  expect(ctx.text).toContain("Farm size: 12 acres");
+  expect(ctx.headline).toMatch(/^Wheat ₹[\d,]+\/qtl \[Prices:Wheat\] · Apr 17: ₹2,560 \(\+3\.1%\), 95% band/);
+});
+
+test("crops without imported data are flagged as simulated and get an automatic forecast", () => {
+  const ctx = buildAdvisorContext({ crop:"Onion", watchlist:[{ crop:"Tomato" }], now: NOW });
+  expect(ctx.sources.map(s => s.tag)).toEqual(["Prices:Onion", "Forecast:Onion", "Prices:Tomato", "Forecast:Tomato", "Profile"]);
+  expect(ctx.text).toContain("Onion — no imported records; SIMULATED");
+  expect(ctx.text).toContain("Ensemble forecast, 14 days, computed now");
+  expect(ctx.headline).toContain("(simulated)");
+});
+
+test("citedSources keeps only the tags the reply actually used", () => {
+  const sources = [{ tag:"Prices:Wheat", label:"p" }, { tag:"Forecast:Wheat", label:"f" }, { tag:"Profile", label:"u" }];
+  expect(citedSources("Hold for a week [Forecast:Wheat] — Karnal pays more [Prices:Wheat].", sources).map(s => s.tag)).toEqual(["Prices:Wheat", "Forecast:Wheat"]);
+  expect(citedSources("No data used.", sources)).toEqual([]);
+});
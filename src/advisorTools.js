@@ -0,0 +1,171 @@
+import { load } from "./storage";
+import { CROPS } from "./crops";
+import { monthlySeries, dailySeries, filterRecords, summarise, latestDate, shiftDate } from "./prices";
+import { genHistory, genRecords, DEFAULT_SEED } from "./demoData";
+import { runForecast, MODEL_NAMES } from "./forecast";
+import { MANDIS, MANDI_COSTS_KEY, rankMandis, findDistrict } from "./mandis";
+import { addCrop, updateEntry } from "./watchlist";
+
+// ─── ADVISOR TOOLS ────────────────────────────────────────────────────────────
+// Functions the advisor model may call mid-conversation. Each entry has the
+// JSON-schema description sent to the model, a `run(input, env)` that answers
+// from the app's own data, and a one-line `summary(result)` for the chat.
+// `env` is { prices, seed, watchlist, profile, onWatchlistChange, onForecast }.
+
+const cropField = { type:"string", enum:CROPS, description:"Crop name" };
+const rupees = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+
+// Imported mandi records for the crop, or the seeded demo records when there are none
+function recordsFor(env, crop) {
+  const imported = env.prices?.[crop];
+  return imported?.length
+    ? { records: imported, simulated: false }
+    : { records: genRecords(crop, { seed: env.seed ?? DEFAULT_SEED }), simulated: true };
+}
+
+export const ADVISOR_TOOLS = {
+  get_price_history: {
+    label: "📈 Price history",
+    description: "Daily arrival-weighted modal prices (₹/qtl) for a crop over the last N days, optionally at one mandi.",
+    input_schema: {
+      type:"object",
+      properties: {
+        crop: cropField,
+        mandi: { type:"string", enum:Object.keys(MANDIS), description:"Limit to one mandi" },
+        days: { type:"integer", minimum:1, maximum:60, description:"How many days back (default 14)" },
+      },
+      required: ["crop"],
+    },
+    run({ crop, mandi, days = 14 }, env) {
+      const { records, simulated } = recordsFor(env, crop);
+      const last = latestDate(records);
+      const series = dailySeries(filterRecords(records, { market: mandi, from: shiftDate(last, -(Math.min(days, 60) - 1)), to: last }));
+      if (!series.length) throw new Error(`No ${crop} prices${mandi ? ` at ${mandi}` : ""} in the last ${days} days`);
+      const first = series[0].price; const latest = series[series.length - 1].price;
+      return {
+        crop, mandi: mandi || "all mandis", simulated, from: series[0].date, to: last,
+        latest, change_pct: +((latest - first) / first * 100).toFixed(1),
+        days: series.map(({ date, price }) => ({ date, price })),
+      };
+    },
+    summary: (r) => `${r.crop} ${rupees(r.latest)} on ${r.to} (${r.change_pct >= 0 ? "+" : ""}${r.change_pct}% since ${r.from})${r.simulated ? " · simulated" : ""}`,
+  },
+
+  run_forecast: {
+    label: "🔮 Forecast",
+    description: "Runs a price forecast for a crop and returns weekly predictions with the 95% confidence band.",
+    input_schema: {
+      type:"object",
+      properties: {
+        crop: cropField,
+        days: { type:"integer", minimum:7, maximum:90, description:"Horizon in days (default 14)" },
+        model: { type:"string", enum:MODEL_NAMES, description:"Forecast model (default Ensemble)" },
+      },
+      required: ["crop"],
+    },
+    run({ crop, days = 14, model = "Ensemble" }, env) {
+      const imported = monthlySeries(env.prices?.[crop], 36);
+      const history = imported.length ? imported : genHistory(crop, 36, { seed: env.seed ?? DEFAULT_SEED });
+      const { rows } = runForecast(history, model, Math.min(Math.max(Math.round(days), 7), 90));
+      env.onForecast?.(crop, model, history, rows);
+      const lastPrice = history[history.length - 1].actual;
+      const end = rows[rows.length - 1];
+      return {
+        crop, model, days, simulated: !imported.length, last_price: lastPrice,
+        change_pct: +((end.predicted - lastPrice) / lastPrice * 100).toFixed(1),
+        points: rows.filter((_, i) => (i + 1) % 7 === 0 || i === rows.length - 1),
+      };
+    },
+    summary: (r) => { const end = r.points[r.points.length - 1]; return `${r.model}: ${rupees(end.predicted)} by ${end.date} (${rupees(end.lower)}–${rupees(end.upper)})`; },
+  },
+
+  rank_mandis: {
+    label: "🚚 Mandi ranking",
+    description: "Ranks mandis by net realisation (₹/qtl after commission, market fee and freight from the farmer's district) using last-7-day prices.",
+    input_schema: {
+      type:"object",
+      properties: {
+        crop: cropField,
+        quantity: { type:"number", minimum:1, description:"Quintals to sell (default 50)" },
+        freight_per_km: { type:"number", minimum:0, description:"Truck hire ₹/km (default 35)" },
+        district: { type:"string", description:"Origin district (default: the farmer's profile district)" },
+      },
+      required: ["crop"],
+    },
+    async run({ crop, quantity = 50, freight_per_km = 35, district }, env) {
+      const { records, simulated } = recordsFor(env, crop);
+      const last = latestDate(records);
+      const mandiPrices = Object.fromEntries(summarise(filterRecords(records, { from: shiftDate(last, -6), to: last }), "market").map(r => [r.key, r.avgPrice]));
+      const from = findDistrict(district || env.profile?.district);
+      const ranked = rankMandis({ mandiPrices, district: from, quantity, freightPerKm: freight_per_km, costs: await load(MANDI_COSTS_KEY, {}) });
+      if (!ranked.length) throw new Error(`No recent ${crop} prices at the bundled mandis`);
+      return {
+        crop, district: from || "unknown (freight not included)", quantity, simulated, as_of: last,
+        mandis: ranked.slice(0, 5).map(({ mandi, price, km, net, total }) => ({ mandi, price, km, net, total })),
+      };
+    },
+    summary: (r) => `Best: ${r.mandis[0].mandi} ${rupees(r.mandis[0].net)}/qtl net from ${r.district}`,
+  },
+
+  create_alert: {
+    label: "🔔 Alert",
+    description: "Watches a crop and sets the % price rise or drop that should raise an alert, optionally at one mandi.",
+    input_schema: {
+      type:"object",
+      properties: {
+        crop: cropField,
+        direction: { type:"string", enum:["rise", "drop"] },
+        percent: { type:"number", minimum:1, maximum:100 },
+        mandi: { type:"string", enum:Object.keys(MANDIS) },
+      },
+      required: ["crop", "direction", "percent"],
+    },
+    async run({ crop, direction, percent, mandi }, env) {
+      if (!env.onWatchlistChange) throw new Error("Alerts cannot be changed from here");
+      const next = updateEntry(addCrop(env.watchlist || [], crop), crop, { [direction]: percent, ...(mandi && { mandi }) });
+      await env.onWatchlistChange(next);
+      env.watchlist = next;
+      return { crop, direction, percent, mandi: mandi || null, watching: next.map(e => e.crop) };
+    },
+    summary: (r) => `${r.crop}: alert on ${r.direction === "rise" ? "+" : "−"}${r.percent}%${r.mandi ? ` at ${r.mandi}` : ""}`,
+  },
+};
+
+// Why `value` does not fit a property schema, or null when it does
+function fieldError(schema, value) {
+  if (!schema) return null;
+  const { type, minimum, maximum } = schema;
+  if (type === "string" && typeof value !== "string") return "must be a string";
+  if (type === "integer" && !Number.isInteger(value)) return "must be a whole number";
+  if (type === "number" && !Number.isFinite(value)) return "must be a number";
+  if (minimum !== undefined && value < minimum) return `must be at least ${minimum}`;
+  if (maximum !== undefined && value > maximum) return `must be at most ${maximum}`;
+  return null;
+}
+
+// The registry in the shape the advisor server forwards to the model
+export const toolSpecs = (registry = ADVISOR_TOOLS) =>
+  Object.entries(registry).map(([name, { description, input_schema }]) => ({ name, description, input_schema }));
+
+// Checks required fields, types, enums and number bounds from input_schema
+// before running, so a confused model gets an error it can correct rather than
+// a crash or a runaway computation. Never throws.
+export async function runTool({ name, input = {} }, env = {}, registry = ADVISOR_TOOLS) {
+  const tool = registry[name];
+  if (!tool) return { ok:false, error:`Unknown tool "${name}"` };
+  const { properties = {}, required = [] } = tool.input_schema;
+  const missing = required.find(k => input[k] === undefined || input[k] === "");
+  if (missing) return { ok:false, error:`Missing "${missing}"` };
+  const badEnum = Object.entries(input).find(([k, v]) => properties[k]?.enum && !properties[k].enum.includes(v));
+  if (badEnum) return { ok:false, error:`"${badEnum[1]}" is not a valid ${badEnum[0]} (use one of: ${properties[badEnum[0]].enum.join(", ")})` };
+  for (const [k, v] of Object.entries(input)) {
+    const bad = fieldError(properties[k], v);
+    if (bad) return { ok:false, error:`"${k}" ${bad}` };
+  }
+  try {
+    const result = await tool.run(input, env);
+    return { ok:true, result, summary: tool.summary?.(result) || "" };
+  } catch (e) {
+    return { ok:false, error:e.message };
+  }
+}
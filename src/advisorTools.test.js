@@ -0,0 +1,37 @@
+import { runTool, toolSpecs } from "./advisorTools";
+import { setStorageBackend, memoryBackend } from "./storage";
+
+beforeEach(() => setStorageBackend(memoryBackend()));
+
+const wheat = (market, modal) => ({ crop:"Wheat", date:"2025-04-08", modal, market, state:"", min:modal, max:modal, arrivals:100 });
+
+test("specs carry the JSON schema the model sees, and inputs are checked before running", async () => {
+  expect(toolSpecs().find(t => t.name === "run_forecast").input_schema.required).toEqual(["crop"]);
+  expect(await runTool({ name:"sell_everything", input:{} })).toEqual({ ok:false, error:'Unknown tool "sell_everything"' });
+  expect(await runTool({ name:"create_alert", input:{ crop:"Wheat", percent:5 } })).toEqual({ ok:false, error:'Missing "direction"' });
+  expect(await runTool({ name:"run_forecast", input:{ crop:"Onion", days:20000 } })).toEqual({ ok:false, error:'"days" must be at most 90' });
+  expect(await runTool({ name:"run_forecast", input:{ crop:"Onion", days:"abc" } })).toEqual({ ok:false, error:'"days" must be a whole number' });
+  expect(await runTool({ name:"rank_mandis", input:{ crop:"Wheat", quantity:0 } })).toEqual({ ok:false, error:'"quantity" must be at least 1' });
+});
+
+test("rank_mandis nets out freight from the profile district", async () => {
+  const out = await runTool({ name:"rank_mandis", input:{ crop:"Wheat", quantity:100 } }, { prices:{ Wheat:[wheat("Karnal", 2400), wheat("Vashi", 2550)] }, profile:{ district:"Karnal" } });
+  expect(out.ok).toBe(true);
+  expect(out.result.mandis.map(m => m.mandi)).toEqual(["Karnal", "Vashi"]);
+  expect(out.result.mandis[0]).toMatchObject({ price:2400, km:0, net:2292 });
+  expect(out.summary).toBe("Best: Karnal ₹2,292/qtl net from Karnal");
+});
+
+test("run_forecast records the run and create_alert updates the watchlist", async () => {
+  const forecasts = []; let saved;
+  const env = { watchlist:[{ crop:"Wheat", rise:null, drop:null, mandi:null }], onForecast:(...a) => forecasts.push(a), onWatchlistChange:async (l) => { saved = l; } };
+  const fc = await runTool({ name:"run_forecast", input:{ crop:"Onion", days:14 } }, env);
+  expect(fc.result).toMatchObject({ crop:"Onion", model:"Ensemble", days:14, simulated:true });
+  expect(fc.result.points).toHaveLength(2);
+  expect(forecasts[0][0]).toBe("Onion");
+
+  const alert = await runTool({ name:"create_alert", input:{ crop:"Onion", direction:"drop", percent:6, mandi:"Lasalgaon" } }, env);
+  expect(alert.summary).toBe("Onion: alert on −6% at Lasalgaon");
+  expect(saved).toEqual([{ crop:"Wheat", rise:null, drop:null, mandi:null }, { crop:"Onion", rise:null, drop:6, mandi:"Lasalgaon" }]);
+  expect(env.watchlist).toBe(saved);
+});
@@ -0,0 +1,154 @@
+import { save, load } from "./storage";
+
+// ─── ALERT ENGINE ─────────────────────────────────────────────────────────────
+// Compares fresh price moves and forecasts against the user's rise/drop
+// thresholds and ₹ price targets, and appends alerts to AgroVue_alerts. Each
+// alert carries a `key` naming the observation it came from; an alert whose key
+// is already stored, or another alert of the same type from the same source
+// (price move, ₹ target or forecast) for the same crop and mandi inside
+// COOLDOWN_MS, is dropped.
+
+export const ALERTS_KEY     = "AgroVue_alerts";
+export const THRESHOLDS_KEY = "AgroVue_alert_thresholds";
+export const ALERT_TYPES = {
+  price_rise:"Price rise", price_drop:"Price drop", forecast:"Forecast",
+  weather:"Weather", msp:"MSP", opportunity:"Opportunity",
+};
+// Browser-notification preferences live next to the thresholds they relate to
+export const DEFAULT_NOTIFY = {
+  enabled: false,
+  quiet: { enabled:true, from:"22:00", to:"06:00" },
+  types: Object.fromEntries(Object.keys(ALERT_TYPES).map(t => [t, true])),
+};
+export const DEFAULT_THRESHOLDS = { rise:10, drop:8, notify:DEFAULT_NOTIFY };
+
+const COOLDOWN_MS = 24 * 3600 * 1000;
+const MAX_ALERTS  = 100;
+
+function severity(changePct, threshold) {
+  const ratio = Math.abs(changePct) / threshold;
+  return ratio >= 2 ? "high" : ratio >= 1.25 ? "medium" : "low";
+}
+
+const fmtPct = (x) => `${Math.abs(x).toFixed(1)}%`;
+
+// Latest period vs the one before it in a { date, actual } series, optionally for one mandi
+export function priceMoveAlerts(crop, history, thresholds, { mandi = null, now = Date.now() } = {}) {
+  const cur = history[history.length - 1]; const prev = history[history.length - 2];
+  if (!cur || !prev || !prev.actual) return [];
+  const chg = (cur.actual - prev.actual) / prev.actual * 100;
+  const type = chg >= thresholds.rise ? "price_rise" : chg <= -thresholds.drop ? "price_drop" : null;
+  if (!type) return [];
+  const limit = type === "price_rise" ? thresholds.rise : thresholds.drop;
+  return [{
+    key: `${type}|${crop}|${mandi || "all"}|${cur.date}|${cur.actual}`,
+    type, crop, mandi, ts: now, read: false,
+    sev: severity(chg, limit),
+    msg: `${crop} price${mandi ? ` at ${mandi}` : ""} ${type === "price_rise" ? "rose" : "fell"} ${fmtPct(chg)} to ₹${cur.actual.toLocaleString()}/qtl (${cur.date} vs ${prev.date}) — past your ${limit}% ${type === "price_rise" ? "rise" : "drop"} alert`,
+  }];
+}
+
+// Latest price against the farmer's own ₹/qtl targets on a watchlist entry
+// ("alert me when tomato goes above 2000")
+export function priceTargetAlerts(crop, history, { above = null, below = null } = {}, { mandi = null, now = Date.now() } = {}) {
+  const cur = history[history.length - 1];
+  if (!cur) return [];
+  const hit = above && cur.actual >= above ? ["price_rise", above, "above"]
+    : below && cur.actual <= below ? ["price_drop", below, "below"] : null;
+  if (!hit) return [];
+  const [type, target, word] = hit;
+  return [{
+    key: `target|${type}|${crop}|${mandi || "all"}|${target}|${cur.date}`,
+    type, crop, mandi, ts: now, read: false,
+    sev: "high",
+    msg: `${crop} price${mandi ? ` at ${mandi}` : ""} is ₹${cur.actual.toLocaleString()}/qtl (${cur.date}) — ${word} your ₹${target.toLocaleString()} target`,
+  }];
+}
+
+// End-of-horizon forecast vs today's price
+export function forecastAlerts(crop, lastPrice, rows, thresholds, { model = "Forecast", now = Date.now() } = {}) {
+  const end = rows[rows.length - 1];
+  if (!end || !lastPrice) return [];
+  const chg = (end.predicted - lastPrice) / lastPrice * 100;
+  const up = chg >= thresholds.rise; const down = chg <= -thresholds.drop;
+  if (!up && !down) return [];
+  const limit = up ? thresholds.rise : thresholds.drop;
+  return [{
+    key: `forecast|${crop}|${up ? "up" : "down"}|${end.date}|${end.predicted}`,
+    type: "forecast", crop, ts: now, read: false,
+    sev: severity(chg, limit),
+    msg: `${model} forecast: ${crop} expected to ${up ? "rise" : "fall"} ${fmtPct(chg)} to ₹${end.predicted.toLocaleString()}/qtl by ${end.date} (range ₹${end.lower.toLocaleString()}–₹${end.upper.toLocaleString()})`,
+  }];
+}
+
+// "target|price_rise|Onion|Lasalgaon": a ₹ target or another mandi's move is
+// news even an hour after a price-move alert for the same crop
+const cooldownKey = (a) => {
+  const source = a.key?.startsWith("target|") ? "target" : a.key?.startsWith("forecast|") ? "forecast" : "move";
+  return `${source}|${a.type}|${a.crop}|${a.mandi || "all"}`;
+};
+
+export function mergeAlerts(existing, candidates) {
+  const keys = new Set(existing.map(a => a.key).filter(Boolean));
+  const fresh = [];
+  candidates.forEach(c => {
+    const recent = [...existing, ...fresh].some(a => cooldownKey(a) === cooldownKey(c) && a.ts && c.ts - a.ts < COOLDOWN_MS);
+    if (keys.has(c.key) || recent) return;
+    keys.add(c.key);
+    fresh.push({ ...c, id: c.key });
+  });
+  return { alerts: [...fresh.reverse(), ...existing].slice(0, MAX_ALERTS), fresh };
+}
+
+// Every change to the stored list runs one at a time: two that load, change and
+// save side by side would each save over the other's
+let engineQueue = Promise.resolve();
+
+function queued(job) {
+  const run = engineQueue.then(job);
+  engineQueue = run.catch(() => {});
+  return run;
+}
+
+// Listeners get the whole stored list each time it is saved
+const listeners = new Set();
+
+export function onAlertsSaved(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function saveAlerts(alerts) {
+  await save(ALERTS_KEY, alerts);
+  listeners.forEach(fn => fn(alerts));
+}
+
+// Loads thresholds, evaluates `evaluate(thresholds)` → candidates, persists the merge
+export function runAlertEngine(evaluate) {
+  return queued(async () => {
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...(await load(THRESHOLDS_KEY, DEFAULT_THRESHOLDS)) };
+    const candidates = evaluate(thresholds);
+    if (!candidates.length) return [];
+    const { alerts, fresh } = mergeAlerts(await load(ALERTS_KEY, []), candidates);
+    if (fresh.length) await saveAlerts(alerts);
+    return fresh;
+  });
+}
+
+// Marks the alerts with these ids read, or all of them when `ids` is null,
+// on the stored list as it is now
+export function markAlertsRead(ids = null) {
+  return queued(async () => {
+    const alerts = (await load(ALERTS_KEY, [])).map(a => (!ids || ids.includes(a.id) ? { ...a, read:true } : a));
+    await saveAlerts(alerts);
+    return alerts;
+  });
+}
+
+export function timeAgo(ts, now = Date.now()) {
+  const s = Math.max(0, Math.round((now - ts) / 1000));
+  if (s < 60) return "just now";
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
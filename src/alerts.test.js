@@ -0,0 +1,86 @@
+import { ALERTS_KEY, priceMoveAlerts, priceTargetAlerts, forecastAlerts, mergeAlerts, runAlertEngine, markAlertsRead, onAlertsSaved, timeAgo } from "./alerts";
+import { setStorageBackend, memoryBackend, load } from "./storage";
+
+const T = { rise: 10, drop: 8 };
+const NOW = Date.UTC(2025, 2, 14, 12);
+
+test("price moves past a threshold raise graded alerts", () => {
+  const [up] = priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1250 }], T, { now: NOW });
+  expect(up).toMatchObject({ type: "price_rise", crop: "Onion", sev: "high", ts: NOW, read: false });
+  const [down] = priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 910 }], T, { now: NOW });
+  expect(down).toMatchObject({ type: "price_drop", sev: "low" });
+  expect(priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1050 }], T, { now: NOW })).toEqual([]);
+  const [atMandi] = priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1250 }], T, { mandi: "Lasalgaon", now: NOW });
+  expect(atMandi).toMatchObject({ crop: "Onion", mandi: "Lasalgaon" });
+  expect(atMandi.msg).toMatch(/at Lasalgaon/);
+});
+
+test("the latest price is checked against the farmer's own ₹ targets", () => {
+  const series = [{ date: "Feb 25", actual: 1900 }, { date: "Mar 25", actual: 2050 }];
+  const [above] = priceTargetAlerts("Tomato", series, { above: 2000 }, { now: NOW });
+  expect(above).toMatchObject({ type: "price_rise", crop: "Tomato", sev: "high" });
+  expect(above.msg).toMatch(/above your ₹2,000 target/);
+  expect(priceTargetAlerts("Tomato", series, { below: 2100 }, { now: NOW })[0]).toMatchObject({ type: "price_drop" });
+  expect(priceTargetAlerts("Tomato", series, { above: 2100, below: 1800 }, { now: NOW })).toEqual([]);
+  expect(priceTargetAlerts("Tomato", series, { crop: "Tomato", rise: null, drop: null, mandi: null }, { now: NOW })).toEqual([]);
+});
+
+test("forecasts compare the horizon end with the last price", () => {
+  const rows = [{ date: "Apr 13", predicted: 2300, upper: 2500, lower: 2100 }];
+  const [a] = forecastAlerts("Wheat", 2000, rows, T, { model: "ARIMA", now: NOW });
+  expect(a).toMatchObject({ type: "forecast", crop: "Wheat", sev: "medium" });
+  expect(a.msg).toMatch(/ARIMA/);
+  expect(forecastAlerts("Wheat", 2000, rows, { rise: 20, drop: 8 }, { now: NOW })).toEqual([]);
+});
+
+test("the same observation never alerts twice, and repeats are held back for a day", () => {
+  const first = priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1250 }], T, { now: NOW });
+  const { alerts } = mergeAlerts([], first);
+  const again = mergeAlerts(alerts, priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1250 }], T, { now: NOW + 7 * 86400000 }));
+  expect(again.fresh).toEqual([]);
+  const sameDay = mergeAlerts(alerts, priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1300 }], T, { now: NOW + 3600000 }));
+  expect(sameDay.fresh).toEqual([]);
+  const nextDay = mergeAlerts(alerts, priceMoveAlerts("Onion", [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 1300 }], T, { now: NOW + 2 * 86400000 }));
+  expect(nextDay.fresh).toHaveLength(1);
+  expect(nextDay.alerts[0].id).toBe(nextDay.fresh[0].key);
+});
+
+test("a ₹ target and another mandi's move are not held back by a price-move alert", () => {
+  const series = [{ date: "Feb 25", actual: 1000 }, { date: "Mar 25", actual: 2100 }];
+  const move = priceMoveAlerts("Onion", series, T, { now: NOW });
+  const { alerts } = mergeAlerts([], move);
+  const { fresh } = mergeAlerts(alerts, [
+    ...priceTargetAlerts("Onion", series, { above: 2000 }, { now: NOW + 60000 }),
+    ...priceMoveAlerts("Onion", series, T, { mandi: "Lasalgaon", now: NOW + 60000 }),
+  ]);
+  expect(fresh.map(a => `${a.key.split("|")[0]} ${a.mandi}`).sort()).toEqual(["price_rise Lasalgaon", "target null"]);
+});
+
+test("relative times come from real timestamps", () => {
+  expect(timeAgo(NOW, NOW + 30000)).toBe("just now");
+  expect(timeAgo(NOW, NOW + 2 * 3600000)).toBe("2h ago");
+  expect(timeAgo(NOW, NOW + 3 * 86400000)).toBe("3d ago");
+});
+
+test("evaluations started together both keep their alerts", async () => {
+  setStorageBackend(memoryBackend());
+  const alert = (crop) => ({ key:`test|${crop}`, type:"price_rise", crop, sev:"high", msg:crop, ts:NOW, read:false });
+  const [a, b] = await Promise.all([runAlertEngine(() => [alert("Onion")]), runAlertEngine(() => [alert("Wheat")])]);
+  expect(a).toHaveLength(1);
+  expect(b).toHaveLength(1);
+  expect((await load(ALERTS_KEY, [])).map(x => x.crop).sort()).toEqual(["Onion", "Wheat"]);
+});
+
+test("marking read keeps an alert raised since the list was loaded", async () => {
+  setStorageBackend(memoryBackend());
+  const alert = (crop) => ({ key:`test|${crop}`, type:"price_rise", crop, sev:"high", msg:crop, ts:NOW, read:false });
+  const saved = [];
+  const stop = onAlertsSaved(list => saved.push(list.length));
+  await runAlertEngine(() => [alert("Onion")]);
+  await Promise.all([runAlertEngine(() => [alert("Wheat")]), markAlertsRead(["test|Onion"])]);
+  stop();
+  const stored = await load(ALERTS_KEY, []);
+  expect(stored.map(a => [a.crop, a.read])).toEqual([["Wheat", false], ["Onion", true]]);
+  expect(saved).toEqual([1, 2, 2]);
+  expect((await markAlertsRead()).every(a => a.read)).toBe(true);
+});
@@ -0,0 +1,89 @@
+// ─── PASSWORDS, SESSIONS & LOCKOUT ────────────────────────────────────────────
+// Passwords are stored as { algo, salt, iterations, hash } from PBKDF2-SHA-256
+// with a random 16-byte salt per account. Accounts created before this only have
+// the old base64 `passwordHash`; verifyPassword() accepts it once and hands back
+// a PBKDF2 record to store in its place.
+
+export const SESSION_KEY = "AgroVue_session";
+
+export const PBKDF2_ITERATIONS = 310000;
+export const IDLE_TIMEOUT_MS   = 2 * 3600 * 1000;
+export const SESSION_TTL_MS    = 7 * 24 * 3600 * 1000;
+export const MAX_FAILED_LOGINS = 5;
+const LOCK_BASE_MS = 30 * 1000;
+const LOCK_MAX_MS  = 60 * 60 * 1000;
+
+const subtle = () => {
+  const s = window.crypto?.subtle;
+  if (!s) throw new Error("Secure password hashing needs Web Crypto (open AgroVue over https or localhost).");
+  return s;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+// The pre-PBKDF2 scheme, kept only to recognise old accounts
+const legacyHash = (p) => btoa(unescape(encodeURIComponent(p + "_agrovue_salt_2025")));
+
+// Compares without returning early on the first differing character
+function sameString(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+export async function hashPassword(password, { salt, iterations = PBKDF2_ITERATIONS } = {}) {
+  const saltBytes = salt ? fromBase64(salt) : window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await subtle().importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await subtle().deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations }, key, 256);
+  return { algo: "PBKDF2-SHA256", salt: toBase64(saltBytes), iterations, hash: toBase64(bits) };
+}
+
+// → { ok, upgrade } where `upgrade` is a fresh PBKDF2 record when the stored
+// one is legacy or uses fewer iterations than PBKDF2_ITERATIONS
+export async function verifyPassword(account, password) {
+  if (account.password) {
+    const { salt, iterations, hash } = account.password;
+    const ok = sameString((await hashPassword(password, { salt, iterations })).hash, hash);
+    return { ok, upgrade: ok && iterations < PBKDF2_ITERATIONS ? await hashPassword(password) : null };
+  }
+  if (account.passwordHash && sameString(legacyHash(password), account.passwordHash)) {
+    return { ok: true, upgrade: await hashPassword(password) };
+  }
+  return { ok: false, upgrade: null };
+}
+
+// ─── Lockout: after MAX_FAILED_LOGINS misses the account locks for 30 s,
+// doubling with every further miss up to an hour
+export const lockoutRemaining = (account, now = Date.now()) => Math.max(0, (account.lockedUntil || 0) - now);
+
+export function recordFailedLogin(account, now = Date.now()) {
+  const failedLogins = (account.failedLogins || 0) + 1;
+  const over = failedLogins - MAX_FAILED_LOGINS;
+  const lockedUntil = over >= 0 ? now + Math.min(LOCK_BASE_MS * 2 ** over, LOCK_MAX_MS) : null;
+  return { ...account, failedLogins, lockedUntil };
+}
+
+export function recordSuccessfulLogin(account, upgrade) {
+  const next = { ...account, failedLogins: 0, lockedUntil: null };
+  if (upgrade) { delete next.passwordHash; next.password = upgrade; }
+  return next;
+}
+
+export function formatWait(ms) {
+  const s = Math.ceil(ms / 1000);
+  return s < 60 ? `${s}s` : `${Math.ceil(s / 60)} min`;
+}
+
+// ─── Sessions
+export const createSession = (username, now = Date.now()) =>
+  ({ username, loggedInAt: now, lastActive: now, expiresAt: now + SESSION_TTL_MS, idleTimeoutMs: IDLE_TIMEOUT_MS });
+
+export const touchSession = (session, now = Date.now()) => ({ ...session, lastActive: now });
+
+// Sessions saved before expiry existed have no expiresAt and are treated as expired
+export function sessionValid(session, now = Date.now()) {
+  if (!session?.username || !session.expiresAt) return false;
+  return now < session.expiresAt && now - session.lastActive < (session.idleTimeoutMs || IDLE_TIMEOUT_MS);
+}
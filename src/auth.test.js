@@ -0,0 +1,51 @@
+import { webcrypto } from "crypto";
+import { TextEncoder } from "util";
+import {
+  hashPassword, verifyPassword, recordFailedLogin, recordSuccessfulLogin, lockoutRemaining,
+  createSession, touchSession, sessionValid, PBKDF2_ITERATIONS, MAX_FAILED_LOGINS, IDLE_TIMEOUT_MS, SESSION_TTL_MS,
+} from "./auth";
+
+beforeAll(() => {
+  Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+test("PBKDF2 hashes are salted per account and verify", async () => {
+  const a = await hashPassword("kisan123", { iterations: 1000 });
+  const b = await hashPassword("kisan123", { iterations: 1000 });
+  expect(a.salt).not.toBe(b.salt);
+  expect(a.hash).not.toBe(b.hash);
+  expect((await verifyPassword({ password: a }, "kisan123")).ok).toBe(true);
+  expect((await verifyPassword({ password: a }, "kisan124")).ok).toBe(false);
+});
+
+test("legacy base64 accounts are upgraded on a successful login", async () => {
+  const legacy = { passwordHash: btoa("kisan123_agrovue_salt_2025"), profile: {} };
+  expect((await verifyPassword(legacy, "wrong")).ok).toBe(false);
+  const { ok, upgrade } = await verifyPassword(legacy, "kisan123");
+  expect(ok).toBe(true);
+  expect(upgrade).toMatchObject({ algo: "PBKDF2-SHA256", iterations: PBKDF2_ITERATIONS });
+  const stored = recordSuccessfulLogin(legacy, upgrade);
+  expect(stored.passwordHash).toBeUndefined();
+  expect((await verifyPassword(stored, "kisan123")).upgrade).toBeNull();
+}, 20000);
+
+test("repeated failures lock the account with growing backoff", () => {
+  let acct = {};
+  for (let i = 0; i < MAX_FAILED_LOGINS - 1; i++) acct = recordFailedLogin(acct, 0);
+  expect(lockoutRemaining(acct, 0)).toBe(0);
+  acct = recordFailedLogin(acct, 0);
+  expect(lockoutRemaining(acct, 0)).toBe(30000);
+  acct = recordFailedLogin(acct, 0);
+  expect(lockoutRemaining(acct, 0)).toBe(60000);
+  expect(lockoutRemaining(recordSuccessfulLogin(acct, null), 0)).toBe(0);
+});
+
+test("sessions expire when idle and after their absolute lifetime", () => {
+  const s = createSession("ravi", 0);
+  expect(sessionValid(s, IDLE_TIMEOUT_MS - 1)).toBe(true);
+  expect(sessionValid(s, IDLE_TIMEOUT_MS)).toBe(false);
+  expect(sessionValid(touchSession(s, SESSION_TTL_MS - 1000), SESSION_TTL_MS - 1)).toBe(true);
+  expect(sessionValid(touchSession(s, SESSION_TTL_MS - 1000), SESSION_TTL_MS)).toBe(false);
+  expect(sessionValid({ username: "ravi", loggedInAt: 0 }, 1)).toBe(false);
+});
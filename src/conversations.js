@@ -0,0 +1,175 @@
+import { save, load } from "./storage";
+
+// ─── ADVISOR CONVERSATIONS ────────────────────────────────────────────────────
+// AgroVue_chat holds { activeId, threads:[…] }. A thread is
+//   { id, title, crop, createdAt, updatedAt, voice?, messages:[{ role, text, ts, pinned?, sources?, tools? }] }
+// where crop = null follows whichever crop is selected in the app and voice
+// marks a session recorded by the Voice Assistant. Everything here is pure
+// apart from load/saveConversations.
+
+export const CHAT_KEY = "AgroVue_chat";
+export const RECENT_TURNS = 8;      // sent verbatim to the model…
+export const RECENT_CHARS = 6000;   // …as long as they fit in this budget
+const SUMMARY_TURNS = 12;           // older Q&A pairs kept in the summary
+const MAX_TITLE = 48;
+
+let counter = 0;
+const newId = (now) => `c${now.toString(36)}${(counter++).toString(36)}`;
+
+export function createThread({ crop = null, title = "", greeting = [], now = Date.now() } = {}) {
+  return { id: newId(now), title, crop, createdAt: now, updatedAt: now, messages: greeting.map(m => ({ ...m, ts: now })) };
+}
+
+export const emptyStore = (options) => { const t = createThread(options); return { activeId: t.id, threads: [t] }; };
+
+export const activeThread = (store) => store.threads.find(t => t.id === store.activeId) || store.threads[0];
+
+// Most recently used first
+export const sortedThreads = (store) => [...store.threads].sort((a, b) => b.updatedAt - a.updatedAt);
+
+export const addThread = (store, thread) => ({ activeId: thread.id, threads: [thread, ...store.threads] });
+
+// Adds or replaces a thread without changing which one the advisor has open
+export function upsertThread(store, thread) {
+  const rest = store.threads.filter(t => t.id !== thread.id);
+  return { ...store, threads: [thread, ...rest] };
+}
+
+export const selectThread = (store, id) => (store.threads.some(t => t.id === id) ? { ...store, activeId: id } : store);
+
+export function updateThread(store, id, patch, { now = Date.now(), touch = true } = {}) {
+  return { ...store, threads: store.threads.map(t => (t.id === id ? { ...t, ...patch, ...(touch && { updatedAt: now }) } : t)) };
+}
+
+// There is always at least one thread; deleting the last leaves a fresh one
+export function deleteThread(store, id, fresh) {
+  const threads = store.threads.filter(t => t.id !== id);
+  if (!threads.length) return emptyStore(fresh);
+  return { activeId: store.activeId === id ? sortedThreads({ threads })[0].id : store.activeId, threads };
+}
+
+export const togglePin = (messages, index) => messages.map((m, i) => (i === index ? { ...m, pinned: !m.pinned } : m));
+
+// "  what is the best time to sell onion in lasalgaon??" → "What is the best time to sell onion in…"
+export function autoTitle(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim().replace(/[?.!]+$/, "");
+  const cut = clean.length > MAX_TITLE ? `${clean.slice(0, clean.lastIndexOf(" ", MAX_TITLE) > 20 ? clean.lastIndexOf(" ", MAX_TITLE) : MAX_TITLE)}…` : clean;
+  return cut.charAt(0).toUpperCase() + cut.slice(1);
+}
+
+// Every whitespace-separated term must appear in the message (case-insensitive).
+// Results are newest thread first, with a snippet around the first hit.
+export function searchThreads(store, query) {
+  const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  const hits = [];
+  sortedThreads(store).forEach(thread => thread.messages.forEach((m, index) => {
+    const lower = m.text.toLowerCase();
+    if (!terms.every(t => lower.includes(t))) return;
+    const at = lower.indexOf(terms[0]);
+    const start = Math.max(0, at - 40);
+    const snippet = `${start > 0 ? "…" : ""}${m.text.slice(start, at + 80).replace(/\s+/g, " ").trim()}${at + 80 < m.text.length ? "…" : ""}`;
+    hits.push({ threadId: thread.id, title: thread.title, index, role: m.role, snippet });
+  }));
+  return hits;
+}
+
+// ─── CONTEXT TRIMMING ─────────────────────────────────────────────────────────
+const firstSentence = (text, max) => {
+  const plain = String(text).replace(/\*\*/g, "").replace(/\s*\[[A-Za-z]+(:[A-Za-z]+)?\]/g, "").replace(/\s+/g, " ").trim();
+  const s = (plain.match(/^.+?[.!?।](\s|$)/) || [plain])[0].trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+};
+
+// Splits a thread into the recent turns sent verbatim and a compact summary of
+// everything older: pinned answers first (they are what the farmer marked as
+// important), then the last SUMMARY_TURNS questions with the gist of each reply.
+export function buildHistory(messages, { turns = RECENT_TURNS, maxChars = RECENT_CHARS } = {}) {
+  let start = Math.max(0, messages.length - turns);
+  const size = (from) => messages.slice(from).reduce((n, m) => n + m.text.length, 0);
+  while (start < messages.length - 2 && size(start) > maxChars) start++;
+  const recent = messages.slice(start);
+  const older = messages.slice(0, start);
+
+  const pinned = older.filter(m => m.pinned && m.role === "ai").map(m => `📌 ${firstSentence(m.text, 300)}`);
+  const pairs = [];
+  older.forEach((m, i) => {
+    if (m.role !== "user") return;
+    const answer = older[i + 1];
+    pairs.push(`Q: ${firstSentence(m.text, 140)}${answer?.role === "ai" ? `\nA: ${firstSentence(answer.text, 180)}` : ""}`);
+  });
+  const summary = [...pinned, ...pairs.slice(-SUMMARY_TURNS)].join("\n");
+  return { recent, summary };
+}
+
+// ─── EXPORT ───────────────────────────────────────────────────────────────────
+const stamp = (ts) => (ts ? new Date(ts).toLocaleString("en-IN", { day:"numeric", month:"short", year:"numeric", hour:"2-digit", minute:"2-digit" }) : "");
+
+function exportHeader(thread, { user, crop }) {
+  const who = user?.name ? `${user.name}${user.district ? `, ${user.district}` : ""}${user.state ? `, ${user.state}` : ""}` : "";
+  return {
+    title: thread.title || "Advisor conversation",
+    meta: [`Crop: ${thread.crop || crop || "—"}`, who && `Farmer: ${who}`, user?.farmSize && `Farm: ${user.farmSize} acres`, `Exported ${stamp(Date.now())}`].filter(Boolean),
+  };
+}
+
+const extras = (m) => [
+  m.tools?.length ? `Tools: ${m.tools.map(t => `${t.name} → ${t.summary}`).join("; ")}` : "",
+  m.sources?.length ? `Sources: ${m.sources.map(s => s.label).join("; ")}` : "",
+].filter(Boolean);
+
+export function threadToMarkdown(thread, { user, crop } = {}) {
+  const { title, meta } = exportHeader(thread, { user, crop });
+  const pinned = thread.messages.filter(m => m.pinned);
+  const lines = [`# ${title}`, "", `_${meta.join(" · ")}_`, ""];
+  if (pinned.length) {
+    lines.push("## 📌 Pinned answers", "");
+    pinned.forEach(m => lines.push(...m.text.split("\n").map(l => `> ${l}`), ""));
+  }
+  lines.push("## Conversation", "");
+  thread.messages.forEach(m => {
+    lines.push(`**${m.role === "user" ? "Farmer" : "AgroVue Advisor"}**${m.ts ? ` — ${stamp(m.ts)}` : ""}${m.pinned ? " 📌" : ""}`, "", m.text, "");
+    extras(m).forEach(e => lines.push(`_${e}_`, ""));
+  });
+  lines.push("---", "_Generated by AgroVue. Prices and forecasts are estimates — verify at your mandi before selling._", "");
+  return lines.join("\n");
+}
+
+const esc = (s) => String(s).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[c]));
+const html = (text) => esc(text).split("**").map((p, i) => (i % 2 ? `<strong>${p}</strong>` : p)).join("").replace(/\n/g, "<br>");
+
+// Stand-alone printable page; the browser's "Save as PDF" turns it into the PDF
+export function threadToHtml(thread, { user, crop } = {}) {
+  const { title, meta } = exportHeader(thread, { user, crop });
+  const pinned = thread.messages.filter(m => m.pinned);
+  const bubble = (m) => `<div class="msg ${m.role}${m.pinned ? " pinned" : ""}">
+  <div class="who">${m.role === "user" ? "Farmer" : "AgroVue Advisor"}${m.ts ? ` · ${esc(stamp(m.ts))}` : ""}${m.pinned ? " · 📌" : ""}</div>
+  <div>${html(m.text)}</div>${extras(m).map(e => `\n  <div class="extra">${esc(e)}</div>`).join("")}
+</div>`;
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+  body { font-family: 'Segoe UI', sans-serif; color: #1A0F0A; max-width: 760px; margin: 24px auto; font-size: 13px; line-height: 1.55; }
+  h1 { font-family: Georgia, serif; color: #2D6A4F; margin: 0 0 4px; } h2 { font-family: Georgia, serif; font-size: 15px; margin: 22px 0 8px; }
+  .meta { color: #777; font-size: 11px; margin-bottom: 12px; }
+  .msg { border: 1px solid #e5e5e5; border-radius: 10px; padding: 10px 13px; margin: 0 0 10px; page-break-inside: avoid; }
+  .msg.user { background: #2D6A4F0D; } .msg.pinned { border-color: #D4A017; }
+  .who { font-size: 10px; color: #2D6A4F; font-weight: 700; letter-spacing: .5px; margin-bottom: 3px; text-transform: uppercase; }
+  .extra { font-size: 10px; color: #0EA5E9; margin-top: 5px; }
+  footer { color: #999; font-size: 10px; margin-top: 24px; border-top: 1px solid #eee; padding-top: 8px; }
+</style></head><body>
+<h1>🌾 ${esc(title)}</h1>
+<div class="meta">${meta.map(esc).join(" · ")}</div>
+${pinned.length ? `<h2>📌 Pinned answers</h2>\n${pinned.map(bubble).join("\n")}\n` : ""}<h2>Conversation</h2>
+${thread.messages.map(bubble).join("\n")}
+<footer>Generated by AgroVue. Prices and forecasts are estimates — verify at your mandi before selling.</footer>
+</body></html>`;
+}
+
+// ─── PERSISTENCE ──────────────────────────────────────────────────────────────
+export async function loadConversations(fresh) {
+  const stored = await load(CHAT_KEY, null);
+  return stored?.threads?.length ? stored : emptyStore(fresh);
+}
+
+export const saveConversations = (store) => save(CHAT_KEY, store);
@@ -0,0 +1,93 @@
+import {
+  createThread, emptyStore, addThread, upsertThread, deleteThread, updateThread, activeThread, sortedThreads,
+  togglePin, autoTitle, searchThreads, buildHistory, threadToMarkdown, threadToHtml, loadConversations, CHAT_KEY,
+} from "./conversations";
+import { setStorageBackend, memoryBackend, openUserStorage } from "./storage";
+
+const greeting = [{ role:"ai", text:"Namaste!" }];
+const msg = (role, text, extra) => ({ role, text, ...extra });
+
+test("threads are created, renamed, reordered by use and never all deleted", () => {
+  let store = emptyStore({ greeting, now:1 });
+  const first = store.activeId;
+  const onion = createThread({ crop:"Onion", greeting, now:2 });
+  store = addThread(store, onion);
+  expect(activeThread(store)).toBe(onion);
+  expect(onion.messages).toEqual([{ role:"ai", text:"Namaste!", ts:2 }]);
+
+  store = updateThread(store, first, { title:"Wheat selling" }, { now:3 });
+  expect(sortedThreads(store).map(t => t.title)).toEqual(["Wheat selling", ""]);
+  store = updateThread(store, onion.id, { crop:"Tomato" }, { now:4, touch:false });
+  expect(sortedThreads(store)[0].id).toBe(first);
+
+  store = deleteThread(store, onion.id, { greeting });
+  expect(store.activeId).toBe(first);
+  store = deleteThread(store, first, { greeting });
+  expect(store.threads).toHaveLength(1);
+  expect(store.threads[0].id).not.toBe(first);
+
+  const voice = { ...createThread({ title:"Sell onion?", now:5 }), voice:true };
+  store = upsertThread(upsertThread(store, voice), { ...voice, title:"Sell onion now?" });
+  expect(store.threads.map(t => t.title)).toEqual(["Sell onion now?", ""]);
+  expect(store.activeId).not.toBe(voice.id);
+});
+
+test("titles come from the first question and pins toggle per message", () => {
+  expect(autoTitle("  what is the best time to sell onion in lasalgaon this season??")).toBe("What is the best time to sell onion in lasalgaon…");
+  expect(autoTitle("MSP for paddy?")).toBe("MSP for paddy");
+  const pinned = togglePin([msg("user", "q"), msg("ai", "a")], 1);
+  expect(pinned[1].pinned).toBe(true);
+  expect(togglePin(pinned, 1)[1].pinned).toBe(false);
+});
+
+test("search matches every term across all threads with a snippet", () => {
+  let store = emptyStore({ now:1 });
+  store = updateThread(store, store.activeId, { title:"Onion", messages:[msg("user", "Should I store onion in cold storage?"), msg("ai", "Cold storage at Lasalgaon costs ₹110/qtl per month.")] }, { now:5 });
+  store = addThread(store, { ...createThread({ now:2 }), title:"Wheat", messages:[msg("ai", "Wheat MSP is ₹2,425. Cold weather helps.")] });
+  expect(searchThreads(store, "COLD storage").map(h => [h.title, h.index])).toEqual([["Onion", 0], ["Onion", 1]]);
+  expect(searchThreads(store, "cold")).toHaveLength(3);
+  expect(searchThreads(store, "cold lasalgaon")[0].snippet).toBe("Cold storage at Lasalgaon costs ₹110/qtl per month.");
+  expect(searchThreads(store, "  ")).toEqual([]);
+});
+
+test("older turns are summarised, pinned answers kept, recent turns sent verbatim", () => {
+  const messages = [
+    msg("ai", "Namaste!"),
+    msg("user", "What is wheat MSP this year?"), msg("ai", "Wheat MSP is **₹2,425/qtl** [Prices:Wheat]. Procurement starts in April."),
+    msg("user", "Where should I sell?"), msg("ai", "Karnal nets you the most after freight. Vashi pays more but is far.", { pinned:true }),
+    ...Array.from({ length:8 }, (_, i) => msg(i % 2 ? "ai" : "user", `turn ${i}`)),
+  ];
+  const { recent, summary } = buildHistory(messages);
+  expect(recent.map(m => m.text)).toEqual(Array.from({ length:8 }, (_, i) => `turn ${i}`));
+  expect(summary).toBe([
+    "📌 Karnal nets you the most after freight.",
+    "Q: What is wheat MSP this year?\nA: Wheat MSP is ₹2,425/qtl.",
+    "Q: Where should I sell?\nA: Karnal nets you the most after freight.",
+  ].join("\n"));
+
+  const long = [msg("user", "x".repeat(5000)), msg("ai", "y".repeat(5000)), msg("user", "short?"), msg("ai", "short.")];
+  expect(buildHistory(long).recent.map(m => m.text)).toEqual(["y".repeat(5000), "short?", "short."]);
+});
+
+test("exports a thread as Markdown and as escaped printable HTML", () => {
+  const thread = { ...createThread({ crop:"Onion", now:Date.UTC(2025, 3, 10) }), title:"Onion <storage>", messages:[
+    msg("user", "Store or sell?"),
+    msg("ai", "**Store** for 6 weeks.", { pinned:true, sources:[{ tag:"Forecast:Onion", label:"Onion Ensemble forecast" }], tools:[{ name:"run_forecast", summary:"Ensemble: ₹2,100 by 24 Apr" }] }),
+  ] };
+  const md = threadToMarkdown(thread, { user:{ name:"Ravi", district:"Nashik", state:"Maharashtra", farmSize:"6" } });
+  expect(md).toMatch(/^# Onion <storage>\n\n_Crop: Onion · Farmer: Ravi, Nashik, Maharashtra · Farm: 6 acres · Exported /);
+  expect(md).toContain("## 📌 Pinned answers\n\n> **Store** for 6 weeks.\n");
+  expect(md).toContain("**AgroVue Advisor** 📌\n\n**Store** for 6 weeks.\n\n_Tools: run_forecast → Ensemble: ₹2,100 by 24 Apr_\n\n_Sources: Onion Ensemble forecast_");
+  const html = threadToHtml(thread);
+  expect(html).toContain("<title>Onion &lt;storage&gt;</title>");
+  expect(html).toContain("<strong>Store</strong> for 6 weeks.");
+  expect(html.match(/class="msg ai pinned"/g)).toHaveLength(2);
+});
+
+test("the old single chat is migrated into the first conversation", async () => {
+  setStorageBackend(memoryBackend({ [`user:ravi:${CHAT_KEY}`]: JSON.stringify([msg("ai", "Namaste!"), msg("user", "Onion price?")]) }));
+  await openUserStorage("ravi");
+  const store = await loadConversations({ greeting });
+  expect(store.threads).toHaveLength(1);
+  expect(activeThread(store)).toMatchObject({ title:"Advisor chat", crop:null, messages:[msg("ai", "Namaste!"), msg("user", "Onion price?")] });
+});
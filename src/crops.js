@@ -0,0 +1,45 @@
+// ─── CROP REFERENCE DATA ──────────────────────────────────────────────────────
+export const CROPS = ["Wheat","Rice","Maize","Tomato","Onion","Potato","Soybean","Cotton","Sugarcane","Chilli"];
+export const STATES = ["Punjab","Haryana","UP","Maharashtra","Karnataka","AP","MP","Rajasthan","Gujarat","Bihar"];
+export const MARKETS = ["Azadpur","Vashi","Koyambedu","Gultekdi","Lasalgaon","Fatehabad","Unjha","Karnal","Amritsar","Nagpur"];
+export const CROP_META = {
+  Wheat:     { icon:"🌾", season:"Rabi",       harvest:"Mar-Apr", base:2200, vol:0.06 },
+  Rice:      { icon:"🍚", season:"Kharif",      harvest:"Oct-Nov", base:3100, vol:0.05 },
+  Maize:     { icon:"🌽", season:"Kharif",      harvest:"Sep-Oct", base:1800, vol:0.08 },
+  Tomato:    { icon:"🍅", season:"Year-round",  harvest:"Oct & Mar",base:1500,vol:0.35 },
+  Onion:     { icon:"🧅", season:"Rabi/Kharif", harvest:"Nov & Mar",base:1200,vol:0.40 },
+  Potato:    { icon:"🥔", season:"Rabi",        harvest:"Jan-Feb", base:900,  vol:0.25 },
+  Soybean:   { icon:"🫘", season:"Kharif",      harvest:"Oct-Nov", base:4500, vol:0.10 },
+  Cotton:    { icon:"☁️", season:"Kharif",      harvest:"Nov-Jan", base:6200, vol:0.07 },
+  Sugarcane: { icon:"🎋", season:"Year-round",  harvest:"Oct-Mar", base:380,  vol:0.03 },
+  Chilli:    { icon:"🌶️", season:"Rabi",        harvest:"Feb-Mar", base:8500, vol:0.30 },
+};
+export const CROP_TIPS = {
+  Wheat:"Prices typically rise post-harvest export season (Apr–Jun). Best to store until May.",
+  Rice:"Sell 30–40% immediately post-harvest, store rest for Jan–Feb when prices rise 15–20%.",
+  Tomato:"High volatility crop. Monitor daily prices. Consider contract farming for stability.",
+  Onion:"Cold storage can yield 25–35% premium. April–July is the best selling window.",
+  Potato:"Store in cold storage. Market opens up in summer (May–Jul) with 20% higher prices.",
+  Maize:"Poultry feed demand drives prices. Nov–Jan tends to be the best selling period.",
+  Soybean:"Global soy prices heavily influence. Watch CBOT futures for export demand signals.",
+  Cotton:"Textile industry demand peaks in Feb–Mar. Hold for quality premium pricing.",
+  Sugarcane:"Regulated FRP prices ensure minimum income. Sell early to avoid payment delays.",
+  Chilli:"Export demand from Sri Lanka & Bangladesh boosts prices in May–Jun. Dry for better margins.",
+};
+// Best selling window from CROP_TIPS as [first, last] month (0–11); null when the tip names none
+export const CROP_SELL_MONTHS = {
+  Wheat:[3,5], Rice:[0,1], Maize:[10,0], Tomato:null, Onion:[3,6],
+  Potato:[4,6], Soybean:null, Cotton:[1,2], Sugarcane:null, Chilli:[4,5],
+};
+export const CROP_VARIETIES = {
+  Wheat:"HD-2967, HD-3086, GW-322, DBW-187 (disease resistant)",
+  Rice:"Swarna, MTU-1010, Pusa Basmati 1121, BPT-5204",
+  Tomato:"Arka Vikas, Pusa Ruby, Solan Vajra, hybrid varieties",
+  Onion:"Bhima Super, Agrifound Light Red, Phule Safed",
+  Potato:"Kufri Jyoti, Kufri Pukhraj, Kufri Chipsona",
+  Maize:"DHM-117, Vivek QPM-9, DKC-9144 (hybrid)",
+};
+export const MARKET_STATE = {
+  Azadpur:"Delhi", Vashi:"Maharashtra", Koyambedu:"Tamil Nadu", Gultekdi:"Maharashtra", Lasalgaon:"Maharashtra",
+  Fatehabad:"Haryana", Unjha:"Gujarat", Karnal:"Haryana", Amritsar:"Punjab", Nagpur:"Maharashtra",
+};
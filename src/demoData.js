@@ -0,0 +1,80 @@
+import { CROP_META, MARKET_STATE } from "./crops";
+
+// ─── SEEDED DEMO DATA ─────────────────────────────────────────────────────────
+// Every simulated number in the app comes from here. Each series is driven by a
+// PRNG seeded from (demo seed, crop/series name, reference date), so the same
+// seed on the same day always draws the same charts — screenshots, tests and
+// training sessions stay reproducible.
+
+export const DEMO_SEED_KEY = "AgroVue_demo_seed";
+export const DEFAULT_SEED  = 2025;
+
+// FNV-1a string hash → 32-bit seed
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 — small, fast and good enough for chart noise
+export function createRng(...parts) {
+  let a = hashString(parts.join("|"));
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const dayKey = (d) => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+
+// One walk of HISTORY_MONTHS per crop, seed and day; shorter requests are its
+// tail, so the ticker, the Dashboard, the Forecast tab and the advisor all
+// agree on the current price. Longer requests get the whole walk.
+export const HISTORY_MONTHS = 36;
+
+export function genHistory(crop, months = 24, { seed = DEFAULT_SEED, now = new Date() } = {}) {
+  const { base, vol } = CROP_META[crop] || { base:2000, vol:0.1 };
+  const rand = createRng(seed, "history", crop, dayKey(now));
+  const data = []; let price = base;
+  for (let i = HISTORY_MONTHS; i >= 0; i--) {
+    const d = new Date(now); d.setMonth(d.getMonth() - i);
+    const seasonal = Math.sin((d.getMonth() / 12) * 2 * Math.PI) * 0.1;
+    price = Math.max(price * (1 + (rand() - 0.48 + seasonal) * vol), base * 0.4);
+    data.push({
+      date: d.toLocaleDateString("en-IN", { month:"short", year:"2-digit" }),
+      actual: Math.round(price),
+      volume: Math.round(rand() * 5000 + 1000),
+    });
+  }
+  return data.slice(-(Math.min(months, HISTORY_MONTHS) + 1));
+}
+
+// Daily mandi records in the same shape prices.js imports, one per market per day,
+// so MarketIntel runs identical analytics whether or not real data was imported
+export function genRecords(crop, { seed = DEFAULT_SEED, now = new Date(), days = 365 } = {}) {
+  const { base, vol } = CROP_META[crop] || { base:2000, vol:0.1 };
+  const records = [];
+  Object.entries(MARKET_STATE).forEach(([market, state]) => {
+    const rand = createRng(seed, "records", crop, market, dayKey(now));
+    let price = base * (0.85 + rand() * 0.3);
+    for (let i = days - 1; i >= 0; i--) {
+      const d = new Date(now); d.setDate(d.getDate() - i);
+      const seasonal = Math.sin((d.getMonth() / 12) * 2 * Math.PI) * 0.02;
+      price = Math.min(Math.max(price * (1 + (rand() - 0.5 + seasonal) * vol * 0.15), base * 0.4), base * 2.5);
+      const modal = Math.round(price);
+      records.push({
+        crop, state, market, district: market, modal,
+        date: `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`,
+        min: Math.round(modal * (0.88 + rand() * 0.07)),
+        max: Math.round(modal * (1.03 + rand() * 0.12)),
+        arrivals: Math.round(rand() * 400 + 20),
+      });
+    }
+  });
+  return records;
+}
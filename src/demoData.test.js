@@ -0,0 +1,22 @@
+import { genHistory, genRecords } from "./demoData";
+
+const now = new Date(2025, 4, 15);
+
+test("same seed, crop and date give the same series", () => {
+  expect(genHistory("Wheat", 24, { seed:7, now })).toEqual(genHistory("Wheat", 24, { seed:7, now }));
+  expect(genRecords("Tomato", { seed:7, now, days:30 })).toEqual(genRecords("Tomato", { seed:7, now, days:30 }));
+});
+
+test("every history length ends on the same prices", () => {
+  const full = genHistory("Onion", 36, { seed:7, now });
+  expect(full).toHaveLength(37);
+  expect(genHistory("Onion", 2, { seed:7, now })).toEqual(full.slice(-3));
+  expect(genHistory("Onion", 24, { seed:7, now })).toEqual(full.slice(-25));
+});
+
+test("seed, crop and date each change the draw", () => {
+  const base = genHistory("Wheat", 24, { seed:7, now });
+  expect(genHistory("Wheat", 24, { seed:8, now })).not.toEqual(base);
+  expect(genHistory("Rice",  24, { seed:7, now }).map(d => d.volume)).not.toEqual(base.map(d => d.volume));
+  expect(genHistory("Wheat", 24, { seed:7, now:new Date(2025, 4, 16) })).not.toEqual(base);
+});
@@ -0,0 +1,523 @@
+// ─── OFFLINE ADVISOR LOCALES ──────────────────────────────────────────────────
+// One entry per LANGS id, used by localFallback.js when the advisor server is
+// unreachable:
+//   keywords  intent → words that signal it (English is always scored as well,
+//             because farmers mix in "MSP", "rate", "cold storage" and the like)
+//   crops     crop → names to spot in the question; the first is shown in answers
+//   seasons / levels / fromData  the few words answers are assembled from
+//   answers   intent → (facts) => text, facts as built by localFallback.js:
+//             { crop, key, base, high, harvest, season, tip, sell, water, premium, cold, varieties, q }
+// Non-English answers carry the same facts and links as the English ones but
+// leave out the English-only crop tips.
+
+const en = {
+  fromData: "From your data",
+  keywords: {
+    price:    ["price","rate","bhav","daam","aaj","today","current","kitna","how much",
+               "mandi","market","bhaav","today price","rate kya","kya bhav","what is price"],
+    sell:     ["sell","selling","bechna","kab beche","when sell","best time","kab","timing",
+               "hold","store or sell","should i sell","kb bechu"],
+    msp:      ["msp","minimum support","government price","sarkar","scheme","support price",
+               "sarkari","pm kisan","pmkisan","subsidy","compensation"],
+    storage:  ["storage","store","cold storage","godown","rakhna","warehouse","bhndaran",
+               "kitne din","how long","preserve"],
+    weather:  ["weather","rain","monsoon","mausam","barish","drought","flood","climate",
+               "temperature","baarish","season","kharif","rabi"],
+    profit:   ["profit","income","earning","kamai","fayda","labh","margin","roi","return",
+               "kitna milega","how much earn","benefit"],
+    disease:  ["disease","pest","insect","fungus","virus","spray","medicine","dawai","kit",
+               "rog","keeda","blight","wilt","rot","yellow","leaf"],
+    fertilizer:["fertilizer","khad","urea","dap","npk","manure","compost","potash","zinc","nutrient"],
+    water:    ["water","irrigation","drip","paani","sinchai","pump","borewell","canal"],
+    loan:     ["loan","credit","bank","kcc","kisan card","finance","interest","byaj","nabard",
+               "insurance","pmfby"],
+    export:   ["export","foreign","international","demand","global","abroad"],
+    sowing:   ["sow","sowing","plant","seed","baai","ugana","nursery","transplant"],
+    harvest:  ["harvest","cutting","katai","ready","ripeness","kab katna"],
+    variety:  ["variety","type","which type","konsa","breed","hybrid","variety konsi"],
+    transport:["transport","truck","vehicle","freight","delivery","gaadi"],
+  },
+  crops: {
+    Wheat:["wheat","gehu","gehun"], Rice:["rice","paddy","dhan","chawal"], Maize:["maize","corn","makka"],
+    Tomato:["tomato","tamatar"], Onion:["onion","pyaj","pyaaz"], Potato:["potato","aloo","alu"],
+    Soybean:["soybean","soya"], Cotton:["cotton","kapas"], Sugarcane:["sugarcane","ganna"], Chilli:["chilli","chili","mirch"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season, tip }) =>
+      `📊 **${crop} Market Price**\n\nCurrent approximate price: ₹${base}–₹${high}/quintal\n(Varies by quality, location & season)\n\nBest harvest window: ${harvest} | Season: ${season}\n\n🔍 Check live prices at:\n• eNAM portal → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• Your local APMC mandi board\n\n${tip}`,
+    sell: ({ crop, harvest, season, tip }) =>
+      `📅 **Best Time to Sell ${crop}**\n\n${tip}\n\nHarvest window: ${harvest} | Season: ${season}\n\n💡 Strategy: Avoid selling at peak harvest when supply floods the market. Wait 4–6 weeks after harvest — prices usually rise 10–20%.\n\nCheck daily mandi rates on eNAM (enam.gov.in) before deciding.`,
+    msp: ({ crop }) =>
+      `🏛️ **MSP for ${crop}**\n\nThe government sets MSP (Minimum Support Price) each season to protect farmers. To claim MSP:\n\n1️⃣ Register on PM-KISAN portal → pmkisan.gov.in\n2️⃣ Documents needed: Khatauni (land record), Aadhaar, Bank passbook\n3️⃣ Sell through your local APMC mandi or registered procurement center\n\n📞 Kisan Helpline: 1800-180-1551 (Toll Free, 24x7)\n🌐 agri.gov.in for current MSP notifications`,
+    storage: ({ crop, tip, premium }) =>
+      `❄️ **Storage Tips for ${crop}**\n\n${tip}\n\nStorage options:\n• Cold storage: Best for ${premium ? "25–40% price premium" : "short-term holding"}\n• Join a local FPO for shared cold storage at lower cost/quintal\n• Proper drying & grading before storage reduces losses by 15–20%\n\nAsk your district agriculture officer for nearest government cold storage facility.`,
+    weather: ({ crop, cold }) =>
+      `🌦️ **Weather Impact on ${crop}**\n\nMonsoon effect: Deficit rainfall → supply shortage → price rise 15–25%\nExcess rain → crop damage → short spike then crash\nCold wave → affects ${cold ? "quality & supply significantly" : "field operations"}\n\n🛡️ Protect your income:\n• PMFBY crop insurance — register before sowing season\n• IMD weather forecast → imd.gov.in for your district`,
+    profit: ({ crop, harvest, tip }) =>
+      `💰 **Profit Maximization — ${crop}**\n\n${tip}\n\nTo increase your income from ${crop}:\n• Time your sale correctly (${harvest})\n• Reduce post-harvest losses with proper storage & grading\n• Sell directly to buyers via eNAM — skip middlemen\n• Explore value addition: processing, packaging, or contract farming\n• Join an FPO to negotiate better prices in bulk`,
+    disease: ({ crop }) =>
+      `🌿 **Disease & Pest Management — ${crop}**\n\nCommon issues in ${crop}: fungal blight, aphids, leaf curl, root rot (varies by season).\n\nImmediate steps:\n1. Identify the pest/disease accurately before spraying\n2. Contact your Krishi Vigyan Kendra (KVK) — free expert advice\n3. Use recommended pesticides at correct dosage\n\n📞 Kisan Call Centre: 1800-180-1551\n🌐 State agriculture department app for photo-based diagnosis\n\n⚠️ Early treatment prevents 20–30% yield loss.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **Fertilizer Guide — ${crop}**\n\nGeneral recommendation for ${crop} (per acre):\n• Basal dose: DAP 50 kg + MOP 25 kg at sowing\n• Top dressing: Urea 25–30 kg at 30 days after planting\n• Micronutrients: Zinc sulphate if soil is deficient\n\nAlways get a **soil test done** (free at KVK or for ₹50 at district lab) before applying fertilizers — saves 20–30% fertilizer cost.\n\n📞 Contact your local agriculture extension officer for crop-specific doses.`,
+    water: ({ crop, key }) =>
+      `💧 **Irrigation for ${crop}**\n\n${crop} water requirement: ${
+        key==="Rice"?"High — 1200–2000 mm (flood or SRI method)":
+        key==="Sugarcane"?"High — irrigate every 10–15 days":
+        key==="Wheat"?"Medium — 4–6 irrigations (CRI, tillering, jointing, grain fill)":
+        key==="Tomato"?"Frequent — drip irrigation saves 40% water":
+        "Moderate — check soil moisture before irrigating"}\n\n💡 Drip/sprinkler irrigation saves 30–50% water vs flood irrigation.\nApply for Pradhan Mantri Krishi Sinchai Yojana (PMKSY) subsidy on drip systems.`,
+    loan: () =>
+      `🏦 **Farm Finance & Insurance**\n\n• **Kisan Credit Card (KCC):** Up to ₹3 lakh at 4% effective interest (7% minus 3% subvention) — apply at any bank\n• **PM-KISAN:** ₹6,000/year direct to your bank → pmkisan.gov.in\n• **PMFBY Crop Insurance:** Covers crop loss from drought, flood, pest — enroll before sowing\n• **NABARD loans** via cooperative banks for farm infrastructure\n\n📞 Bank helpline or nearest PACS for KCC application\n📞 Kisan Helpline: 1800-180-1551`,
+    export: ({ crop, key, tip }) =>
+      `🌍 **Export Opportunities for ${crop}**\n\n${tip}\n\nKey export markets for Indian ${crop}:\n${key==="Chilli"?"• Sri Lanka, Bangladesh, UAE, Malaysia — May–Jun is peak export season":
+        key==="Onion"?"• Malaysia, Sri Lanka, UAE — Apr–Jul when domestic prices are high":
+        key==="Rice"?"• Middle East, Africa, SE Asia — India is world's largest rice exporter":
+        key==="Cotton"?"• Bangladesh, China for textile — premium for long staple quality":
+        "• Check APEDA portal (apeda.gov.in) for your crop's export potential"}\n\nRegister on APEDA (Agricultural and Processed Food Products Export Authority) at apeda.gov.in to connect with exporters.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **Sowing Guide — ${crop}**\n\nSeason: ${season} | Best sowing time varies by region.\n\nGeneral steps:\n1. Soil preparation: Deep plowing + 2–3 harrowings\n2. Seed treatment: Use certified seeds, treat with fungicide\n3. Spacing & depth: As per variety recommendation\n4. Basal fertilizer: Apply DAP at sowing\n\n📞 Contact your Krishi Vigyan Kendra (KVK) for region-specific sowing schedule and variety recommendations for ${crop}.`,
+    harvest: ({ crop, key, harvest, season }) =>
+      `🌾 **Harvest Time — ${crop}**\n\nTypical harvest window: **${harvest}**\nSeason: ${season}\n\nSigns of maturity for ${crop}:\n${key==="Wheat"?"• Golden yellow color, grains hard & dry, moisture 14–16%":
+        key==="Rice"?"• 80% grains golden yellow, moisture 20–25% at harvest":
+        key==="Tomato"?"• Red color, firm texture — harvest every 3–4 days":
+        key==="Onion"?"• Neck fall (70% plants), tops dry and fall naturally":
+        "• Check crop-specific maturity indicators with your KVK"}\n\n⏰ Harvest at the right time to avoid quality loss and price drop.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **Best Varieties — ${crop}**\n\nTop recommended varieties for ${crop}:\n${varieties ? `• ${varieties}` :
+        "• Contact your state agriculture department or KVK for region-specific variety recommendations"}\n\nAlways buy **certified seeds** from government-registered dealers.`,
+    transport: ({ crop, key }) =>
+      `🚛 **Transport & Logistics for ${crop}**\n\nTips to reduce transport costs:\n• Join or form an FPO to aggregate produce and share transport\n• Sell on eNAM (enam.gov.in) — buyers can bid from anywhere, reducing your need to travel\n• Harvest at the right time to avoid emergency transport\n• Use government-subsidized transport schemes in your state\n\nFor perishables like ${key==="Tomato"||key==="Onion"?"Tomato/Onion":"this crop"}, pre-cool before transport to reduce losses.`,
+    // Smart general answer that still uses the question text
+    general: ({ crop, q, tip, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop} Answer**\n\nYour question: "${q}"\n\n${tip}\n\nRelevant info for ${crop}:\n• Season: ${season} | Harvest: ${harvest}\n• Approx price: ₹${base}/qtl\n\n📞 For expert advice specific to your question:\n• Kisan Call Centre: 1800-180-1551 (Toll Free, 24x7)\n• eNAM portal: enam.gov.in\n• Nearest Krishi Vigyan Kendra (KVK)`,
+  },
+};
+
+const hi = {
+  fromData: "आपके आँकड़ों से",
+  seasons: { Rabi:"रबी", Kharif:"खरीफ", "Year-round":"साल भर" },
+  levels: { high:"अधिक", medium:"मध्यम", frequent:"बार-बार, थोड़ा-थोड़ा", moderate:"सामान्य — सिंचाई से पहले मिट्टी की नमी देखें" },
+  keywords: {
+    price:    ["दाम","भाव","कीमत","रेट","आज","कितना","क्या भाव","मंडी","बाजार","बाज़ार"],
+    sell:     ["बेच","कब बेचूं","कब","सही समय","रोक"],
+    msp:      ["एमएसपी","समर्थन","समर्थन मूल्य","सरकार","सरकारी","योजना","सब्सिडी","पीएम किसान"],
+    storage:  ["भंडारण","रखना","रखें","गोदाम","कोल्ड स्टोरेज","ठंडा"],
+    weather:  ["मौसम","बारिश","वर्षा","सूखा","बाढ़","मानसून","पाला"],
+    profit:   ["कमाई","फायदा","लाभ","मुनाफा","मुनाफ़ा","आमदनी"],
+    disease:  ["कीट","रोग","दवाई","दवा","कीड़ा","छिड़काव","बीमारी"],
+    fertilizer:["खाद","यूरिया","डीएपी","उर्वरक","पोटाश","जिंक"],
+    water:    ["पानी","सिंचाई","नहर","ड्रिप","बोरवेल"],
+    loan:     ["बीमा","ऋण","लोन","ब्याज","किसान कार्ड","बैंक","कर्ज","कर्ज़"],
+    export:   ["विदेश","निर्यात","एक्सपोर्ट"],
+    sowing:   ["बुवाई","बीज","उगाना","नर्सरी","रोपाई"],
+    harvest:  ["कटाई","तैयार","पक"],
+    variety:  ["किस्म","कौन सी","हाइब्रिड","वैरायटी"],
+    transport:["ढुलाई","गाड़ी","ट्रक","परिवहन","भाड़ा"],
+  },
+  crops: {
+    Wheat:["गेहूं","गेहूँ"], Rice:["धान","चावल"], Maize:["मक्का"], Tomato:["टमाटर"], Onion:["प्याज"],
+    Potato:["आलू"], Soybean:["सोयाबीन"], Cotton:["कपास"], Sugarcane:["गन्ना"], Chilli:["मिर्च"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} का मंडी भाव**\n\nअनुमानित भाव: ₹${base}–₹${high}/क्विंटल\n(गुणवत्ता, जगह और मौसम के अनुसार बदलता है)\n\nकटाई: ${harvest} | मौसम: ${season}\n\n🔍 ताज़ा भाव देखें:\n• eNAM पोर्टल → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• अपनी नज़दीकी APMC मंडी`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} बेचने का सही समय**\n\n${sell ? `सबसे अच्छा समय: ${sell}\n` : ""}कटाई: ${harvest} | मौसम: ${season}\n\n💡 कटाई के समय मंडी में आवक सबसे ज़्यादा होती है और भाव गिरते हैं। 4–6 हफ़्ते रुकने पर भाव अक्सर 10–20% बढ़ जाते हैं।\n\nबेचने से पहले eNAM (enam.gov.in) पर रोज़ का भाव देखें।`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} का MSP**\n\nसरकार हर सीज़न किसानों की सुरक्षा के लिए न्यूनतम समर्थन मूल्य (MSP) तय करती है। MSP पाने के लिए:\n\n1️⃣ PM-KISAN पोर्टल पर पंजीकरण → pmkisan.gov.in\n2️⃣ ज़रूरी दस्तावेज़: खतौनी, आधार, बैंक पासबुक\n3️⃣ नज़दीकी APMC मंडी या सरकारी खरीद केंद्र पर बेचें\n\n📞 किसान हेल्पलाइन: 1800-180-1551 (निःशुल्क, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} का भंडारण**\n\n${sell ? `रखकर बेचने का अच्छा समय: ${sell}\n\n` : ""}• कोल्ड स्टोरेज: ${premium ? "25–40% तक ज़्यादा भाव" : "थोड़े समय रखने के लिए उपयोगी"}\n• FPO से जुड़ें — साझा कोल्ड स्टोरेज कम खर्च में\n• भंडारण से पहले अच्छी सुखाई और ग्रेडिंग से 15–20% नुकसान कम होता है\n\nनज़दीकी सरकारी कोल्ड स्टोरेज के लिए ज़िला कृषि अधिकारी से संपर्क करें।`,
+    weather: ({ crop }) =>
+      `🌦️ **मौसम का ${crop} पर असर**\n\nकम बारिश → आवक घटती है → भाव 15–25% बढ़ते हैं\nज़्यादा बारिश → फ़सल खराब → भाव पहले उछलते हैं, फिर गिरते हैं\n\n🛡️ आमदनी की सुरक्षा:\n• PMFBY फ़सल बीमा — बुवाई से पहले पंजीकरण करें\n• अपने ज़िले का मौसम पूर्वानुमान → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} से ज़्यादा कमाई**\n\n• सही समय पर बेचें${sell ? ` (${sell})` : ""}\n• अच्छे भंडारण और ग्रेडिंग से कटाई के बाद का नुकसान घटाएँ\n• eNAM पर सीधे खरीदार को बेचें — बिचौलियों से बचें\n• प्रोसेसिंग, पैकेजिंग या कॉन्ट्रैक्ट खेती आज़माएँ\n• FPO से जुड़कर थोक में बेहतर भाव पाएँ`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} में कीट और रोग**\n\n1. छिड़काव से पहले कीट/रोग की सही पहचान करें\n2. कृषि विज्ञान केंद्र (KVK) से मुफ़्त सलाह लें\n3. सुझाई गई दवा ही सही मात्रा में डालें\n\n📞 किसान कॉल सेंटर: 1800-180-1551\n\n⚠️ समय पर इलाज से 20–30% पैदावार का नुकसान बचता है।`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} के लिए खाद (प्रति एकड़)**\n\n• बुवाई पर: DAP 50 किलो + MOP 25 किलो\n• 30 दिन बाद: यूरिया 25–30 किलो\n• मिट्टी में कमी हो तो ज़िंक सल्फ़ेट\n\nखाद डालने से पहले **मिट्टी की जाँच** कराएँ (KVK पर मुफ़्त) — 20–30% खाद का खर्च बचता है।`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} की सिंचाई**\n\nपानी की ज़रूरत: ${water}\n\n💡 ड्रिप/स्प्रिंकलर से खुली सिंचाई की तुलना में 30–50% पानी बचता है।\nड्रिप पर सब्सिडी के लिए प्रधानमंत्री कृषि सिंचाई योजना (PMKSY) में आवेदन करें।`,
+    loan: () =>
+      `🏦 **खेती के लिए कर्ज़ और बीमा**\n\n• **किसान क्रेडिट कार्ड (KCC):** ₹3 लाख तक, लगभग 4% ब्याज — किसी भी बैंक में आवेदन करें\n• **PM-KISAN:** ₹6,000/साल सीधे बैंक खाते में → pmkisan.gov.in\n• **PMFBY फ़सल बीमा:** सूखा, बाढ़, कीट से नुकसान — बुवाई से पहले जुड़ें\n\n📞 किसान हेल्पलाइन: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} का निर्यात**\n\nनिर्यातकों से जुड़ने के लिए APEDA पोर्टल (apeda.gov.in) पर पंजीकरण करें। FPO के ज़रिये मिलकर माल भेजना आसान होता है।`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} की बुवाई**\n\nमौसम: ${season}\n\n1. गहरी जुताई + 2–3 बार हैरो\n2. प्रमाणित बीज लें, फफूंदनाशक से उपचार करें\n3. किस्म के अनुसार दूरी और गहराई रखें\n4. बुवाई पर DAP डालें\n\n📞 अपने क्षेत्र के बुवाई समय के लिए कृषि विज्ञान केंद्र (KVK) से संपर्क करें।`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} की कटाई**\n\nकटाई का समय: **${harvest}**\nमौसम: ${season}\n\n⏰ सही समय पर कटाई करें — देर होने पर गुणवत्ता और भाव दोनों गिरते हैं। पकने की पहचान के लिए KVK से पूछें।`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} की अच्छी किस्में**\n\n${varieties ? `• ${varieties}` : "• अपने क्षेत्र की किस्म के लिए राज्य कृषि विभाग या KVK से संपर्क करें"}\n\nहमेशा सरकारी पंजीकृत विक्रेता से ही **प्रमाणित बीज** खरीदें।`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} की ढुलाई**\n\n• FPO से जुड़कर माल इकट्ठा करें और गाड़ी का खर्च बाँटें\n• eNAM (enam.gov.in) पर बेचें — खरीदार कहीं से भी बोली लगा सकते हैं\n• जल्दी खराब होने वाली फ़सल को ढुलाई से पहले ठंडा करें`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nआपका सवाल: "${q}"\n\n• मौसम: ${season} | कटाई: ${harvest}\n• अनुमानित भाव: ₹${base}/क्विंटल\n\n📞 विशेषज्ञ सलाह के लिए:\n• किसान कॉल सेंटर: 1800-180-1551 (निःशुल्क, 24x7)\n• eNAM पोर्टल: enam.gov.in\n• नज़दीकी कृषि विज्ञान केंद्र (KVK)`,
+  },
+};
+
+const pa = {
+  fromData: "ਤੁਹਾਡੇ ਅੰਕੜਿਆਂ ਤੋਂ",
+  seasons: { Rabi:"ਹਾੜੀ", Kharif:"ਸਾਉਣੀ", "Year-round":"ਸਾਰਾ ਸਾਲ" },
+  levels: { high:"ਵੱਧ", medium:"ਦਰਮਿਆਨੀ", frequent:"ਵਾਰ-ਵਾਰ, ਥੋੜ੍ਹਾ-ਥੋੜ੍ਹਾ", moderate:"ਆਮ — ਸਿੰਚਾਈ ਤੋਂ ਪਹਿਲਾਂ ਮਿੱਟੀ ਦੀ ਨਮੀ ਵੇਖੋ" },
+  keywords: {
+    price:    ["ਭਾਅ","ਕੀਮਤ","ਰੇਟ","ਅੱਜ","ਕਿੰਨਾ","ਕਿੰਨੇ","ਮੰਡੀ","ਬਾਜ਼ਾਰ"],
+    sell:     ["ਵੇਚ","ਕਦੋਂ","ਸਹੀ ਸਮਾਂ","ਰੋਕ"],
+    msp:      ["ਐਮਐਸਪੀ","ਸਮਰਥਨ","ਸਮਰਥਨ ਮੁੱਲ","ਸਰਕਾਰ","ਸਰਕਾਰੀ","ਯੋਜਨਾ","ਸਬਸਿਡੀ"],
+    storage:  ["ਭੰਡਾਰ","ਸਟੋਰ","ਗੋਦਾਮ","ਕੋਲਡ","ਰੱਖਣ"],
+    weather:  ["ਮੌਸਮ","ਮੀਂਹ","ਬਾਰਿਸ਼","ਸੋਕਾ","ਹੜ੍ਹ","ਮਾਨਸੂਨ","ਕੋਰਾ"],
+    profit:   ["ਕਮਾਈ","ਫ਼ਾਇਦਾ","ਫਾਇਦਾ","ਮੁਨਾਫ਼ਾ","ਮੁਨਾਫਾ","ਲਾਭ","ਆਮਦਨ"],
+    disease:  ["ਕੀੜ","ਰੋਗ","ਬਿਮਾਰੀ","ਦਵਾਈ","ਸਪਰੇਅ","ਛਿੜਕਾਅ"],
+    fertilizer:["ਖਾਦ","ਯੂਰੀਆ","ਡੀਏਪੀ","ਪੋਟਾਸ਼","ਜ਼ਿੰਕ"],
+    water:    ["ਪਾਣੀ","ਸਿੰਚਾਈ","ਨਹਿਰ","ਡ੍ਰਿਪ","ਟਿਊਬਵੈੱਲ"],
+    loan:     ["ਕਰਜ਼","ਕਰਜਾ","ਲੋਨ","ਬੈਂਕ","ਵਿਆਜ","ਬੀਮਾ","ਕਿਸਾਨ ਕਾਰਡ"],
+    export:   ["ਨਿਰਯਾਤ","ਵਿਦੇਸ਼","ਬਰਾਮਦ","ਐਕਸਪੋਰਟ"],
+    sowing:   ["ਬਿਜਾਈ","ਬੀਜ","ਪਨੀਰੀ","ਲੁਆਈ"],
+    harvest:  ["ਵਾਢੀ","ਕਟਾਈ","ਤਿਆਰ","ਪੱਕ"],
+    variety:  ["ਕਿਸਮ","ਕਿਹੜੀ","ਹਾਈਬ੍ਰਿਡ"],
+    transport:["ਢੋਆ","ਟਰੱਕ","ਗੱਡੀ","ਭਾੜਾ","ਆਵਾਜਾਈ"],
+  },
+  crops: {
+    Wheat:["ਕਣਕ"], Rice:["ਝੋਨਾ","ਝੋਨੇ","ਚੌਲ","ਚਾਵਲ"], Maize:["ਮੱਕੀ"], Tomato:["ਟਮਾਟਰ"], Onion:["ਪਿਆਜ਼","ਪਿਆਜ"],
+    Potato:["ਆਲੂ"], Soybean:["ਸੋਇਆਬੀਨ"], Cotton:["ਕਪਾਹ","ਨਰਮਾ","ਨਰਮੇ"], Sugarcane:["ਗੰਨਾ","ਗੰਨੇ"], Chilli:["ਮਿਰਚ"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} ਦਾ ਮੰਡੀ ਭਾਅ**\n\nਅੰਦਾਜ਼ਨ ਭਾਅ: ₹${base}–₹${high}/ਕੁਇੰਟਲ\n(ਕੁਆਲਿਟੀ, ਥਾਂ ਅਤੇ ਮੌਸਮ ਮੁਤਾਬਕ ਬਦਲਦਾ ਹੈ)\n\nਵਾਢੀ: ${harvest} | ਸੀਜ਼ਨ: ${season}\n\n🔍 ਤਾਜ਼ਾ ਭਾਅ ਵੇਖੋ:\n• eNAM ਪੋਰਟਲ → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• ਆਪਣੀ ਨੇੜਲੀ APMC ਮੰਡੀ`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} ਵੇਚਣ ਦਾ ਸਹੀ ਸਮਾਂ**\n\n${sell ? `ਸਭ ਤੋਂ ਵਧੀਆ ਸਮਾਂ: ${sell}\n` : ""}ਵਾਢੀ: ${harvest} | ਸੀਜ਼ਨ: ${season}\n\n💡 ਵਾਢੀ ਵੇਲੇ ਮੰਡੀ ਵਿੱਚ ਆਮਦ ਸਭ ਤੋਂ ਵੱਧ ਹੁੰਦੀ ਹੈ ਅਤੇ ਭਾਅ ਡਿੱਗਦੇ ਹਨ। 4–6 ਹਫ਼ਤੇ ਰੁਕਣ ਨਾਲ ਭਾਅ ਅਕਸਰ 10–20% ਵੱਧ ਜਾਂਦੇ ਹਨ।\n\nਵੇਚਣ ਤੋਂ ਪਹਿਲਾਂ eNAM (enam.gov.in) 'ਤੇ ਰੋਜ਼ਾਨਾ ਭਾਅ ਵੇਖੋ।`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} ਦਾ MSP**\n\nਸਰਕਾਰ ਹਰ ਸੀਜ਼ਨ ਘੱਟੋ-ਘੱਟ ਸਮਰਥਨ ਮੁੱਲ (MSP) ਤੈਅ ਕਰਦੀ ਹੈ। MSP ਲੈਣ ਲਈ:\n\n1️⃣ PM-KISAN ਪੋਰਟਲ 'ਤੇ ਰਜਿਸਟਰ ਕਰੋ → pmkisan.gov.in\n2️⃣ ਦਸਤਾਵੇਜ਼: ਜ਼ਮੀਨ ਦੀ ਫ਼ਰਦ, ਆਧਾਰ, ਬੈਂਕ ਪਾਸਬੁੱਕ\n3️⃣ ਨੇੜਲੀ APMC ਮੰਡੀ ਜਾਂ ਸਰਕਾਰੀ ਖਰੀਦ ਕੇਂਦਰ 'ਤੇ ਵੇਚੋ\n\n📞 ਕਿਸਾਨ ਹੈਲਪਲਾਈਨ: 1800-180-1551 (ਮੁਫ਼ਤ, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} ਦਾ ਭੰਡਾਰਨ**\n\n${sell ? `ਸਟੋਰ ਕਰਕੇ ਵੇਚਣ ਦਾ ਚੰਗਾ ਸਮਾਂ: ${sell}\n\n` : ""}• ਕੋਲਡ ਸਟੋਰ: ${premium ? "25–40% ਤੱਕ ਵੱਧ ਭਾਅ" : "ਥੋੜ੍ਹੇ ਸਮੇਂ ਲਈ ਠੀਕ"}\n• FPO ਨਾਲ ਜੁੜੋ — ਸਾਂਝਾ ਕੋਲਡ ਸਟੋਰ ਘੱਟ ਖਰਚੇ 'ਤੇ\n• ਸਟੋਰ ਤੋਂ ਪਹਿਲਾਂ ਚੰਗੀ ਤਰ੍ਹਾਂ ਸੁਕਾਉਣ ਅਤੇ ਗ੍ਰੇਡਿੰਗ ਨਾਲ 15–20% ਨੁਕਸਾਨ ਘਟਦਾ ਹੈ\n\nਨੇੜਲੇ ਸਰਕਾਰੀ ਕੋਲਡ ਸਟੋਰ ਲਈ ਜ਼ਿਲ੍ਹਾ ਖੇਤੀਬਾੜੀ ਅਫ਼ਸਰ ਨਾਲ ਗੱਲ ਕਰੋ।`,
+    weather: ({ crop }) =>
+      `🌦️ **ਮੌਸਮ ਦਾ ${crop} 'ਤੇ ਅਸਰ**\n\nਘੱਟ ਮੀਂਹ → ਆਮਦ ਘਟਦੀ ਹੈ → ਭਾਅ 15–25% ਵੱਧਦੇ ਹਨ\nਵੱਧ ਮੀਂਹ → ਫ਼ਸਲ ਦਾ ਨੁਕਸਾਨ → ਭਾਅ ਪਹਿਲਾਂ ਚੜ੍ਹਦੇ, ਫਿਰ ਡਿੱਗਦੇ ਹਨ\n\n🛡️ ਆਮਦਨ ਦੀ ਸੁਰੱਖਿਆ:\n• PMFBY ਫ਼ਸਲ ਬੀਮਾ — ਬਿਜਾਈ ਤੋਂ ਪਹਿਲਾਂ ਰਜਿਸਟਰ ਕਰੋ\n• ਆਪਣੇ ਜ਼ਿਲ੍ਹੇ ਦਾ ਮੌਸਮ ਅਨੁਮਾਨ → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} ਤੋਂ ਵੱਧ ਕਮਾਈ**\n\n• ਸਹੀ ਸਮੇਂ ਵੇਚੋ${sell ? ` (${sell})` : ""}\n• ਚੰਗੇ ਭੰਡਾਰਨ ਅਤੇ ਗ੍ਰੇਡਿੰਗ ਨਾਲ ਵਾਢੀ ਤੋਂ ਬਾਅਦ ਦਾ ਨੁਕਸਾਨ ਘਟਾਓ\n• eNAM 'ਤੇ ਸਿੱਧਾ ਖਰੀਦਦਾਰ ਨੂੰ ਵੇਚੋ — ਵਿਚੋਲਿਆਂ ਤੋਂ ਬਚੋ\n• ਪ੍ਰੋਸੈਸਿੰਗ, ਪੈਕਿੰਗ ਜਾਂ ਕੰਟਰੈਕਟ ਖੇਤੀ ਬਾਰੇ ਸੋਚੋ\n• FPO ਨਾਲ ਜੁੜ ਕੇ ਥੋਕ ਵਿੱਚ ਵਧੀਆ ਭਾਅ ਲਓ`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} ਵਿੱਚ ਕੀੜੇ ਅਤੇ ਰੋਗ**\n\n1. ਸਪਰੇਅ ਤੋਂ ਪਹਿਲਾਂ ਕੀੜੇ/ਰੋਗ ਦੀ ਸਹੀ ਪਛਾਣ ਕਰੋ\n2. ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਤੋਂ ਮੁਫ਼ਤ ਸਲਾਹ ਲਓ\n3. ਸਿਫ਼ਾਰਸ਼ ਕੀਤੀ ਦਵਾਈ ਸਹੀ ਮਾਤਰਾ ਵਿੱਚ ਹੀ ਵਰਤੋ\n\n📞 ਕਿਸਾਨ ਕਾਲ ਸੈਂਟਰ: 1800-180-1551\n\n⚠️ ਸਮੇਂ ਸਿਰ ਇਲਾਜ ਨਾਲ 20–30% ਝਾੜ ਦਾ ਨੁਕਸਾਨ ਬਚਦਾ ਹੈ।`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} ਲਈ ਖਾਦ (ਪ੍ਰਤੀ ਏਕੜ)**\n\n• ਬਿਜਾਈ ਵੇਲੇ: DAP 50 ਕਿਲੋ + MOP 25 ਕਿਲੋ\n• 30 ਦਿਨ ਬਾਅਦ: ਯੂਰੀਆ 25–30 ਕਿਲੋ\n• ਮਿੱਟੀ ਵਿੱਚ ਘਾਟ ਹੋਵੇ ਤਾਂ ਜ਼ਿੰਕ ਸਲਫ਼ੇਟ\n\nਖਾਦ ਪਾਉਣ ਤੋਂ ਪਹਿਲਾਂ **ਮਿੱਟੀ ਦੀ ਪਰਖ** ਕਰਵਾਓ (KVK 'ਤੇ ਮੁਫ਼ਤ) — 20–30% ਖਾਦ ਦਾ ਖਰਚਾ ਬਚਦਾ ਹੈ।`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} ਦੀ ਸਿੰਚਾਈ**\n\nਪਾਣੀ ਦੀ ਲੋੜ: ${water}\n\n💡 ਡ੍ਰਿਪ/ਫੁਹਾਰਾ ਸਿੰਚਾਈ ਨਾਲ ਖੁੱਲ੍ਹੀ ਸਿੰਚਾਈ ਨਾਲੋਂ 30–50% ਪਾਣੀ ਬਚਦਾ ਹੈ।\nਡ੍ਰਿਪ 'ਤੇ ਸਬਸਿਡੀ ਲਈ ਪ੍ਰਧਾਨ ਮੰਤਰੀ ਕ੍ਰਿਸ਼ੀ ਸਿੰਚਾਈ ਯੋਜਨਾ (PMKSY) ਵਿੱਚ ਅਰਜ਼ੀ ਦਿਓ।`,
+    loan: () =>
+      `🏦 **ਖੇਤੀ ਕਰਜ਼ਾ ਅਤੇ ਬੀਮਾ**\n\n• **ਕਿਸਾਨ ਕ੍ਰੈਡਿਟ ਕਾਰਡ (KCC):** ₹3 ਲੱਖ ਤੱਕ, ਲਗਭਗ 4% ਵਿਆਜ — ਕਿਸੇ ਵੀ ਬੈਂਕ ਵਿੱਚ ਅਰਜ਼ੀ ਦਿਓ\n• **PM-KISAN:** ₹6,000/ਸਾਲ ਸਿੱਧਾ ਬੈਂਕ ਖਾਤੇ ਵਿੱਚ → pmkisan.gov.in\n• **PMFBY ਫ਼ਸਲ ਬੀਮਾ:** ਸੋਕਾ, ਹੜ੍ਹ, ਕੀੜਿਆਂ ਤੋਂ ਨੁਕਸਾਨ — ਬਿਜਾਈ ਤੋਂ ਪਹਿਲਾਂ ਜੁੜੋ\n\n📞 ਕਿਸਾਨ ਹੈਲਪਲਾਈਨ: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} ਦਾ ਨਿਰਯਾਤ**\n\nਨਿਰਯਾਤਕਾਂ ਨਾਲ ਜੁੜਨ ਲਈ APEDA ਪੋਰਟਲ (apeda.gov.in) 'ਤੇ ਰਜਿਸਟਰ ਕਰੋ। FPO ਰਾਹੀਂ ਇਕੱਠੇ ਮਾਲ ਭੇਜਣਾ ਸੌਖਾ ਹੁੰਦਾ ਹੈ।`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} ਦੀ ਬਿਜਾਈ**\n\nਸੀਜ਼ਨ: ${season}\n\n1. ਡੂੰਘੀ ਵਾਹੀ + 2–3 ਵਾਰ ਤਵੀਆਂ\n2. ਤਸਦੀਕਸ਼ੁਦਾ ਬੀਜ ਲਓ, ਉੱਲੀਨਾਸ਼ਕ ਨਾਲ ਸੋਧੋ\n3. ਕਿਸਮ ਮੁਤਾਬਕ ਫ਼ਾਸਲਾ ਅਤੇ ਡੂੰਘਾਈ ਰੱਖੋ\n4. ਬਿਜਾਈ ਵੇਲੇ DAP ਪਾਓ\n\n📞 ਆਪਣੇ ਇਲਾਕੇ ਦੇ ਬਿਜਾਈ ਸਮੇਂ ਲਈ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਨਾਲ ਸੰਪਰਕ ਕਰੋ।`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} ਦੀ ਵਾਢੀ**\n\nਵਾਢੀ ਦਾ ਸਮਾਂ: **${harvest}**\nਸੀਜ਼ਨ: ${season}\n\n⏰ ਸਹੀ ਸਮੇਂ ਵਾਢੀ ਕਰੋ — ਦੇਰੀ ਨਾਲ ਕੁਆਲਿਟੀ ਅਤੇ ਭਾਅ ਦੋਵੇਂ ਡਿੱਗਦੇ ਹਨ। ਪੱਕਣ ਦੀ ਪਛਾਣ ਲਈ KVK ਤੋਂ ਪੁੱਛੋ।`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} ਦੀਆਂ ਚੰਗੀਆਂ ਕਿਸਮਾਂ**\n\n${varieties ? `• ${varieties}` : "• ਆਪਣੇ ਇਲਾਕੇ ਦੀ ਕਿਸਮ ਲਈ ਰਾਜ ਖੇਤੀਬਾੜੀ ਵਿਭਾਗ ਜਾਂ KVK ਨਾਲ ਸੰਪਰਕ ਕਰੋ"}\n\nਹਮੇਸ਼ਾ ਸਰਕਾਰੀ ਰਜਿਸਟਰਡ ਡੀਲਰ ਤੋਂ ਹੀ **ਤਸਦੀਕਸ਼ੁਦਾ ਬੀਜ** ਖਰੀਦੋ।`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} ਦੀ ਢੋਆ-ਢੁਆਈ**\n\n• FPO ਨਾਲ ਜੁੜ ਕੇ ਮਾਲ ਇਕੱਠਾ ਕਰੋ ਅਤੇ ਗੱਡੀ ਦਾ ਖਰਚਾ ਵੰਡੋ\n• eNAM (enam.gov.in) 'ਤੇ ਵੇਚੋ — ਖਰੀਦਦਾਰ ਕਿਤੋਂ ਵੀ ਬੋਲੀ ਲਗਾ ਸਕਦੇ ਹਨ\n• ਜਲਦੀ ਖਰਾਬ ਹੋਣ ਵਾਲੀ ਫ਼ਸਲ ਨੂੰ ਢੋਆ-ਢੁਆਈ ਤੋਂ ਪਹਿਲਾਂ ਠੰਢਾ ਕਰੋ`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nਤੁਹਾਡਾ ਸਵਾਲ: "${q}"\n\n• ਸੀਜ਼ਨ: ${season} | ਵਾਢੀ: ${harvest}\n• ਅੰਦਾਜ਼ਨ ਭਾਅ: ₹${base}/ਕੁਇੰਟਲ\n\n📞 ਮਾਹਿਰ ਸਲਾਹ ਲਈ:\n• ਕਿਸਾਨ ਕਾਲ ਸੈਂਟਰ: 1800-180-1551 (ਮੁਫ਼ਤ, 24x7)\n• eNAM ਪੋਰਟਲ: enam.gov.in\n• ਨੇੜਲਾ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK)`,
+  },
+};
+
+const te = {
+  fromData: "మీ డేటా నుండి",
+  seasons: { Rabi:"రబీ", Kharif:"ఖరీఫ్", "Year-round":"ఏడాది పొడవునా" },
+  levels: { high:"ఎక్కువ", medium:"మధ్యస్థం", frequent:"తరచుగా, కొద్ది కొద్దిగా", moderate:"సాధారణం — నీరు పెట్టే ముందు నేల తేమ చూడండి" },
+  keywords: {
+    price:    ["ధర","రేటు","ఈరోజు","ఈ రోజు","ఎంత","మార్కెట్","మండి"],
+    sell:     ["అమ్మ","ఎప్పుడు","సరైన సమయం"],
+    msp:      ["ఎంఎస్పీ","మద్దతు","మద్దతు ధర","కనీస","ప్రభుత్వ","పథకం","సబ్సిడీ"],
+    storage:  ["నిల్వ","గోదాము","గిడ్డంగి","కోల్డ్ స్టోరేజ్","శీతల"],
+    weather:  ["వాతావరణం","వర్షం","వాన","కరువు","వరద","రుతుపవన","ఎండ","చలి"],
+    profit:   ["లాభం","లాభ","ఆదాయం","సంపాదన","రాబడి"],
+    disease:  ["తెగులు","పురుగు","చీడ","మందు","పిచికారీ","రోగం","వ్యాధి"],
+    fertilizer:["ఎరువు","యూరియా","డీఏపీ","పొటాష్","జింక్"],
+    water:    ["నీరు","నీటి","సాగునీరు","నీటిపారుదల","డ్రిప్","బోరు","కాలువ"],
+    loan:     ["రుణం","అప్పు","లోన్","బ్యాంకు","వడ్డీ","బీమా","కిసాన్ కార్డు"],
+    export:   ["ఎగుమతి","విదేశ"],
+    sowing:   ["విత్తు","విత్తనం","నాటు","నారు"],
+    harvest:  ["కోత","కోయ","సిద్ధం"],
+    variety:  ["రకం","రకాలు","ఏ రకం","హైబ్రిడ్"],
+    transport:["రవాణా","లారీ","ట్రక్కు","బండి","కిరాయి"],
+  },
+  crops: {
+    Wheat:["గోధుమ"], Rice:["వరి","బియ్యం","ధాన్యం"], Maize:["మొక్కజొన్న"], Tomato:["టమాటా","టమోటా","టొమాటో"], Onion:["ఉల్లిపాయ","ఉల్లి"],
+    Potato:["బంగాళాదుంప","బంగాళ","ఆలుగడ్డ"], Soybean:["సోయాబీన్","సోయా"], Cotton:["పత్తి"], Sugarcane:["చెరకు","చెరుకు"], Chilli:["మిర్చి","మిరప"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} మార్కెట్ ధర**\n\nసుమారు ధర: ₹${base}–₹${high}/క్వింటాల్\n(నాణ్యత, ప్రాంతం, సీజన్‌ను బట్టి మారుతుంది)\n\nకోత: ${harvest} | సీజన్: ${season}\n\n🔍 తాజా ధరలు చూడండి:\n• eNAM పోర్టల్ → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• మీ దగ్గరి APMC మార్కెట్ యార్డు`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} అమ్మడానికి సరైన సమయం**\n\n${sell ? `ఉత్తమ సమయం: ${sell}\n` : ""}కోత: ${harvest} | సీజన్: ${season}\n\n💡 కోత సమయంలో మార్కెట్‌కు సరుకు ఎక్కువగా వస్తుంది, ధరలు పడిపోతాయి. 4–6 వారాలు ఆగితే ధరలు సాధారణంగా 10–20% పెరుగుతాయి.\n\nఅమ్మే ముందు eNAM (enam.gov.in) లో రోజువారీ ధరలు చూడండి.`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} కనీస మద్దతు ధర (MSP)**\n\nరైతుల రక్షణ కోసం ప్రభుత్వం ప్రతి సీజన్‌కు MSP ప్రకటిస్తుంది. MSP పొందడానికి:\n\n1️⃣ PM-KISAN పోర్టల్‌లో నమోదు → pmkisan.gov.in\n2️⃣ పత్రాలు: పట్టాదారు పాస్‌బుక్, ఆధార్, బ్యాంకు పాస్‌బుక్\n3️⃣ దగ్గరి APMC మార్కెట్ లేదా ప్రభుత్వ కొనుగోలు కేంద్రంలో అమ్మండి\n\n📞 కిసాన్ హెల్ప్‌లైన్: 1800-180-1551 (ఉచితం, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} నిల్వ**\n\n${sell ? `నిల్వ చేసి అమ్మడానికి మంచి సమయం: ${sell}\n\n` : ""}• కోల్డ్ స్టోరేజ్: ${premium ? "25–40% వరకు ఎక్కువ ధర" : "కొద్ది కాలం నిల్వకు అనుకూలం"}\n• FPO లో చేరండి — తక్కువ ఖర్చుతో ఉమ్మడి కోల్డ్ స్టోరేజ్\n• నిల్వకు ముందు బాగా ఆరబెట్టి గ్రేడింగ్ చేస్తే 15–20% నష్టం తగ్గుతుంది\n\nదగ్గరి ప్రభుత్వ కోల్డ్ స్టోరేజ్ కోసం జిల్లా వ్యవసాయ అధికారిని సంప్రదించండి.`,
+    weather: ({ crop }) =>
+      `🌦️ **${crop} పై వాతావరణ ప్రభావం**\n\nవర్షం తక్కువ → సరుకు తగ్గుతుంది → ధరలు 15–25% పెరుగుతాయి\nవర్షం ఎక్కువ → పంట నష్టం → ధరలు మొదట పెరిగి తర్వాత పడిపోతాయి\n\n🛡️ ఆదాయ రక్షణ:\n• PMFBY పంట బీమా — విత్తే ముందు నమోదు చేసుకోండి\n• మీ జిల్లా వాతావరణ సూచన → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} నుండి ఎక్కువ ఆదాయం**\n\n• సరైన సమయంలో అమ్మండి${sell ? ` (${sell})` : ""}\n• సరైన నిల్వ, గ్రేడింగ్‌తో కోత తర్వాత నష్టం తగ్గించండి\n• eNAM లో నేరుగా కొనుగోలుదారులకు అమ్మండి — దళారులను తప్పించండి\n• ప్రాసెసింగ్, ప్యాకేజింగ్ లేదా కాంట్రాక్ట్ వ్యవసాయం ఆలోచించండి\n• FPO లో చేరి పెద్ద మొత్తంలో మంచి ధర పొందండి`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} లో తెగుళ్లు, పురుగులు**\n\n1. పిచికారీ చేసే ముందు పురుగు/తెగులును సరిగ్గా గుర్తించండి\n2. కృషి విజ్ఞాన కేంద్రం (KVK) నుండి ఉచిత సలహా పొందండి\n3. సిఫార్సు చేసిన మందును సరైన మోతాదులోనే వాడండి\n\n📞 కిసాన్ కాల్ సెంటర్: 1800-180-1551\n\n⚠️ త్వరగా చికిత్స చేస్తే 20–30% దిగుబడి నష్టం తప్పుతుంది.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} కి ఎరువులు (ఎకరానికి)**\n\n• విత్తేటప్పుడు: DAP 50 కిలోలు + MOP 25 కిలోలు\n• 30 రోజుల తర్వాత: యూరియా 25–30 కిలోలు\n• నేలలో లోపం ఉంటే జింక్ సల్ఫేట్\n\nఎరువులు వేసే ముందు **భూసార పరీక్ష** చేయించండి (KVK లో ఉచితం) — 20–30% ఎరువుల ఖర్చు ఆదా.`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} కి సాగునీరు**\n\nనీటి అవసరం: ${water}\n\n💡 డ్రిప్/స్ప్రింక్లర్‌తో వరద పారుదల కంటే 30–50% నీరు ఆదా అవుతుంది.\nడ్రిప్ సబ్సిడీ కోసం ప్రధానమంత్రి కృషి సించాయీ యోజన (PMKSY) కు దరఖాస్తు చేయండి.`,
+    loan: () =>
+      `🏦 **వ్యవసాయ రుణం, బీమా**\n\n• **కిసాన్ క్రెడిట్ కార్డు (KCC):** ₹3 లక్షల వరకు, సుమారు 4% వడ్డీ — ఏ బ్యాంకులోనైనా దరఖాస్తు చేయండి\n• **PM-KISAN:** సంవత్సరానికి ₹6,000 నేరుగా బ్యాంకు ఖాతాలోకి → pmkisan.gov.in\n• **PMFBY పంట బీమా:** కరువు, వరద, పురుగుల నష్టం — విత్తే ముందు చేరండి\n\n📞 కిసాన్ హెల్ప్‌లైన్: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} ఎగుమతి**\n\nఎగుమతిదారులతో అనుసంధానం కోసం APEDA పోర్టల్ (apeda.gov.in) లో నమోదు చేసుకోండి. FPO ద్వారా కలిసి సరుకు పంపడం సులభం.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} విత్తడం**\n\nసీజన్: ${season}\n\n1. లోతైన దుక్కి + 2–3 సార్లు గుంటక\n2. ధృవీకరించిన విత్తనాలు వాడండి, శిలీంద్రనాశినితో విత్తన శుద్ధి చేయండి\n3. రకాన్ని బట్టి దూరం, లోతు పాటించండి\n4. విత్తేటప్పుడు DAP వేయండి\n\n📞 మీ ప్రాంతానికి తగిన విత్తే సమయం కోసం కృషి విజ్ఞాన కేంద్రం (KVK) ను సంప్రదించండి.`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} కోత**\n\nకోత సమయం: **${harvest}**\nసీజన్: ${season}\n\n⏰ సరైన సమయంలో కోయండి — ఆలస్యమైతే నాణ్యత, ధర రెండూ తగ్గుతాయి. పక్వానికి గుర్తుల కోసం KVK ని అడగండి.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} మంచి రకాలు**\n\n${varieties ? `• ${varieties}` : "• మీ ప్రాంతానికి తగిన రకం కోసం రాష్ట్ర వ్యవసాయ శాఖ లేదా KVK ను సంప్రదించండి"}\n\nఎప్పుడూ ప్రభుత్వ నమోదిత డీలర్ల నుండి **ధృవీకరించిన విత్తనాలే** కొనండి.`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} రవాణా**\n\n• FPO ద్వారా సరుకు ఒకచోట చేర్చి రవాణా ఖర్చు పంచుకోండి\n• eNAM (enam.gov.in) లో అమ్మండి — కొనుగోలుదారులు ఎక్కడినుంచైనా వేలం వేయవచ్చు\n• త్వరగా పాడయ్యే పంటను రవాణాకు ముందు చల్లబరచండి`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nమీ ప్రశ్న: "${q}"\n\n• సీజన్: ${season} | కోత: ${harvest}\n• సుమారు ధర: ₹${base}/క్వింటాల్\n\n📞 నిపుణుల సలహా కోసం:\n• కిసాన్ కాల్ సెంటర్: 1800-180-1551 (ఉచితం, 24x7)\n• eNAM పోర్టల్: enam.gov.in\n• దగ్గరి కృషి విజ్ఞాన కేంద్రం (KVK)`,
+  },
+};
+
+const ta = {
+  fromData: "உங்கள் தரவிலிருந்து",
+  seasons: { Rabi:"ரபி", Kharif:"காரீஃப்", "Year-round":"ஆண்டு முழுவதும்" },
+  levels: { high:"அதிகம்", medium:"நடுத்தரம்", frequent:"அடிக்கடி, கொஞ்சம் கொஞ்சமாக", moderate:"மிதமானது — பாசனத்துக்கு முன் மண் ஈரப்பதம் பாருங்கள்" },
+  keywords: {
+    price:    ["விலை","ரேட்","இன்று","இன்றைய","எவ்வளவு","சந்தை","மண்டி","மார்க்கெட்"],
+    sell:     ["விற்க","விற்பனை","எப்போது","சரியான நேரம்"],
+    msp:      ["எம்எஸ்பி","ஆதரவு","ஆதரவு விலை","குறைந்தபட்ச","அரசு","திட்டம்","மானியம்"],
+    storage:  ["சேமிப்பு","சேமி","கிடங்கு","குளிர்பதன","குளிர் சேமிப்பு"],
+    weather:  ["வானிலை","மழை","வறட்சி","வெள்ளம்","பருவமழை","வெயில்"],
+    profit:   ["லாபம்","இலாபம்","வருமானம்","வருவாய்","சம்பாதி"],
+    disease:  ["நோய்","பூச்சி","மருந்து","தெளிப்பு","பூஞ்சை","புழு"],
+    fertilizer:["உரம்","யூரியா","டிஏபி","பொட்டாஷ்","துத்தநாக"],
+    water:    ["தண்ணீர்","நீர்","பாசனம்","சொட்டு நீர்","கிணறு","கால்வாய்"],
+    loan:     ["கடன்","வங்கி","வட்டி","காப்பீடு","கிசான் கார்டு","கிசான் அட்டை"],
+    export:   ["ஏற்றுமதி","வெளிநாடு"],
+    sowing:   ["விதை","விதைப்பு","நடவு","நாற்று"],
+    harvest:  ["அறுவடை","தயார்","முதிர்ச்சி"],
+    variety:  ["ரகம்","வகை","எந்த ரகம்","ஹைப்ரிட்","வீரிய"],
+    transport:["போக்குவரத்து","லாரி","வண்டி","சரக்கு","வாடகை"],
+  },
+  crops: {
+    Wheat:["கோதுமை"], Rice:["நெல்","அரிசி"], Maize:["மக்காச்சோளம்","சோளம்"], Tomato:["தக்காளி"], Onion:["வெங்காயம்"],
+    Potato:["உருளைக்கிழங்கு","உருளை"], Soybean:["சோயாபீன்","சோயா"], Cotton:["பருத்தி"], Sugarcane:["கரும்பு"], Chilli:["மிளகாய்"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} சந்தை விலை**\n\nதோராய விலை: ₹${base}–₹${high}/குவிண்டால்\n(தரம், இடம், பருவத்தைப் பொறுத்து மாறும்)\n\nஅறுவடை: ${harvest} | பருவம்: ${season}\n\n🔍 இன்றைய விலையைப் பார்க்க:\n• eNAM இணையதளம் → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• அருகிலுள்ள ஒழுங்குமுறை விற்பனைக் கூடம் (APMC)`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} விற்க சரியான நேரம்**\n\n${sell ? `சிறந்த காலம்: ${sell}\n` : ""}அறுவடை: ${harvest} | பருவம்: ${season}\n\n💡 அறுவடைக் காலத்தில் சந்தைக்கு வரத்து அதிகம், விலை குறையும். 4–6 வாரங்கள் காத்திருந்தால் விலை பொதுவாக 10–20% உயரும்.\n\nவிற்பதற்கு முன் eNAM (enam.gov.in) இல் தினசரி விலையைப் பாருங்கள்.`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} குறைந்தபட்ச ஆதரவு விலை (MSP)**\n\nவிவசாயிகளைப் பாதுகாக்க அரசு ஒவ்வொரு பருவத்துக்கும் MSP அறிவிக்கிறது. MSP பெற:\n\n1️⃣ PM-KISAN இணையதளத்தில் பதிவு → pmkisan.gov.in\n2️⃣ ஆவணங்கள்: பட்டா/சிட்டா, ஆதார், வங்கிக் கணக்குப் புத்தகம்\n3️⃣ அருகிலுள்ள APMC அல்லது அரசு கொள்முதல் நிலையத்தில் விற்கவும்\n\n📞 கிசான் உதவி எண்: 1800-180-1551 (இலவசம், 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} சேமிப்பு**\n\n${sell ? `சேமித்து விற்க நல்ல காலம்: ${sell}\n\n` : ""}• குளிர்பதனக் கிடங்கு: ${premium ? "25–40% வரை கூடுதல் விலை" : "குறுகிய கால சேமிப்புக்கு ஏற்றது"}\n• FPO-வில் சேருங்கள் — குறைந்த செலவில் பகிர்ந்த குளிர்பதன வசதி\n• சேமிப்புக்கு முன் நன்கு உலர்த்தி தரம் பிரித்தால் 15–20% இழப்பு குறையும்\n\nஅருகிலுள்ள அரசு குளிர்பதனக் கிடங்குக்கு மாவட்ட வேளாண் அலுவலரை அணுகவும்.`,
+    weather: ({ crop }) =>
+      `🌦️ **${crop} மீது வானிலையின் தாக்கம்**\n\nமழை குறைவு → வரத்து குறையும் → விலை 15–25% உயரும்\nமழை அதிகம் → பயிர் சேதம் → விலை முதலில் உயர்ந்து பின் சரியும்\n\n🛡️ வருமானப் பாதுகாப்பு:\n• PMFBY பயிர்க் காப்பீடு — விதைப்புக்கு முன் பதிவு செய்யுங்கள்\n• உங்கள் மாவட்ட வானிலை முன்னறிவிப்பு → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} மூலம் அதிக வருமானம்**\n\n• சரியான நேரத்தில் விற்கவும்${sell ? ` (${sell})` : ""}\n• சரியான சேமிப்பு, தரம் பிரிப்பால் அறுவடைக்குப் பிந்தைய இழப்பைக் குறைக்கவும்\n• eNAM இல் நேரடியாக வாங்குபவர்களுக்கு விற்கவும் — இடைத்தரகர்களைத் தவிர்க்கவும்\n• பதப்படுத்துதல், பேக்கிங் அல்லது ஒப்பந்த விவசாயம் பற்றி யோசியுங்கள்\n• FPO-வில் சேர்ந்து மொத்தமாக நல்ல விலை பெறுங்கள்`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} பூச்சி மற்றும் நோய்**\n\n1. தெளிப்பதற்கு முன் பூச்சி/நோயைச் சரியாக அடையாளம் காணுங்கள்\n2. வேளாண் அறிவியல் மையத்தில் (KVK) இலவச ஆலோசனை பெறுங்கள்\n3. பரிந்துரைக்கப்பட்ட மருந்தை சரியான அளவில் மட்டும் பயன்படுத்துங்கள்\n\n📞 கிசான் அழைப்பு மையம்: 1800-180-1551\n\n⚠️ விரைவான சிகிச்சை 20–30% மகசூல் இழப்பைத் தடுக்கும்.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} உரப் பரிந்துரை (ஏக்கருக்கு)**\n\n• விதைப்பின் போது: DAP 50 கிலோ + MOP 25 கிலோ\n• 30 நாட்களுக்குப் பின்: யூரியா 25–30 கிலோ\n• மண்ணில் குறைபாடு இருந்தால் துத்தநாக சல்பேட்\n\nஉரமிடும் முன் **மண் பரிசோதனை** செய்யுங்கள் (KVK இல் இலவசம்) — 20–30% உரச் செலவு மிச்சம்.`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} பாசனம்**\n\nநீர்த் தேவை: ${water}\n\n💡 சொட்டு நீர்/தெளிப்பு நீர்ப் பாசனம் வாய்க்கால் பாசனத்தை விட 30–50% நீரைச் சேமிக்கும்.\nசொட்டு நீர் மானியத்துக்கு பிரதம மந்திரி கிருஷி சிஞ்சாயி யோஜனாவில் (PMKSY) விண்ணப்பிக்கவும்.`,
+    loan: () =>
+      `🏦 **விவசாயக் கடன் மற்றும் காப்பீடு**\n\n• **கிசான் கிரெடிட் கார்டு (KCC):** ₹3 லட்சம் வரை, சுமார் 4% வட்டி — எந்த வங்கியிலும் விண்ணப்பிக்கலாம்\n• **PM-KISAN:** ஆண்டுக்கு ₹6,000 நேரடியாக வங்கிக் கணக்கில் → pmkisan.gov.in\n• **PMFBY பயிர்க் காப்பீடு:** வறட்சி, வெள்ளம், பூச்சி இழப்பு — விதைப்புக்கு முன் சேருங்கள்\n\n📞 கிசான் உதவி எண்: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} ஏற்றுமதி**\n\nஏற்றுமதியாளர்களுடன் இணைய APEDA இணையதளத்தில் (apeda.gov.in) பதிவு செய்யுங்கள். FPO மூலம் சேர்ந்து அனுப்புவது எளிது.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} விதைப்பு**\n\nபருவம்: ${season}\n\n1. ஆழமான உழவு + 2–3 முறை பரம்படித்தல்\n2. சான்றளிக்கப்பட்ட விதைகளைப் பயன்படுத்தி, பூஞ்சைக் கொல்லியால் விதை நேர்த்தி செய்யுங்கள்\n3. ரகத்துக்கு ஏற்ற இடைவெளி, ஆழம் கடைப்பிடியுங்கள்\n4. விதைப்பின் போது DAP இடுங்கள்\n\n📞 உங்கள் பகுதிக்கான விதைப்புக் காலத்துக்கு வேளாண் அறிவியல் மையத்தை (KVK) அணுகுங்கள்.`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} அறுவடை**\n\nஅறுவடைக் காலம்: **${harvest}**\nபருவம்: ${season}\n\n⏰ சரியான நேரத்தில் அறுவடை செய்யுங்கள் — தாமதமானால் தரமும் விலையும் குறையும். முதிர்ச்சி அறிகுறிகளுக்கு KVK-யிடம் கேளுங்கள்.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} சிறந்த ரகங்கள்**\n\n${varieties ? `• ${varieties}` : "• உங்கள் பகுதிக்கான ரகத்துக்கு மாநில வேளாண் துறை அல்லது KVK-யை அணுகுங்கள்"}\n\nஅரசுப் பதிவு பெற்ற விற்பனையாளர்களிடமிருந்து மட்டுமே **சான்றளிக்கப்பட்ட விதைகளை** வாங்குங்கள்.`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} போக்குவரத்து**\n\n• FPO மூலம் சரக்கை ஒன்று சேர்த்து போக்குவரத்துச் செலவைப் பகிருங்கள்\n• eNAM (enam.gov.in) இல் விற்கவும் — வாங்குபவர்கள் எங்கிருந்தும் ஏலம் கேட்கலாம்\n• விரைவில் கெடும் பயிர்களை அனுப்பும் முன் குளிர்விக்கவும்`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nஉங்கள் கேள்வி: "${q}"\n\n• பருவம்: ${season} | அறுவடை: ${harvest}\n• தோராய விலை: ₹${base}/குவிண்டால்\n\n📞 நிபுணர் ஆலோசனைக்கு:\n• கிசான் அழைப்பு மையம்: 1800-180-1551 (இலவசம், 24x7)\n• eNAM இணையதளம்: enam.gov.in\n• அருகிலுள்ள வேளாண் அறிவியல் மையம் (KVK)`,
+  },
+};
+
+const mr = {
+  fromData: "तुमच्या आकडेवारीनुसार",
+  seasons: { Rabi:"रब्बी", Kharif:"खरीप", "Year-round":"वर्षभर" },
+  levels: { high:"जास्त", medium:"मध्यम", frequent:"वारंवार, थोडे थोडे", moderate:"साधारण — पाणी देण्यापूर्वी जमिनीतील ओलावा पाहा" },
+  keywords: {
+    price:    ["भाव","दर","किंमत","आज","किती","बाजार","मंडी"],
+    sell:     ["विक","कधी","योग्य वेळ","थांब"],
+    msp:      ["एमएसपी","हमीभाव","आधारभूत","सरकार","सरकारी","योजना","अनुदान"],
+    storage:  ["साठवण","साठव","गोदाम","शीतगृह","कोल्ड स्टोरेज"],
+    weather:  ["हवामान","पाऊस","दुष्काळ","पूर","मान्सून","गारपीट"],
+    profit:   ["नफा","फायदा","उत्पन्न","कमाई"],
+    disease:  ["रोग","कीड","औषध","फवारणी","बुरशी"],
+    fertilizer:["खत","युरिया","डीएपी","पोटॅश","झिंक"],
+    water:    ["पाणी","सिंचन","ठिबक","विहीर","कालवा"],
+    loan:     ["कर्ज","बँक","व्याज","विमा","किसान कार्ड"],
+    export:   ["निर्यात","परदेश"],
+    sowing:   ["पेरणी","बियाणे","लागवड","रोपवाटिका"],
+    harvest:  ["काढणी","कापणी","तयार"],
+    variety:  ["वाण","जात","कोणता","संकरित","हायब्रीड"],
+    transport:["वाहतूक","ट्रक","गाडी","भाडे"],
+  },
+  crops: {
+    Wheat:["गहू"], Rice:["भात","तांदूळ"], Maize:["मका"], Tomato:["टोमॅटो"], Onion:["कांदा","कांद्या"],
+    Potato:["बटाटा","बटाट्या"], Soybean:["सोयाबीन"], Cotton:["कापूस","कापसा"], Sugarcane:["ऊस"], Chilli:["मिरची"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} बाजारभाव**\n\nअंदाजे दर: ₹${base}–₹${high}/क्विंटल\n(दर्जा, ठिकाण आणि हंगामानुसार बदलतो)\n\nकाढणी: ${harvest} | हंगाम: ${season}\n\n🔍 ताजे दर पाहा:\n• eNAM पोर्टल → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• जवळची कृषी उत्पन्न बाजार समिती (APMC)`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} विकण्याची योग्य वेळ**\n\n${sell ? `सर्वोत्तम काळ: ${sell}\n` : ""}काढणी: ${harvest} | हंगाम: ${season}\n\n💡 काढणीच्या काळात बाजारात आवक जास्त असते आणि दर घसरतात. 4–6 आठवडे थांबल्यास दर साधारण 10–20% वाढतात.\n\nविकण्यापूर्वी eNAM (enam.gov.in) वर रोजचे दर पाहा.`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} हमीभाव (MSP)**\n\nशेतकऱ्यांच्या संरक्षणासाठी सरकार दर हंगामात किमान आधारभूत किंमत (MSP) जाहीर करते. MSP मिळवण्यासाठी:\n\n1️⃣ PM-KISAN पोर्टलवर नोंदणी → pmkisan.gov.in\n2️⃣ कागदपत्रे: सातबारा उतारा, आधार, बँक पासबुक\n3️⃣ जवळच्या APMC किंवा शासकीय खरेदी केंद्रावर विक्री करा\n\n📞 किसान हेल्पलाइन: 1800-180-1551 (मोफत, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} साठवण**\n\n${sell ? `साठवून विकण्याचा चांगला काळ: ${sell}\n\n` : ""}• शीतगृह: ${premium ? "25–40% पर्यंत जास्त दर" : "थोड्या काळासाठी उपयुक्त"}\n• FPO मध्ये सामील व्हा — कमी खर्चात सामायिक शीतगृह\n• साठवणीपूर्वी नीट वाळवणी आणि प्रतवारी केल्यास 15–20% नुकसान कमी होते\n\nजवळच्या शासकीय शीतगृहासाठी जिल्हा कृषी अधिकाऱ्यांशी संपर्क साधा.`,
+    weather: ({ crop }) =>
+      `🌦️ **हवामानाचा ${crop} वर परिणाम**\n\nकमी पाऊस → आवक घटते → दर 15–25% वाढतात\nजास्त पाऊस → पिकाचे नुकसान → दर आधी वाढतात, मग कोसळतात\n\n🛡️ उत्पन्नाचे संरक्षण:\n• PMFBY पीक विमा — पेरणीपूर्वी नोंदणी करा\n• तुमच्या जिल्ह्याचा हवामान अंदाज → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} मधून जास्त उत्पन्न**\n\n• योग्य वेळी विका${sell ? ` (${sell})` : ""}\n• योग्य साठवण आणि प्रतवारीने काढणीनंतरचे नुकसान कमी करा\n• eNAM वर थेट खरेदीदारांना विका — दलाल टाळा\n• प्रक्रिया, पॅकेजिंग किंवा करार शेतीचा विचार करा\n• FPO मध्ये सामील होऊन घाऊक विक्रीत चांगला दर मिळवा`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} वरील कीड व रोग**\n\n1. फवारणीपूर्वी कीड/रोगाची नेमकी ओळख करा\n2. कृषी विज्ञान केंद्राकडून (KVK) मोफत सल्ला घ्या\n3. शिफारस केलेले औषध योग्य प्रमाणातच वापरा\n\n📞 किसान कॉल सेंटर: 1800-180-1551\n\n⚠️ वेळेवर उपचार केल्यास 20–30% उत्पादन घट टळते.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} साठी खत (प्रति एकर)**\n\n• पेरणीच्या वेळी: DAP 50 किलो + MOP 25 किलो\n• 30 दिवसांनी: युरिया 25–30 किलो\n• जमिनीत कमतरता असल्यास झिंक सल्फेट\n\nखत देण्यापूर्वी **माती परीक्षण** करा (KVK मध्ये मोफत) — 20–30% खताचा खर्च वाचतो.`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} सिंचन**\n\nपाण्याची गरज: ${water}\n\n💡 ठिबक/तुषार सिंचनाने पाटपाण्यापेक्षा 30–50% पाणी वाचते.\nठिबक अनुदानासाठी प्रधानमंत्री कृषी सिंचाई योजनेत (PMKSY) अर्ज करा.`,
+    loan: () =>
+      `🏦 **शेती कर्ज आणि विमा**\n\n• **किसान क्रेडिट कार्ड (KCC):** ₹3 लाखांपर्यंत, सुमारे 4% व्याज — कोणत्याही बँकेत अर्ज करा\n• **PM-KISAN:** वर्षाला ₹6,000 थेट बँक खात्यात → pmkisan.gov.in\n• **PMFBY पीक विमा:** दुष्काळ, पूर, किडीचे नुकसान — पेरणीपूर्वी सहभागी व्हा\n\n📞 किसान हेल्पलाइन: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} निर्यात**\n\nनिर्यातदारांशी जोडण्यासाठी APEDA पोर्टलवर (apeda.gov.in) नोंदणी करा. FPO मार्फत एकत्र माल पाठवणे सोपे जाते.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} पेरणी**\n\nहंगाम: ${season}\n\n1. खोल नांगरट + 2–3 कुळवाच्या पाळ्या\n2. प्रमाणित बियाणे वापरा, बुरशीनाशकाची बीजप्रक्रिया करा\n3. वाणानुसार अंतर आणि खोली ठेवा\n4. पेरणीवेळी DAP द्या\n\n📞 तुमच्या भागातील पेरणीच्या वेळेसाठी कृषी विज्ञान केंद्राशी (KVK) संपर्क साधा.`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} काढणी**\n\nकाढणीचा काळ: **${harvest}**\nहंगाम: ${season}\n\n⏰ योग्य वेळी काढणी करा — उशीर झाल्यास दर्जा आणि दर दोन्ही घसरतात. पक्वतेच्या लक्षणांसाठी KVK ला विचारा.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} चे चांगले वाण**\n\n${varieties ? `• ${varieties}` : "• तुमच्या भागासाठी योग्य वाणासाठी राज्य कृषी विभाग किंवा KVK शी संपर्क साधा"}\n\nनेहमी शासकीय नोंदणीकृत विक्रेत्याकडूनच **प्रमाणित बियाणे** खरेदी करा.`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} वाहतूक**\n\n• FPO मार्फत माल एकत्र करा आणि वाहतूक खर्च वाटून घ्या\n• eNAM (enam.gov.in) वर विका — खरेदीदार कुठूनही बोली लावू शकतात\n• लवकर खराब होणारा माल वाहतुकीपूर्वी थंड करा`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nतुमचा प्रश्न: "${q}"\n\n• हंगाम: ${season} | काढणी: ${harvest}\n• अंदाजे दर: ₹${base}/क्विंटल\n\n📞 तज्ज्ञ सल्ल्यासाठी:\n• किसान कॉल सेंटर: 1800-180-1551 (मोफत, 24x7)\n• eNAM पोर्टल: enam.gov.in\n• जवळचे कृषी विज्ञान केंद्र (KVK)`,
+  },
+};
+
+const gu = {
+  fromData: "તમારા ડેટા મુજબ",
+  seasons: { Rabi:"રવી", Kharif:"ખરીફ", "Year-round":"આખું વર્ષ" },
+  levels: { high:"વધુ", medium:"મધ્યમ", frequent:"વારંવાર, થોડું થોડું", moderate:"સામાન્ય — પિયત પહેલાં જમીનનો ભેજ જુઓ" },
+  keywords: {
+    price:    ["ભાવ","કિંમત","રેટ","આજ","કેટલો","કેટલા","બજાર","મંડી","માર્કેટ"],
+    sell:     ["વેચ","ક્યારે","યોગ્ય સમય","રાહ"],
+    msp:      ["એમએસપી","ટેકા","ટેકાના ભાવ","લઘુત્તમ","સરકાર","સરકારી","યોજના","સબસિડી"],
+    storage:  ["સંગ્રહ","ગોડાઉન","કોલ્ડ સ્ટોરેજ","શીતગૃહ","રાખવ"],
+    weather:  ["હવામાન","વરસાદ","દુષ્કાળ","પૂર","ચોમાસ","ઠંડી"],
+    profit:   ["નફો","ફાયદો","આવક","કમાણી","લાભ"],
+    disease:  ["રોગ","જીવાત","દવા","છંટકાવ","ફૂગ","ઇયળ"],
+    fertilizer:["ખાતર","યુરિયા","ડીએપી","પોટાશ","ઝીંક"],
+    water:    ["પાણી","સિંચાઈ","પિયત","ટપક","ડ્રિપ","બોર","નહેર"],
+    loan:     ["લોન","ધિરાણ","બેંક","વ્યાજ","વીમો","કિસાન કાર્ડ"],
+    export:   ["નિકાસ","વિદેશ"],
+    sowing:   ["વાવણી","વાવેતર","બિયારણ","બીજ","ધરુ"],
+    harvest:  ["કાપણી","લણણી","તૈયાર"],
+    variety:  ["જાત","કઈ જાત","હાઇબ્રિડ"],
+    transport:["પરિવહન","હેરફેર","ટ્રક","વાહન","ભાડું"],
+  },
+  crops: {
+    Wheat:["ઘઉં"], Rice:["ડાંગર","ચોખા"], Maize:["મકાઈ"], Tomato:["ટામેટાં","ટામેટા","ટમેટા"], Onion:["ડુંગળી"],
+    Potato:["બટાકા","બટેટા","બટાટા"], Soybean:["સોયાબીન"], Cotton:["કપાસ"], Sugarcane:["શેરડી"], Chilli:["મરચાં","મરચા","મરચું"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} બજાર ભાવ**\n\nઅંદાજિત ભાવ: ₹${base}–₹${high}/ક્વિન્ટલ\n(ગુણવત્તા, સ્થળ અને સીઝન મુજબ બદલાય છે)\n\nકાપણી: ${harvest} | સીઝન: ${season}\n\n🔍 તાજા ભાવ જુઓ:\n• eNAM પોર્ટલ → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• તમારું નજીકનું APMC માર્કેટ યાર્ડ`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} વેચવાનો યોગ્ય સમય**\n\n${sell ? `શ્રેષ્ઠ સમય: ${sell}\n` : ""}કાપણી: ${harvest} | સીઝન: ${season}\n\n💡 કાપણી વખતે બજારમાં આવક સૌથી વધુ હોય છે અને ભાવ ઘટે છે. 4–6 અઠવાડિયાં રાહ જોવાથી ભાવ સામાન્ય રીતે 10–20% વધે છે.\n\nવેચતા પહેલાં eNAM (enam.gov.in) પર રોજના ભાવ જુઓ.`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} ના ટેકાના ભાવ (MSP)**\n\nખેડૂતોના રક્ષણ માટે સરકાર દર સીઝને લઘુત્તમ ટેકાના ભાવ (MSP) જાહેર કરે છે. MSP મેળવવા:\n\n1️⃣ PM-KISAN પોર્ટલ પર નોંધણી → pmkisan.gov.in\n2️⃣ દસ્તાવેજો: 7/12 નો ઉતારો, આધાર, બેંક પાસબુક\n3️⃣ નજીકના APMC અથવા સરકારી ખરીદ કેન્દ્ર પર વેચો\n\n📞 કિસાન હેલ્પલાઇન: 1800-180-1551 (મફત, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} નો સંગ્રહ**\n\n${sell ? `સંગ્રહ કરીને વેચવાનો સારો સમય: ${sell}\n\n` : ""}• કોલ્ડ સ્ટોરેજ: ${premium ? "25–40% સુધી વધુ ભાવ" : "ટૂંકા ગાળાના સંગ્રહ માટે યોગ્ય"}\n• FPO માં જોડાઓ — ઓછા ખર્ચે સહિયારું કોલ્ડ સ્ટોરેજ\n• સંગ્રહ પહેલાં બરાબર સૂકવણી અને ગ્રેડિંગથી 15–20% નુકસાન ઘટે છે\n\nનજીકના સરકારી કોલ્ડ સ્ટોરેજ માટે જિલ્લા ખેતીવાડી અધિકારીનો સંપર્ક કરો.`,
+    weather: ({ crop }) =>
+      `🌦️ **હવામાનની ${crop} પર અસર**\n\nઓછો વરસાદ → આવક ઘટે → ભાવ 15–25% વધે\nવધુ વરસાદ → પાકને નુકસાન → ભાવ પહેલાં ઊંચકાય, પછી તૂટે\n\n🛡️ આવકનું રક્ષણ:\n• PMFBY પાક વીમો — વાવણી પહેલાં નોંધણી કરો\n• તમારા જિલ્લાની હવામાન આગાહી → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} માંથી વધુ આવક**\n\n• યોગ્ય સમયે વેચો${sell ? ` (${sell})` : ""}\n• યોગ્ય સંગ્રહ અને ગ્રેડિંગથી કાપણી પછીનું નુકસાન ઘટાડો\n• eNAM પર સીધા ખરીદદારને વેચો — વચેટિયાથી બચો\n• પ્રોસેસિંગ, પેકેજિંગ અથવા કોન્ટ્રાક્ટ ખેતી વિશે વિચારો\n• FPO માં જોડાઈને જથ્થાબંધ વેચાણમાં સારો ભાવ મેળવો`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} માં જીવાત અને રોગ**\n\n1. છંટકાવ પહેલાં જીવાત/રોગની સાચી ઓળખ કરો\n2. કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) પાસેથી મફત સલાહ લો\n3. ભલામણ કરેલી દવા જ યોગ્ય માત્રામાં વાપરો\n\n📞 કિસાન કોલ સેન્ટર: 1800-180-1551\n\n⚠️ સમયસર સારવારથી 20–30% ઉત્પાદન નુકસાન અટકે છે.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} માટે ખાતર (એકર દીઠ)**\n\n• વાવણી વખતે: DAP 50 કિલો + MOP 25 કિલો\n• 30 દિવસ પછી: યુરિયા 25–30 કિલો\n• જમીનમાં ઉણપ હોય તો ઝીંક સલ્ફેટ\n\nખાતર આપતા પહેલાં **જમીન ચકાસણી** કરાવો (KVK પર મફત) — 20–30% ખાતર ખર્ચ બચે છે.`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} ની સિંચાઈ**\n\nપાણીની જરૂર: ${water}\n\n💡 ટપક/ફુવારા પિયતથી રેલાવ પિયત કરતાં 30–50% પાણી બચે છે.\nટપક સબસિડી માટે પ્રધાનમંત્રી કૃષિ સિંચાઈ યોજના (PMKSY) માં અરજી કરો.`,
+    loan: () =>
+      `🏦 **ખેતી ધિરાણ અને વીમો**\n\n• **કિસાન ક્રેડિટ કાર્ડ (KCC):** ₹3 લાખ સુધી, આશરે 4% વ્યાજ — કોઈપણ બેંકમાં અરજી કરો\n• **PM-KISAN:** વર્ષે ₹6,000 સીધા બેંક ખાતામાં → pmkisan.gov.in\n• **PMFBY પાક વીમો:** દુષ્કાળ, પૂર, જીવાતથી નુકસાન — વાવણી પહેલાં જોડાઓ\n\n📞 કિસાન હેલ્પલાઇન: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} ની નિકાસ**\n\nનિકાસકારો સાથે જોડાવા APEDA પોર્ટલ (apeda.gov.in) પર નોંધણી કરો. FPO મારફતે સાથે મળીને માલ મોકલવો સહેલો છે.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} ની વાવણી**\n\nસીઝન: ${season}\n\n1. ઊંડી ખેડ + 2–3 વાર કરબ\n2. પ્રમાણિત બિયારણ વાપરો, ફૂગનાશકથી બીજ માવજત કરો\n3. જાત મુજબ અંતર અને ઊંડાઈ રાખો\n4. વાવણી વખતે DAP આપો\n\n📞 તમારા વિસ્તારના વાવણી સમય માટે કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) નો સંપર્ક કરો.`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} ની કાપણી**\n\nકાપણીનો સમય: **${harvest}**\nસીઝન: ${season}\n\n⏰ યોગ્ય સમયે કાપણી કરો — મોડું થાય તો ગુણવત્તા અને ભાવ બંને ઘટે છે. પાકવાનાં લક્ષણો માટે KVK ને પૂછો.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} ની સારી જાતો**\n\n${varieties ? `• ${varieties}` : "• તમારા વિસ્તાર માટે યોગ્ય જાત માટે રાજ્ય કૃષિ વિભાગ અથવા KVK નો સંપર્ક કરો"}\n\nહંમેશા સરકાર માન્ય વિક્રેતા પાસેથી જ **પ્રમાણિત બિયારણ** ખરીદો.`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} નું પરિવહન**\n\n• FPO મારફતે માલ ભેગો કરો અને વાહન ખર્ચ વહેંચો\n• eNAM (enam.gov.in) પર વેચો — ખરીદદારો ગમે ત્યાંથી બોલી લગાવી શકે છે\n• ઝડપથી બગડતા પાકને મોકલતા પહેલાં ઠંડો કરો`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nતમારો પ્રશ્ન: "${q}"\n\n• સીઝન: ${season} | કાપણી: ${harvest}\n• અંદાજિત ભાવ: ₹${base}/ક્વિન્ટલ\n\n📞 નિષ્ણાત સલાહ માટે:\n• કિસાન કોલ સેન્ટર: 1800-180-1551 (મફત, 24x7)\n• eNAM પોર્ટલ: enam.gov.in\n• નજીકનું કૃષિ વિજ્ઞાન કેન્દ્ર (KVK)`,
+  },
+};
+
+const kn = {
+  fromData: "ನಿಮ್ಮ ಡೇಟಾದಿಂದ",
+  seasons: { Rabi:"ಹಿಂಗಾರು", Kharif:"ಮುಂಗಾರು", "Year-round":"ವರ್ಷಪೂರ್ತಿ" },
+  levels: { high:"ಹೆಚ್ಚು", medium:"ಮಧ್ಯಮ", frequent:"ಆಗಾಗ, ಸ್ವಲ್ಪ ಸ್ವಲ್ಪ", moderate:"ಸಾಧಾರಣ — ನೀರು ಕೊಡುವ ಮೊದಲು ಮಣ್ಣಿನ ತೇವ ನೋಡಿ" },
+  keywords: {
+    price:    ["ಬೆಲೆ","ದರ","ಇಂದು","ಇವತ್ತು","ಎಷ್ಟು","ಮಾರುಕಟ್ಟೆ","ಮಂಡಿ"],
+    sell:     ["ಮಾರಾಟ","ಮಾರಬೇಕು","ಮಾರಲು","ಮಾರುವ","ಯಾವಾಗ","ಸರಿಯಾದ ಸಮಯ"],
+    msp:      ["ಬೆಂಬಲ","ಬೆಂಬಲ ಬೆಲೆ","ಕನಿಷ್ಠ","ಸರ್ಕಾರ","ಯೋಜನೆ","ಸಬ್ಸಿಡಿ"],
+    storage:  ["ಸಂಗ್ರಹ","ಗೋದಾಮು","ಶೀತಲ","ಕೋಲ್ಡ್ ಸ್ಟೋರೇಜ್","ಉಗ್ರಾಣ"],
+    weather:  ["ಹವಾಮಾನ","ಮಳೆ","ಬರಗಾಲ","ಪ್ರವಾಹ","ಮುಂಗಾರು ಮಳೆ","ಚಳಿ"],
+    profit:   ["ಲಾಭ","ಆದಾಯ","ಗಳಿಕೆ","ಸಂಪಾದನೆ"],
+    disease:  ["ರೋಗ","ಕೀಟ","ಔಷಧ","ಸಿಂಪರಣೆ","ಶಿಲೀಂಧ್ರ","ಹುಳು"],
+    fertilizer:["ಗೊಬ್ಬರ","ಯೂರಿಯಾ","ಡಿಎಪಿ","ಪೊಟ್ಯಾಷ್"],
+    water:    ["ನೀರು","ನೀರಾವರಿ","ಹನಿ ನೀರಾವರಿ","ಕೊಳವೆ ಬಾವಿ","ಕಾಲುವೆ"],
+    loan:     ["ಸಾಲ","ಬ್ಯಾಂಕ್","ಬಡ್ಡಿ","ವಿಮೆ","ಕಿಸಾನ್ ಕಾರ್ಡ್"],
+    export:   ["ರಫ್ತು","ವಿದೇಶ"],
+    sowing:   ["ಬಿತ್ತನೆ","ಬೀಜ","ನಾಟಿ","ಸಸಿ"],
+    harvest:  ["ಕಟಾವು","ಕೊಯ್ಲು","ಸಿದ್ಧ"],
+    variety:  ["ತಳಿ","ಯಾವ ತಳಿ","ಹೈಬ್ರಿಡ್","ಸಂಕರ"],
+    transport:["ಸಾಗಣೆ","ಸಾರಿಗೆ","ಲಾರಿ","ಟ್ರಕ್","ವಾಹನ","ಬಾಡಿಗೆ"],
+  },
+  crops: {
+    Wheat:["ಗೋಧಿ"], Rice:["ಭತ್ತ","ಅಕ್ಕಿ"], Maize:["ಮೆಕ್ಕೆಜೋಳ","ಮೆಕ್ಕೆ"], Tomato:["ಟೊಮೆಟೊ","ಟೊಮ್ಯಾಟೊ","ಟೊಮೇಟೊ"], Onion:["ಈರುಳ್ಳಿ"],
+    Potato:["ಆಲೂಗಡ್ಡೆ"], Soybean:["ಸೋಯಾಬೀನ್","ಸೋಯಾ"], Cotton:["ಹತ್ತಿ"], Sugarcane:["ಕಬ್ಬು"], Chilli:["ಮೆಣಸಿನಕಾಯಿ","ಮೆಣಸು"],
+  },
+  answers: {
+    price: ({ crop, base, high, harvest, season }) =>
+      `📊 **${crop} ಮಾರುಕಟ್ಟೆ ಬೆಲೆ**\n\nಅಂದಾಜು ಬೆಲೆ: ₹${base}–₹${high}/ಕ್ವಿಂಟಾಲ್\n(ಗುಣಮಟ್ಟ, ಸ್ಥಳ ಮತ್ತು ಹಂಗಾಮಿನ ಪ್ರಕಾರ ಬದಲಾಗುತ್ತದೆ)\n\nಕಟಾವು: ${harvest} | ಹಂಗಾಮು: ${season}\n\n🔍 ಇಂದಿನ ಬೆಲೆ ನೋಡಿ:\n• eNAM ಪೋರ್ಟಲ್ → enam.gov.in\n• AgMarkNet → agmarknet.gov.in\n• ನಿಮ್ಮ ಸಮೀಪದ APMC ಮಾರುಕಟ್ಟೆ`,
+    sell: ({ crop, sell, harvest, season }) =>
+      `📅 **${crop} ಮಾರಾಟಕ್ಕೆ ಸರಿಯಾದ ಸಮಯ**\n\n${sell ? `ಉತ್ತಮ ಸಮಯ: ${sell}\n` : ""}ಕಟಾವು: ${harvest} | ಹಂಗಾಮು: ${season}\n\n💡 ಕಟಾವಿನ ಸಮಯದಲ್ಲಿ ಮಾರುಕಟ್ಟೆಗೆ ಆವಕ ಹೆಚ್ಚು, ಬೆಲೆ ಇಳಿಯುತ್ತದೆ. 4–6 ವಾರ ಕಾದರೆ ಬೆಲೆ ಸಾಮಾನ್ಯವಾಗಿ 10–20% ಏರುತ್ತದೆ.\n\nಮಾರುವ ಮೊದಲು eNAM (enam.gov.in) ನಲ್ಲಿ ದಿನದ ಬೆಲೆ ನೋಡಿ.`,
+    msp: ({ crop }) =>
+      `🏛️ **${crop} ಕನಿಷ್ಠ ಬೆಂಬಲ ಬೆಲೆ (MSP)**\n\nರೈತರ ರಕ್ಷಣೆಗಾಗಿ ಸರ್ಕಾರ ಪ್ರತಿ ಹಂಗಾಮಿಗೆ MSP ಘೋಷಿಸುತ್ತದೆ. MSP ಪಡೆಯಲು:\n\n1️⃣ PM-KISAN ಪೋರ್ಟಲ್‌ನಲ್ಲಿ ನೋಂದಣಿ → pmkisan.gov.in\n2️⃣ ದಾಖಲೆಗಳು: ಪಹಣಿ (RTC), ಆಧಾರ್, ಬ್ಯಾಂಕ್ ಪಾಸ್‌ಬುಕ್\n3️⃣ ಸಮೀಪದ APMC ಅಥವಾ ಸರ್ಕಾರಿ ಖರೀದಿ ಕೇಂದ್ರದಲ್ಲಿ ಮಾರಾಟ ಮಾಡಿ\n\n📞 ಕಿಸಾನ್ ಸಹಾಯವಾಣಿ: 1800-180-1551 (ಉಚಿತ, 24x7)`,
+    storage: ({ crop, sell, premium }) =>
+      `❄️ **${crop} ಸಂಗ್ರಹಣೆ**\n\n${sell ? `ಸಂಗ್ರಹಿಸಿ ಮಾರಲು ಉತ್ತಮ ಸಮಯ: ${sell}\n\n` : ""}• ಶೀತಲ ಗೃಹ: ${premium ? "25–40% ವರೆಗೆ ಹೆಚ್ಚು ಬೆಲೆ" : "ಅಲ್ಪಾವಧಿ ಸಂಗ್ರಹಕ್ಕೆ ಸೂಕ್ತ"}\n• FPO ಸೇರಿ — ಕಡಿಮೆ ವೆಚ್ಚದಲ್ಲಿ ಹಂಚಿಕೆಯ ಶೀತಲ ಗೃಹ\n• ಸಂಗ್ರಹಿಸುವ ಮೊದಲು ಚೆನ್ನಾಗಿ ಒಣಗಿಸಿ ಶ್ರೇಣೀಕರಿಸಿದರೆ 15–20% ನಷ್ಟ ಕಡಿಮೆ\n\nಸಮೀಪದ ಸರ್ಕಾರಿ ಶೀತಲ ಗೃಹಕ್ಕಾಗಿ ಜಿಲ್ಲಾ ಕೃಷಿ ಅಧಿಕಾರಿಯನ್ನು ಸಂಪರ್ಕಿಸಿ.`,
+    weather: ({ crop }) =>
+      `🌦️ **${crop} ಮೇಲೆ ಹವಾಮಾನದ ಪರಿಣಾಮ**\n\nಮಳೆ ಕಡಿಮೆ → ಆವಕ ಕುಸಿತ → ಬೆಲೆ 15–25% ಏರಿಕೆ\nಮಳೆ ಹೆಚ್ಚು → ಬೆಳೆ ಹಾನಿ → ಬೆಲೆ ಮೊದಲು ಏರಿ ನಂತರ ಕುಸಿಯುತ್ತದೆ\n\n🛡️ ಆದಾಯ ರಕ್ಷಣೆ:\n• PMFBY ಬೆಳೆ ವಿಮೆ — ಬಿತ್ತನೆಗೆ ಮೊದಲು ನೋಂದಾಯಿಸಿ\n• ನಿಮ್ಮ ಜಿಲ್ಲೆಯ ಹವಾಮಾನ ಮುನ್ಸೂಚನೆ → imd.gov.in`,
+    profit: ({ crop, sell }) =>
+      `💰 **${crop} ನಿಂದ ಹೆಚ್ಚು ಆದಾಯ**\n\n• ಸರಿಯಾದ ಸಮಯದಲ್ಲಿ ಮಾರಿ${sell ? ` (${sell})` : ""}\n• ಸರಿಯಾದ ಸಂಗ್ರಹಣೆ, ಶ್ರೇಣೀಕರಣದಿಂದ ಕಟಾವಿನ ನಂತರದ ನಷ್ಟ ತಗ್ಗಿಸಿ\n• eNAM ನಲ್ಲಿ ನೇರವಾಗಿ ಖರೀದಿದಾರರಿಗೆ ಮಾರಿ — ದಲ್ಲಾಳಿಗಳನ್ನು ತಪ್ಪಿಸಿ\n• ಸಂಸ್ಕರಣೆ, ಪ್ಯಾಕೇಜಿಂಗ್ ಅಥವಾ ಗುತ್ತಿಗೆ ಕೃಷಿ ಬಗ್ಗೆ ಯೋಚಿಸಿ\n• FPO ಸೇರಿ ಸಗಟು ಮಾರಾಟದಲ್ಲಿ ಉತ್ತಮ ಬೆಲೆ ಪಡೆಯಿರಿ`,
+    disease: ({ crop }) =>
+      `🌿 **${crop} ಕೀಟ ಮತ್ತು ರೋಗ**\n\n1. ಸಿಂಪರಣೆಗೆ ಮೊದಲು ಕೀಟ/ರೋಗವನ್ನು ಸರಿಯಾಗಿ ಗುರುತಿಸಿ\n2. ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರದಿಂದ (KVK) ಉಚಿತ ಸಲಹೆ ಪಡೆಯಿರಿ\n3. ಶಿಫಾರಸು ಮಾಡಿದ ಔಷಧವನ್ನು ಸರಿಯಾದ ಪ್ರಮಾಣದಲ್ಲಿ ಮಾತ್ರ ಬಳಸಿ\n\n📞 ಕಿಸಾನ್ ಕಾಲ್ ಸೆಂಟರ್: 1800-180-1551\n\n⚠️ ಬೇಗ ಚಿಕಿತ್ಸೆ ನೀಡಿದರೆ 20–30% ಇಳುವರಿ ನಷ್ಟ ತಪ್ಪುತ್ತದೆ.`,
+    fertilizer: ({ crop }) =>
+      `🌱 **${crop} ಗೆ ಗೊಬ್ಬರ (ಎಕರೆಗೆ)**\n\n• ಬಿತ್ತನೆಯ ಸಮಯದಲ್ಲಿ: DAP 50 ಕೆಜಿ + MOP 25 ಕೆಜಿ\n• 30 ದಿನಗಳ ನಂತರ: ಯೂರಿಯಾ 25–30 ಕೆಜಿ\n• ಮಣ್ಣಿನಲ್ಲಿ ಕೊರತೆ ಇದ್ದರೆ ಜಿಂಕ್ ಸಲ್ಫೇಟ್\n\nಗೊಬ್ಬರ ಹಾಕುವ ಮೊದಲು **ಮಣ್ಣು ಪರೀಕ್ಷೆ** ಮಾಡಿಸಿ (KVK ನಲ್ಲಿ ಉಚಿತ) — 20–30% ಗೊಬ್ಬರ ವೆಚ್ಚ ಉಳಿತಾಯ.`,
+    water: ({ crop, water }) =>
+      `💧 **${crop} ನೀರಾವರಿ**\n\nನೀರಿನ ಅಗತ್ಯ: ${water}\n\n💡 ಹನಿ/ತುಂತುರು ನೀರಾವರಿಯಿಂದ ಹರಿ ನೀರಾವರಿಗಿಂತ 30–50% ನೀರು ಉಳಿತಾಯ.\nಹನಿ ನೀರಾವರಿ ಸಬ್ಸಿಡಿಗಾಗಿ ಪ್ರಧಾನ ಮಂತ್ರಿ ಕೃಷಿ ಸಿಂಚಾಯಿ ಯೋಜನೆಗೆ (PMKSY) ಅರ್ಜಿ ಸಲ್ಲಿಸಿ.`,
+    loan: () =>
+      `🏦 **ಕೃಷಿ ಸಾಲ ಮತ್ತು ವಿಮೆ**\n\n• **ಕಿಸಾನ್ ಕ್ರೆಡಿಟ್ ಕಾರ್ಡ್ (KCC):** ₹3 ಲಕ್ಷದವರೆಗೆ, ಸುಮಾರು 4% ಬಡ್ಡಿ — ಯಾವುದೇ ಬ್ಯಾಂಕಿನಲ್ಲಿ ಅರ್ಜಿ ಸಲ್ಲಿಸಿ\n• **PM-KISAN:** ವರ್ಷಕ್ಕೆ ₹6,000 ನೇರವಾಗಿ ಬ್ಯಾಂಕ್ ಖಾತೆಗೆ → pmkisan.gov.in\n• **PMFBY ಬೆಳೆ ವಿಮೆ:** ಬರ, ಪ್ರವಾಹ, ಕೀಟ ನಷ್ಟ — ಬಿತ್ತನೆಗೆ ಮೊದಲು ಸೇರಿ\n\n📞 ಕಿಸಾನ್ ಸಹಾಯವಾಣಿ: 1800-180-1551`,
+    export: ({ crop }) =>
+      `🌍 **${crop} ರಫ್ತು**\n\nರಫ್ತುದಾರರೊಂದಿಗೆ ಸಂಪರ್ಕಕ್ಕಾಗಿ APEDA ಪೋರ್ಟಲ್‌ನಲ್ಲಿ (apeda.gov.in) ನೋಂದಾಯಿಸಿ. FPO ಮೂಲಕ ಒಟ್ಟಾಗಿ ಕಳುಹಿಸುವುದು ಸುಲಭ.`,
+    sowing: ({ crop, season }) =>
+      `🌱 **${crop} ಬಿತ್ತನೆ**\n\nಹಂಗಾಮು: ${season}\n\n1. ಆಳವಾದ ಉಳುಮೆ + 2–3 ಬಾರಿ ಕುಂಟೆ ಹೊಡೆಯುವುದು\n2. ಪ್ರಮಾಣಿತ ಬೀಜ ಬಳಸಿ, ಶಿಲೀಂಧ್ರನಾಶಕದಿಂದ ಬೀಜೋಪಚಾರ ಮಾಡಿ\n3. ತಳಿಯ ಪ್ರಕಾರ ಅಂತರ ಮತ್ತು ಆಳ ಕಾಪಾಡಿ\n4. ಬಿತ್ತನೆಯ ಸಮಯದಲ್ಲಿ DAP ಹಾಕಿ\n\n📞 ನಿಮ್ಮ ಪ್ರದೇಶದ ಬಿತ್ತನೆ ಸಮಯಕ್ಕಾಗಿ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರವನ್ನು (KVK) ಸಂಪರ್ಕಿಸಿ.`,
+    harvest: ({ crop, harvest, season }) =>
+      `🌾 **${crop} ಕಟಾವು**\n\nಕಟಾವಿನ ಸಮಯ: **${harvest}**\nಹಂಗಾಮು: ${season}\n\n⏰ ಸರಿಯಾದ ಸಮಯದಲ್ಲಿ ಕಟಾವು ಮಾಡಿ — ತಡವಾದರೆ ಗುಣಮಟ್ಟ ಮತ್ತು ಬೆಲೆ ಎರಡೂ ಕುಸಿಯುತ್ತವೆ. ಬಲಿತ ಲಕ್ಷಣಗಳಿಗಾಗಿ KVK ಯನ್ನು ಕೇಳಿ.`,
+    variety: ({ crop, varieties }) =>
+      `🌱 **${crop} ಉತ್ತಮ ತಳಿಗಳು**\n\n${varieties ? `• ${varieties}` : "• ನಿಮ್ಮ ಪ್ರದೇಶಕ್ಕೆ ಸೂಕ್ತ ತಳಿಗಾಗಿ ರಾಜ್ಯ ಕೃಷಿ ಇಲಾಖೆ ಅಥವಾ KVK ಯನ್ನು ಸಂಪರ್ಕಿಸಿ"}\n\nಯಾವಾಗಲೂ ಸರ್ಕಾರದಿಂದ ನೋಂದಾಯಿತ ಮಾರಾಟಗಾರರಿಂದಲೇ **ಪ್ರಮಾಣಿತ ಬೀಜ** ಖರೀದಿಸಿ.`,
+    transport: ({ crop }) =>
+      `🚛 **${crop} ಸಾಗಣೆ**\n\n• FPO ಮೂಲಕ ಸರಕು ಒಟ್ಟುಗೂಡಿಸಿ ಸಾಗಣೆ ವೆಚ್ಚ ಹಂಚಿಕೊಳ್ಳಿ\n• eNAM (enam.gov.in) ನಲ್ಲಿ ಮಾರಿ — ಖರೀದಿದಾರರು ಎಲ್ಲಿಂದಲಾದರೂ ಬಿಡ್ ಮಾಡಬಹುದು\n• ಬೇಗ ಕೆಡುವ ಬೆಳೆಯನ್ನು ಸಾಗಿಸುವ ಮೊದಲು ತಂಪುಗೊಳಿಸಿ`,
+    general: ({ crop, q, season, harvest, base }) =>
+      `🌾 **AgroVueAI — ${crop}**\n\nನಿಮ್ಮ ಪ್ರಶ್ನೆ: "${q}"\n\n• ಹಂಗಾಮು: ${season} | ಕಟಾವು: ${harvest}\n• ಅಂದಾಜು ಬೆಲೆ: ₹${base}/ಕ್ವಿಂಟಾಲ್\n\n📞 ತಜ್ಞರ ಸಲಹೆಗಾಗಿ:\n• ಕಿಸಾನ್ ಕಾಲ್ ಸೆಂಟರ್: 1800-180-1551 (ಉಚಿತ, 24x7)\n• eNAM ಪೋರ್ಟಲ್: enam.gov.in\n• ಸಮೀಪದ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರ (KVK)`,
+  },
+};
+
+export const FALLBACK_LOCALES = { en, hi, pa, te, ta, mr, gu, kn };
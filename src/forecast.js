@@ -0,0 +1,217 @@
+// ─── FORECASTING ENGINE ───────────────────────────────────────────────────────
+// Small statistical models fitted in the browser on a crop's monthly price
+// series. Every model returns one-step-ahead in-sample fits (for residuals) and
+// an h-month point forecast; runForecast() turns that into the daily rows with
+// a residual-based 95% band that PriceForecast renders.
+
+const PERIOD = 12;
+const Z95    = 1.96;
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / (xs.length || 1);
+
+// y[t-m] for the same month last year; plain naive until a full season exists
+export function seasonalNaive(y, h, m = PERIOD) {
+  const n = y.length;
+  const lag = n > m ? m : 1;
+  const fitted = y.map((_, t) => (t >= lag ? y[t - lag] : NaN));
+  const forecast = Array.from({ length: h }, (_, k) => y[n - lag + (k % lag)]);
+  return { fitted, forecast };
+}
+
+// Additive Holt-Winters with a damped trend. Falls back to damped Holt when
+// there are fewer than two seasons to initialise the seasonal indices from.
+function hwPass(y, alpha, beta, gamma, phi, m) {
+  const n = y.length;
+  const seasonal = m > 1;
+  let level, trend; const s = [];
+  if (seasonal) {
+    const first = mean(y.slice(0, m)); const second = mean(y.slice(m, 2 * m));
+    level = first; trend = (second - first) / m;
+    for (let i = 0; i < m; i++) s.push(y[i] - first);
+  } else {
+    level = y[0]; trend = n > 1 ? y[1] - y[0] : 0;
+  }
+  const fitted = [NaN]; let sse = 0;
+  for (let t = 1; t < n; t++) {
+    const si = seasonal ? s[t % m] : 0;
+    const pred = level + phi * trend + si;
+    fitted.push(pred);
+    sse += (y[t] - pred) ** 2;
+    const prevLevel = level;
+    level = alpha * (y[t] - si) + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+    if (seasonal) s[t % m] = gamma * (y[t] - level) + (1 - gamma) * si;
+  }
+  return { fitted, sse, level, trend, s };
+}
+
+export function holtWinters(y, h, m = PERIOD) {
+  const n = y.length;
+  const period = n >= 2 * m ? m : 1;
+  const phi = 0.9;
+  let best = null;
+  for (const alpha of [0.1, 0.3, 0.5, 0.7, 0.9])
+    for (const beta of [0.01, 0.1, 0.3])
+      for (const gamma of period > 1 ? [0.05, 0.2, 0.5] : [0]) {
+        const fit = hwPass(y, alpha, beta, gamma, phi, period);
+        if (!best || fit.sse < best.sse) best = fit;
+      }
+  const { fitted, level, trend, s } = best;
+  let damp = 0;
+  const forecast = Array.from({ length: h }, (_, k) => {
+    damp += phi ** (k + 1);
+    return level + damp * trend + (period > 1 ? s[(n + k) % period] : 0);
+  });
+  return { fitted, forecast };
+}
+
+// Solve (XᵀX + λI)β = Xᵀy with Gaussian elimination — X is at most 4 columns wide
+function leastSquares(X, y, ridge = 1e-6) {
+  const k = X[0].length;
+  const A = Array.from({ length: k }, (_, i) => Array.from({ length: k + 1 }, (_, j) =>
+    j === k ? X.reduce((a, row, r) => a + row[i] * y[r], 0)
+            : X.reduce((a, row) => a + row[i] * row[j], 0) + (i === j ? ridge : 0)));
+  for (let c = 0; c < k; c++) {
+    let p = c;
+    for (let r = c + 1; r < k; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    [A[c], A[p]] = [A[p], A[c]];
+    if (Math.abs(A[c][c]) < 1e-12) continue;
+    for (let r = 0; r < k; r++) {
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let j = c; j <= k; j++) A[r][j] -= f * A[c][j];
+    }
+  }
+  return A.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[k] / row[i]));
+}
+
+// ARIMA(p,1,0) with drift: an AR(p) model on month-to-month price changes
+export function arima(y, h, maxP = 3) {
+  const n = y.length;
+  const d = y.slice(1).map((v, i) => v - y[i]);
+  const p = Math.max(0, Math.min(maxP, Math.floor((d.length - 2) / 4)));
+  if (d.length < p + 2) return seasonalNaive(y, h, 1);
+  const X = []; const target = [];
+  for (let t = p; t < d.length; t++) {
+    X.push([1, ...Array.from({ length: p }, (_, i) => d[t - 1 - i])]);
+    target.push(d[t]);
+  }
+  const coef = leastSquares(X, target, 1e-3 * mean(target.map(v => v * v)));
+  const step = (hist) => coef[0] + coef.slice(1).reduce((a, c, i) => a + c * hist[hist.length - 1 - i], 0);
+  const fitted = y.map((_, t) => (t >= p + 2 ? y[t - 1] + step(d.slice(0, t - 1)) : NaN));
+  const dd = [...d]; let level = y[n - 1];
+  const forecast = Array.from({ length: h }, () => {
+    const next = step(dd); dd.push(next); level += next;
+    return level;
+  });
+  return { fitted, forecast };
+}
+
+const residuals = (y, fitted) => y.map((v, t) => v - fitted[t]).filter(Number.isFinite);
+
+export function fitStats(y, fitted) {
+  const r = residuals(y, fitted);
+  const ape = y.map((v, t) => Math.abs((v - fitted[t]) / v)).filter(Number.isFinite);
+  return { rmse: Math.sqrt(mean(r.map(e => e * e))), mape: mean(ape) * 100, n: r.length };
+}
+
+// Inverse-MSE weighted blend of the base models over the window they all cover
+export function ensemble(y, h) {
+  if (y.length < 4) return seasonalNaive(y, h, 1);
+  return blendFits(y, ENSEMBLE_PARTS.map(m => MODELS[m](y, h)));
+}
+
+// The blend itself, for base-model fits made separately (the forecast worker
+// fits them one at a time so it can report progress between them)
+export function blendFits(y, parts) {
+  const h = parts[0].forecast.length;
+  const start = Math.max(...parts.map(p => p.fitted.findIndex(Number.isFinite)));
+  const weights = parts.map(p => {
+    const mse = mean(y.slice(start).map((v, i) => (v - p.fitted[start + i]) ** 2));
+    return 1 / Math.max(mse, 1e-9);
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  const blend = (pick, len) => Array.from({ length: len }, (_, i) =>
+    parts.reduce((a, p, j) => a + (weights[j] / total) * pick(p)[i], 0));
+  return {
+    fitted: blend(p => p.fitted, y.length).map((v, t) => (t >= start ? v : NaN)),
+    forecast: blend(p => p.forecast, h),
+    weights: weights.map(w => w / total),
+  };
+}
+
+export const MODELS = {
+  "Seasonal Naive": seasonalNaive,
+  "Holt-Winters":   holtWinters,
+  "ARIMA":          arima,
+  "Ensemble":       ensemble,
+};
+export const MODEL_NAMES = Object.keys(MODELS);
+export const ENSEMBLE_PARTS = ["Seasonal Naive", "Holt-Winters", "ARIMA"];
+
+// Months of model forecast that cover `days` of daily rows
+export const forecastMonths = (days) => Math.ceil(days / 30) + 1;
+
+// Daily rows for the next `days` days: monthly forecasts interpolated by day,
+// band = ±1.96·σ·√(months ahead) where σ is the RMSE of one-step residuals.
+export function runForecast(history, model, days = 30, { now = new Date() } = {}) {
+  const y = history.map(d => d.actual);
+  return forecastRows(history, (MODELS[model] || ensemble)(y, forecastMonths(days)), days, { now });
+}
+
+// runForecast() for a model fit already made with forecastMonths(days) months
+export function forecastRows(history, { fitted, forecast }, days = 30, { now = new Date() } = {}) {
+  const y = history.map(d => d.actual);
+  const fit = fitStats(y, fitted);
+  const path = [y[y.length - 1], ...forecast];
+  const rows = Array.from({ length: days }, (_, i) => {
+    const x = (i + 1) / 30; const k = Math.floor(x);
+    const price = Math.max(path[k] + (path[k + 1] - path[k]) * (x - k), 1);
+    const band  = Z95 * fit.rmse * Math.sqrt(x);
+    const d = new Date(now); d.setDate(d.getDate() + i + 1);
+    return {
+      date: d.toLocaleDateString("en-IN", { month:"short", day:"numeric" }),
+      predicted: Math.round(price),
+      upper: Math.round(price + band),
+      lower: Math.round(Math.max(price - band, 0)),
+    };
+  });
+  return { rows, fit };
+}
+
+// ─── BACKTESTING ──────────────────────────────────────────────────────────────
+// Rolling-origin evaluation: for each of the last `holdout` months, refit the
+// model on everything before it, forecast `horizon` months ahead and score the
+// forecast against what the mandi actually printed.
+export function backtest(history, model, { holdout = 6, horizon = 1 } = {}) {
+  const y = history.map(d => d.actual);
+  const fn = MODELS[model] || ensemble;
+  const first = Math.max(y.length - holdout, 3);
+  const points = [];
+  for (let target = first; target < y.length; target++) {
+    const train = y.slice(0, target - horizon + 1);
+    if (train.length < 3) continue;
+    const { fitted, forecast } = fn(train, horizon);
+    const predicted = forecast[horizon - 1];
+    const band = Z95 * fitStats(train, fitted).rmse * Math.sqrt(horizon);
+    points.push({
+      date: history[target].date,
+      actual: y[target],
+      predicted: Math.round(predicted),
+      upper: Math.round(predicted + band),
+      lower: Math.round(Math.max(predicted - band, 0)),
+    });
+  }
+  const errs = points.map(p => p.actual - p.predicted);
+  return {
+    model, points,
+    mape:     mean(points.map(p => Math.abs((p.actual - p.predicted) / p.actual))) * 100,
+    rmse:     Math.sqrt(mean(errs.map(e => e * e))),
+    coverage: mean(points.map(p => (p.actual >= p.lower && p.actual <= p.upper ? 1 : 0))) * 100,
+  };
+}
+
+// Scores every model on the same history; sorted best (lowest MAPE) first
+export function backtestAll(history, options) {
+  return MODEL_NAMES.map(m => backtest(history, m, options)).sort((a, b) => a.mape - b.mape);
+}
@@ -0,0 +1,57 @@
+import { seasonalNaive, holtWinters, arima, ensemble, runForecast, backtest, backtestAll } from "./forecast";
+
+const seasonal = Array.from({ length: 36 }, (_, t) => 2000 + 10 * t + 200 * Math.sin((t / 12) * 2 * Math.PI));
+
+test("seasonal naive repeats last year's same month", () => {
+  const { forecast } = seasonalNaive(seasonal, 3);
+  expect(forecast).toEqual(seasonal.slice(24, 27));
+});
+
+test("Holt-Winters and ARIMA track a trending seasonal series", () => {
+  const truth = Array.from({ length: 6 }, (_, k) => 2000 + 10 * (36 + k) + 200 * Math.sin(((36 + k) / 12) * 2 * Math.PI));
+  [holtWinters, arima, ensemble].forEach(model => {
+    const { forecast } = model(seasonal, 6);
+    forecast.forEach((v, k) => expect(Math.abs(v - truth[k]) / truth[k]).toBeLessThan(0.08));
+  });
+});
+
+test("ensemble weights sum to one", () => {
+  const { weights } = ensemble(seasonal, 2);
+  expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+});
+
+test("daily rows carry a residual-based band that widens with the horizon", () => {
+  const history = seasonal.map(actual => ({ actual }));
+  const { rows, fit } = runForecast(history, "Holt-Winters", 30, { now: new Date(2025, 0, 1) });
+  expect(rows).toHaveLength(30);
+  expect(fit.rmse).toBeGreaterThan(0);
+  const width = r => r.upper - r.lower;
+  expect(width(rows[29])).toBeGreaterThan(width(rows[0]));
+  rows.forEach(r => expect(r.lower).toBeLessThanOrEqual(r.predicted));
+});
+
+test("short histories still forecast", () => {
+  const { rows } = runForecast([{ actual: 1500 }], "Ensemble", 7);
+  expect(rows.every(r => r.predicted === 1500)).toBe(true);
+});
+
+test("rolling-origin backtest scores each held-out month", () => {
+  const history = seasonal.map((actual, t) => ({ date: `m${t}`, actual }));
+  const result = backtest(history, "Seasonal Naive", { holdout: 6 });
+  expect(result.points.map(p => p.date)).toEqual(["m30","m31","m32","m33","m34","m35"]);
+  // Seasonal naive misses by exactly one year of trend (10/month × 12)
+  result.points.forEach(p => expect(p.actual - p.predicted).toBeCloseTo(120, -1));
+  expect(result.rmse).toBeCloseTo(120, -1);
+  // Its in-sample misses are the same 120, so every month lands inside the band
+  expect(result.coverage).toBe(100);
+  // …until a ₹1,000 jump in the last month falls outside it: 5 of 6 covered
+  const shock = history.map((h, t) => (t === 35 ? { ...h, actual: h.actual + 1000 } : h));
+  expect(backtest(shock, "Seasonal Naive", { holdout: 6 }).coverage).toBeCloseTo(500 / 6);
+});
+
+test("backtestAll ranks models by MAPE", () => {
+  const history = seasonal.map((actual, t) => ({ date: `m${t}`, actual }));
+  const ranked = backtestAll(history, { holdout: 6 });
+  expect(ranked.map(r => r.model).sort()).toEqual(["ARIMA","Ensemble","Holt-Winters","Seasonal Naive"]);
+  ranked.slice(1).forEach((r, i) => expect(r.mape).toBeGreaterThanOrEqual(ranked[i].mape));
+});
@@ -0,0 +1,6 @@
+import { createJobHandler } from "./forecastJobs";
+
+// ─── FORECAST WORKER ──────────────────────────────────────────────────────────
+// Model fitting and backtests run here so the UI thread never blocks on them.
+const handle = createJobHandler(msg => globalThis.postMessage(msg));
+globalThis.onmessage = (e) => handle(e.data);
@@ -0,0 +1,68 @@
+import { createJobHandler } from "./forecastJobs";
+
+// ─── FORECAST CLIENT ──────────────────────────────────────────────────────────
+// Sends jobs to the forecast worker and routes its progress/result messages back
+// to the caller. Where Worker is unavailable the same handler runs in-thread.
+
+function inThreadChannel() {
+  let listener = () => {};
+  const handle = createJobHandler(msg => listener(msg));
+  return {
+    postMessage: (msg) => handle(msg),
+    set onmessage(fn) { listener = (msg) => fn({ data: msg }); },
+    terminate: () => {},
+  };
+}
+
+export function createForecastClient({ spawn } = {}) {
+  let nextId = 1;
+  const pending = new Map();
+  let channel = null;
+
+  const connect = async () => {
+    if (channel) return channel;
+    let ch;
+    if (spawn) ch = spawn();
+    else if (typeof Worker !== "undefined") ch = (await import("./spawnForecastWorker")).default();
+    else ch = inThreadChannel();
+    if (channel) { ch.terminate(); return channel; }
+    ch.onmessage = ({ data }) => {
+      const job = pending.get(data.id);
+      if (!job) return;
+      if (data.type === "progress") { job.onProgress(data); return; }
+      pending.delete(data.id);
+      if (data.type === "result") job.resolve(data.result);
+      else if (data.type === "cancelled") job.resolve(null);
+      else job.reject(new Error(data.message));
+    };
+    channel = ch;
+    return ch;
+  };
+
+  // Returns { promise, cancel }. A cancelled job resolves with null.
+  const run = (job, onProgress = () => {}) => {
+    const id = nextId++;
+    let cancelled = false;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      connect().then(ch => { if (!cancelled) ch.postMessage({ type:"request", id, job }); }, reject);
+    });
+    const cancel = () => {
+      if (cancelled || !pending.has(id)) return;
+      cancelled = true;
+      channel?.postMessage({ type:"cancel", id });
+      pending.get(id).resolve(null);
+      pending.delete(id);
+    };
+    return { promise, cancel };
+  };
+
+  const dispose = () => {
+    pending.forEach(job => job.resolve(null));
+    pending.clear();
+    channel?.terminate();
+    channel = null;
+  };
+
+  return { run, dispose };
+}
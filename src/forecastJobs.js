@@ -0,0 +1,80 @@
+import { forecastRows, forecastMonths, blendFits, backtest, MODELS, MODEL_NAMES, ENSEMBLE_PARTS } from "./forecast";
+
+// ─── FORECAST JOB PROTOCOL ────────────────────────────────────────────────────
+// Messages between the UI and forecast.worker.js:
+//   → { type:"request",  id, job }          job = { kind:"forecast", history, model, horizon }
+//                                                | { kind:"backtest", history, holdout }
+//   → { type:"cancel",   id }
+//   ← { type:"progress", id, done, total, label }
+//   ← { type:"result",   id, result }
+//   ← { type:"error",    id, message }
+//   ← { type:"cancelled",id }
+// A job is a list of steps, one model fit each (a backtest fits every model, an
+// Ensemble forecast its three base models). runJob() yields to the event loop
+// between steps so a cancel message that arrives mid-job is seen before the
+// next model is fitted.
+
+export class JobCancelled extends Error {
+  constructor() { super("Forecast job cancelled"); this.name = "JobCancelled"; }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// → { steps:[{ label, run() }], finish(results) }
+function planJob(job) {
+  if (job.kind === "backtest") {
+    return {
+      steps: MODEL_NAMES.map(m => ({ label: `Backtesting ${m}`, run: () => backtest(job.history, m, { holdout: job.holdout }) })),
+      finish: (results) => results.sort((a, b) => a.mape - b.mape),
+    };
+  }
+  if (job.kind === "forecast") {
+    if (!MODELS[job.model]) throw new Error(`Unknown model: ${job.model}`);
+    const y = job.history.map(d => d.actual);
+    const months = forecastMonths(job.horizon);
+    const blend = job.model === "Ensemble" && y.length >= 4;
+    return {
+      steps: (blend ? ENSEMBLE_PARTS : [job.model]).map(m => ({
+        label: `Training ${m}${blend ? " for the Ensemble" : ""} on historical data`,
+        run: () => MODELS[m](y, months),
+      })),
+      finish: (fits) => forecastRows(job.history, blend ? blendFits(y, fits) : fits[0], job.horizon),
+    };
+  }
+  throw new Error(`Unknown job kind: ${job.kind}`);
+}
+
+export async function runJob(job, { onProgress = () => {}, isCancelled = () => false } = {}) {
+  const { steps, finish } = planJob(job);
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    onProgress({ done: i, total: steps.length, label: steps[i].label });
+    await tick();
+    if (isCancelled()) throw new JobCancelled();
+    results.push(steps[i].run());
+  }
+  onProgress({ done: steps.length, total: steps.length, label: "Done" });
+  return finish(results);
+}
+
+// Dispatcher shared by the worker and the in-thread fallback
+export function createJobHandler(post) {
+  const active = new Set(); const cancelled = new Set();
+  return async (msg) => {
+    if (msg.type === "cancel") { if (active.has(msg.id)) cancelled.add(msg.id); return; }
+    if (msg.type !== "request") return;
+    const { id, job } = msg;
+    active.add(id);
+    try {
+      const result = await runJob(job, {
+        onProgress: (p) => post({ type: "progress", id, ...p }),
+        isCancelled: () => cancelled.has(id),
+      });
+      post({ type: "result", id, result });
+    } catch (e) {
+      post(e instanceof JobCancelled ? { type: "cancelled", id } : { type: "error", id, message: e.message });
+    } finally {
+      active.delete(id); cancelled.delete(id);
+    }
+  };
+}
@@ -0,0 +1,58 @@
+import { createJobHandler } from "./forecastJobs";
+import { runForecast } from "./forecast";
+import { createForecastClient } from "./forecastClient";
+
+const history = Array.from({ length: 36 }, (_, t) => ({ date: `m${t}`, actual: 2000 + 15 * t + 150 * Math.sin(t / 2) }));
+
+test("handler streams progress then a result", async () => {
+  const sent = [];
+  await createJobHandler(m => sent.push(m))({ type:"request", id:1, job:{ kind:"backtest", history, holdout:3 } });
+  const types = sent.map(m => m.type);
+  expect(types.filter(t => t === "progress")).toHaveLength(5);
+  expect(types[types.length - 1]).toBe("result");
+  expect(sent[sent.length - 1].result).toHaveLength(4);
+});
+
+test("a cancel message stops the job before the next step", async () => {
+  const sent = [];
+  const handle = createJobHandler(m => sent.push(m));
+  const running = handle({ type:"request", id:7, job:{ kind:"backtest", history, holdout:3 } });
+  handle({ type:"cancel", id:7 });
+  await running;
+  expect(sent.map(m => m.type)).toEqual(["progress", "cancelled"]);
+});
+
+test("an Ensemble forecast reports each base model and can stop between them", async () => {
+  const sent = [];
+  const handle = createJobHandler(m => sent.push(m));
+  await handle({ type:"request", id:3, job:{ kind:"forecast", history, model:"Ensemble", horizon:14 } });
+  expect(sent.filter(m => m.type === "progress").map(m => m.done)).toEqual([0, 1, 2, 3]);
+  expect(sent[1].label).toMatch(/Holt-Winters/);
+  expect(sent[sent.length - 1].result).toEqual(runForecast(history, "Ensemble", 14));
+
+  sent.length = 0;
+  const running = handle({ type:"request", id:4, job:{ kind:"forecast", history, model:"Ensemble", horizon:14 } });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  handle({ type:"cancel", id:4 });
+  await running;
+  expect(sent.map(m => m.type)).toEqual(["progress", "progress", "cancelled"]);
+});
+
+test("unknown models are reported as errors", async () => {
+  const sent = [];
+  await createJobHandler(m => sent.push(m))({ type:"request", id:2, job:{ kind:"forecast", history, model:"LSTM", horizon:7 } });
+  expect(sent).toEqual([{ type:"error", id:2, message:"Unknown model: LSTM" }]);
+});
+
+test("client resolves results and resolves cancelled jobs with null", async () => {
+  const client = createForecastClient();
+  const progress = [];
+  const first  = client.run({ kind:"forecast", history, model:"ARIMA", horizon:14 }, p => progress.push(p.label));
+  const second = client.run({ kind:"backtest", history, holdout:6 });
+  second.cancel();
+  const [fc, bt] = await Promise.all([first.promise, second.promise]);
+  expect(fc.rows).toHaveLength(14);
+  expect(progress[0]).toMatch(/ARIMA/);
+  expect(bt).toBeNull();
+  client.dispose();
+});
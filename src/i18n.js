@@ -0,0 +1,74 @@
+import { langId, langCode, shortMonths, localMonths } from "./languages";
+import { FALLBACK_LOCALES } from "./fallbackLocales";
+import { MESSAGES } from "./messages";
+
+// ─── I18N ─────────────────────────────────────────────────────────────────────
+// Screen text lives in messages.js as one flat catalogue per LANGS id, keyed
+// like "nav.dashboard"; "{name}" placeholders are filled from `vars`. A key
+// missing from a catalogue falls back to English, then to the key itself.
+//
+// Numbers use Indian grouping (12,34,567) in the locale's own digits, and big
+// amounts read as lakh / crore — ICU's compact format says "million" for
+// several Indian locales, so that part is done here.
+
+// The language on the login screen, before anyone has signed in. A signed-in
+// user's choice lives in their profile as `lang`.
+export const UI_LANG_KEY = "AgroVue_ui_lang";
+
+export function translate(lang, key, vars) {
+  const text = MESSAGES[langId(lang)]?.[key] ?? MESSAGES.en[key] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m)) : text;
+}
+
+// en-IN supplies the lakh grouping; the numbering system comes from the locale
+const digits = (lang) => new Intl.NumberFormat(langCode(lang)).resolvedOptions().numberingSystem;
+
+export const formatNumber = (n, lang, options) =>
+  new Intl.NumberFormat(`en-IN-u-nu-${digits(lang)}`, options).format(n);
+
+// 85000 → "85,000", 1234567 → "12.3 lakh", 32000000 → "3.2 crore"
+export function formatCompact(n, lang) {
+  const abs = Math.abs(n);
+  const [size, unit] = abs >= 1e7 ? [1e7, "num.crore"] : abs >= 1e5 ? [1e5, "num.lakh"] : [1, ""];
+  if (!unit) return formatNumber(Math.round(n), lang);
+  return `${formatNumber(n / size, lang, { maximumFractionDigits:1 })} ${translate(lang, unit)}`;
+}
+
+// Same buckets as alerts.js timeAgo, worded by Intl for the locale
+export function formatAgo(ts, lang, now = Date.now()) {
+  const rtf = new Intl.RelativeTimeFormat(langCode(lang), { numeric:"auto" });
+  const s = Math.max(0, Math.round((now - ts) / 1000));
+  if (s < 60) return rtf.format(0, "second");
+  if (s < 3600) return rtf.format(-Math.floor(s / 60), "minute");
+  if (s < 86400) return rtf.format(-Math.floor(s / 3600), "hour");
+  return rtf.format(-Math.floor(s / 86400), "day");
+}
+
+// Crop and season names come from the advisor's lexicons (fallbackLocales.js)
+export const cropName = (crop, lang) =>
+  (langId(lang) === "en" ? crop : FALLBACK_LOCALES[langId(lang)].crops[crop]?.[0] || crop);
+
+export const seasonName = (season, lang) =>
+  (langId(lang) === "en" ? season : String(season).split("/").map(s => FALLBACK_LOCALES[langId(lang)].seasons[s] || s).join("/"));
+
+// Everything a screen needs, bound to one language: t("key", vars) plus
+// t.num / t.rupees / t.compact / t.date / t.dateTime / t.ago for formatting
+// and t.crop / t.season / t.harvest / t.months for data labels.
+export function createT(lang) {
+  const id = langId(lang);
+  const code = langCode(id);
+  const t = (key, vars) => translate(id, key, vars);
+  t.lang = id;
+  t.code = code;
+  t.num = (n, options) => formatNumber(n, id, options);
+  t.rupees = (n) => `₹${formatNumber(Math.round(n), id)}`;
+  t.compact = (n) => `₹${formatCompact(n, id)}`;
+  t.date = (d, options) => new Date(d).toLocaleDateString(code, options);
+  t.dateTime = (d) => new Date(d).toLocaleString(code);
+  t.ago = (ts, now) => formatAgo(ts, id, now);
+  t.crop = (crop) => cropName(crop, id);
+  t.season = (season) => seasonName(season, id);
+  t.harvest = (months) => (id === "en" ? months : localMonths(months, id));
+  t.months = (label) => shortMonths(label, id);
+  return t;
+}
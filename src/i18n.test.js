@@ -0,0 +1,42 @@
+import { createT, translate, formatCompact } from "./i18n";
+import { MESSAGES } from "./messages";
+import { LANGS } from "./languages";
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+test("every language has the English keys with the same placeholders", () => {
+  expect(Object.keys(MESSAGES).sort()).toEqual(LANGS.map(l => l.id).sort());
+  Object.entries(MESSAGES).forEach(([lang, messages]) => {
+    expect([lang, Object.keys(messages).sort()]).toEqual([lang, Object.keys(MESSAGES.en).sort()]);
+    Object.entries(messages).forEach(([key, text]) =>
+      expect([lang, key, placeholders(text)]).toEqual([lang, key, placeholders(MESSAGES.en[key])]));
+  });
+});
+
+test("translates, fills placeholders and falls back to English, then the key", () => {
+  const t = createT("hi-IN");
+  expect(t.lang).toBe("hi");
+  expect(t("nav.alerts")).toBe("अलर्ट");
+  expect(t("al.unread", { n: 3 })).toBe("3 अपठित");
+  expect(translate("xx", "nav.alerts")).toBe("Alerts");
+  expect(t("no.such.key")).toBe("no.such.key");
+  expect(createT("en")("fc.inBand", { rmse: "₹120", pct: 92 })).toBe("RMSE ₹120 · 92% in band");
+});
+
+test("numbers use Indian grouping in the locale's digits, with lakh and crore", () => {
+  expect(createT("en").num(1234567)).toBe("12,34,567");
+  expect(createT("mr").num(1234567)).toBe("१२,३४,५६७");
+  expect(createT("en").compact(1234567)).toBe("₹12.3 lakh");
+  expect(createT("en").compact(85000)).toBe("₹85,000");
+  expect(formatCompact(32000000, "te")).toBe("3.2 కోట్లు");
+  expect(createT("ta").rupees(1500.4)).toBe("₹1,500");
+});
+
+test("data labels, crop names and relative times follow the language", () => {
+  const t = createT("te");
+  expect(createT("en").months("5 Sept")).toBe("5 Sept");
+  expect(t.months("Oct 24")).not.toContain("Oct");
+  expect(t.crop("Onion")).toBe("ఉల్లిపాయ");
+  expect(createT("en").ago(0, 2 * 3600 * 1000)).toBe("2 hours ago");
+  expect(createT("hi").ago(0, 3 * 86400 * 1000)).toBe("3 दिन पहले");
+});
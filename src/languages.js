@@ -0,0 +1,77 @@
+// ─── LANGUAGES ────────────────────────────────────────────────────────────────
+// The eight languages the voice assistant listens and speaks in. `id` keys the
+// lexicons and answer templates in fallbackLocales.js; `code` is the BCP-47 tag
+// used for speech recognition, speech synthesis and Intl formatting; `native`
+// is the name the language picker shows.
+export const LANGS = [
+  { id:"en", label:"English",  native:"English",  code:"en-IN" },
+  { id:"hi", label:"Hindi",    native:"हिन्दी",     code:"hi-IN" },
+  { id:"pa", label:"Punjabi",  native:"ਪੰਜਾਬੀ",     code:"pa-IN" },
+  { id:"te", label:"Telugu",   native:"తెలుగు",     code:"te-IN" },
+  { id:"ta", label:"Tamil",    native:"தமிழ்",      code:"ta-IN" },
+  { id:"mr", label:"Marathi",  native:"मराठी",      code:"mr-IN" },
+  { id:"gu", label:"Gujarati", native:"ગુજરાતી",    code:"gu-IN" },
+  { id:"kn", label:"Kannada",  native:"ಕನ್ನಡ",      code:"kn-IN" },
+];
+
+// "te-IN" or "te" → "te"; anything unknown → "en"
+export function langId(codeOrId) {
+  const id = String(codeOrId || "").slice(0, 2).toLowerCase();
+  return LANGS.some(l => l.id === id) ? id : "en";
+}
+
+export const langCode = (codeOrId) => LANGS.find(l => l.id === langId(codeOrId)).code;
+
+// Unicode blocks of the Indic scripts we support. Devanagari is shared by
+// Hindi and Marathi and is settled separately below.
+const SCRIPTS = [
+  { id:"deva", re:/[\u0900-\u097F]/g },
+  { id:"pa",   re:/[\u0A00-\u0A7F]/g },
+  { id:"gu",   re:/[\u0A80-\u0AFF]/g },
+  { id:"ta",   re:/[\u0B80-\u0BFF]/g },
+  { id:"te",   re:/[\u0C00-\u0C7F]/g },
+  { id:"kn",   re:/[\u0C80-\u0CFF]/g },
+];
+
+// Everyday words that tell Marathi from Hindi in Devanagari
+const MARATHI_WORDS = ["आहे","आहेत","काय","कधी","किती","मला","आम्ही","माझा","माझे","कसा","कसे","कुठे","विकू","विकावा","पाहिजे","नाही","आणि","साठी","मध्ये"];
+const HINDI_WORDS   = ["है","हैं","क्या","कब","कितना","कितने","मुझे","मेरा","मेरे","कैसे","कहाँ","कहां","बेचूं","चाहिए","नहीं","और","लिए","में","का","की","के"];
+
+// Language of a question: the script it is written in wins; Devanagari is
+// Marathi or Hindi by its common words (ties go to the selected language);
+// Latin script — English or romanised speech — follows the selected language.
+export function detectLanguage(text, selected) {
+  const preferred = selected ? langId(selected) : "en";
+  const str = String(text || "");
+  let best = null; let bestCount = 0;
+  SCRIPTS.forEach(({ id, re }) => {
+    const count = (str.match(re) || []).length;
+    if (count > bestCount) { best = id; bestCount = count; }
+  });
+  if (!best) return preferred;
+  if (best !== "deva") return best;
+  const words = str.split(/[\s?।॥!,.]+/);
+  const score = (list) => words.filter(w => list.includes(w)).length;
+  const mr = score(MARATHI_WORDS); const hi = score(HINDI_WORDS);
+  if (mr !== hi) return mr > hi ? "mr" : "hi";
+  return preferred === "mr" ? "mr" : "hi";
+}
+
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+// Month 0–11 as a full (or "short") name in the given language
+export const monthName = (month, codeOrId, style = "long") =>
+  new Date(2024, month, 1).toLocaleString(langCode(codeOrId), { month:style });
+
+// en-IN abbreviates September as "Sept"
+const MONTH_RE = new RegExp(`\\b(Sept|${MONTHS.join("|")})\\b`, "g");
+const monthIndex = (m) => MONTHS.indexOf(m.slice(0, 3));
+
+// "Oct & Mar" / "Mar-Apr" (the CROP_META style) with the months translated
+export const localMonths = (text, codeOrId) =>
+  String(text).replace(MONTH_RE, m => monthName(monthIndex(m), codeOrId))
+    .replace(/\s*&\s*/g, ", ").replace(/-/g, "–");
+
+// "Oct 24" / "19 Oct" (the en-IN chart and table dates) with short month names
+export const shortMonths = (text, codeOrId) =>
+  langId(codeOrId) === "en" ? String(text) : String(text).replace(MONTH_RE, m => monthName(monthIndex(m), codeOrId, "short"));
@@ -0,0 +1,120 @@
+import { CROPS, CROP_META } from "./crops";
+import { save, load } from "./storage";
+
+// ─── FARM LEDGER ──────────────────────────────────────────────────────────────
+// What the farm actually sold and spent, entered by the farmer and saved per
+// user. Entries are plain records, newest first:
+//   sale     { id, kind:"sale", date:"2025-03-14", crop, qty (qtl), mandi, price (₹/qtl) }
+//   expense  { id, kind:"expense", date, category, amount (₹), crop (null = whole farm), note }
+// Profile's Income Analytics chart and the crop and season tables are computed
+// from these. Expenses booked against a crop are its direct costs; whole-farm
+// expenses are shared out between crops by their share of sales revenue.
+
+export const LEDGER_KEY = "AgroVue_ledger";
+export const EXPENSE_CATEGORIES = ["seed", "fertiliser", "labour", "transport", "storage", "other"];
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const pad = (n) => String(n).padStart(2, "0");
+
+// Today as "2025-03-14" in local time, the format of <input type="date">
+export const today = (now = new Date()) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+let seq = 0;
+const newId = (now) => `${now.toString(36)}-${(seq++).toString(36)}`;
+
+// A checked, normalised entry from form fields, or null when something required
+// is missing or not a positive number
+export function ledgerEntry(kind, fields, now = Date.now()) {
+  const { date, crop = null } = fields;
+  if (!DAY.test(String(date || ""))) return null;
+  if (kind === "sale") {
+    const qty = +fields.qty, price = +fields.price;
+    if (!CROPS.includes(crop) || !(qty > 0) || !(price > 0)) return null;
+    return { id:newId(now), kind, date, crop, qty, price, mandi:String(fields.mandi || "").trim() || null };
+  }
+  if (kind === "expense") {
+    const amount = +fields.amount;
+    if (!EXPENSE_CATEGORIES.includes(fields.category) || !(amount > 0)) return null;
+    if (crop !== null && !CROPS.includes(crop)) return null;
+    return { id:newId(now), kind, date, category:fields.category, amount, crop, note:String(fields.note || "").trim() || null };
+  }
+  return null;
+}
+
+const byDateDesc = (a, b) => b.date.localeCompare(a.date);
+export const addEntry = (ledger, entry) => (entry ? [entry, ...ledger].sort(byDateDesc) : ledger);
+export const removeEntry = (ledger, id) => ledger.filter(e => e.id !== id);
+
+export const entryTotal = (e) => (e.kind === "sale" ? e.qty * e.price : e.amount);
+
+// Revenue and expenses for each of the last `months` calendar months, oldest
+// first, labelled like the price charts ("Jan")
+export function monthlyTotals(ledger, months = 6, now = new Date()) {
+  return Array.from({ length:months }, (_, i) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - (months - 1 - i), 1);
+    const ym = today(d).slice(0, 7);
+    const inMonth = ledger.filter(e => e.date.startsWith(ym));
+    const sum = (kind) => Math.round(inMonth.filter(e => e.kind === kind).reduce((s, e) => s + entryTotal(e), 0));
+    return { month:d.toLocaleDateString("en-IN", { month:"short" }), revenue:sum("sale"), expenses:sum("expense") };
+  });
+}
+
+// The growing season an entry belongs to. A crop grown in one season keeps it
+// (wheat sold in April is still last winter's Rabi crop); for the rest, and for
+// whole-farm costs, Jun–Oct is Kharif and Nov–May is Rabi. Rabi spans two
+// calendar years, so it is labelled "2024-25". A Kharif crop sold before June
+// is last year's stored harvest, but seed and inputs bought for it from April
+// are for the season about to be sown.
+export function seasonOf(date, crop = null, kind = "sale") {
+  const [y, m] = date.split("-").map(Number);
+  const grown = CROP_META[crop]?.season;
+  const season = grown === "Rabi" || grown === "Kharif" ? grown : m >= 6 && m <= 10 ? "Kharif" : "Rabi";
+  if (season === "Kharif") {
+    const year = m <= (kind === "sale" ? 5 : 3) ? y - 1 : y;
+    return { key:`Kharif ${year}`, season, year:String(year), from:`${year}-06` };
+  }
+  const start = m >= 10 ? y : y - 1; // Rabi is sown from October
+  const year = `${start}-${String(start + 1).slice(2)}`;
+  return { key:`Rabi ${year}`, season, year, from:`${start}-10` };
+}
+
+// Profit per crop: revenue, direct and shared costs, and per quintal sold the
+// average price, the cost (direct only) and the break-even price — the lowest
+// average price at which the crop would have covered all of its costs.
+// Crops with costs but no sales are listed with qty 0 and null per-qtl figures.
+export function cropSummary(ledger) {
+  const rows = {};
+  const row = (crop) => (rows[crop] ||= { crop, qty:0, revenue:0, direct:0, shared:0 });
+  let shared = 0;
+  for (const e of ledger) {
+    if (e.kind === "sale") { row(e.crop).qty += e.qty; row(e.crop).revenue += e.qty * e.price; }
+    else if (e.crop) row(e.crop).direct += e.amount;
+    else shared += e.amount;
+  }
+  const revenue = Object.values(rows).reduce((s, r) => s + r.revenue, 0);
+  return Object.values(rows).map(r => {
+    const share = revenue ? shared * r.revenue / revenue : 0;
+    const cost = r.direct + share;
+    const perQtl = (n) => (r.qty ? Math.round(n / r.qty) : null);
+    return {
+      ...r, shared:Math.round(share), cost:Math.round(cost), profit:Math.round(r.revenue - cost),
+      avgPrice:perQtl(r.revenue), costPerQtl:perQtl(r.direct), breakEven:perQtl(cost),
+    };
+  }).sort((a, b) => b.revenue - a.revenue || a.crop.localeCompare(b.crop));
+}
+
+// Revenue, expenses and profit per season, latest first
+export function seasonSummary(ledger) {
+  const rows = {};
+  for (const e of ledger) {
+    const s = seasonOf(e.date, e.crop, e.kind);
+    const r = (rows[s.key] ||= { ...s, revenue:0, expenses:0 });
+    r[e.kind === "sale" ? "revenue" : "expenses"] += entryTotal(e);
+  }
+  return Object.values(rows)
+    .sort((a, b) => b.from.localeCompare(a.from))
+    .map(r => ({ ...r, revenue:Math.round(r.revenue), expenses:Math.round(r.expenses), profit:Math.round(r.revenue - r.expenses) }));
+}
+
+export const loadLedger = () => load(LEDGER_KEY, []);
+export const saveLedger = (ledger) => save(LEDGER_KEY, ledger);
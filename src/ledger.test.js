@@ -0,0 +1,56 @@
+import { ledgerEntry, addEntry, removeEntry, monthlyTotals, seasonOf, cropSummary, seasonSummary, today } from "./ledger";
+
+const sale    = (date, crop, qty, price, mandi) => ledgerEntry("sale", { date, crop, qty, price, mandi });
+const expense = (date, category, amount, crop = null) => ledgerEntry("expense", { date, category, amount, crop });
+
+const LEDGER = [
+  sale("2025-04-10", "Wheat", 40, 2300, "Karnal"),
+  sale("2024-11-05", "Rice", 20, 3000),
+  expense("2024-11-20", "seed", 12000, "Wheat"),
+  expense("2025-01-15", "fertiliser", "18000", "Wheat"),
+  expense("2024-07-01", "labour", 25000, "Rice"),
+  expense("2025-02-01", "transport", 10000),
+].reduce(addEntry, []);
+
+test("entries are checked and kept newest first", () => {
+  expect(sale("2025-04-10", "Wheat", "40", "2300", " Karnal ")).toMatchObject({ kind:"sale", qty:40, price:2300, mandi:"Karnal" });
+  expect(sale("2025-04-10", "Wheat", 0, 2300)).toBeNull();
+  expect(sale("10/04/2025", "Wheat", 4, 2300)).toBeNull();
+  expect(expense("2025-04-10", "bribes", 100)).toBeNull();
+  expect(expense("2025-04-10", "storage", 900)).toMatchObject({ crop:null, amount:900 });
+  expect(LEDGER.map(e => e.date)).toEqual(["2025-04-10", "2025-02-01", "2025-01-15", "2024-11-20", "2024-11-05", "2024-07-01"]);
+  expect(removeEntry(LEDGER, LEDGER[0].id)).toHaveLength(5);
+  expect(today(new Date(2025, 2, 4, 23, 30))).toBe("2025-03-04");
+});
+
+test("the chart is the ledger's monthly revenue and expenses", () => {
+  const months = monthlyTotals(LEDGER, 6, new Date(2025, 3, 20));
+  expect(months.map(m => m.month)).toEqual(["Nov", "Dec", "Jan", "Feb", "Mar", "Apr"]);
+  expect(months[0]).toEqual({ month:"Nov", revenue:60000, expenses:12000 });
+  expect(months[5]).toEqual({ month:"Apr", revenue:92000, expenses:0 });
+});
+
+test("profit per crop shares whole-farm costs by revenue and gives break-even per quintal", () => {
+  const [wheat, rice] = cropSummary(LEDGER);
+  // Wheat: ₹92,000 of ₹152,000 revenue carries that share of the ₹10,000 transport bill
+  expect(wheat).toMatchObject({ crop:"Wheat", qty:40, revenue:92000, direct:30000, shared:6053, cost:36053, profit:55947, avgPrice:2300, costPerQtl:750, breakEven:901 });
+  expect(rice).toMatchObject({ crop:"Rice", direct:25000, shared:3947, profit:31053, costPerQtl:1250, breakEven:1447 });
+});
+
+test("seasons follow the crop, and Rabi spans two years", () => {
+  expect(seasonOf("2025-04-10", "Wheat")).toMatchObject({ key:"Rabi 2024-25", season:"Rabi" });
+  expect(seasonOf("2025-01-20", "Cotton")).toMatchObject({ key:"Kharif 2024" });
+  expect(seasonOf("2025-05-10", "Cotton")).toMatchObject({ key:"Kharif 2024", from:"2024-06" });
+  // Cotton seed bought in May is for the crop sown next month; storage in March is last year's
+  expect(seasonOf("2025-05-10", "Cotton", "expense")).toMatchObject({ key:"Kharif 2025" });
+  expect(seasonOf("2025-04-02", "Cotton", "expense")).toMatchObject({ key:"Kharif 2025" });
+  expect(seasonOf("2025-03-20", "Cotton", "expense")).toMatchObject({ key:"Kharif 2024" });
+  expect(seasonOf("2025-07-01")).toMatchObject({ key:"Kharif 2025" });
+  expect(seasonOf("2025-12-01", "Tomato")).toMatchObject({ key:"Rabi 2025-26" });
+  expect(seasonSummary(LEDGER)).toEqual([
+    expect.objectContaining({ key:"Rabi 2024-25", revenue:92000, expenses:40000, profit:52000 }),
+    expect.objectContaining({ key:"Kharif 2024", revenue:60000, expenses:25000, profit:35000 }),
+  ]);
+  const cotton = [sale("2025-05-10", "Cotton", 10, 7000), expense("2025-05-12", "seed", 9000, "Cotton")].reduce(addEntry, []);
+  expect(seasonSummary(cotton).map(r => [r.key, r.revenue, r.expenses])).toEqual([["Kharif 2025", 0, 9000], ["Kharif 2024", 70000, 0]]);
+});
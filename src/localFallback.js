@@ -0,0 +1,69 @@
+import { CROPS, CROP_META, CROP_TIPS, CROP_SELL_MONTHS, CROP_VARIETIES } from "./crops";
+import { detectLanguage, monthName, localMonths } from "./languages";
+import { FALLBACK_LOCALES } from "./fallbackLocales";
+
+// ─── SMART LOCAL FALLBACK ─────────────────────────────────────────────────────
+// Answers from built-in knowledge when the advisor server is unreachable.
+// The question's language is detected (languages.js), then each intent is
+// scored by counting matching signals from that language's lexicon plus the
+// English one. The highest-scoring category wins — no single keyword can
+// dominate — and the answer comes from that language's template.
+
+export const INTENTS = Object.keys(FALLBACK_LOCALES.en.keywords);
+
+const WATER_LEVEL = { Rice:"high", Sugarcane:"high", Wheat:"medium", Tomato:"frequent" };
+
+// "What is the price of onion?" → ["price", "sell", …] scores, best first
+export function scoreIntents(q, lang) {
+  const lexicons = [FALLBACK_LOCALES.en.keywords, ...(lang !== "en" ? [FALLBACK_LOCALES[lang].keywords] : [])];
+  const has = (term) => (q.includes(term) ? 1 : 0);
+  return INTENTS
+    .map(intent => [intent, lexicons.reduce((score, lex) => score + lex[intent].reduce((n, t) => n + has(t), 0), 0)])
+    .sort((a, b) => b[1] - a[1]);
+}
+
+// A crop named in the question, in English or the question's language. Names
+// must start a word, so "price" does not read as "rice".
+export function mentionedCrop(q, lang) {
+  const padded = ` ${q}`;
+  const names = (c) => [...FALLBACK_LOCALES.en.crops[c], ...(lang !== "en" ? FALLBACK_LOCALES[lang].crops[c] : [])];
+  return CROPS.find(c => names(c).some(n => padded.includes(` ${n}`))) || null;
+}
+
+// Everything the answer templates use, worded for `lang`
+function facts(key, lang, q) {
+  const locale = FALLBACK_LOCALES[lang];
+  const meta = CROP_META[key] || { base: 2000, harvest: "varies", season: "varies", vol: 0.1 };
+  const window = CROP_SELL_MONTHS[key];
+  const local = lang !== "en";
+  return {
+    key, q,
+    crop: local ? locale.crops[key]?.[0] || key : key,
+    base: meta.base,
+    high: Math.round(meta.base * 1.2),
+    harvest: local ? localMonths(meta.harvest, lang) : meta.harvest,
+    season: local ? meta.season.split("/").map(s => locale.seasons[s] || s).join("/") : meta.season,
+    tip: CROP_TIPS[key] || "",
+    sell: window ? `${monthName(window[0], lang)}–${monthName(window[1], lang)}` : "",
+    water: local ? locale.levels[WATER_LEVEL[key] || "moderate"] : "",
+    premium: key === "Potato" || key === "Onion",
+    cold: key === "Tomato" || key === "Potato",
+    varieties: CROP_VARIETIES[key] || "",
+  };
+}
+
+// `lang` is the language the farmer chose (a LANGS id or code); the script of
+// the question overrides it. `headline` is the advisor context's one-line
+// summary of the farmer's own numbers, shown above the answer.
+export function getLocalFallback(msg, crop, { lang: selected, headline } = {}) {
+  const lang = detectLanguage(msg, selected);
+  const q = msg.toLowerCase()
+    .replace(/[?।॥!,]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const [top, score] = scoreIntents(q, lang)[0];
+  const intent = score > 0 ? top : "general";
+  const locale = FALLBACK_LOCALES[lang];
+  const answer = locale.answers[intent](facts(mentionedCrop(q, lang) || crop, lang, msg));
+  return headline ? `📊 ${locale.fromData}: ${headline}\n\n${answer}` : answer;
+}
@@ -0,0 +1,49 @@
+import { getLocalFallback, scoreIntents, mentionedCrop, INTENTS } from "./localFallback";
+import { detectLanguage, localMonths } from "./languages";
+import { FALLBACK_LOCALES } from "./fallbackLocales";
+import { CROP_TIPS } from "./crops";
+
+test("detects the language from the script, then the selected voice language", () => {
+  expect(detectLanguage("ఉల్లిపాయ ధర ఎంత?")).toBe("te");
+  expect(detectLanguage("தக்காளி எப்போது விற்க வேண்டும்?", "hi-IN")).toBe("ta");
+  expect(detectLanguage("ਕਣਕ ਦਾ ਭਾਅ ਕੀ ਹੈ")).toBe("pa");
+  expect(detectLanguage("ડુંગળીનો ભાવ")).toBe("gu");
+  expect(detectLanguage("ಈರುಳ್ಳಿ ಬೆಲೆ ಎಷ್ಟು")).toBe("kn");
+  // Devanagari: Marathi and Hindi told apart by common words, ties follow the selection
+  expect(detectLanguage("कांदा कधी विकू?", "hi-IN")).toBe("mr");
+  expect(detectLanguage("प्याज कब बेचना चाहिए?", "mr-IN")).toBe("hi");
+  expect(detectLanguage("सोयाबीन भाव", "mr-IN")).toBe("mr");
+  expect(detectLanguage("सोयाबीन भाव")).toBe("hi");
+  // Latin script follows the voice language, English by default
+  expect(detectLanguage("onion rate", "ta-IN")).toBe("ta");
+  expect(detectLanguage("onion rate")).toBe("en");
+});
+
+test("every language has keywords, crop names and an answer for every intent", () => {
+  Object.entries(FALLBACK_LOCALES).forEach(([lang, locale]) => {
+    INTENTS.forEach(intent => expect([lang, intent, locale.keywords[intent].length > 0]).toEqual([lang, intent, true]));
+    expect(Object.keys(locale.answers).sort()).toEqual([...INTENTS, "general"].sort());
+    expect(Object.keys(locale.crops)).toHaveLength(10);
+  });
+});
+
+test("Telugu and Tamil questions get the right intent and a translated answer", () => {
+  const te = getLocalFallback("ఉల్లిపాయ ధర ఎంత?", "Wheat");
+  expect(te).toContain("ఉల్లిపాయ మార్కెట్ ధర");
+  expect(te).toContain("₹1200–₹1440/క్వింటాల్");
+  expect(te).toContain("నవంబర్");                   // "Nov & Mar" harvest, months translated
+
+  expect(scoreIntents("தக்காளி விதைப்பு", "ta")[0][0]).toBe("sowing");
+  const ta = getLocalFallback("தக்காளி விதைப்பு எப்போது?", "Wheat", { headline: "Tomato ₹1,500/qtl [Prices:Tomato]" });
+  expect(ta.startsWith("📊 உங்கள் தரவிலிருந்து: Tomato ₹1,500/qtl [Prices:Tomato]\n\n🌱 **தக்காளி விதைப்பு**")).toBe(true);
+});
+
+test("romanised questions are answered in the voice language; English stays as it was", () => {
+  expect(getLocalFallback("onion storage", "Wheat", { lang: "kn-IN" })).toContain("ಈರುಳ್ಳಿ ಸಂಗ್ರಹಣೆ");
+  const en = getLocalFallback("What is the onion price today?", "Wheat");
+  expect(en).toContain("📊 **Onion Market Price**");
+  expect(en).toContain(CROP_TIPS.Onion);
+  expect(mentionedCrop("wheat price", "en")).toBe("Wheat");
+  expect(mentionedCrop("onion price", "en")).toBe("Onion");   // "price" is not "rice"
+  expect(localMonths("Mar-Apr", "hi")).toBe("मार्च–अप्रैल");
+});
@@ -0,0 +1,82 @@
+// ─── MANDI REFERENCE DATA & NET REALISATION ───────────────────────────────────
+// Everything here is bundled so the calculator works offline. Commission and
+// market fee are % of sale value at typical APMC rates for each state; users
+// can override them per mandi. Distances are great-circle km between district
+// headquarters and the mandi, scaled by a road-circuity factor.
+
+export const MANDI_COSTS_KEY = "AgroVue_mandi_costs";
+
+const ROAD_FACTOR = 1.25;
+
+export const MANDIS = {
+  Azadpur:   { state:"Delhi",       lat:28.71, lon:77.18, commission:6.0, fee:1.0 },
+  Vashi:     { state:"Maharashtra", lat:19.08, lon:73.00, commission:6.0, fee:1.05 },
+  Koyambedu: { state:"Tamil Nadu",  lat:13.07, lon:80.19, commission:8.0, fee:1.0 },
+  Gultekdi:  { state:"Maharashtra", lat:18.49, lon:73.87, commission:6.0, fee:1.05 },
+  Lasalgaon: { state:"Maharashtra", lat:20.15, lon:74.23, commission:3.0, fee:1.05 },
+  Fatehabad: { state:"Haryana",     lat:29.52, lon:75.45, commission:2.5, fee:2.0 },
+  Unjha:     { state:"Gujarat",     lat:23.80, lon:72.39, commission:1.5, fee:0.5 },
+  Karnal:    { state:"Haryana",     lat:29.69, lon:76.99, commission:2.5, fee:2.0 },
+  Amritsar:  { state:"Punjab",      lat:31.63, lon:74.87, commission:2.5, fee:3.0 },
+  Nagpur:    { state:"Maharashtra", lat:21.15, lon:79.09, commission:5.0, fee:1.05 },
+};
+
+// District headquarters [lat, lon]
+export const DISTRICTS = {
+  Amritsar:[31.63,74.87], Ludhiana:[30.90,75.85], Bathinda:[30.21,74.95], Patiala:[30.34,76.39], Jalandhar:[31.33,75.58],
+  Karnal:[29.69,76.99], Hisar:[29.15,75.72], Fatehabad:[29.52,75.45], Sirsa:[29.53,75.03], Kurukshetra:[29.97,76.85],
+  Delhi:[28.70,77.10], Meerut:[28.98,77.71], Agra:[27.18,78.01], Lucknow:[26.85,80.95], Varanasi:[25.32,82.97], Bareilly:[28.37,79.43],
+  Nashik:[20.00,73.79], Pune:[18.52,73.86], Nagpur:[21.15,79.09], Ahmednagar:[19.09,74.74], Solapur:[17.66,75.91], Jalgaon:[21.01,75.56], Thane:[19.22,72.98],
+  Mehsana:[23.60,72.38], Rajkot:[22.30,70.80], Ahmedabad:[23.02,72.57], Banaskantha:[24.17,72.43],
+  Indore:[22.72,75.86], Bhopal:[23.26,77.41], Ujjain:[23.18,75.78], Jaipur:[26.91,75.79], Kota:[25.21,75.86], Sri_Ganganagar:[29.90,73.88],
+  Guntur:[16.31,80.44], Krishna:[16.17,81.13], Kurnool:[15.83,78.04], Hyderabad:[17.39,78.49], Warangal:[17.97,79.59],
+  Belagavi:[15.85,74.50], Dharwad:[15.46,75.01], Kolar:[13.14,78.13], Bengaluru:[12.97,77.59],
+  Coimbatore:[11.02,76.96], Chennai:[13.08,80.27], Madurai:[9.93,78.12],
+  Patna:[25.59,85.14], Muzaffarpur:[26.12,85.39],
+};
+
+export const districtName = (key) => key.replace(/_/g, " ");
+
+export const findDistrict = (name) => {
+  const q = String(name || "").trim().toLowerCase().replace(/\s+/g, "_");
+  return Object.keys(DISTRICTS).find(d => d.toLowerCase() === q) || null;
+};
+
+function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const rad = (x) => (x * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+            Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// district → mandi → road km
+export const DISTANCE_TABLE = Object.fromEntries(Object.entries(DISTRICTS).map(([d, at]) => [
+  d, Object.fromEntries(Object.entries(MANDIS).map(([m, { lat, lon }]) => [m, Math.round(haversineKm(at, [lat, lon]) * ROAD_FACTOR)])),
+]));
+
+export function distanceKm(district, mandi) {
+  const d = findDistrict(district);
+  return d ? DISTANCE_TABLE[d][mandi] ?? null : null;
+}
+
+// Net ₹/qtl at each mandi after commission, market fee and a truck hired at
+// `freightPerKm` (₹ per km, one way) spread over `quantity` quintals.
+export function rankMandis({ mandiPrices, district, quantity, freightPerKm, costs = {} }) {
+  const qty = Math.max(+quantity || 0, 1);
+  return Object.entries(mandiPrices)
+    .filter(([mandi]) => MANDIS[mandi])
+    .map(([mandi, price]) => {
+      const { commission, fee } = { ...MANDIS[mandi], ...costs[mandi] };
+      const km = distanceKm(district, mandi);
+      const commissionAmt = (price * commission) / 100;
+      const feeAmt        = (price * fee) / 100;
+      const freight       = km === null ? 0 : (km * freightPerKm) / qty;
+      const net           = price - commissionAmt - feeAmt - freight;
+      return {
+        mandi, price, km, commission, fee,
+        commissionAmt: Math.round(commissionAmt), feeAmt: Math.round(feeAmt), freight: Math.round(freight),
+        net: Math.round(net), total: Math.round(net * qty),
+      };
+    })
+    .sort((a, b) => (a.km === null) - (b.km === null) || b.net - a.net);
+}
@@ -0,0 +1,26 @@
+import { distanceKm, rankMandis } from "./mandis";
+
+test("bundled distance table covers district → mandi pairs", () => {
+  expect(distanceKm("Karnal", "Karnal")).toBe(0);
+  expect(distanceKm("nashik", "Lasalgaon")).toBeGreaterThan(20);
+  expect(distanceKm("nashik", "Lasalgaon")).toBeLessThan(80);
+  expect(distanceKm("Sri Ganganagar", "Fatehabad")).toBeGreaterThan(0);
+  expect(distanceKm("Atlantis", "Vashi")).toBeNull();
+});
+
+test("ranks mandis by net realisation after costs and freight", () => {
+  const ranked = rankMandis({
+    mandiPrices: { Lasalgaon: 1500, Azadpur: 1900, Unknown: 5000 },
+    district: "Nashik", quantity: 100, freightPerKm: 40,
+  });
+  expect(ranked.map(r => r.mandi)).toEqual(["Lasalgaon", "Azadpur"]);
+  const [lasalgaon] = ranked;
+  const freight = (lasalgaon.km * 40) / 100;
+  expect(lasalgaon.net).toBe(Math.round(1500 - 1500 * 0.03 - 1500 * 0.0105 - freight));
+  expect(lasalgaon.total).toBe(Math.round((1500 - 1500 * 0.03 - 1500 * 0.0105 - freight) * 100));
+});
+
+test("user overrides replace bundled commission and fee", () => {
+  const [row] = rankMandis({ mandiPrices: { Karnal: 2000 }, district: "Karnal", quantity: 10, freightPerKm: 0, costs: { Karnal: { commission: 0 } } });
+  expect(row).toMatchObject({ commission: 0, fee: 2, net: 1960 });
+});
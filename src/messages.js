@@ -0,0 +1,906 @@
+// ─── UI MESSAGES ──────────────────────────────────────────────────────────────
+// One flat catalogue per LANGS id, read through i18n.js. Keys are grouped by
+// screen ("nav.", "dash.", "fc.", "al.", "pr.", "login.", "reg.") and "{name}"
+// marks a placeholder. English is the fallback for any key a language lacks.
+// Emoji stay in the markup; catalogues hold only words.
+
+const en = {
+  "nav.dashboard":"Dashboard", "nav.predict":"Price Forecast", "nav.market":"Market Intel", "nav.advisor":"AI Advisor",
+  "nav.voice":"Voice", "nav.alerts":"Alerts", "nav.profile":"Profile",
+  "nav.tagline":"Price Intelligence", "nav.logout":"Logout", "nav.signOut":"Sign out", "nav.offline":"Offline",
+  "common.language":"Language", "common.watch":"Watch {crop}", "common.unwatch":"Stop watching {crop}",
+  "role.Farmer":"Farmer", "role.Trader":"Trader", "role.Admin":"Admin", "role.Researcher":"Researcher",
+  "unit.perQtl":"/qtl", "unit.mt":"MT", "num.lakh":"lakh", "num.crore":"crore",
+
+  "dash.title":"Market Intelligence Dashboard", "dash.currentPrice":"Current Price", "dash.vsLastMonth":"{pct}% vs last month",
+  "dash.forecast7":"7-Day Forecast", "dash.bullish":"Bullish trend", "dash.bearish":"Bearish trend",
+  "dash.high24":"24-Month High", "dash.bestPrice":"Best price recorded", "dash.volume":"Market Volume", "dash.arrivals":"Today's arrivals",
+  "dash.history":"{crop} — 24 Month History", "dash.price":"Price", "dash.allCrops":"All Crops",
+  "dash.insight":"AI Insight for {crop}", "dash.season":"Season: {season}", "dash.harvest":"Harvest: {months}",
+  "dash.asOf":"as of {date}", "dash.ageNote":"Prices last updated {ago}", "dash.offline":"You are offline — last saved prices and forecasts for your watched crops",
+
+  "fc.title":"AI Price Forecasting Engine",
+  "fc.subtitle":"Statistical models fitted in your browser on each crop's price history, with residual-based confidence bands",
+  "fc.crop":"Crop", "fc.model":"AI Model", "fc.horizon":"Horizon", "fc.days":"{n} Days", "fc.run":"Run Forecast", "fc.running":"Running...",
+  "fc.accuracy":"Backtest accuracy", "fc.inBand":"RMSE {rmse} · {pct}% in band",
+  "fc.chartTitle":"{crop} — {model} Forecast", "fc.bandNote":"{n}-day prediction with 95% confidence band",
+  "fc.configure":"Configure & run forecast above", "fc.empty":"Select model & click Run Forecast", "fc.starting":"Starting {model}",
+  "fc.upperCI":"Upper CI", "fc.lowerCI":"Lower CI", "fc.historical":"Historical", "fc.predicted":"Predicted",
+  "fc.table":"Daily Prediction Table", "fc.date":"Date", "fc.trend":"Trend", "fc.confidence":"Confidence", "fc.up":"Up", "fc.down":"Down",
+  "fc.backtest":"Backtest — {crop}",
+  "fc.backtestNote":"Each held-out month is forecast one month ahead from the data before it, then compared with the realised price",
+  "fc.lastMonths":"Last {n} months", "fc.upperBand":"Upper band", "fc.lowerBand":"Lower band", "fc.realised":"Realised",
+  "fc.modelForecast":"{model} forecast", "fc.colModel":"Model", "fc.coverage":"Coverage", "fc.backtesting":"Backtesting models…",
+
+  "al.loading":"Loading alerts…", "al.title":"Smart Alerts", "al.unread":"{n} Unread", "al.markRead":"Mark all read",
+  "al.empty":"No alerts yet — they appear when imported prices or a new forecast for a watched crop cross your thresholds.",
+  "al.thresholds":"Alert Thresholds", "al.rise":"Price Rise Alert (%)", "al.drop":"Price Drop Alert (%)", "al.trigger":"Trigger threshold",
+  "al.watching":"Watching", "al.nothingWatched":"Nothing watched — add a crop below.",
+  "al.riseTitle":"Rise alert % for this crop (blank = global)", "al.dropTitle":"Drop alert % for this crop (blank = global)",
+  "al.mandiTitle":"Preferred mandi", "al.anyMandi":"Any mandi", "al.addCrop":"Add a crop…", "al.add":"Add",
+  "al.above":"Above {price}", "al.below":"Below {price}", "al.clearTarget":"Remove this price target",
+  "al.notifications":"Browser Notifications", "al.on":"ON", "al.off":"OFF",
+  "al.unsupported":"This browser does not support notifications.",
+  "al.blocked":"Notifications are blocked — allow them in your browser's site settings.",
+  "al.notifyNote":"High-severity alerts pop up even when AgroVue is in the background. Click one to open the crop.",
+  "al.quiet":"Quiet hours", "al.to":"to",
+  "sev.high":"High", "sev.medium":"Medium", "sev.low":"Low",
+  "alertType.price_rise":"Price rise", "alertType.price_drop":"Price drop", "alertType.forecast":"Forecast",
+  "alertType.weather":"Weather", "alertType.msp":"MSP", "alertType.opportunity":"Opportunity",
+
+  "pr.loading":"Loading profile…", "pr.title":"Farmer Profile", "pr.subtitle":"Your data is saved permanently — persists across all sessions",
+  "pr.saved":"Profile saved successfully! Changes are permanent.", "pr.acres":"{n} acres", "pr.details":"Profile Details",
+  "pr.cancel":"Cancel", "pr.save":"Save", "pr.edit":"Edit", "pr.notSet":"Not set",
+  "pr.langNote":"Screens, voice and the offline advisor use this language.",
+  "pr.field.name":"Full Name", "pr.field.state":"State", "pr.field.district":"District", "pr.field.farmSize":"Farm Size (acres)",
+  "pr.field.phone":"Phone", "pr.field.crops":"Crops Grown", "pr.field.role":"Role",
+  "pr.income":"Income Analytics (Last 6 Months)", "pr.revenue":"Revenue", "pr.expenses":"Expenses",
+  "pr.ledger":"Farm Ledger", "pr.ledgerNote":"Record every sale and expense — the chart and the profit tables are worked out from them.",
+  "pr.ledgerEmpty":"No entries yet. Add your first sale or expense below.", "led.sale":"Sale", "led.expense":"Expense",
+  "led.date":"Date", "led.crop":"Crop", "led.qty":"Quantity (qtl)", "led.price":"Price (₹/qtl)", "led.mandi":"Mandi",
+  "led.category":"Category", "led.amount":"Amount (₹)", "led.wholeFarm":"Whole farm", "led.note":"Note", "led.add":"Add",
+  "led.invalid":"Fill in the date, crop and amounts (numbers above zero).", "led.cat.seed":"Seed", "led.cat.fertiliser":"Fertiliser",
+  "led.cat.labour":"Labour", "led.cat.transport":"Transport", "led.cat.storage":"Storage", "led.cat.other":"Other",
+  "led.byCrop":"Profit by crop", "led.bySeason":"Profit by season", "led.sold":"Sold", "led.costs":"Costs", "led.profit":"Profit / loss",
+  "led.avgPrice":"Avg price", "led.costPerQtl":"Cost/qtl", "led.breakEven":"Break-even", "led.season":"Season", "led.sharedNote":"Whole-farm costs are shared between crops by sales. Break-even is the lowest average price that covers all of a crop's costs.",
+  "led.entries":"Entries", "led.delete":"Delete entry", "led.qtl":"{n} qtl",
+  "pr.seed":"Demo Data Seed",
+  "pr.seedNote":"Simulated prices and market comparisons are drawn from this seed — the same seed on the same day always shows the same numbers.",
+  "pr.shuffle":"Shuffle", "pr.reset":"Reset", "pr.storage":"Permanent Storage Info",
+  "pr.store.profile":"Profile data", "pr.store.profile.desc":"Name, role, location & farm details",
+  "pr.store.chat":"AI Chat history", "pr.store.chat.desc":"Named advisor conversations & pinned answers",
+  "pr.store.alerts":"Alerts state", "pr.store.alerts.desc":"Read/unread status remembered forever",
+  "pr.store.thresholds":"Alert thresholds", "pr.store.thresholds.desc":"Your price alert settings, auto-saved",
+  "pr.store.prices":"Mandi prices", "pr.store.prices.desc":"Imported AgMarkNet / eNAM records",
+  "pr.store.seed":"Demo data seed", "pr.store.seed.desc":"Keeps simulated charts reproducible",
+  "pr.store.costs":"Mandi costs", "pr.store.costs.desc":"Your commission & market fee overrides",
+  "pr.store.watchlist":"Watchlist", "pr.store.watchlist.desc":"Watched crops, per-crop thresholds & mandis",
+  "pr.store.snapshots":"Offline snapshots", "pr.store.snapshots.desc":"Last price & forecast of each watched crop",
+  "pr.store.queue":"Offline questions", "pr.store.queue.desc":"Advisor questions waiting for a connection",
+  "pr.store.ledger":"Farm ledger", "pr.store.ledger.desc":"Your sales and expenses",
+  "pr.notPersistent":"Nothing is being saved", "pr.notPersistentNote":"— this browser blocks storage, so changes last only until the tab is closed.",
+  "pr.persistent":"Data is stored permanently",
+  "pr.persistentNote":"in {backend} — survives browser restarts and new sessions. Each account on this device has its own copy.",
+  "pr.browserStorage":"browser storage", "pr.clear":"Clear All Saved Data",
+  "pr.clearConfirm":"This will delete all your data including your account. Other accounts on this device are not affected. Are you sure?",
+  "pr.cleared":"All your AgroVue data cleared. You will be logged out.", "pr.clearError":"Error clearing data: {message}",
+
+  "auth.username":"Username", "auth.password":"Password", "auth.failed":"Something went wrong. Please try again.",
+  "auth.expired":"Your session expired. Please sign in again.",
+  "auth.signedOut":"You were signed out after a period of inactivity or because your session expired.",
+  "login.tagline":"Price Intelligence Platform", "login.welcome":"Welcome back", "login.subtitle":"Sign in to access your farm dashboard",
+  "login.usernamePh":"Enter your username", "login.passwordPh":"Enter your password", "login.signIn":"Sign In", "login.signingIn":"Signing in…",
+  "login.noAccount":"Don't have an account?", "login.register":"Register here", "login.footer":"Your data is stored securely • No server required",
+  "login.missing":"Please enter both username and password.", "login.notFound":"Username not found. Please register first.",
+  "login.tryAgainIn":"Too many failed attempts. Try again in {wait}.", "login.lockedFor":"Too many failed attempts. Account locked for {wait}.",
+  "login.wrongPassword":"Incorrect password. Please try again.",
+
+  "reg.tagline":"Create Your Account", "reg.title":"Create Account", "reg.subtitle":"Join thousands of farmers using AgroVue",
+  "reg.usernamePh":"Choose a username", "reg.namePh":"Your full name", "reg.statePh":"e.g. Punjab",
+  "reg.phone":"Phone (optional)", "reg.phonePh":"Mobile number", "reg.passwordPh":"Min. 6 characters",
+  "reg.confirm":"Confirm Password", "reg.confirmPh":"Re-enter password",
+  "reg.weak":"Weak", "reg.fair":"Fair", "reg.good":"Good", "reg.strong":"Strong",
+  "reg.creating":"Creating account…", "reg.haveAccount":"Already have an account?", "reg.footer":"Data stored locally in your browser • Private & secure",
+  "reg.created":"Account created! Logging you in…",
+  "reg.err.username":"Username is required.", "reg.err.usernameShort":"Username must be at least 3 characters.",
+  "reg.err.usernameChars":"Username: only letters, numbers, underscores.", "reg.err.password":"Password is required.",
+  "reg.err.passwordShort":"Password must be at least 6 characters.", "reg.err.mismatch":"Passwords do not match.",
+  "reg.err.name":"Full name is required.", "reg.err.taken":"Username already taken. Please choose another.",
+  "vc.title":"Voice commands", "vc.listening":"Listening… say \"open alerts\", \"switch to onion\" or \"read the forecast\"",
+  "vc.opened":"Opening {tab}.", "vc.crop":"Showing {crop}.", "vc.alert":"Alert set for {crop}: {target}.",
+  "vc.notUnderstood":"Sorry, I did not catch a command. Try \"open alerts\", \"switch to onion\" or \"read the dashboard\".",
+  "vc.unsupported":"Voice commands need Chrome or Edge online, or an on-device voice model.", "vc.micError":"Microphone error: {error}",
+  "vc.bye":"Okay, ending the conversation. Tap the mic when you need me again.",
+  "say.dashboard":"{crop}. Current price {price}, {move} {pct} percent on last month. Seven-day forecast {fc}. Highest in 24 months {high}. Market arrivals {volume} tonnes. Prices as of {date}.",
+  "say.up":"up", "say.down":"down", "say.forecast":"{model} forecast for {crop}, next {n} days.",
+  "say.row":"{date}: {price}, between {low} and {high}.", "say.last":"By {date}: {price}.",
+};
+
+const hi = {
+  "nav.dashboard":"डैशबोर्ड", "nav.predict":"भाव पूर्वानुमान", "nav.market":"मंडी जानकारी", "nav.advisor":"AI सलाहकार",
+  "nav.voice":"आवाज़", "nav.alerts":"अलर्ट", "nav.profile":"प्रोफ़ाइल",
+  "nav.tagline":"भाव जानकारी", "nav.logout":"लॉगआउट", "nav.signOut":"साइन आउट", "nav.offline":"ऑफ़लाइन",
+  "common.language":"भाषा", "common.watch":"{crop} पर नज़र रखें", "common.unwatch":"{crop} पर नज़र हटाएँ",
+  "role.Farmer":"किसान", "role.Trader":"व्यापारी", "role.Admin":"एडमिन", "role.Researcher":"शोधकर्ता",
+  "unit.perQtl":"/क्विंटल", "unit.mt":"टन", "num.lakh":"लाख", "num.crore":"करोड़",
+
+  "dash.title":"मंडी जानकारी डैशबोर्ड", "dash.currentPrice":"मौजूदा भाव", "dash.vsLastMonth":"पिछले महीने से {pct}%",
+  "dash.forecast7":"7 दिन का पूर्वानुमान", "dash.bullish":"तेज़ी का रुझान", "dash.bearish":"मंदी का रुझान",
+  "dash.high24":"24 महीने का उच्चतम", "dash.bestPrice":"अब तक का सबसे अच्छा भाव", "dash.volume":"मंडी आवक", "dash.arrivals":"आज की आवक",
+  "dash.history":"{crop} — 24 महीने का इतिहास", "dash.price":"भाव", "dash.allCrops":"सभी फ़सलें",
+  "dash.insight":"{crop} के लिए AI सुझाव", "dash.season":"मौसम: {season}", "dash.harvest":"कटाई: {months}",
+  "dash.asOf":"{date} तक", "dash.ageNote":"भाव आख़िरी बार {ago} अपडेट हुए", "dash.offline":"आप ऑफ़लाइन हैं — नज़र वाली फ़सलों के आख़िरी सहेजे भाव और अनुमान",
+
+  "fc.title":"AI भाव पूर्वानुमान इंजन",
+  "fc.subtitle":"हर फ़सल के भाव इतिहास पर आपके ब्राउज़र में बने सांख्यिकीय मॉडल, त्रुटि-आधारित विश्वास दायरे के साथ",
+  "fc.crop":"फ़सल", "fc.model":"AI मॉडल", "fc.horizon":"अवधि", "fc.days":"{n} दिन", "fc.run":"पूर्वानुमान चलाएँ", "fc.running":"चल रहा है...",
+  "fc.accuracy":"बैकटेस्ट सटीकता", "fc.inBand":"RMSE {rmse} · {pct}% दायरे में",
+  "fc.chartTitle":"{crop} — {model} पूर्वानुमान", "fc.bandNote":"95% विश्वास दायरे के साथ {n} दिन का पूर्वानुमान",
+  "fc.configure":"ऊपर विकल्प चुनकर पूर्वानुमान चलाएँ", "fc.empty":"मॉडल चुनें और पूर्वानुमान चलाएँ दबाएँ", "fc.starting":"{model} शुरू हो रहा है",
+  "fc.upperCI":"ऊपरी सीमा", "fc.lowerCI":"निचली सीमा", "fc.historical":"पिछले भाव", "fc.predicted":"अनुमानित",
+  "fc.table":"दैनिक पूर्वानुमान तालिका", "fc.date":"तारीख़", "fc.trend":"रुझान", "fc.confidence":"भरोसा", "fc.up":"ऊपर", "fc.down":"नीचे",
+  "fc.backtest":"बैकटेस्ट — {crop}",
+  "fc.backtestNote":"अलग रखे हर महीने का पूर्वानुमान उससे पहले के आँकड़ों से एक महीना आगे लगाया जाता है, फिर असल भाव से मिलाया जाता है",
+  "fc.lastMonths":"पिछले {n} महीने", "fc.upperBand":"ऊपरी दायरा", "fc.lowerBand":"निचला दायरा", "fc.realised":"असल भाव",
+  "fc.modelForecast":"{model} पूर्वानुमान", "fc.colModel":"मॉडल", "fc.coverage":"दायरे में", "fc.backtesting":"मॉडल जाँचे जा रहे हैं…",
+
+  "al.loading":"अलर्ट लोड हो रहे हैं…", "al.title":"स्मार्ट अलर्ट", "al.unread":"{n} अपठित", "al.markRead":"सब पढ़ा हुआ करें",
+  "al.empty":"अभी कोई अलर्ट नहीं — जब आयात किए भाव या नज़र वाली फ़सल का नया पूर्वानुमान आपकी सीमा पार करेगा, तब दिखेंगे।",
+  "al.thresholds":"अलर्ट सीमाएँ", "al.rise":"भाव बढ़ने का अलर्ट (%)", "al.drop":"भाव गिरने का अलर्ट (%)", "al.trigger":"अलर्ट सीमा",
+  "al.watching":"नज़र में", "al.nothingWatched":"किसी फ़सल पर नज़र नहीं — नीचे फ़सल जोड़ें।",
+  "al.riseTitle":"इस फ़सल के लिए बढ़त अलर्ट % (खाली = सामान्य)", "al.dropTitle":"इस फ़सल के लिए गिरावट अलर्ट % (खाली = सामान्य)",
+  "al.mandiTitle":"पसंदीदा मंडी", "al.anyMandi":"कोई भी मंडी", "al.addCrop":"फ़सल जोड़ें…", "al.add":"जोड़ें",
+  "al.above":"{price} से ऊपर", "al.below":"{price} से नीचे", "al.clearTarget":"यह भाव लक्ष्य हटाएँ",
+  "al.notifications":"ब्राउज़र सूचनाएँ", "al.on":"चालू", "al.off":"बंद",
+  "al.unsupported":"यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।",
+  "al.blocked":"सूचनाएँ बंद हैं — ब्राउज़र की साइट सेटिंग में इन्हें अनुमति दें।",
+  "al.notifyNote":"AgroVue पीछे खुला हो तब भी गंभीर अलर्ट दिखते हैं। फ़सल खोलने के लिए अलर्ट पर क्लिक करें।",
+  "al.quiet":"शांत समय", "al.to":"से",
+  "sev.high":"गंभीर", "sev.medium":"मध्यम", "sev.low":"कम",
+  "alertType.price_rise":"भाव बढ़ा", "alertType.price_drop":"भाव गिरा", "alertType.forecast":"पूर्वानुमान",
+  "alertType.weather":"मौसम", "alertType.msp":"MSP", "alertType.opportunity":"मौक़ा",
+
+  "pr.loading":"प्रोफ़ाइल लोड हो रही है…", "pr.title":"किसान प्रोफ़ाइल", "pr.subtitle":"आपका डेटा स्थायी रूप से सहेजा जाता है — हर सत्र में बना रहता है",
+  "pr.saved":"प्रोफ़ाइल सहेज ली गई! बदलाव स्थायी हैं।", "pr.acres":"{n} एकड़", "pr.details":"प्रोफ़ाइल विवरण",
+  "pr.cancel":"रद्द करें", "pr.save":"सहेजें", "pr.edit":"बदलें", "pr.notSet":"नहीं भरा",
+  "pr.langNote":"स्क्रीन, आवाज़ और ऑफ़लाइन सलाहकार इसी भाषा में चलेंगे।",
+  "pr.field.name":"पूरा नाम", "pr.field.state":"राज्य", "pr.field.district":"ज़िला", "pr.field.farmSize":"खेत का आकार (एकड़)",
+  "pr.field.phone":"फ़ोन", "pr.field.crops":"उगाई जाने वाली फ़सलें", "pr.field.role":"भूमिका",
+  "pr.income":"आय विश्लेषण (पिछले 6 महीने)", "pr.revenue":"आमदनी", "pr.expenses":"ख़र्च",
+  "pr.ledger":"खेत का बही-खाता", "pr.ledgerNote":"हर बिक्री और ख़र्च दर्ज करें — चार्ट और मुनाफ़े की तालिकाएँ इन्हीं से बनती हैं।",
+  "pr.ledgerEmpty":"अभी कोई प्रविष्टि नहीं। नीचे अपनी पहली बिक्री या ख़र्च जोड़ें।", "led.sale":"बिक्री", "led.expense":"ख़र्च",
+  "led.date":"तारीख़", "led.crop":"फ़सल", "led.qty":"मात्रा (क्विंटल)", "led.price":"भाव (₹/क्विंटल)", "led.mandi":"मंडी",
+  "led.category":"श्रेणी", "led.amount":"रक़म (₹)", "led.wholeFarm":"पूरा खेत", "led.note":"टिप्पणी", "led.add":"जोड़ें",
+  "led.invalid":"तारीख़, फ़सल और रक़म भरें (शून्य से बड़ी संख्या)।", "led.cat.seed":"बीज", "led.cat.fertiliser":"खाद",
+  "led.cat.labour":"मज़दूरी", "led.cat.transport":"ढुलाई", "led.cat.storage":"भंडारण", "led.cat.other":"अन्य", "led.byCrop":"फ़सल-वार मुनाफ़ा",
+  "led.bySeason":"मौसम-वार मुनाफ़ा", "led.sold":"बिका", "led.costs":"लागत", "led.profit":"मुनाफ़ा / घाटा", "led.avgPrice":"औसत भाव",
+  "led.costPerQtl":"लागत/क्विंटल", "led.breakEven":"लागत-बराबर भाव", "led.season":"मौसम", "led.sharedNote":"पूरे खेत के ख़र्च बिक्री के हिसाब से फ़सलों में बाँटे जाते हैं। लागत-बराबर भाव वह न्यूनतम औसत भाव है जिस पर फ़सल की पूरी लागत निकल आए।",
+  "led.entries":"प्रविष्टियाँ", "led.delete":"प्रविष्टि हटाएँ", "led.qtl":"{n} क्विंटल",
+  "pr.seed":"डेमो डेटा सीड",
+  "pr.seedNote":"नकली भाव और मंडी तुलना इसी सीड से बनते हैं — एक ही दिन एक ही सीड हमेशा वही आँकड़े दिखाता है।",
+  "pr.shuffle":"बदलें", "pr.reset":"रीसेट", "pr.storage":"स्थायी भंडारण जानकारी",
+  "pr.store.profile":"प्रोफ़ाइल डेटा", "pr.store.profile.desc":"नाम, भूमिका, जगह और खेत का विवरण",
+  "pr.store.chat":"AI चैट इतिहास", "pr.store.chat.desc":"नाम वाली सलाहकार बातचीत और पिन किए जवाब",
+  "pr.store.alerts":"अलर्ट स्थिति", "pr.store.alerts.desc":"पढ़ा/अपठित हमेशा याद रहता है",
+  "pr.store.thresholds":"अलर्ट सीमाएँ", "pr.store.thresholds.desc":"आपकी भाव अलर्ट सेटिंग, अपने आप सहेजी",
+  "pr.store.prices":"मंडी भाव", "pr.store.prices.desc":"आयात किए AgMarkNet / eNAM रिकॉर्ड",
+  "pr.store.seed":"डेमो डेटा सीड", "pr.store.seed.desc":"नकली चार्ट को दोहराने योग्य रखता है",
+  "pr.store.costs":"मंडी ख़र्च", "pr.store.costs.desc":"आपकी आढ़त और मंडी शुल्क की अपनी दरें",
+  "pr.store.watchlist":"नज़र सूची", "pr.store.watchlist.desc":"नज़र वाली फ़सलें, हर फ़सल की सीमा और मंडी",
+  "pr.store.snapshots":"ऑफ़लाइन स्नैपशॉट", "pr.store.snapshots.desc":"हर नज़र वाली फ़सल का आख़िरी भाव और अनुमान",
+  "pr.store.queue":"ऑफ़लाइन सवाल", "pr.store.queue.desc":"कनेक्शन का इंतज़ार करते सलाहकार सवाल",
+  "pr.store.ledger":"खेत का बही-खाता", "pr.store.ledger.desc":"आपकी बिक्री और ख़र्च",
+  "pr.notPersistent":"कुछ भी सहेजा नहीं जा रहा", "pr.notPersistentNote":"— यह ब्राउज़र भंडारण रोकता है, इसलिए बदलाव टैब बंद होने तक ही रहेंगे।",
+  "pr.persistent":"डेटा स्थायी रूप से सहेजा गया है",
+  "pr.persistentNote":"{backend} में — ब्राउज़र दोबारा खोलने और नए सत्र में भी रहता है। इस डिवाइस पर हर खाते की अपनी अलग प्रति है।",
+  "pr.browserStorage":"ब्राउज़र भंडारण", "pr.clear":"सारा सहेजा डेटा मिटाएँ",
+  "pr.clearConfirm":"इससे आपका खाता समेत सारा डेटा मिट जाएगा। इस डिवाइस के दूसरे खातों पर असर नहीं होगा। क्या आप पक्का चाहते हैं?",
+  "pr.cleared":"आपका सारा AgroVue डेटा मिटा दिया गया। आप लॉग आउट हो जाएँगे।", "pr.clearError":"डेटा मिटाने में त्रुटि: {message}",
+
+  "auth.username":"यूज़रनेम", "auth.password":"पासवर्ड", "auth.failed":"कुछ गड़बड़ हुई। कृपया फिर कोशिश करें।",
+  "auth.expired":"आपका सत्र समाप्त हो गया। कृपया फिर साइन इन करें।",
+  "auth.signedOut":"कुछ देर कोई गतिविधि न होने या सत्र समाप्त होने से आप साइन आउट हो गए।",
+  "login.tagline":"भाव जानकारी मंच", "login.welcome":"फिर से स्वागत है", "login.subtitle":"अपना खेत डैशबोर्ड देखने के लिए साइन इन करें",
+  "login.usernamePh":"अपना यूज़रनेम लिखें", "login.passwordPh":"अपना पासवर्ड लिखें", "login.signIn":"साइन इन", "login.signingIn":"साइन इन हो रहा है…",
+  "login.noAccount":"खाता नहीं है?", "login.register":"यहाँ रजिस्टर करें", "login.footer":"आपका डेटा सुरक्षित है • सर्वर की ज़रूरत नहीं",
+  "login.missing":"कृपया यूज़रनेम और पासवर्ड दोनों लिखें।", "login.notFound":"यूज़रनेम नहीं मिला। पहले रजिस्टर करें।",
+  "login.tryAgainIn":"बहुत सारी ग़लत कोशिशें। {wait} बाद फिर कोशिश करें।", "login.lockedFor":"बहुत सारी ग़लत कोशिशें। खाता {wait} के लिए बंद है।",
+  "login.wrongPassword":"पासवर्ड ग़लत है। कृपया फिर कोशिश करें।",
+
+  "reg.tagline":"अपना खाता बनाएँ", "reg.title":"खाता बनाएँ", "reg.subtitle":"AgroVue इस्तेमाल करने वाले हज़ारों किसानों से जुड़ें",
+  "reg.usernamePh":"यूज़रनेम चुनें", "reg.namePh":"आपका पूरा नाम", "reg.statePh":"जैसे पंजाब",
+  "reg.phone":"फ़ोन (वैकल्पिक)", "reg.phonePh":"मोबाइल नंबर", "reg.passwordPh":"कम से कम 6 अक्षर",
+  "reg.confirm":"पासवर्ड दोबारा", "reg.confirmPh":"पासवर्ड फिर से लिखें",
+  "reg.weak":"कमज़ोर", "reg.fair":"ठीक", "reg.good":"अच्छा", "reg.strong":"मज़बूत",
+  "reg.creating":"खाता बन रहा है…", "reg.haveAccount":"पहले से खाता है?", "reg.footer":"डेटा आपके ब्राउज़र में ही रहता है • निजी और सुरक्षित",
+  "reg.created":"खाता बन गया! साइन इन हो रहा है…",
+  "reg.err.username":"यूज़रनेम ज़रूरी है।", "reg.err.usernameShort":"यूज़रनेम कम से कम 3 अक्षर का हो।",
+  "reg.err.usernameChars":"यूज़रनेम: केवल अक्षर, अंक और अंडरस्कोर।", "reg.err.password":"पासवर्ड ज़रूरी है।",
+  "reg.err.passwordShort":"पासवर्ड कम से कम 6 अक्षर का हो।", "reg.err.mismatch":"दोनों पासवर्ड मेल नहीं खाते।",
+  "reg.err.name":"पूरा नाम ज़रूरी है।", "reg.err.taken":"यह यूज़रनेम पहले से लिया जा चुका है। कोई दूसरा चुनें।",
+  "vc.title":"आवाज़ से चलाएँ", "vc.listening":"सुन रहा हूँ… बोलिए \"अलर्ट खोलो\", \"प्याज दिखाओ\" या \"पूर्वानुमान पढ़ो\"",
+  "vc.opened":"{tab} खोल रहा हूँ।", "vc.crop":"{crop} दिखा रहा हूँ।", "vc.alert":"{crop} का अलर्ट लगाया: {target}।",
+  "vc.notUnderstood":"माफ़ कीजिए, आदेश समझ नहीं आया। बोलिए \"अलर्ट खोलो\", \"प्याज दिखाओ\" या \"डैशबोर्ड पढ़ो\"।",
+  "vc.unsupported":"आवाज़ से चलाने के लिए इंटरनेट के साथ Chrome या Edge, या डिवाइस पर वॉइस मॉडल चाहिए।", "vc.micError":"माइक में दिक़्क़त: {error}",
+  "vc.bye":"ठीक है, बातचीत ख़त्म करता हूँ। ज़रूरत हो तो माइक दबाइए।",
+  "say.dashboard":"{crop}। अभी का भाव {price}, पिछले महीने से {pct} प्रतिशत {move}। सात दिन का अनुमान {fc}। 24 महीने में सबसे ऊँचा {high}। मंडी में आवक {volume} टन। भाव {date} तक के।",
+  "say.up":"ऊपर", "say.down":"नीचे", "say.forecast":"{crop} का {model} पूर्वानुमान, अगले {n} दिन।",
+  "say.row":"{date}: {price}, {low} से {high} के बीच।", "say.last":"{date} तक: {price}।",
+};
+
+const pa = {
+  "nav.dashboard":"ਡੈਸ਼ਬੋਰਡ", "nav.predict":"ਭਾਅ ਅਨੁਮਾਨ", "nav.market":"ਮੰਡੀ ਜਾਣਕਾਰੀ", "nav.advisor":"AI ਸਲਾਹਕਾਰ",
+  "nav.voice":"ਆਵਾਜ਼", "nav.alerts":"ਅਲਰਟ", "nav.profile":"ਪ੍ਰੋਫ਼ਾਈਲ",
+  "nav.tagline":"ਭਾਅ ਜਾਣਕਾਰੀ", "nav.logout":"ਲੌਗਆਊਟ", "nav.signOut":"ਸਾਈਨ ਆਊਟ", "nav.offline":"ਆਫ਼ਲਾਈਨ",
+  "common.language":"ਭਾਸ਼ਾ", "common.watch":"{crop} 'ਤੇ ਨਜ਼ਰ ਰੱਖੋ", "common.unwatch":"{crop} ਤੋਂ ਨਜ਼ਰ ਹਟਾਓ",
+  "role.Farmer":"ਕਿਸਾਨ", "role.Trader":"ਵਪਾਰੀ", "role.Admin":"ਐਡਮਿਨ", "role.Researcher":"ਖੋਜਕਾਰ",
+  "unit.perQtl":"/ਕੁਇੰਟਲ", "unit.mt":"ਟਨ", "num.lakh":"ਲੱਖ", "num.crore":"ਕਰੋੜ",
+
+  "dash.title":"ਮੰਡੀ ਜਾਣਕਾਰੀ ਡੈਸ਼ਬੋਰਡ", "dash.currentPrice":"ਮੌਜੂਦਾ ਭਾਅ", "dash.vsLastMonth":"ਪਿਛਲੇ ਮਹੀਨੇ ਨਾਲੋਂ {pct}%",
+  "dash.forecast7":"7 ਦਿਨਾਂ ਦਾ ਅਨੁਮਾਨ", "dash.bullish":"ਤੇਜ਼ੀ ਦਾ ਰੁਝਾਨ", "dash.bearish":"ਮੰਦੀ ਦਾ ਰੁਝਾਨ",
+  "dash.high24":"24 ਮਹੀਨਿਆਂ ਦਾ ਸਿਖਰ", "dash.bestPrice":"ਹੁਣ ਤੱਕ ਦਾ ਸਭ ਤੋਂ ਵਧੀਆ ਭਾਅ", "dash.volume":"ਮੰਡੀ ਆਮਦ", "dash.arrivals":"ਅੱਜ ਦੀ ਆਮਦ",
+  "dash.history":"{crop} — 24 ਮਹੀਨਿਆਂ ਦਾ ਇਤਿਹਾਸ", "dash.price":"ਭਾਅ", "dash.allCrops":"ਸਾਰੀਆਂ ਫ਼ਸਲਾਂ",
+  "dash.insight":"{crop} ਲਈ AI ਸੁਝਾਅ", "dash.season":"ਮੌਸਮ: {season}", "dash.harvest":"ਵਾਢੀ: {months}",
+  "dash.asOf":"{date} ਤੱਕ", "dash.ageNote":"ਭਾਅ ਆਖ਼ਰੀ ਵਾਰ {ago} ਅੱਪਡੇਟ ਹੋਏ", "dash.offline":"ਤੁਸੀਂ ਆਫ਼ਲਾਈਨ ਹੋ — ਨਜ਼ਰ ਵਾਲੀਆਂ ਫ਼ਸਲਾਂ ਦੇ ਆਖ਼ਰੀ ਸੰਭਾਲੇ ਭਾਅ ਅਤੇ ਅਨੁਮਾਨ",
+
+  "fc.title":"AI ਭਾਅ ਅਨੁਮਾਨ ਇੰਜਣ",
+  "fc.subtitle":"ਹਰ ਫ਼ਸਲ ਦੇ ਭਾਅ ਇਤਿਹਾਸ 'ਤੇ ਤੁਹਾਡੇ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਬਣੇ ਅੰਕੜਾ ਮਾਡਲ, ਗਲਤੀ-ਅਧਾਰਿਤ ਭਰੋਸਾ ਦਾਇਰਿਆਂ ਨਾਲ",
+  "fc.crop":"ਫ਼ਸਲ", "fc.model":"AI ਮਾਡਲ", "fc.horizon":"ਮਿਆਦ", "fc.days":"{n} ਦਿਨ", "fc.run":"ਅਨੁਮਾਨ ਚਲਾਓ", "fc.running":"ਚੱਲ ਰਿਹਾ ਹੈ...",
+  "fc.accuracy":"ਬੈਕਟੈਸਟ ਸ਼ੁੱਧਤਾ", "fc.inBand":"RMSE {rmse} · {pct}% ਦਾਇਰੇ ਵਿੱਚ",
+  "fc.chartTitle":"{crop} — {model} ਅਨੁਮਾਨ", "fc.bandNote":"95% ਭਰੋਸਾ ਦਾਇਰੇ ਨਾਲ {n} ਦਿਨਾਂ ਦਾ ਅਨੁਮਾਨ",
+  "fc.configure":"ਉੱਪਰ ਚੋਣ ਕਰਕੇ ਅਨੁਮਾਨ ਚਲਾਓ", "fc.empty":"ਮਾਡਲ ਚੁਣੋ ਤੇ ਅਨੁਮਾਨ ਚਲਾਓ ਦਬਾਓ", "fc.starting":"{model} ਸ਼ੁਰੂ ਹੋ ਰਿਹਾ ਹੈ",
+  "fc.upperCI":"ਉੱਪਰਲੀ ਹੱਦ", "fc.lowerCI":"ਹੇਠਲੀ ਹੱਦ", "fc.historical":"ਪਿਛਲੇ ਭਾਅ", "fc.predicted":"ਅਨੁਮਾਨਿਤ",
+  "fc.table":"ਰੋਜ਼ਾਨਾ ਅਨੁਮਾਨ ਸਾਰਣੀ", "fc.date":"ਮਿਤੀ", "fc.trend":"ਰੁਝਾਨ", "fc.confidence":"ਭਰੋਸਾ", "fc.up":"ਉੱਪਰ", "fc.down":"ਹੇਠਾਂ",
+  "fc.backtest":"ਬੈਕਟੈਸਟ — {crop}",
+  "fc.backtestNote":"ਵੱਖ ਰੱਖੇ ਹਰ ਮਹੀਨੇ ਦਾ ਅਨੁਮਾਨ ਉਸ ਤੋਂ ਪਹਿਲਾਂ ਦੇ ਅੰਕੜਿਆਂ ਤੋਂ ਇੱਕ ਮਹੀਨਾ ਅੱਗੇ ਲਾਇਆ ਜਾਂਦਾ ਹੈ, ਫਿਰ ਅਸਲ ਭਾਅ ਨਾਲ ਮਿਲਾਇਆ ਜਾਂਦਾ ਹੈ",
+  "fc.lastMonths":"ਪਿਛਲੇ {n} ਮਹੀਨੇ", "fc.upperBand":"ਉੱਪਰਲਾ ਦਾਇਰਾ", "fc.lowerBand":"ਹੇਠਲਾ ਦਾਇਰਾ", "fc.realised":"ਅਸਲ ਭਾਅ",
+  "fc.modelForecast":"{model} ਅਨੁਮਾਨ", "fc.colModel":"ਮਾਡਲ", "fc.coverage":"ਦਾਇਰੇ ਵਿੱਚ", "fc.backtesting":"ਮਾਡਲ ਜਾਂਚੇ ਜਾ ਰਹੇ ਹਨ…",
+
+  "al.loading":"ਅਲਰਟ ਲੋਡ ਹੋ ਰਹੇ ਹਨ…", "al.title":"ਸਮਾਰਟ ਅਲਰਟ", "al.unread":"{n} ਅਣਪੜ੍ਹੇ", "al.markRead":"ਸਾਰੇ ਪੜ੍ਹੇ ਹੋਏ ਕਰੋ",
+  "al.empty":"ਅਜੇ ਕੋਈ ਅਲਰਟ ਨਹੀਂ — ਜਦੋਂ ਦਰਾਮਦ ਕੀਤੇ ਭਾਅ ਜਾਂ ਨਜ਼ਰ ਵਾਲੀ ਫ਼ਸਲ ਦਾ ਨਵਾਂ ਅਨੁਮਾਨ ਤੁਹਾਡੀ ਹੱਦ ਪਾਰ ਕਰੇਗਾ, ਉਦੋਂ ਦਿਸਣਗੇ।",
+  "al.thresholds":"ਅਲਰਟ ਹੱਦਾਂ", "al.rise":"ਭਾਅ ਵਧਣ ਦਾ ਅਲਰਟ (%)", "al.drop":"ਭਾਅ ਡਿੱਗਣ ਦਾ ਅਲਰਟ (%)", "al.trigger":"ਅਲਰਟ ਹੱਦ",
+  "al.watching":"ਨਜ਼ਰ ਵਿੱਚ", "al.nothingWatched":"ਕਿਸੇ ਫ਼ਸਲ 'ਤੇ ਨਜ਼ਰ ਨਹੀਂ — ਹੇਠਾਂ ਫ਼ਸਲ ਜੋੜੋ।",
+  "al.riseTitle":"ਇਸ ਫ਼ਸਲ ਲਈ ਵਾਧਾ ਅਲਰਟ % (ਖਾਲੀ = ਆਮ)", "al.dropTitle":"ਇਸ ਫ਼ਸਲ ਲਈ ਗਿਰਾਵਟ ਅਲਰਟ % (ਖਾਲੀ = ਆਮ)",
+  "al.mandiTitle":"ਪਸੰਦੀਦਾ ਮੰਡੀ", "al.anyMandi":"ਕੋਈ ਵੀ ਮੰਡੀ", "al.addCrop":"ਫ਼ਸਲ ਜੋੜੋ…", "al.add":"ਜੋੜੋ",
+  "al.above":"{price} ਤੋਂ ਉੱਪਰ", "al.below":"{price} ਤੋਂ ਹੇਠਾਂ", "al.clearTarget":"ਇਹ ਭਾਅ ਟੀਚਾ ਹਟਾਓ",
+  "al.notifications":"ਬ੍ਰਾਊਜ਼ਰ ਸੂਚਨਾਵਾਂ", "al.on":"ਚਾਲੂ", "al.off":"ਬੰਦ",
+  "al.unsupported":"ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਸੂਚਨਾਵਾਂ ਨਹੀਂ ਦਿਖਾ ਸਕਦਾ।",
+  "al.blocked":"ਸੂਚਨਾਵਾਂ ਬੰਦ ਹਨ — ਬ੍ਰਾਊਜ਼ਰ ਦੀ ਸਾਈਟ ਸੈਟਿੰਗ ਵਿੱਚ ਇਜਾਜ਼ਤ ਦਿਓ।",
+  "al.notifyNote":"AgroVue ਪਿੱਛੇ ਖੁੱਲ੍ਹਾ ਹੋਵੇ ਤਾਂ ਵੀ ਗੰਭੀਰ ਅਲਰਟ ਦਿਸਦੇ ਹਨ। ਫ਼ਸਲ ਖੋਲ੍ਹਣ ਲਈ ਅਲਰਟ 'ਤੇ ਕਲਿੱਕ ਕਰੋ।",
+  "al.quiet":"ਸ਼ਾਂਤ ਸਮਾਂ", "al.to":"ਤੋਂ",
+  "sev.high":"ਗੰਭੀਰ", "sev.medium":"ਦਰਮਿਆਨਾ", "sev.low":"ਘੱਟ",
+  "alertType.price_rise":"ਭਾਅ ਵਧਿਆ", "alertType.price_drop":"ਭਾਅ ਡਿੱਗਿਆ", "alertType.forecast":"ਅਨੁਮਾਨ",
+  "alertType.weather":"ਮੌਸਮ", "alertType.msp":"MSP", "alertType.opportunity":"ਮੌਕਾ",
+
+  "pr.loading":"ਪ੍ਰੋਫ਼ਾਈਲ ਲੋਡ ਹੋ ਰਹੀ ਹੈ…", "pr.title":"ਕਿਸਾਨ ਪ੍ਰੋਫ਼ਾਈਲ", "pr.subtitle":"ਤੁਹਾਡਾ ਡਾਟਾ ਪੱਕੇ ਤੌਰ 'ਤੇ ਸੰਭਾਲਿਆ ਜਾਂਦਾ ਹੈ — ਹਰ ਸੈਸ਼ਨ ਵਿੱਚ ਰਹਿੰਦਾ ਹੈ",
+  "pr.saved":"ਪ੍ਰੋਫ਼ਾਈਲ ਸੰਭਾਲੀ ਗਈ! ਬਦਲਾਅ ਪੱਕੇ ਹਨ।", "pr.acres":"{n} ਏਕੜ", "pr.details":"ਪ੍ਰੋਫ਼ਾਈਲ ਵੇਰਵੇ",
+  "pr.cancel":"ਰੱਦ ਕਰੋ", "pr.save":"ਸੰਭਾਲੋ", "pr.edit":"ਬਦਲੋ", "pr.notSet":"ਨਹੀਂ ਭਰਿਆ",
+  "pr.langNote":"ਸਕ੍ਰੀਨਾਂ, ਆਵਾਜ਼ ਅਤੇ ਔਫ਼ਲਾਈਨ ਸਲਾਹਕਾਰ ਇਸੇ ਭਾਸ਼ਾ ਵਿੱਚ ਚੱਲਣਗੇ।",
+  "pr.field.name":"ਪੂਰਾ ਨਾਮ", "pr.field.state":"ਰਾਜ", "pr.field.district":"ਜ਼ਿਲ੍ਹਾ", "pr.field.farmSize":"ਖੇਤ ਦਾ ਆਕਾਰ (ਏਕੜ)",
+  "pr.field.phone":"ਫ਼ੋਨ", "pr.field.crops":"ਉਗਾਈਆਂ ਫ਼ਸਲਾਂ", "pr.field.role":"ਭੂਮਿਕਾ",
+  "pr.income":"ਆਮਦਨ ਵਿਸ਼ਲੇਸ਼ਣ (ਪਿਛਲੇ 6 ਮਹੀਨੇ)", "pr.revenue":"ਕਮਾਈ", "pr.expenses":"ਖ਼ਰਚੇ",
+  "pr.ledger":"ਖੇਤ ਦਾ ਵਹੀ-ਖਾਤਾ", "pr.ledgerNote":"ਹਰ ਵਿਕਰੀ ਅਤੇ ਖ਼ਰਚਾ ਦਰਜ ਕਰੋ — ਚਾਰਟ ਅਤੇ ਮੁਨਾਫ਼ੇ ਦੀਆਂ ਸਾਰਣੀਆਂ ਇਨ੍ਹਾਂ ਤੋਂ ਹੀ ਬਣਦੀਆਂ ਹਨ।",
+  "pr.ledgerEmpty":"ਹਾਲੇ ਕੋਈ ਐਂਟਰੀ ਨਹੀਂ। ਹੇਠਾਂ ਆਪਣੀ ਪਹਿਲੀ ਵਿਕਰੀ ਜਾਂ ਖ਼ਰਚਾ ਜੋੜੋ।", "led.sale":"ਵਿਕਰੀ", "led.expense":"ਖ਼ਰਚਾ",
+  "led.date":"ਤਾਰੀਖ਼", "led.crop":"ਫ਼ਸਲ", "led.qty":"ਮਾਤਰਾ (ਕੁਇੰਟਲ)", "led.price":"ਭਾਅ (₹/ਕੁਇੰਟਲ)", "led.mandi":"ਮੰਡੀ",
+  "led.category":"ਕਿਸਮ", "led.amount":"ਰਕਮ (₹)", "led.wholeFarm":"ਸਾਰਾ ਖੇਤ", "led.note":"ਨੋਟ", "led.add":"ਜੋੜੋ", "led.invalid":"ਤਾਰੀਖ਼, ਫ਼ਸਲ ਅਤੇ ਰਕਮ ਭਰੋ (ਸਿਫ਼ਰ ਤੋਂ ਵੱਡੀ ਗਿਣਤੀ)।",
+  "led.cat.seed":"ਬੀਜ", "led.cat.fertiliser":"ਖਾਦ", "led.cat.labour":"ਮਜ਼ਦੂਰੀ", "led.cat.transport":"ਢੋਆ-ਢੁਆਈ", "led.cat.storage":"ਭੰਡਾਰਨ",
+  "led.cat.other":"ਹੋਰ", "led.byCrop":"ਫ਼ਸਲ ਅਨੁਸਾਰ ਮੁਨਾਫ਼ਾ", "led.bySeason":"ਮੌਸਮ ਅਨੁਸਾਰ ਮੁਨਾਫ਼ਾ", "led.sold":"ਵਿਕਿਆ",
+  "led.costs":"ਲਾਗਤ", "led.profit":"ਮੁਨਾਫ਼ਾ / ਘਾਟਾ", "led.avgPrice":"ਔਸਤ ਭਾਅ", "led.costPerQtl":"ਲਾਗਤ/ਕੁਇੰਟਲ", "led.breakEven":"ਲਾਗਤ-ਬਰਾਬਰ ਭਾਅ",
+  "led.season":"ਮੌਸਮ", "led.sharedNote":"ਸਾਰੇ ਖੇਤ ਦੇ ਖ਼ਰਚੇ ਵਿਕਰੀ ਅਨੁਸਾਰ ਫ਼ਸਲਾਂ ਵਿੱਚ ਵੰਡੇ ਜਾਂਦੇ ਹਨ। ਲਾਗਤ-ਬਰਾਬਰ ਭਾਅ ਉਹ ਸਭ ਤੋਂ ਘੱਟ ਔਸਤ ਭਾਅ ਹੈ ਜਿਸ 'ਤੇ ਫ਼ਸਲ ਦੀ ਪੂਰੀ ਲਾਗਤ ਨਿਕਲ ਆਵੇ।",
+  "led.entries":"ਐਂਟਰੀਆਂ", "led.delete":"ਐਂਟਰੀ ਹਟਾਓ", "led.qtl":"{n} ਕੁਇੰਟਲ",
+  "pr.seed":"ਡੈਮੋ ਡਾਟਾ ਸੀਡ",
+  "pr.seedNote":"ਨਕਲੀ ਭਾਅ ਅਤੇ ਮੰਡੀ ਤੁਲਨਾ ਇਸੇ ਸੀਡ ਤੋਂ ਬਣਦੇ ਹਨ — ਇੱਕੋ ਦਿਨ ਇੱਕੋ ਸੀਡ ਹਮੇਸ਼ਾ ਉਹੀ ਅੰਕੜੇ ਦਿਖਾਉਂਦਾ ਹੈ।",
+  "pr.shuffle":"ਬਦਲੋ", "pr.reset":"ਰੀਸੈੱਟ", "pr.storage":"ਪੱਕੀ ਸਟੋਰੇਜ ਜਾਣਕਾਰੀ",
+  "pr.store.profile":"ਪ੍ਰੋਫ਼ਾਈਲ ਡਾਟਾ", "pr.store.profile.desc":"ਨਾਮ, ਭੂਮਿਕਾ, ਥਾਂ ਅਤੇ ਖੇਤ ਦੇ ਵੇਰਵੇ",
+  "pr.store.chat":"AI ਚੈਟ ਇਤਿਹਾਸ", "pr.store.chat.desc":"ਨਾਮ ਵਾਲੀਆਂ ਸਲਾਹਕਾਰ ਗੱਲਾਂ ਅਤੇ ਪਿੰਨ ਕੀਤੇ ਜਵਾਬ",
+  "pr.store.alerts":"ਅਲਰਟ ਸਥਿਤੀ", "pr.store.alerts.desc":"ਪੜ੍ਹੇ/ਅਣਪੜ੍ਹੇ ਹਮੇਸ਼ਾ ਯਾਦ ਰਹਿੰਦੇ ਹਨ",
+  "pr.store.thresholds":"ਅਲਰਟ ਹੱਦਾਂ", "pr.store.thresholds.desc":"ਤੁਹਾਡੀਆਂ ਭਾਅ ਅਲਰਟ ਸੈਟਿੰਗਾਂ, ਆਪਣੇ ਆਪ ਸੰਭਾਲੀਆਂ",
+  "pr.store.prices":"ਮੰਡੀ ਭਾਅ", "pr.store.prices.desc":"ਦਰਾਮਦ ਕੀਤੇ AgMarkNet / eNAM ਰਿਕਾਰਡ",
+  "pr.store.seed":"ਡੈਮੋ ਡਾਟਾ ਸੀਡ", "pr.store.seed.desc":"ਨਕਲੀ ਚਾਰਟਾਂ ਨੂੰ ਦੁਹਰਾਉਣਯੋਗ ਰੱਖਦਾ ਹੈ",
+  "pr.store.costs":"ਮੰਡੀ ਖ਼ਰਚੇ", "pr.store.costs.desc":"ਤੁਹਾਡੀ ਆੜ੍ਹਤ ਅਤੇ ਮੰਡੀ ਫ਼ੀਸ ਦੀਆਂ ਆਪਣੀਆਂ ਦਰਾਂ",
+  "pr.store.watchlist":"ਨਜ਼ਰ ਸੂਚੀ", "pr.store.watchlist.desc":"ਨਜ਼ਰ ਵਾਲੀਆਂ ਫ਼ਸਲਾਂ, ਹਰ ਫ਼ਸਲ ਦੀ ਹੱਦ ਅਤੇ ਮੰਡੀ",
+  "pr.store.snapshots":"ਆਫ਼ਲਾਈਨ ਸਨੈਪਸ਼ਾਟ", "pr.store.snapshots.desc":"ਹਰ ਨਜ਼ਰ ਵਾਲੀ ਫ਼ਸਲ ਦਾ ਆਖ਼ਰੀ ਭਾਅ ਅਤੇ ਅਨੁਮਾਨ",
+  "pr.store.queue":"ਆਫ਼ਲਾਈਨ ਸਵਾਲ", "pr.store.queue.desc":"ਕਨੈਕਸ਼ਨ ਦੀ ਉਡੀਕ ਕਰਦੇ ਸਲਾਹਕਾਰ ਸਵਾਲ",
+  "pr.store.ledger":"ਖੇਤ ਦਾ ਵਹੀ-ਖਾਤਾ", "pr.store.ledger.desc":"ਤੁਹਾਡੀ ਵਿਕਰੀ ਅਤੇ ਖ਼ਰਚੇ",
+  "pr.notPersistent":"ਕੁਝ ਵੀ ਸੰਭਾਲਿਆ ਨਹੀਂ ਜਾ ਰਿਹਾ", "pr.notPersistentNote":"— ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਸਟੋਰੇਜ ਰੋਕਦਾ ਹੈ, ਇਸ ਲਈ ਬਦਲਾਅ ਟੈਬ ਬੰਦ ਹੋਣ ਤੱਕ ਹੀ ਰਹਿਣਗੇ।",
+  "pr.persistent":"ਡਾਟਾ ਪੱਕੇ ਤੌਰ 'ਤੇ ਸੰਭਾਲਿਆ ਗਿਆ ਹੈ",
+  "pr.persistentNote":"{backend} ਵਿੱਚ — ਬ੍ਰਾਊਜ਼ਰ ਮੁੜ ਖੋਲ੍ਹਣ ਅਤੇ ਨਵੇਂ ਸੈਸ਼ਨ ਵਿੱਚ ਵੀ ਰਹਿੰਦਾ ਹੈ। ਇਸ ਡਿਵਾਈਸ 'ਤੇ ਹਰ ਖਾਤੇ ਦੀ ਆਪਣੀ ਵੱਖਰੀ ਕਾਪੀ ਹੈ।",
+  "pr.browserStorage":"ਬ੍ਰਾਊਜ਼ਰ ਸਟੋਰੇਜ", "pr.clear":"ਸਾਰਾ ਸੰਭਾਲਿਆ ਡਾਟਾ ਮਿਟਾਓ",
+  "pr.clearConfirm":"ਇਸ ਨਾਲ ਤੁਹਾਡੇ ਖਾਤੇ ਸਮੇਤ ਸਾਰਾ ਡਾਟਾ ਮਿਟ ਜਾਵੇਗਾ। ਇਸ ਡਿਵਾਈਸ ਦੇ ਹੋਰ ਖਾਤਿਆਂ 'ਤੇ ਅਸਰ ਨਹੀਂ ਹੋਵੇਗਾ। ਕੀ ਤੁਸੀਂ ਪੱਕਾ ਚਾਹੁੰਦੇ ਹੋ?",
+  "pr.cleared":"ਤੁਹਾਡਾ ਸਾਰਾ AgroVue ਡਾਟਾ ਮਿਟਾ ਦਿੱਤਾ ਗਿਆ। ਤੁਸੀਂ ਲੌਗ ਆਊਟ ਹੋ ਜਾਓਗੇ।", "pr.clearError":"ਡਾਟਾ ਮਿਟਾਉਣ ਵਿੱਚ ਗਲਤੀ: {message}",
+
+  "auth.username":"ਯੂਜ਼ਰਨੇਮ", "auth.password":"ਪਾਸਵਰਡ", "auth.failed":"ਕੁਝ ਗਲਤ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਮੁੜ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+  "auth.expired":"ਤੁਹਾਡਾ ਸੈਸ਼ਨ ਖ਼ਤਮ ਹੋ ਗਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਮੁੜ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "auth.signedOut":"ਕੁਝ ਸਮਾਂ ਕੋਈ ਗਤੀਵਿਧੀ ਨਾ ਹੋਣ ਜਾਂ ਸੈਸ਼ਨ ਖ਼ਤਮ ਹੋਣ ਕਰਕੇ ਤੁਸੀਂ ਸਾਈਨ ਆਊਟ ਹੋ ਗਏ।",
+  "login.tagline":"ਭਾਅ ਜਾਣਕਾਰੀ ਮੰਚ", "login.welcome":"ਜੀ ਆਇਆਂ ਨੂੰ", "login.subtitle":"ਆਪਣਾ ਖੇਤ ਡੈਸ਼ਬੋਰਡ ਦੇਖਣ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ",
+  "login.usernamePh":"ਆਪਣਾ ਯੂਜ਼ਰਨੇਮ ਲਿਖੋ", "login.passwordPh":"ਆਪਣਾ ਪਾਸਵਰਡ ਲਿਖੋ", "login.signIn":"ਸਾਈਨ ਇਨ", "login.signingIn":"ਸਾਈਨ ਇਨ ਹੋ ਰਿਹਾ ਹੈ…",
+  "login.noAccount":"ਖਾਤਾ ਨਹੀਂ ਹੈ?", "login.register":"ਇੱਥੇ ਰਜਿਸਟਰ ਕਰੋ", "login.footer":"ਤੁਹਾਡਾ ਡਾਟਾ ਸੁਰੱਖਿਅਤ ਹੈ • ਸਰਵਰ ਦੀ ਲੋੜ ਨਹੀਂ",
+  "login.missing":"ਕਿਰਪਾ ਕਰਕੇ ਯੂਜ਼ਰਨੇਮ ਅਤੇ ਪਾਸਵਰਡ ਦੋਵੇਂ ਲਿਖੋ।", "login.notFound":"ਯੂਜ਼ਰਨੇਮ ਨਹੀਂ ਮਿਲਿਆ। ਪਹਿਲਾਂ ਰਜਿਸਟਰ ਕਰੋ।",
+  "login.tryAgainIn":"ਬਹੁਤ ਸਾਰੀਆਂ ਗਲਤ ਕੋਸ਼ਿਸ਼ਾਂ। {wait} ਬਾਅਦ ਮੁੜ ਕੋਸ਼ਿਸ਼ ਕਰੋ।", "login.lockedFor":"ਬਹੁਤ ਸਾਰੀਆਂ ਗਲਤ ਕੋਸ਼ਿਸ਼ਾਂ। ਖਾਤਾ {wait} ਲਈ ਬੰਦ ਹੈ।",
+  "login.wrongPassword":"ਪਾਸਵਰਡ ਗਲਤ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਮੁੜ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+
+  "reg.tagline":"ਆਪਣਾ ਖਾਤਾ ਬਣਾਓ", "reg.title":"ਖਾਤਾ ਬਣਾਓ", "reg.subtitle":"AgroVue ਵਰਤਣ ਵਾਲੇ ਹਜ਼ਾਰਾਂ ਕਿਸਾਨਾਂ ਨਾਲ ਜੁੜੋ",
+  "reg.usernamePh":"ਯੂਜ਼ਰਨੇਮ ਚੁਣੋ", "reg.namePh":"ਤੁਹਾਡਾ ਪੂਰਾ ਨਾਮ", "reg.statePh":"ਜਿਵੇਂ ਪੰਜਾਬ",
+  "reg.phone":"ਫ਼ੋਨ (ਚੋਣਵਾਂ)", "reg.phonePh":"ਮੋਬਾਈਲ ਨੰਬਰ", "reg.passwordPh":"ਘੱਟੋ-ਘੱਟ 6 ਅੱਖਰ",
+  "reg.confirm":"ਪਾਸਵਰਡ ਦੁਬਾਰਾ", "reg.confirmPh":"ਪਾਸਵਰਡ ਮੁੜ ਲਿਖੋ",
+  "reg.weak":"ਕਮਜ਼ੋਰ", "reg.fair":"ਠੀਕ", "reg.good":"ਵਧੀਆ", "reg.strong":"ਮਜ਼ਬੂਤ",
+  "reg.creating":"ਖਾਤਾ ਬਣ ਰਿਹਾ ਹੈ…", "reg.haveAccount":"ਪਹਿਲਾਂ ਤੋਂ ਖਾਤਾ ਹੈ?", "reg.footer":"ਡਾਟਾ ਤੁਹਾਡੇ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਹੀ ਰਹਿੰਦਾ ਹੈ • ਨਿੱਜੀ ਅਤੇ ਸੁਰੱਖਿਅਤ",
+  "reg.created":"ਖਾਤਾ ਬਣ ਗਿਆ! ਸਾਈਨ ਇਨ ਹੋ ਰਿਹਾ ਹੈ…",
+  "reg.err.username":"ਯੂਜ਼ਰਨੇਮ ਲੋੜੀਂਦਾ ਹੈ।", "reg.err.usernameShort":"ਯੂਜ਼ਰਨੇਮ ਘੱਟੋ-ਘੱਟ 3 ਅੱਖਰਾਂ ਦਾ ਹੋਵੇ।",
+  "reg.err.usernameChars":"ਯੂਜ਼ਰਨੇਮ: ਸਿਰਫ਼ ਅੱਖਰ, ਅੰਕ ਅਤੇ ਅੰਡਰਸਕੋਰ।", "reg.err.password":"ਪਾਸਵਰਡ ਲੋੜੀਂਦਾ ਹੈ।",
+  "reg.err.passwordShort":"ਪਾਸਵਰਡ ਘੱਟੋ-ਘੱਟ 6 ਅੱਖਰਾਂ ਦਾ ਹੋਵੇ।", "reg.err.mismatch":"ਦੋਵੇਂ ਪਾਸਵਰਡ ਮੇਲ ਨਹੀਂ ਖਾਂਦੇ।",
+  "reg.err.name":"ਪੂਰਾ ਨਾਮ ਲੋੜੀਂਦਾ ਹੈ।", "reg.err.taken":"ਇਹ ਯੂਜ਼ਰਨੇਮ ਪਹਿਲਾਂ ਹੀ ਲਿਆ ਜਾ ਚੁੱਕਾ ਹੈ। ਕੋਈ ਹੋਰ ਚੁਣੋ।",
+  "vc.title":"ਆਵਾਜ਼ ਨਾਲ ਚਲਾਓ", "vc.listening":"ਸੁਣ ਰਿਹਾ ਹਾਂ… ਬੋਲੋ \"ਅਲਰਟ ਖੋਲ੍ਹੋ\", \"ਪਿਆਜ਼ ਦਿਖਾਓ\" ਜਾਂ \"ਅਨੁਮਾਨ ਪੜ੍ਹੋ\"",
+  "vc.opened":"{tab} ਖੋਲ੍ਹ ਰਿਹਾ ਹਾਂ।", "vc.crop":"{crop} ਦਿਖਾ ਰਿਹਾ ਹਾਂ।", "vc.alert":"{crop} ਦਾ ਅਲਰਟ ਲਗਾਇਆ: {target}।",
+  "vc.notUnderstood":"ਮਾਫ਼ ਕਰਨਾ, ਹੁਕਮ ਸਮਝ ਨਹੀਂ ਆਇਆ। ਬੋਲੋ \"ਅਲਰਟ ਖੋਲ੍ਹੋ\", \"ਪਿਆਜ਼ ਦਿਖਾਓ\" ਜਾਂ \"ਡੈਸ਼ਬੋਰਡ ਪੜ੍ਹੋ\"।",
+  "vc.unsupported":"ਆਵਾਜ਼ ਨਾਲ ਚਲਾਉਣ ਲਈ ਇੰਟਰਨੈੱਟ ਨਾਲ Chrome ਜਾਂ Edge, ਜਾਂ ਡਿਵਾਈਸ 'ਤੇ ਵੌਇਸ ਮਾਡਲ ਚਾਹੀਦਾ ਹੈ।", "vc.micError":"ਮਾਈਕ ਵਿੱਚ ਦਿੱਕਤ: {error}",
+  "vc.bye":"ਠੀਕ ਹੈ, ਗੱਲਬਾਤ ਖ਼ਤਮ ਕਰਦਾ ਹਾਂ। ਲੋੜ ਹੋਵੇ ਤਾਂ ਮਾਈਕ ਦਬਾਓ।",
+  "say.dashboard":"{crop}। ਹੁਣ ਦਾ ਭਾਅ {price}, ਪਿਛਲੇ ਮਹੀਨੇ ਤੋਂ {pct} ਪ੍ਰਤੀਸ਼ਤ {move}। ਸੱਤ ਦਿਨਾਂ ਦਾ ਅਨੁਮਾਨ {fc}। 24 ਮਹੀਨਿਆਂ ਵਿੱਚ ਸਭ ਤੋਂ ਉੱਚਾ {high}। ਮੰਡੀ ਵਿੱਚ ਆਮਦ {volume} ਟਨ। ਭਾਅ {date} ਤੱਕ ਦੇ।",
+  "say.up":"ਉੱਪਰ", "say.down":"ਹੇਠਾਂ", "say.forecast":"{crop} ਦਾ {model} ਅਨੁਮਾਨ, ਅਗਲੇ {n} ਦਿਨ।",
+  "say.row":"{date}: {price}, {low} ਤੋਂ {high} ਵਿਚਕਾਰ।", "say.last":"{date} ਤੱਕ: {price}।",
+};
+
+const te = {
+  "nav.dashboard":"డాష్‌బోర్డ్", "nav.predict":"ధర అంచనా", "nav.market":"మార్కెట్ సమాచారం", "nav.advisor":"AI సలహాదారు",
+  "nav.voice":"వాయిస్", "nav.alerts":"హెచ్చరికలు", "nav.profile":"ప్రొఫైల్",
+  "nav.tagline":"ధరల సమాచారం", "nav.logout":"లాగౌట్", "nav.signOut":"సైన్ అవుట్", "nav.offline":"ఆఫ్‌లైన్",
+  "common.language":"భాష", "common.watch":"{crop} ను గమనించండి", "common.unwatch":"{crop} గమనించడం ఆపండి",
+  "role.Farmer":"రైతు", "role.Trader":"వ్యాపారి", "role.Admin":"అడ్మిన్", "role.Researcher":"పరిశోధకుడు",
+  "unit.perQtl":"/క్వింటాల్", "unit.mt":"టన్నులు", "num.lakh":"లక్షలు", "num.crore":"కోట్లు",
+
+  "dash.title":"మార్కెట్ సమాచార డాష్‌బోర్డ్", "dash.currentPrice":"ప్రస్తుత ధర", "dash.vsLastMonth":"గత నెలతో పోలిస్తే {pct}%",
+  "dash.forecast7":"7 రోజుల అంచనా", "dash.bullish":"పెరుగుదల ధోరణి", "dash.bearish":"తగ్గుదల ధోరణి",
+  "dash.high24":"24 నెలల గరిష్ఠం", "dash.bestPrice":"నమోదైన అత్యుత్తమ ధర", "dash.volume":"మార్కెట్ రాక", "dash.arrivals":"నేటి రాక",
+  "dash.history":"{crop} — 24 నెలల చరిత్ర", "dash.price":"ధర", "dash.allCrops":"అన్ని పంటలు",
+  "dash.insight":"{crop} కోసం AI సూచన", "dash.season":"సీజన్: {season}", "dash.harvest":"కోత: {months}",
+  "dash.asOf":"{date} నాటికి", "dash.ageNote":"ధరలు చివరిగా {ago} నవీకరించబడ్డాయి", "dash.offline":"మీరు ఆఫ్‌లైన్‌లో ఉన్నారు — గమనిస్తున్న పంటల చివరిగా సేవ్ చేసిన ధరలు, అంచనాలు",
+
+  "fc.title":"AI ధర అంచనా ఇంజిన్",
+  "fc.subtitle":"ప్రతి పంట ధరల చరిత్రపై మీ బ్రౌజర్‌లోనే అమర్చిన గణాంక నమూనాలు, లోప ఆధారిత విశ్వాస పరిధులతో",
+  "fc.crop":"పంట", "fc.model":"AI మోడల్", "fc.horizon":"వ్యవధి", "fc.days":"{n} రోజులు", "fc.run":"అంచనా నడపండి", "fc.running":"నడుస్తోంది...",
+  "fc.accuracy":"బ్యాక్‌టెస్ట్ ఖచ్చితత్వం", "fc.inBand":"RMSE {rmse} · {pct}% పరిధిలో",
+  "fc.chartTitle":"{crop} — {model} అంచనా", "fc.bandNote":"95% విశ్వాస పరిధితో {n} రోజుల అంచనా",
+  "fc.configure":"పైన ఎంచుకుని అంచనా నడపండి", "fc.empty":"మోడల్ ఎంచుకుని అంచనా నడపండి నొక్కండి", "fc.starting":"{model} ప్రారంభమవుతోంది",
+  "fc.upperCI":"ఎగువ పరిమితి", "fc.lowerCI":"దిగువ పరిమితి", "fc.historical":"గత ధరలు", "fc.predicted":"అంచనా",
+  "fc.table":"రోజువారీ అంచనా పట్టిక", "fc.date":"తేదీ", "fc.trend":"ధోరణి", "fc.confidence":"విశ్వాసం", "fc.up":"పెరుగుదల", "fc.down":"తగ్గుదల",
+  "fc.backtest":"బ్యాక్‌టెస్ట్ — {crop}",
+  "fc.backtestNote":"పక్కన పెట్టిన ప్రతి నెలను దానికి ముందు డేటా నుంచి ఒక నెల ముందుగా అంచనా వేసి, తర్వాత వాస్తవ ధరతో పోలుస్తారు",
+  "fc.lastMonths":"గత {n} నెలలు", "fc.upperBand":"ఎగువ పరిధి", "fc.lowerBand":"దిగువ పరిధి", "fc.realised":"వాస్తవ ధర",
+  "fc.modelForecast":"{model} అంచనా", "fc.colModel":"మోడల్", "fc.coverage":"పరిధిలో", "fc.backtesting":"మోడళ్లను పరీక్షిస్తోంది…",
+
+  "al.loading":"హెచ్చరికలు లోడ్ అవుతున్నాయి…", "al.title":"స్మార్ట్ హెచ్చరికలు", "al.unread":"{n} చదవనివి", "al.markRead":"అన్నీ చదివినట్లు గుర్తించు",
+  "al.empty":"ఇంకా హెచ్చరికలు లేవు — దిగుమతి చేసిన ధరలు లేదా గమనిస్తున్న పంట కొత్త అంచనా మీ పరిమితిని దాటినప్పుడు కనిపిస్తాయి.",
+  "al.thresholds":"హెచ్చరిక పరిమితులు", "al.rise":"ధర పెరుగుదల హెచ్చరిక (%)", "al.drop":"ధర తగ్గుదల హెచ్చరిక (%)", "al.trigger":"హెచ్చరిక పరిమితి",
+  "al.watching":"గమనిస్తున్నవి", "al.nothingWatched":"ఏ పంటనూ గమనించడం లేదు — కింద పంటను చేర్చండి.",
+  "al.riseTitle":"ఈ పంటకు పెరుగుదల హెచ్చరిక % (ఖాళీ = సాధారణ)", "al.dropTitle":"ఈ పంటకు తగ్గుదల హెచ్చరిక % (ఖాళీ = సాధారణ)",
+  "al.mandiTitle":"ఇష్టమైన మండి", "al.anyMandi":"ఏ మండి అయినా", "al.addCrop":"పంటను చేర్చండి…", "al.add":"చేర్చు",
+  "al.above":"{price} పైన", "al.below":"{price} కంటే తక్కువ", "al.clearTarget":"ఈ ధర లక్ష్యాన్ని తీసివేయండి",
+  "al.notifications":"బ్రౌజర్ నోటిఫికేషన్లు", "al.on":"ఆన్", "al.off":"ఆఫ్",
+  "al.unsupported":"ఈ బ్రౌజర్ నోటిఫికేషన్లకు మద్దతు ఇవ్వదు.",
+  "al.blocked":"నోటిఫికేషన్లు నిరోధించబడ్డాయి — బ్రౌజర్ సైట్ సెట్టింగ్‌లలో అనుమతించండి.",
+  "al.notifyNote":"AgroVue వెనుక తెరిచి ఉన్నా తీవ్రమైన హెచ్చరికలు కనిపిస్తాయి. పంటను తెరవడానికి హెచ్చరికపై క్లిక్ చేయండి.",
+  "al.quiet":"నిశ్శబ్ద సమయం", "al.to":"నుండి",
+  "sev.high":"తీవ్రం", "sev.medium":"మధ్యస్థం", "sev.low":"తక్కువ",
+  "alertType.price_rise":"ధర పెరిగింది", "alertType.price_drop":"ధర తగ్గింది", "alertType.forecast":"అంచనా",
+  "alertType.weather":"వాతావరణం", "alertType.msp":"MSP", "alertType.opportunity":"అవకాశం",
+
+  "pr.loading":"ప్రొఫైల్ లోడ్ అవుతోంది…", "pr.title":"రైతు ప్రొఫైల్", "pr.subtitle":"మీ డేటా శాశ్వతంగా భద్రపరచబడుతుంది — ప్రతి సెషన్‌లోనూ ఉంటుంది",
+  "pr.saved":"ప్రొఫైల్ భద్రపరచబడింది! మార్పులు శాశ్వతం.", "pr.acres":"{n} ఎకరాలు", "pr.details":"ప్రొఫైల్ వివరాలు",
+  "pr.cancel":"రద్దు", "pr.save":"భద్రపరచు", "pr.edit":"మార్చు", "pr.notSet":"ఇవ్వలేదు",
+  "pr.langNote":"స్క్రీన్లు, వాయిస్ మరియు ఆఫ్‌లైన్ సలహాదారు ఈ భాషలో పనిచేస్తాయి.",
+  "pr.field.name":"పూర్తి పేరు", "pr.field.state":"రాష్ట్రం", "pr.field.district":"జిల్లా", "pr.field.farmSize":"పొలం విస్తీర్ణం (ఎకరాలు)",
+  "pr.field.phone":"ఫోన్", "pr.field.crops":"పండించే పంటలు", "pr.field.role":"పాత్ర",
+  "pr.income":"ఆదాయ విశ్లేషణ (గత 6 నెలలు)", "pr.revenue":"ఆదాయం", "pr.expenses":"ఖర్చులు",
+  "pr.ledger":"వ్యవసాయ లెక్కల పుస్తకం", "pr.ledgerNote":"ప్రతి అమ్మకం, ఖర్చును నమోదు చేయండి — చార్టు, లాభాల పట్టికలు వాటి నుంచే లెక్కిస్తాం.",
+  "pr.ledgerEmpty":"ఇంకా నమోదులు లేవు. కింద మీ మొదటి అమ్మకం లేదా ఖర్చును చేర్చండి.", "led.sale":"అమ్మకం", "led.expense":"ఖర్చు",
+  "led.date":"తేదీ", "led.crop":"పంట", "led.qty":"పరిమాణం (క్వింటాల్)", "led.price":"ధర (₹/క్వింటాల్)", "led.mandi":"మండి",
+  "led.category":"రకం", "led.amount":"మొత్తం (₹)", "led.wholeFarm":"మొత్తం పొలం", "led.note":"గమనిక", "led.add":"చేర్చు",
+  "led.invalid":"తేదీ, పంట, మొత్తాలు నింపండి (సున్నా కంటే ఎక్కువ సంఖ్యలు).", "led.cat.seed":"విత్తనాలు", "led.cat.fertiliser":"ఎరువులు",
+  "led.cat.labour":"కూలీ", "led.cat.transport":"రవాణా", "led.cat.storage":"నిల్వ", "led.cat.other":"ఇతర", "led.byCrop":"పంట వారీ లాభం",
+  "led.bySeason":"సీజన్ వారీ లాభం", "led.sold":"అమ్మినది", "led.costs":"ఖర్చులు", "led.profit":"లాభం / నష్టం", "led.avgPrice":"సగటు ధర",
+  "led.costPerQtl":"ఖర్చు/క్వింటాల్", "led.breakEven":"బ్రేక్-ఈవెన్ ధర", "led.season":"సీజన్", "led.sharedNote":"మొత్తం పొలం ఖర్చులను అమ్మకాల నిష్పత్తిలో పంటలకు పంచుతాం. బ్రేక్-ఈవెన్ ధర అంటే పంట మొత్తం ఖర్చు తిరిగి వచ్చే కనీస సగటు ధర.",
+  "led.entries":"నమోదులు", "led.delete":"నమోదు తొలగించు", "led.qtl":"{n} క్వింటాల్",
+  "pr.seed":"డెమో డేటా సీడ్",
+  "pr.seedNote":"నమూనా ధరలు, మార్కెట్ పోలికలు ఈ సీడ్ నుంచే వస్తాయి — ఒకే రోజు ఒకే సీడ్ ఎప్పుడూ అవే అంకెలు చూపిస్తుంది.",
+  "pr.shuffle":"మార్చు", "pr.reset":"రీసెట్", "pr.storage":"శాశ్వత నిల్వ సమాచారం",
+  "pr.store.profile":"ప్రొఫైల్ డేటా", "pr.store.profile.desc":"పేరు, పాత్ర, ప్రాంతం & పొలం వివరాలు",
+  "pr.store.chat":"AI చాట్ చరిత్ర", "pr.store.chat.desc":"పేరున్న సలహాదారు సంభాషణలు & పిన్ చేసిన సమాధానాలు",
+  "pr.store.alerts":"హెచ్చరికల స్థితి", "pr.store.alerts.desc":"చదివినవి/చదవనివి ఎప్పటికీ గుర్తుంటాయి",
+  "pr.store.thresholds":"హెచ్చరిక పరిమితులు", "pr.store.thresholds.desc":"మీ ధర హెచ్చరిక సెట్టింగ్‌లు, స్వయంగా భద్రపరచబడతాయి",
+  "pr.store.prices":"మండి ధరలు", "pr.store.prices.desc":"దిగుమతి చేసిన AgMarkNet / eNAM రికార్డులు",
+  "pr.store.seed":"డెమో డేటా సీడ్", "pr.store.seed.desc":"నమూనా చార్టులను పునరావృతం చేయగలిగేలా ఉంచుతుంది",
+  "pr.store.costs":"మండి ఖర్చులు", "pr.store.costs.desc":"మీ కమీషన్ & మార్కెట్ ఫీజు మార్పులు",
+  "pr.store.watchlist":"వాచ్‌లిస్ట్", "pr.store.watchlist.desc":"గమనించే పంటలు, పంటవారీ పరిమితులు & మండీలు",
+  "pr.store.snapshots":"ఆఫ్‌లైన్ స్నాప్‌షాట్‌లు", "pr.store.snapshots.desc":"గమనిస్తున్న ప్రతి పంట చివరి ధర & అంచనా",
+  "pr.store.queue":"ఆఫ్‌లైన్ ప్రశ్నలు", "pr.store.queue.desc":"కనెక్షన్ కోసం వేచి ఉన్న సలహాదారు ప్రశ్నలు",
+  "pr.store.ledger":"వ్యవసాయ లెక్కల పుస్తకం", "pr.store.ledger.desc":"మీ అమ్మకాలు, ఖర్చులు",
+  "pr.notPersistent":"ఏదీ భద్రపరచబడటం లేదు", "pr.notPersistentNote":"— ఈ బ్రౌజర్ నిల్వను నిరోధిస్తుంది, కాబట్టి ట్యాబ్ మూసే వరకే మార్పులు ఉంటాయి.",
+  "pr.persistent":"డేటా శాశ్వతంగా నిల్వ చేయబడింది",
+  "pr.persistentNote":"{backend} లో — బ్రౌజర్ మళ్లీ తెరిచినా, కొత్త సెషన్‌లోనూ ఉంటుంది. ఈ పరికరంలో ప్రతి ఖాతాకు దాని సొంత ప్రతి ఉంటుంది.",
+  "pr.browserStorage":"బ్రౌజర్ నిల్వ", "pr.clear":"భద్రపరచిన డేటా మొత్తం తొలగించు",
+  "pr.clearConfirm":"ఇది మీ ఖాతాతో సహా మీ డేటా మొత్తాన్ని తొలగిస్తుంది. ఈ పరికరంలోని ఇతర ఖాతాలపై ప్రభావం ఉండదు. ఖచ్చితంగానా?",
+  "pr.cleared":"మీ AgroVue డేటా మొత్తం తొలగించబడింది. మీరు లాగౌట్ అవుతారు.", "pr.clearError":"డేటా తొలగించడంలో లోపం: {message}",
+
+  "auth.username":"యూజర్‌నేమ్", "auth.password":"పాస్‌వర్డ్", "auth.failed":"ఏదో తప్పు జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+  "auth.expired":"మీ సెషన్ ముగిసింది. దయచేసి మళ్లీ సైన్ ఇన్ చేయండి.",
+  "auth.signedOut":"కొంతసేపు ఏ చర్యా లేకపోవడం వల్ల లేదా సెషన్ ముగియడం వల్ల మీరు సైన్ అవుట్ అయ్యారు.",
+  "login.tagline":"ధరల సమాచార వేదిక", "login.welcome":"మళ్లీ స్వాగతం", "login.subtitle":"మీ పొలం డాష్‌బోర్డ్ చూడటానికి సైన్ ఇన్ చేయండి",
+  "login.usernamePh":"మీ యూజర్‌నేమ్ ఇవ్వండి", "login.passwordPh":"మీ పాస్‌వర్డ్ ఇవ్వండి", "login.signIn":"సైన్ ఇన్", "login.signingIn":"సైన్ ఇన్ అవుతోంది…",
+  "login.noAccount":"ఖాతా లేదా?", "login.register":"ఇక్కడ నమోదు చేసుకోండి", "login.footer":"మీ డేటా సురక్షితం • సర్వర్ అవసరం లేదు",
+  "login.missing":"దయచేసి యూజర్‌నేమ్ మరియు పాస్‌వర్డ్ రెండూ ఇవ్వండి.", "login.notFound":"యూజర్‌నేమ్ కనబడలేదు. ముందుగా నమోదు చేసుకోండి.",
+  "login.tryAgainIn":"చాలా విఫల ప్రయత్నాలు. {wait} తర్వాత మళ్లీ ప్రయత్నించండి.", "login.lockedFor":"చాలా విఫల ప్రయత్నాలు. ఖాతా {wait} పాటు లాక్ చేయబడింది.",
+  "login.wrongPassword":"పాస్‌వర్డ్ తప్పు. దయచేసి మళ్లీ ప్రయత్నించండి.",
+
+  "reg.tagline":"మీ ఖాతాను సృష్టించండి", "reg.title":"ఖాతా సృష్టించండి", "reg.subtitle":"AgroVue వాడుతున్న వేలాది రైతులతో చేరండి",
+  "reg.usernamePh":"యూజర్‌నేమ్ ఎంచుకోండి", "reg.namePh":"మీ పూర్తి పేరు", "reg.statePh":"ఉదా. తెలంగాణ",
+  "reg.phone":"ఫోన్ (ఐచ్ఛికం)", "reg.phonePh":"మొబైల్ నంబర్", "reg.passwordPh":"కనీసం 6 అక్షరాలు",
+  "reg.confirm":"పాస్‌వర్డ్ నిర్ధారించండి", "reg.confirmPh":"పాస్‌వర్డ్ మళ్లీ ఇవ్వండి",
+  "reg.weak":"బలహీనం", "reg.fair":"పర్వాలేదు", "reg.good":"బాగుంది", "reg.strong":"బలమైనది",
+  "reg.creating":"ఖాతా సృష్టిస్తోంది…", "reg.haveAccount":"ఇప్పటికే ఖాతా ఉందా?", "reg.footer":"డేటా మీ బ్రౌజర్‌లోనే ఉంటుంది • గోప్యం & సురక్షితం",
+  "reg.created":"ఖాతా సృష్టించబడింది! సైన్ ఇన్ అవుతోంది…",
+  "reg.err.username":"యూజర్‌నేమ్ అవసరం.", "reg.err.usernameShort":"యూజర్‌నేమ్ కనీసం 3 అక్షరాలు ఉండాలి.",
+  "reg.err.usernameChars":"యూజర్‌నేమ్: అక్షరాలు, అంకెలు, అండర్‌స్కోర్ మాత్రమే.", "reg.err.password":"పాస్‌వర్డ్ అవసరం.",
+  "reg.err.passwordShort":"పాస్‌వర్డ్ కనీసం 6 అక్షరాలు ఉండాలి.", "reg.err.mismatch":"పాస్‌వర్డ్‌లు సరిపోలలేదు.",
+  "reg.err.name":"పూర్తి పేరు అవసరం.", "reg.err.taken":"ఈ యూజర్‌నేమ్ ఇప్పటికే తీసుకోబడింది. మరొకటి ఎంచుకోండి.",
+  "vc.title":"వాయిస్ ఆదేశాలు", "vc.listening":"వింటున్నాను… \"హెచ్చరికలు తెరువు\", \"ఉల్లిపాయ చూపించు\" లేదా \"అంచనా చదువు\" అని చెప్పండి",
+  "vc.opened":"{tab} తెరుస్తున్నాను.", "vc.crop":"{crop} చూపిస్తున్నాను.", "vc.alert":"{crop} కోసం హెచ్చరిక పెట్టాను: {target}.",
+  "vc.notUnderstood":"క్షమించండి, ఆదేశం అర్థం కాలేదు. \"హెచ్చరికలు తెరువు\", \"ఉల్లిపాయ చూపించు\" లేదా \"డాష్‌బోర్డ్ చదువు\" అని ప్రయత్నించండి.",
+  "vc.unsupported":"వాయిస్ ఆదేశాలకు ఇంటర్నెట్‌తో Chrome లేదా Edge, లేదా పరికరంలో వాయిస్ మోడల్ కావాలి.", "vc.micError":"మైక్ సమస్య: {error}",
+  "vc.bye":"సరే, సంభాషణ ముగిస్తున్నాను. అవసరమైతే మైక్ నొక్కండి.",
+  "say.dashboard":"{crop}. ప్రస్తుత ధర {price}, గత నెల కంటే {pct} శాతం {move}. ఏడు రోజుల అంచనా {fc}. 24 నెలల్లో అత్యధికం {high}. మార్కెట్ రాక {volume} టన్నులు. ధరలు {date} నాటివి.",
+  "say.up":"పెరిగింది", "say.down":"తగ్గింది", "say.forecast":"{crop} కోసం {model} అంచనా, రాబోయే {n} రోజులు.",
+  "say.row":"{date}: {price}, {low} నుండి {high} మధ్య.", "say.last":"{date} నాటికి: {price}.",
+};
+
+const ta = {
+  "nav.dashboard":"டாஷ்போர்டு", "nav.predict":"விலை கணிப்பு", "nav.market":"சந்தை தகவல்", "nav.advisor":"AI ஆலோசகர்",
+  "nav.voice":"குரல்", "nav.alerts":"எச்சரிக்கைகள்", "nav.profile":"சுயவிவரம்",
+  "nav.tagline":"விலை தகவல்", "nav.logout":"வெளியேறு", "nav.signOut":"வெளியேறு", "nav.offline":"ஆஃப்லைன்",
+  "common.language":"மொழி", "common.watch":"{crop} ஐக் கவனி", "common.unwatch":"{crop} கவனிப்பதை நிறுத்து",
+  "role.Farmer":"விவசாயி", "role.Trader":"வியாபாரி", "role.Admin":"நிர்வாகி", "role.Researcher":"ஆய்வாளர்",
+  "unit.perQtl":"/குவிண்டால்", "unit.mt":"டன்", "num.lakh":"லட்சம்", "num.crore":"கோடி",
+
+  "dash.title":"சந்தை தகவல் டாஷ்போர்டு", "dash.currentPrice":"தற்போதைய விலை", "dash.vsLastMonth":"கடந்த மாதத்தை விட {pct}%",
+  "dash.forecast7":"7 நாள் கணிப்பு", "dash.bullish":"உயர்வுப் போக்கு", "dash.bearish":"சரிவுப் போக்கு",
+  "dash.high24":"24 மாத உச்சம்", "dash.bestPrice":"பதிவான சிறந்த விலை", "dash.volume":"சந்தை வரத்து", "dash.arrivals":"இன்றைய வரத்து",
+  "dash.history":"{crop} — 24 மாத வரலாறு", "dash.price":"விலை", "dash.allCrops":"அனைத்துப் பயிர்கள்",
+  "dash.insight":"{crop} க்கான AI பார்வை", "dash.season":"பருவம்: {season}", "dash.harvest":"அறுவடை: {months}",
+  "dash.asOf":"{date} நிலவரம்", "dash.ageNote":"விலைகள் கடைசியாக {ago} புதுப்பிக்கப்பட்டன", "dash.offline":"நீங்கள் ஆஃப்லைனில் உள்ளீர்கள் — கவனிக்கும் பயிர்களின் கடைசியாகச் சேமித்த விலைகள், கணிப்புகள்",
+
+  "fc.title":"AI விலை கணிப்பு இயந்திரம்",
+  "fc.subtitle":"ஒவ்வொரு பயிரின் விலை வரலாற்றிலும் உங்கள் உலாவியிலேயே பொருத்தப்பட்ட புள்ளியியல் மாதிரிகள், பிழை அடிப்படையிலான நம்பக வரம்புகளுடன்",
+  "fc.crop":"பயிர்", "fc.model":"AI மாதிரி", "fc.horizon":"காலம்", "fc.days":"{n} நாட்கள்", "fc.run":"கணிப்பை இயக்கு", "fc.running":"இயங்குகிறது...",
+  "fc.accuracy":"பின்சோதனை துல்லியம்", "fc.inBand":"RMSE {rmse} · {pct}% வரம்பில்",
+  "fc.chartTitle":"{crop} — {model} கணிப்பு", "fc.bandNote":"95% நம்பக வரம்புடன் {n} நாள் கணிப்பு",
+  "fc.configure":"மேலே தேர்ந்தெடுத்து கணிப்பை இயக்கவும்", "fc.empty":"மாதிரியைத் தேர்ந்தெடுத்து கணிப்பை இயக்கு அழுத்தவும்", "fc.starting":"{model} தொடங்குகிறது",
+  "fc.upperCI":"மேல் வரம்பு", "fc.lowerCI":"கீழ் வரம்பு", "fc.historical":"முந்தைய விலைகள்", "fc.predicted":"கணிக்கப்பட்டது",
+  "fc.table":"தினசரி கணிப்பு அட்டவணை", "fc.date":"தேதி", "fc.trend":"போக்கு", "fc.confidence":"நம்பகம்", "fc.up":"உயர்வு", "fc.down":"சரிவு",
+  "fc.backtest":"பின்சோதனை — {crop}",
+  "fc.backtestNote":"ஒதுக்கி வைத்த ஒவ்வொரு மாதமும் அதற்கு முந்தைய தரவிலிருந்து ஒரு மாதம் முன்னதாகக் கணிக்கப்பட்டு, உண்மை விலையுடன் ஒப்பிடப்படுகிறது",
+  "fc.lastMonths":"கடந்த {n} மாதங்கள்", "fc.upperBand":"மேல் வரம்பு", "fc.lowerBand":"கீழ் வரம்பு", "fc.realised":"உண்மை விலை",
+  "fc.modelForecast":"{model} கணிப்பு", "fc.colModel":"மாதிரி", "fc.coverage":"வரம்பில்", "fc.backtesting":"மாதிரிகள் சோதிக்கப்படுகின்றன…",
+
+  "al.loading":"எச்சரிக்கைகள் ஏற்றப்படுகின்றன…", "al.title":"ஸ்மார்ட் எச்சரிக்கைகள்", "al.unread":"{n} படிக்காதவை", "al.markRead":"அனைத்தையும் படித்ததாகக் குறி",
+  "al.empty":"இன்னும் எச்சரிக்கைகள் இல்லை — இறக்கிய விலைகளோ கவனிக்கும் பயிரின் புதிய கணிப்போ உங்கள் வரம்பைத் தாண்டும்போது தோன்றும்.",
+  "al.thresholds":"எச்சரிக்கை வரம்புகள்", "al.rise":"விலை உயர்வு எச்சரிக்கை (%)", "al.drop":"விலை சரிவு எச்சரிக்கை (%)", "al.trigger":"எச்சரிக்கை வரம்பு",
+  "al.watching":"கவனிப்பில்", "al.nothingWatched":"எந்தப் பயிரும் கவனிப்பில் இல்லை — கீழே பயிரைச் சேர்க்கவும்.",
+  "al.riseTitle":"இந்தப் பயிருக்கான உயர்வு எச்சரிக்கை % (காலி = பொது)", "al.dropTitle":"இந்தப் பயிருக்கான சரிவு எச்சரிக்கை % (காலி = பொது)",
+  "al.mandiTitle":"விருப்பமான மண்டி", "al.anyMandi":"எந்த மண்டியும்", "al.addCrop":"பயிரைச் சேர்…", "al.add":"சேர்",
+  "al.above":"{price}க்கு மேல்", "al.below":"{price}க்குக் கீழ்", "al.clearTarget":"இந்த விலை இலக்கை நீக்கு",
+  "al.notifications":"உலாவி அறிவிப்புகள்", "al.on":"இயக்கம்", "al.off":"நிறுத்தம்",
+  "al.unsupported":"இந்த உலாவி அறிவிப்புகளை ஆதரிக்கவில்லை.",
+  "al.blocked":"அறிவிப்புகள் தடுக்கப்பட்டுள்ளன — உலாவியின் தள அமைப்புகளில் அனுமதிக்கவும்.",
+  "al.notifyNote":"AgroVue பின்னணியில் இருந்தாலும் தீவிர எச்சரிக்கைகள் தோன்றும். பயிரைத் திறக்க எச்சரிக்கையைக் கிளிக் செய்யவும்.",
+  "al.quiet":"அமைதி நேரம்", "al.to":"முதல்",
+  "sev.high":"தீவிரம்", "sev.medium":"நடுத்தரம்", "sev.low":"குறைவு",
+  "alertType.price_rise":"விலை உயர்வு", "alertType.price_drop":"விலை சரிவு", "alertType.forecast":"கணிப்பு",
+  "alertType.weather":"வானிலை", "alertType.msp":"MSP", "alertType.opportunity":"வாய்ப்பு",
+
+  "pr.loading":"சுயவிவரம் ஏற்றப்படுகிறது…", "pr.title":"விவசாயி சுயவிவரம்", "pr.subtitle":"உங்கள் தரவு நிரந்தரமாகச் சேமிக்கப்படுகிறது — ஒவ்வொரு அமர்விலும் இருக்கும்",
+  "pr.saved":"சுயவிவரம் சேமிக்கப்பட்டது! மாற்றங்கள் நிரந்தரம்.", "pr.acres":"{n} ஏக்கர்", "pr.details":"சுயவிவர விவரங்கள்",
+  "pr.cancel":"ரத்து", "pr.save":"சேமி", "pr.edit":"திருத்து", "pr.notSet":"அமைக்கவில்லை",
+  "pr.langNote":"திரைகள், குரல் மற்றும் இணையமில்லா ஆலோசகர் இந்த மொழியில் இயங்கும்.",
+  "pr.field.name":"முழுப் பெயர்", "pr.field.state":"மாநிலம்", "pr.field.district":"மாவட்டம்", "pr.field.farmSize":"நில அளவு (ஏக்கர்)",
+  "pr.field.phone":"தொலைபேசி", "pr.field.crops":"பயிரிடும் பயிர்கள்", "pr.field.role":"பங்கு",
+  "pr.income":"வருமானப் பகுப்பாய்வு (கடந்த 6 மாதங்கள்)", "pr.revenue":"வருவாய்", "pr.expenses":"செலவுகள்",
+  "pr.ledger":"பண்ணைக் கணக்குப் புத்தகம்", "pr.ledgerNote":"ஒவ்வொரு விற்பனையையும் செலவையும் பதிவு செய்யுங்கள் — வரைபடமும் லாப அட்டவணைகளும் அவற்றிலிருந்தே கணக்கிடப்படுகின்றன.",
+  "pr.ledgerEmpty":"இன்னும் பதிவுகள் இல்லை. கீழே உங்கள் முதல் விற்பனை அல்லது செலவைச் சேர்க்கவும்.", "led.sale":"விற்பனை",
+  "led.expense":"செலவு", "led.date":"தேதி", "led.crop":"பயிர்", "led.qty":"அளவு (குவிண்டால்)", "led.price":"விலை (₹/குவிண்டால்)",
+  "led.mandi":"மண்டி", "led.category":"வகை", "led.amount":"தொகை (₹)", "led.wholeFarm":"முழுப் பண்ணை", "led.note":"குறிப்பு",
+  "led.add":"சேர்", "led.invalid":"தேதி, பயிர், தொகைகளை நிரப்பவும் (பூஜ்ஜியத்தை விடப் பெரிய எண்கள்).", "led.cat.seed":"விதை",
+  "led.cat.fertiliser":"உரம்", "led.cat.labour":"கூலி", "led.cat.transport":"போக்குவரத்து", "led.cat.storage":"சேமிப்பு",
+  "led.cat.other":"மற்றவை", "led.byCrop":"பயிர் வாரியான லாபம்", "led.bySeason":"பருவ வாரியான லாபம்", "led.sold":"விற்றது",
+  "led.costs":"செலவுகள்", "led.profit":"லாபம் / நஷ்டம்", "led.avgPrice":"சராசரி விலை", "led.costPerQtl":"செலவு/குவிண்டால்",
+  "led.breakEven":"சமநிலை விலை", "led.season":"பருவம்", "led.sharedNote":"முழுப் பண்ணைச் செலவுகள் விற்பனை விகிதத்தில் பயிர்களுக்குப் பிரிக்கப்படுகின்றன. சமநிலை விலை என்பது பயிரின் மொத்தச் செலவையும் ஈடுகட்டும் குறைந்தபட்ச சராசரி விலை.",
+  "led.entries":"பதிவுகள்", "led.delete":"பதிவை நீக்கு", "led.qtl":"{n} குவிண்டால்",
+  "pr.seed":"டெமோ தரவு விதை",
+  "pr.seedNote":"மாதிரி விலைகளும் சந்தை ஒப்பீடுகளும் இந்த விதையிலிருந்தே வருகின்றன — ஒரே நாளில் ஒரே விதை எப்போதும் அதே எண்களைக் காட்டும்.",
+  "pr.shuffle":"மாற்று", "pr.reset":"மீட்டமை", "pr.storage":"நிரந்தர சேமிப்புத் தகவல்",
+  "pr.store.profile":"சுயவிவரத் தரவு", "pr.store.profile.desc":"பெயர், பங்கு, இடம் & நில விவரங்கள்",
+  "pr.store.chat":"AI அரட்டை வரலாறு", "pr.store.chat.desc":"பெயரிட்ட ஆலோசகர் உரையாடல்கள் & பொருத்திய பதில்கள்",
+  "pr.store.alerts":"எச்சரிக்கை நிலை", "pr.store.alerts.desc":"படித்தவை/படிக்காதவை எப்போதும் நினைவில் இருக்கும்",
+  "pr.store.thresholds":"எச்சரிக்கை வரம்புகள்", "pr.store.thresholds.desc":"உங்கள் விலை எச்சரிக்கை அமைப்புகள், தானாகச் சேமிக்கப்படும்",
+  "pr.store.prices":"மண்டி விலைகள்", "pr.store.prices.desc":"இறக்கிய AgMarkNet / eNAM பதிவுகள்",
+  "pr.store.seed":"டெமோ தரவு விதை", "pr.store.seed.desc":"மாதிரி வரைபடங்களை மீண்டும் பெறக்கூடியதாக வைக்கிறது",
+  "pr.store.costs":"மண்டி செலவுகள்", "pr.store.costs.desc":"உங்கள் கமிஷன் & சந்தைக் கட்டண மாற்றங்கள்",
+  "pr.store.watchlist":"கவனிப்புப் பட்டியல்", "pr.store.watchlist.desc":"கவனிக்கும் பயிர்கள், பயிர்வாரி வரம்புகள் & மண்டிகள்",
+  "pr.store.snapshots":"ஆஃப்லைன் பதிவுகள்", "pr.store.snapshots.desc":"கவனிக்கும் ஒவ்வொரு பயிரின் கடைசி விலை & கணிப்பு",
+  "pr.store.queue":"ஆஃப்லைன் கேள்விகள்", "pr.store.queue.desc":"இணைப்புக்காகக் காத்திருக்கும் ஆலோசகர் கேள்விகள்",
+  "pr.store.ledger":"பண்ணைக் கணக்குப் புத்தகம்", "pr.store.ledger.desc":"உங்கள் விற்பனைகளும் செலவுகளும்",
+  "pr.notPersistent":"எதுவும் சேமிக்கப்படவில்லை", "pr.notPersistentNote":"— இந்த உலாவி சேமிப்பைத் தடுக்கிறது, எனவே தாவலை மூடும் வரை மட்டுமே மாற்றங்கள் இருக்கும்.",
+  "pr.persistent":"தரவு நிரந்தரமாகச் சேமிக்கப்பட்டுள்ளது",
+  "pr.persistentNote":"{backend} இல் — உலாவியை மீண்டும் திறந்தாலும் புதிய அமர்விலும் இருக்கும். இந்தச் சாதனத்தில் ஒவ்வொரு கணக்கிற்கும் தனி நகல் உண்டு.",
+  "pr.browserStorage":"உலாவி சேமிப்பு", "pr.clear":"சேமித்த தரவு அனைத்தையும் அழி",
+  "pr.clearConfirm":"இது உங்கள் கணக்கு உட்பட அனைத்துத் தரவையும் அழிக்கும். இந்தச் சாதனத்தின் பிற கணக்குகள் பாதிக்கப்படாது. உறுதியா?",
+  "pr.cleared":"உங்கள் AgroVue தரவு அனைத்தும் அழிக்கப்பட்டது. நீங்கள் வெளியேற்றப்படுவீர்கள்.", "pr.clearError":"தரவை அழிப்பதில் பிழை: {message}",
+
+  "auth.username":"பயனர்பெயர்", "auth.password":"கடவுச்சொல்", "auth.failed":"ஏதோ தவறு நடந்தது. மீண்டும் முயற்சிக்கவும்.",
+  "auth.expired":"உங்கள் அமர்வு முடிந்தது. மீண்டும் உள்நுழையவும்.",
+  "auth.signedOut":"சிறிது நேரம் செயல்பாடு இல்லாததாலோ அமர்வு முடிந்ததாலோ நீங்கள் வெளியேற்றப்பட்டீர்கள்.",
+  "login.tagline":"விலை தகவல் தளம்", "login.welcome":"மீண்டும் வருக", "login.subtitle":"உங்கள் பண்ணை டாஷ்போர்டைப் பார்க்க உள்நுழையவும்",
+  "login.usernamePh":"உங்கள் பயனர்பெயரை உள்ளிடவும்", "login.passwordPh":"உங்கள் கடவுச்சொல்லை உள்ளிடவும்", "login.signIn":"உள்நுழை", "login.signingIn":"உள்நுழைகிறது…",
+  "login.noAccount":"கணக்கு இல்லையா?", "login.register":"இங்கே பதிவு செய்யவும்", "login.footer":"உங்கள் தரவு பாதுகாப்பானது • சர்வர் தேவையில்லை",
+  "login.missing":"பயனர்பெயர், கடவுச்சொல் இரண்டையும் உள்ளிடவும்.", "login.notFound":"பயனர்பெயர் கிடைக்கவில்லை. முதலில் பதிவு செய்யவும்.",
+  "login.tryAgainIn":"பல தோல்வியுற்ற முயற்சிகள். {wait} கழித்து மீண்டும் முயற்சிக்கவும்.", "login.lockedFor":"பல தோல்வியுற்ற முயற்சிகள். கணக்கு {wait} பூட்டப்பட்டுள்ளது.",
+  "login.wrongPassword":"கடவுச்சொல் தவறு. மீண்டும் முயற்சிக்கவும்.",
+
+  "reg.tagline":"உங்கள் கணக்கை உருவாக்குங்கள்", "reg.title":"கணக்கை உருவாக்கு", "reg.subtitle":"AgroVue பயன்படுத்தும் ஆயிரக்கணக்கான விவசாயிகளுடன் இணையுங்கள்",
+  "reg.usernamePh":"பயனர்பெயரைத் தேர்வு செய்யவும்", "reg.namePh":"உங்கள் முழுப் பெயர்", "reg.statePh":"எ.கா. தமிழ்நாடு",
+  "reg.phone":"தொலைபேசி (விருப்பம்)", "reg.phonePh":"கைபேசி எண்", "reg.passwordPh":"குறைந்தது 6 எழுத்துகள்",
+  "reg.confirm":"கடவுச்சொல்லை உறுதிசெய்", "reg.confirmPh":"கடவுச்சொல்லை மீண்டும் உள்ளிடவும்",
+  "reg.weak":"பலவீனம்", "reg.fair":"பரவாயில்லை", "reg.good":"நன்று", "reg.strong":"வலுவானது",
+  "reg.creating":"கணக்கு உருவாக்கப்படுகிறது…", "reg.haveAccount":"ஏற்கனவே கணக்கு உள்ளதா?", "reg.footer":"தரவு உங்கள் உலாவியிலேயே இருக்கும் • தனிப்பட்டது & பாதுகாப்பானது",
+  "reg.created":"கணக்கு உருவாக்கப்பட்டது! உள்நுழைகிறது…",
+  "reg.err.username":"பயனர்பெயர் தேவை.", "reg.err.usernameShort":"பயனர்பெயர் குறைந்தது 3 எழுத்துகள் இருக்க வேண்டும்.",
+  "reg.err.usernameChars":"பயனர்பெயர்: எழுத்துகள், எண்கள், அடிக்கோடு மட்டும்.", "reg.err.password":"கடவுச்சொல் தேவை.",
+  "reg.err.passwordShort":"கடவுச்சொல் குறைந்தது 6 எழுத்துகள் இருக்க வேண்டும்.", "reg.err.mismatch":"கடவுச்சொற்கள் பொருந்தவில்லை.",
+  "reg.err.name":"முழுப் பெயர் தேவை.", "reg.err.taken":"இந்தப் பயனர்பெயர் ஏற்கனவே எடுக்கப்பட்டது. வேறொன்றைத் தேர்வு செய்யவும்.",
+  "vc.title":"குரல் கட்டளைகள்", "vc.listening":"கேட்கிறேன்… \"எச்சரிக்கைகளைத் திற\", \"வெங்காயம் காட்டு\" அல்லது \"கணிப்பைப் படி\" என்று சொல்லுங்கள்",
+  "vc.opened":"{tab} திறக்கிறேன்.", "vc.crop":"{crop} காட்டுகிறேன்.", "vc.alert":"{crop} க்கு எச்சரிக்கை அமைத்தேன்: {target}.",
+  "vc.notUnderstood":"மன்னிக்கவும், கட்டளை புரியவில்லை. \"எச்சரிக்கைகளைத் திற\", \"வெங்காயம் காட்டு\" அல்லது \"டாஷ்போர்டு படி\" என்று முயலுங்கள்.",
+  "vc.unsupported":"குரல் கட்டளைகளுக்கு இணையத்துடன் Chrome அல்லது Edge, அல்லது சாதனத்தில் குரல் மாதிரி தேவை.", "vc.micError":"மைக் பிழை: {error}",
+  "vc.bye":"சரி, உரையாடலை முடிக்கிறேன். தேவைப்படும்போது மைக்கைத் தட்டுங்கள்.",
+  "say.dashboard":"{crop}. தற்போதைய விலை {price}, கடந்த மாதத்தை விட {pct} சதவீதம் {move}. ஏழு நாள் கணிப்பு {fc}. 24 மாதங்களில் அதிகபட்சம் {high}. சந்தை வரத்து {volume} டன். விலைகள் {date} நிலவரம்.",
+  "say.up":"உயர்வு", "say.down":"சரிவு", "say.forecast":"{crop} க்கான {model} கணிப்பு, அடுத்த {n} நாட்கள்.",
+  "say.row":"{date}: {price}, {low} முதல் {high} வரை.", "say.last":"{date} க்குள்: {price}.",
+};
+
+const mr = {
+  "nav.dashboard":"डॅशबोर्ड", "nav.predict":"भाव अंदाज", "nav.market":"बाजार माहिती", "nav.advisor":"AI सल्लागार",
+  "nav.voice":"आवाज", "nav.alerts":"सूचना", "nav.profile":"प्रोफाइल",
+  "nav.tagline":"भाव माहिती", "nav.logout":"लॉगआउट", "nav.signOut":"साइन आउट", "nav.offline":"ऑफलाइन",
+  "common.language":"भाषा", "common.watch":"{crop} वर लक्ष ठेवा", "common.unwatch":"{crop} वरील लक्ष काढा",
+  "role.Farmer":"शेतकरी", "role.Trader":"व्यापारी", "role.Admin":"प्रशासक", "role.Researcher":"संशोधक",
+  "unit.perQtl":"/क्विंटल", "unit.mt":"टन", "num.lakh":"लाख", "num.crore":"कोटी",
+
+  "dash.title":"बाजार माहिती डॅशबोर्ड", "dash.currentPrice":"सध्याचा भाव", "dash.vsLastMonth":"मागील महिन्यापेक्षा {pct}%",
+  "dash.forecast7":"7 दिवसांचा अंदाज", "dash.bullish":"तेजीचा कल", "dash.bearish":"मंदीचा कल",
+  "dash.high24":"24 महिन्यांतील उच्चांक", "dash.bestPrice":"नोंदलेला सर्वोत्तम भाव", "dash.volume":"बाजार आवक", "dash.arrivals":"आजची आवक",
+  "dash.history":"{crop} — 24 महिन्यांचा इतिहास", "dash.price":"भाव", "dash.allCrops":"सर्व पिके",
+  "dash.insight":"{crop} साठी AI सूचना", "dash.season":"हंगाम: {season}", "dash.harvest":"काढणी: {months}",
+  "dash.asOf":"{date} पर्यंत", "dash.ageNote":"भाव शेवटचे {ago} अपडेट झाले", "dash.offline":"तुम्ही ऑफलाइन आहात — लक्ष असलेल्या पिकांचे शेवटचे जतन केलेले भाव आणि अंदाज",
+
+  "fc.title":"AI भाव अंदाज इंजिन",
+  "fc.subtitle":"प्रत्येक पिकाच्या भाव इतिहासावर तुमच्या ब्राउझरमध्येच बसवलेली सांख्यिकी मॉडेल्स, त्रुटी-आधारित विश्वास पट्ट्यांसह",
+  "fc.crop":"पीक", "fc.model":"AI मॉडेल", "fc.horizon":"कालावधी", "fc.days":"{n} दिवस", "fc.run":"अंदाज चालवा", "fc.running":"चालू आहे...",
+  "fc.accuracy":"बॅकटेस्ट अचूकता", "fc.inBand":"RMSE {rmse} · {pct}% पट्ट्यात",
+  "fc.chartTitle":"{crop} — {model} अंदाज", "fc.bandNote":"95% विश्वास पट्ट्यासह {n} दिवसांचा अंदाज",
+  "fc.configure":"वर निवड करून अंदाज चालवा", "fc.empty":"मॉडेल निवडा आणि अंदाज चालवा दाबा", "fc.starting":"{model} सुरू होत आहे",
+  "fc.upperCI":"वरची मर्यादा", "fc.lowerCI":"खालची मर्यादा", "fc.historical":"मागील भाव", "fc.predicted":"अंदाजित",
+  "fc.table":"दैनिक अंदाज तक्ता", "fc.date":"तारीख", "fc.trend":"कल", "fc.confidence":"विश्वास", "fc.up":"वर", "fc.down":"खाली",
+  "fc.backtest":"बॅकटेस्ट — {crop}",
+  "fc.backtestNote":"बाजूला ठेवलेल्या प्रत्येक महिन्याचा अंदाज त्याआधीच्या आकडेवारीवरून एक महिना पुढे काढला जातो, मग प्रत्यक्ष भावाशी तुलना केली जाते",
+  "fc.lastMonths":"मागील {n} महिने", "fc.upperBand":"वरचा पट्टा", "fc.lowerBand":"खालचा पट्टा", "fc.realised":"प्रत्यक्ष भाव",
+  "fc.modelForecast":"{model} अंदाज", "fc.colModel":"मॉडेल", "fc.coverage":"पट्ट्यात", "fc.backtesting":"मॉडेल्स तपासली जात आहेत…",
+
+  "al.loading":"सूचना लोड होत आहेत…", "al.title":"स्मार्ट सूचना", "al.unread":"{n} न वाचलेल्या", "al.markRead":"सर्व वाचलेल्या करा",
+  "al.empty":"अजून सूचना नाहीत — आयात केलेले भाव किंवा लक्ष ठेवलेल्या पिकाचा नवा अंदाज तुमची मर्यादा ओलांडेल तेव्हा दिसतील.",
+  "al.thresholds":"सूचना मर्यादा", "al.rise":"भाववाढ सूचना (%)", "al.drop":"भावघट सूचना (%)", "al.trigger":"सूचना मर्यादा",
+  "al.watching":"लक्ष ठेवलेली", "al.nothingWatched":"कोणत्याही पिकावर लक्ष नाही — खाली पीक जोडा.",
+  "al.riseTitle":"या पिकासाठी वाढ सूचना % (रिकामे = सामान्य)", "al.dropTitle":"या पिकासाठी घट सूचना % (रिकामे = सामान्य)",
+  "al.mandiTitle":"आवडती मंडी", "al.anyMandi":"कोणतीही मंडी", "al.addCrop":"पीक जोडा…", "al.add":"जोडा",
+  "al.above":"{price} पेक्षा जास्त", "al.below":"{price} पेक्षा कमी", "al.clearTarget":"हे भाव लक्ष्य काढा",
+  "al.notifications":"ब्राउझर सूचना", "al.on":"चालू", "al.off":"बंद",
+  "al.unsupported":"हा ब्राउझर सूचना दाखवू शकत नाही.",
+  "al.blocked":"सूचना बंद आहेत — ब्राउझरच्या साइट सेटिंग्जमध्ये परवानगी द्या.",
+  "al.notifyNote":"AgroVue मागे उघडे असले तरी गंभीर सूचना दिसतात. पीक उघडण्यासाठी सूचनेवर क्लिक करा.",
+  "al.quiet":"शांत वेळ", "al.to":"ते",
+  "sev.high":"गंभीर", "sev.medium":"मध्यम", "sev.low":"कमी",
+  "alertType.price_rise":"भाव वाढला", "alertType.price_drop":"भाव घसरला", "alertType.forecast":"अंदाज",
+  "alertType.weather":"हवामान", "alertType.msp":"MSP", "alertType.opportunity":"संधी",
+
+  "pr.loading":"प्रोफाइल लोड होत आहे…", "pr.title":"शेतकरी प्रोफाइल", "pr.subtitle":"तुमचा डेटा कायमचा जतन होतो — प्रत्येक सत्रात राहतो",
+  "pr.saved":"प्रोफाइल जतन झाले! बदल कायमचे आहेत.", "pr.acres":"{n} एकर", "pr.details":"प्रोफाइल तपशील",
+  "pr.cancel":"रद्द करा", "pr.save":"जतन करा", "pr.edit":"बदला", "pr.notSet":"भरलेले नाही",
+  "pr.langNote":"स्क्रीन, आवाज आणि ऑफलाइन सल्लागार याच भाषेत चालतील.",
+  "pr.field.name":"पूर्ण नाव", "pr.field.state":"राज्य", "pr.field.district":"जिल्हा", "pr.field.farmSize":"शेताचा आकार (एकर)",
+  "pr.field.phone":"फोन", "pr.field.crops":"घेतली जाणारी पिके", "pr.field.role":"भूमिका",
+  "pr.income":"उत्पन्न विश्लेषण (मागील 6 महिने)", "pr.revenue":"उत्पन्न", "pr.expenses":"खर्च",
+  "pr.ledger":"शेतीची जमाखर्च वही", "pr.ledgerNote":"प्रत्येक विक्री आणि खर्च नोंदवा — तक्ता आणि नफ्याची कोष्टके त्यावरूनच काढली जातात.",
+  "pr.ledgerEmpty":"अजून नोंदी नाहीत. खाली तुमची पहिली विक्री किंवा खर्च जोडा.", "led.sale":"विक्री", "led.expense":"खर्च",
+  "led.date":"तारीख", "led.crop":"पीक", "led.qty":"प्रमाण (क्विंटल)", "led.price":"भाव (₹/क्विंटल)", "led.mandi":"मंडी",
+  "led.category":"प्रकार", "led.amount":"रक्कम (₹)", "led.wholeFarm":"संपूर्ण शेत", "led.note":"टीप", "led.add":"जोडा",
+  "led.invalid":"तारीख, पीक आणि रक्कम भरा (शून्यापेक्षा मोठे आकडे).", "led.cat.seed":"बियाणे", "led.cat.fertiliser":"खत",
+  "led.cat.labour":"मजुरी", "led.cat.transport":"वाहतूक", "led.cat.storage":"साठवण", "led.cat.other":"इतर", "led.byCrop":"पीकनिहाय नफा",
+  "led.bySeason":"हंगामनिहाय नफा", "led.sold":"विकले", "led.costs":"खर्च", "led.profit":"नफा / तोटा", "led.avgPrice":"सरासरी भाव",
+  "led.costPerQtl":"खर्च/क्विंटल", "led.breakEven":"ना-नफा-ना-तोटा भाव", "led.season":"हंगाम", "led.sharedNote":"संपूर्ण शेताचा खर्च विक्रीच्या प्रमाणात पिकांमध्ये वाटला जातो. ना-नफा-ना-तोटा भाव म्हणजे पिकाचा संपूर्ण खर्च भरून निघेल असा किमान सरासरी भाव.",
+  "led.entries":"नोंदी", "led.delete":"नोंद हटवा", "led.qtl":"{n} क्विंटल",
+  "pr.seed":"डेमो डेटा सीड",
+  "pr.seedNote":"नमुना भाव आणि बाजार तुलना याच सीडवरून तयार होतात — एकाच दिवशी एकच सीड नेहमी तेच आकडे दाखवतो.",
+  "pr.shuffle":"बदला", "pr.reset":"रीसेट", "pr.storage":"कायमस्वरूपी साठवण माहिती",
+  "pr.store.profile":"प्रोफाइल डेटा", "pr.store.profile.desc":"नाव, भूमिका, ठिकाण आणि शेताचा तपशील",
+  "pr.store.chat":"AI चॅट इतिहास", "pr.store.chat.desc":"नाव दिलेली सल्लागार संभाषणे आणि पिन केलेली उत्तरे",
+  "pr.store.alerts":"सूचना स्थिती", "pr.store.alerts.desc":"वाचलेल्या/न वाचलेल्या कायम लक्षात राहतात",
+  "pr.store.thresholds":"सूचना मर्यादा", "pr.store.thresholds.desc":"तुमच्या भाव सूचना सेटिंग्ज, आपोआप जतन",
+  "pr.store.prices":"मंडी भाव", "pr.store.prices.desc":"आयात केलेल्या AgMarkNet / eNAM नोंदी",
+  "pr.store.seed":"डेमो डेटा सीड", "pr.store.seed.desc":"नमुना तक्ते पुन्हा तसेच मिळतील असे ठेवतो",
+  "pr.store.costs":"मंडी खर्च", "pr.store.costs.desc":"तुमचे अडत आणि बाजार शुल्काचे स्वतःचे दर",
+  "pr.store.watchlist":"लक्ष यादी", "pr.store.watchlist.desc":"लक्ष ठेवलेली पिके, पीकनिहाय मर्यादा आणि मंड्या",
+  "pr.store.snapshots":"ऑफलाइन स्नॅपशॉट", "pr.store.snapshots.desc":"लक्ष असलेल्या प्रत्येक पिकाचा शेवटचा भाव व अंदाज",
+  "pr.store.queue":"ऑफलाइन प्रश्न", "pr.store.queue.desc":"कनेक्शनची वाट पाहणारे सल्लागार प्रश्न",
+  "pr.store.ledger":"शेतीची जमाखर्च वही", "pr.store.ledger.desc":"तुमची विक्री आणि खर्च",
+  "pr.notPersistent":"काहीही जतन होत नाही", "pr.notPersistentNote":"— हा ब्राउझर साठवण रोखतो, त्यामुळे बदल टॅब बंद होईपर्यंतच टिकतील.",
+  "pr.persistent":"डेटा कायमचा जतन केला आहे",
+  "pr.persistentNote":"{backend} मध्ये — ब्राउझर पुन्हा उघडला तरी आणि नव्या सत्रातही राहतो. या उपकरणावरील प्रत्येक खात्याची स्वतःची प्रत आहे.",
+  "pr.browserStorage":"ब्राउझर साठवण", "pr.clear":"सर्व जतन केलेला डेटा पुसा",
+  "pr.clearConfirm":"यामुळे तुमच्या खात्यासह सर्व डेटा पुसला जाईल. या उपकरणावरील इतर खात्यांवर परिणाम होणार नाही. नक्की?",
+  "pr.cleared":"तुमचा सर्व AgroVue डेटा पुसला. तुम्ही लॉग आउट व्हाल.", "pr.clearError":"डेटा पुसताना त्रुटी: {message}",
+
+  "auth.username":"वापरकर्तानाव", "auth.password":"पासवर्ड", "auth.failed":"काहीतरी चुकले. कृपया पुन्हा प्रयत्न करा.",
+  "auth.expired":"तुमचे सत्र संपले. कृपया पुन्हा साइन इन करा.",
+  "auth.signedOut":"काही वेळ हालचाल नसल्याने किंवा सत्र संपल्याने तुम्ही साइन आउट झालात.",
+  "login.tagline":"भाव माहिती व्यासपीठ", "login.welcome":"पुन्हा स्वागत आहे", "login.subtitle":"तुमचा शेत डॅशबोर्ड पाहण्यासाठी साइन इन करा",
+  "login.usernamePh":"तुमचे वापरकर्तानाव लिहा", "login.passwordPh":"तुमचा पासवर्ड लिहा", "login.signIn":"साइन इन", "login.signingIn":"साइन इन होत आहे…",
+  "login.noAccount":"खाते नाही?", "login.register":"येथे नोंदणी करा", "login.footer":"तुमचा डेटा सुरक्षित आहे • सर्व्हरची गरज नाही",
+  "login.missing":"कृपया वापरकर्तानाव आणि पासवर्ड दोन्ही लिहा.", "login.notFound":"वापरकर्तानाव सापडले नाही. आधी नोंदणी करा.",
+  "login.tryAgainIn":"खूप चुकीचे प्रयत्न. {wait} नंतर पुन्हा प्रयत्न करा.", "login.lockedFor":"खूप चुकीचे प्रयत्न. खाते {wait} साठी बंद आहे.",
+  "login.wrongPassword":"पासवर्ड चुकीचा आहे. कृपया पुन्हा प्रयत्न करा.",
+
+  "reg.tagline":"तुमचे खाते तयार करा", "reg.title":"खाते तयार करा", "reg.subtitle":"AgroVue वापरणाऱ्या हजारो शेतकऱ्यांमध्ये सामील व्हा",
+  "reg.usernamePh":"वापरकर्तानाव निवडा", "reg.namePh":"तुमचे पूर्ण नाव", "reg.statePh":"उदा. महाराष्ट्र",
+  "reg.phone":"फोन (ऐच्छिक)", "reg.phonePh":"मोबाइल नंबर", "reg.passwordPh":"किमान 6 अक्षरे",
+  "reg.confirm":"पासवर्डची खात्री करा", "reg.confirmPh":"पासवर्ड पुन्हा लिहा",
+  "reg.weak":"कमकुवत", "reg.fair":"ठीक", "reg.good":"चांगला", "reg.strong":"मजबूत",
+  "reg.creating":"खाते तयार होत आहे…", "reg.haveAccount":"आधीच खाते आहे?", "reg.footer":"डेटा तुमच्या ब्राउझरमध्येच राहतो • खाजगी आणि सुरक्षित",
+  "reg.created":"खाते तयार झाले! साइन इन होत आहे…",
+  "reg.err.username":"वापरकर्तानाव आवश्यक आहे.", "reg.err.usernameShort":"वापरकर्तानाव किमान 3 अक्षरांचे असावे.",
+  "reg.err.usernameChars":"वापरकर्तानाव: फक्त अक्षरे, अंक आणि अंडरस्कोर.", "reg.err.password":"पासवर्ड आवश्यक आहे.",
+  "reg.err.passwordShort":"पासवर्ड किमान 6 अक्षरांचा असावा.", "reg.err.mismatch":"दोन्ही पासवर्ड जुळत नाहीत.",
+  "reg.err.name":"पूर्ण नाव आवश्यक आहे.", "reg.err.taken":"हे वापरकर्तानाव आधीच घेतले आहे. दुसरे निवडा.",
+  "vc.title":"आवाजाने चालवा", "vc.listening":"ऐकत आहे… म्हणा \"अलर्ट उघडा\", \"कांदा दाखवा\" किंवा \"अंदाज वाचा\"",
+  "vc.opened":"{tab} उघडत आहे.", "vc.crop":"{crop} दाखवत आहे.", "vc.alert":"{crop} साठी अलर्ट लावला: {target}.",
+  "vc.notUnderstood":"माफ करा, आदेश समजला नाही. म्हणा \"अलर्ट उघडा\", \"कांदा दाखवा\" किंवा \"डॅशबोर्ड वाचा\".",
+  "vc.unsupported":"आवाजाने चालवण्यासाठी इंटरनेटसह Chrome किंवा Edge, किंवा डिव्हाइसवर व्हॉइस मॉडेल लागेल.", "vc.micError":"माइकमध्ये अडचण: {error}",
+  "vc.bye":"ठीक आहे, संभाषण संपवतो. गरज लागल्यास माइक दाबा.",
+  "say.dashboard":"{crop}. सध्याचा भाव {price}, मागील महिन्यापेक्षा {pct} टक्के {move}. सात दिवसांचा अंदाज {fc}. 24 महिन्यांतील उच्चांक {high}. बाजारातील आवक {volume} टन. भाव {date} पर्यंतचे.",
+  "say.up":"वर", "say.down":"खाली", "say.forecast":"{crop} चा {model} अंदाज, पुढील {n} दिवस.",
+  "say.row":"{date}: {price}, {low} ते {high} दरम्यान.", "say.last":"{date} पर्यंत: {price}.",
+};
+
+const gu = {
+  "nav.dashboard":"ડેશબોર્ડ", "nav.predict":"ભાવ અનુમાન", "nav.market":"બજાર માહિતી", "nav.advisor":"AI સલાહકાર",
+  "nav.voice":"અવાજ", "nav.alerts":"ચેતવણી", "nav.profile":"પ્રોફાઇલ",
+  "nav.tagline":"ભાવ માહિતી", "nav.logout":"લૉગઆઉટ", "nav.signOut":"સાઇન આઉટ", "nav.offline":"ઑફલાઇન",
+  "common.language":"ભાષા", "common.watch":"{crop} પર નજર રાખો", "common.unwatch":"{crop} પરથી નજર હટાવો",
+  "role.Farmer":"ખેડૂત", "role.Trader":"વેપારી", "role.Admin":"એડમિન", "role.Researcher":"સંશોધક",
+  "unit.perQtl":"/ક્વિન્ટલ", "unit.mt":"ટન", "num.lakh":"લાખ", "num.crore":"કરોડ",
+
+  "dash.title":"બજાર માહિતી ડેશબોર્ડ", "dash.currentPrice":"હાલનો ભાવ", "dash.vsLastMonth":"ગયા મહિના કરતાં {pct}%",
+  "dash.forecast7":"7 દિવસનું અનુમાન", "dash.bullish":"તેજીનું વલણ", "dash.bearish":"મંદીનું વલણ",
+  "dash.high24":"24 મહિનાનો ઊંચો ભાવ", "dash.bestPrice":"નોંધાયેલો શ્રેષ્ઠ ભાવ", "dash.volume":"બજાર આવક", "dash.arrivals":"આજની આવક",
+  "dash.history":"{crop} — 24 મહિનાનો ઇતિહાસ", "dash.price":"ભાવ", "dash.allCrops":"બધા પાક",
+  "dash.insight":"{crop} માટે AI સૂચન", "dash.season":"ઋતુ: {season}", "dash.harvest":"લણણી: {months}",
+  "dash.asOf":"{date} મુજબ", "dash.ageNote":"ભાવ છેલ્લે {ago} અપડેટ થયા", "dash.offline":"તમે ઑફલાઇન છો — નજર હેઠળના પાકના છેલ્લે સાચવેલા ભાવ અને અનુમાન",
+
+  "fc.title":"AI ભાવ અનુમાન એન્જિન",
+  "fc.subtitle":"દરેક પાકના ભાવ ઇતિહાસ પર તમારા બ્રાઉઝરમાં જ બનેલા આંકડાકીય મૉડલ, ભૂલ-આધારિત વિશ્વાસ પટ્ટા સાથે",
+  "fc.crop":"પાક", "fc.model":"AI મૉડલ", "fc.horizon":"સમયગાળો", "fc.days":"{n} દિવસ", "fc.run":"અનુમાન ચલાવો", "fc.running":"ચાલી રહ્યું છે...",
+  "fc.accuracy":"બેકટેસ્ટ ચોકસાઈ", "fc.inBand":"RMSE {rmse} · {pct}% પટ્ટામાં",
+  "fc.chartTitle":"{crop} — {model} અનુમાન", "fc.bandNote":"95% વિશ્વાસ પટ્ટા સાથે {n} દિવસનું અનુમાન",
+  "fc.configure":"ઉપર પસંદ કરીને અનુમાન ચલાવો", "fc.empty":"મૉડલ પસંદ કરો અને અનુમાન ચલાવો દબાવો", "fc.starting":"{model} શરૂ થઈ રહ્યું છે",
+  "fc.upperCI":"ઉપલી મર્યાદા", "fc.lowerCI":"નીચલી મર્યાદા", "fc.historical":"અગાઉના ભાવ", "fc.predicted":"અનુમાનિત",
+  "fc.table":"દૈનિક અનુમાન કોષ્ટક", "fc.date":"તારીખ", "fc.trend":"વલણ", "fc.confidence":"વિશ્વાસ", "fc.up":"ઉપર", "fc.down":"નીચે",
+  "fc.backtest":"બેકટેસ્ટ — {crop}",
+  "fc.backtestNote":"અલગ રાખેલા દરેક મહિનાનું અનુમાન તેની પહેલાંના આંકડા પરથી એક મહિનો આગળ કાઢીને, પછી વાસ્તવિક ભાવ સાથે સરખાવાય છે",
+  "fc.lastMonths":"છેલ્લા {n} મહિના", "fc.upperBand":"ઉપલો પટ્ટો", "fc.lowerBand":"નીચલો પટ્ટો", "fc.realised":"વાસ્તવિક ભાવ",
+  "fc.modelForecast":"{model} અનુમાન", "fc.colModel":"મૉડલ", "fc.coverage":"પટ્ટામાં", "fc.backtesting":"મૉડલ ચકાસાઈ રહ્યા છે…",
+
+  "al.loading":"ચેતવણીઓ લોડ થઈ રહી છે…", "al.title":"સ્માર્ટ ચેતવણીઓ", "al.unread":"{n} વાંચ્યા વગરની", "al.markRead":"બધી વાંચેલી કરો",
+  "al.empty":"હજી કોઈ ચેતવણી નથી — આયાત કરેલા ભાવ કે નજર હેઠળના પાકનું નવું અનુમાન તમારી મર્યાદા વટાવશે ત્યારે દેખાશે.",
+  "al.thresholds":"ચેતવણી મર્યાદા", "al.rise":"ભાવ વધારાની ચેતવણી (%)", "al.drop":"ભાવ ઘટાડાની ચેતવણી (%)", "al.trigger":"ચેતવણી મર્યાદા",
+  "al.watching":"નજર હેઠળ", "al.nothingWatched":"કોઈ પાક પર નજર નથી — નીચે પાક ઉમેરો.",
+  "al.riseTitle":"આ પાક માટે વધારાની ચેતવણી % (ખાલી = સામાન્ય)", "al.dropTitle":"આ પાક માટે ઘટાડાની ચેતવણી % (ખાલી = સામાન્ય)",
+  "al.mandiTitle":"પસંદગીનું માર્કેટ યાર્ડ", "al.anyMandi":"કોઈ પણ માર્કેટ યાર્ડ", "al.addCrop":"પાક ઉમેરો…", "al.add":"ઉમેરો",
+  "al.above":"{price}થી ઉપર", "al.below":"{price}થી નીચે", "al.clearTarget":"આ ભાવ લક્ષ્ય દૂર કરો",
+  "al.notifications":"બ્રાઉઝર સૂચનાઓ", "al.on":"ચાલુ", "al.off":"બંધ",
+  "al.unsupported":"આ બ્રાઉઝર સૂચનાઓ બતાવી શકતું નથી.",
+  "al.blocked":"સૂચનાઓ બંધ છે — બ્રાઉઝરના સાઇટ સેટિંગ્સમાં મંજૂરી આપો.",
+  "al.notifyNote":"AgroVue પાછળ ખુલ્લું હોય ત્યારે પણ ગંભીર ચેતવણીઓ દેખાય છે. પાક ખોલવા ચેતવણી પર ક્લિક કરો.",
+  "al.quiet":"શાંત સમય", "al.to":"થી",
+  "sev.high":"ગંભીર", "sev.medium":"મધ્યમ", "sev.low":"ઓછી",
+  "alertType.price_rise":"ભાવ વધ્યો", "alertType.price_drop":"ભાવ ઘટ્યો", "alertType.forecast":"અનુમાન",
+  "alertType.weather":"હવામાન", "alertType.msp":"MSP", "alertType.opportunity":"તક",
+
+  "pr.loading":"પ્રોફાઇલ લોડ થઈ રહી છે…", "pr.title":"ખેડૂત પ્રોફાઇલ", "pr.subtitle":"તમારો ડેટા કાયમ માટે સાચવાય છે — દરેક સત્રમાં રહે છે",
+  "pr.saved":"પ્રોફાઇલ સાચવાઈ ગઈ! ફેરફારો કાયમી છે.", "pr.acres":"{n} એકર", "pr.details":"પ્રોફાઇલ વિગતો",
+  "pr.cancel":"રદ કરો", "pr.save":"સાચવો", "pr.edit":"બદલો", "pr.notSet":"ભરેલું નથી",
+  "pr.langNote":"સ્ક્રીન, અવાજ અને ઑફલાઇન સલાહકાર આ જ ભાષામાં ચાલશે.",
+  "pr.field.name":"પૂરું નામ", "pr.field.state":"રાજ્ય", "pr.field.district":"જિલ્લો", "pr.field.farmSize":"ખેતરનું કદ (એકર)",
+  "pr.field.phone":"ફોન", "pr.field.crops":"ઉગાડાતા પાક", "pr.field.role":"ભૂમિકા",
+  "pr.income":"આવક વિશ્લેષણ (છેલ્લા 6 મહિના)", "pr.revenue":"આવક", "pr.expenses":"ખર્ચ",
+  "pr.ledger":"ખેતરનો હિસાબ ચોપડો", "pr.ledgerNote":"દરેક વેચાણ અને ખર્ચ નોંધો — ચાર્ટ અને નફાના કોષ્ટકો તેમાંથી જ ગણાય છે.",
+  "pr.ledgerEmpty":"હજી કોઈ નોંધ નથી. નીચે તમારું પહેલું વેચાણ કે ખર્ચ ઉમેરો.", "led.sale":"વેચાણ", "led.expense":"ખર્ચ",
+  "led.date":"તારીખ", "led.crop":"પાક", "led.qty":"જથ્થો (ક્વિન્ટલ)", "led.price":"ભાવ (₹/ક્વિન્ટલ)", "led.mandi":"મંડી",
+  "led.category":"પ્રકાર", "led.amount":"રકમ (₹)", "led.wholeFarm":"આખું ખેતર", "led.note":"નોંધ", "led.add":"ઉમેરો",
+  "led.invalid":"તારીખ, પાક અને રકમ ભરો (શૂન્યથી મોટી સંખ્યા).", "led.cat.seed":"બિયારણ", "led.cat.fertiliser":"ખાતર",
+  "led.cat.labour":"મજૂરી", "led.cat.transport":"વાહનવ્યવહાર", "led.cat.storage":"સંગ્રહ", "led.cat.other":"અન્ય",
+  "led.byCrop":"પાક મુજબ નફો", "led.bySeason":"મોસમ મુજબ નફો", "led.sold":"વેચાયું", "led.costs":"ખર્ચ", "led.profit":"નફો / ખોટ",
+  "led.avgPrice":"સરેરાશ ભાવ", "led.costPerQtl":"ખર્ચ/ક્વિન્ટલ", "led.breakEven":"બ્રેક-ઇવન ભાવ", "led.season":"મોસમ",
+  "led.sharedNote":"આખા ખેતરનો ખર્ચ વેચાણના પ્રમાણમાં પાકો વચ્ચે વહેંચાય છે. બ્રેક-ઇવન ભાવ એટલે પાકનો આખો ખર્ચ નીકળી જાય તેવો ઓછામાં ઓછો સરેરાશ ભાવ.",
+  "led.entries":"નોંધો", "led.delete":"નોંધ કાઢો", "led.qtl":"{n} ક્વિન્ટલ",
+  "pr.seed":"ડેમો ડેટા સીડ",
+  "pr.seedNote":"નમૂનાના ભાવ અને બજાર સરખામણી આ જ સીડમાંથી બને છે — એક જ દિવસે એક જ સીડ હંમેશા એ જ આંકડા બતાવે છે.",
+  "pr.shuffle":"બદલો", "pr.reset":"રીસેટ", "pr.storage":"કાયમી સંગ્રહ માહિતી",
+  "pr.store.profile":"પ્રોફાઇલ ડેટા", "pr.store.profile.desc":"નામ, ભૂમિકા, સ્થળ અને ખેતરની વિગતો",
+  "pr.store.chat":"AI ચેટ ઇતિહાસ", "pr.store.chat.desc":"નામવાળી સલાહકાર વાતચીત અને પિન કરેલા જવાબો",
+  "pr.store.alerts":"ચેતવણી સ્થિતિ", "pr.store.alerts.desc":"વાંચેલી/વાંચ્યા વગરની હંમેશા યાદ રહે છે",
+  "pr.store.thresholds":"ચેતવણી મર્યાદા", "pr.store.thresholds.desc":"તમારી ભાવ ચેતવણી સેટિંગ્સ, આપમેળે સાચવેલી",
+  "pr.store.prices":"માર્કેટ યાર્ડ ભાવ", "pr.store.prices.desc":"આયાત કરેલા AgMarkNet / eNAM રેકોર્ડ",
+  "pr.store.seed":"ડેમો ડેટા સીડ", "pr.store.seed.desc":"નમૂનાના ચાર્ટને ફરી એવા જ મેળવી શકાય તેવા રાખે છે",
+  "pr.store.costs":"માર્કેટ યાર્ડ ખર્ચ", "pr.store.costs.desc":"તમારા કમિશન અને બજાર ફીના પોતાના દર",
+  "pr.store.watchlist":"નજર યાદી", "pr.store.watchlist.desc":"નજર હેઠળના પાક, પાકવાર મર્યાદા અને માર્કેટ યાર્ડ",
+  "pr.store.snapshots":"ઑફલાઇન સ્નેપશૉટ", "pr.store.snapshots.desc":"નજર હેઠળના દરેક પાકનો છેલ્લો ભાવ અને અનુમાન",
+  "pr.store.queue":"ઑફલાઇન પ્રશ્નો", "pr.store.queue.desc":"કનેક્શનની રાહ જોતા સલાહકાર પ્રશ્નો",
+  "pr.store.ledger":"ખેતરનો હિસાબ ચોપડો", "pr.store.ledger.desc":"તમારાં વેચાણ અને ખર્ચ",
+  "pr.notPersistent":"કંઈ સાચવાતું નથી", "pr.notPersistentNote":"— આ બ્રાઉઝર સંગ્રહ રોકે છે, એટલે ફેરફારો ટૅબ બંધ થાય ત્યાં સુધી જ રહેશે.",
+  "pr.persistent":"ડેટા કાયમ માટે સાચવેલો છે",
+  "pr.persistentNote":"{backend} માં — બ્રાઉઝર ફરી ખોલ્યા પછી અને નવા સત્રમાં પણ રહે છે. આ ઉપકરણ પર દરેક ખાતાની પોતાની અલગ નકલ છે.",
+  "pr.browserStorage":"બ્રાઉઝર સંગ્રહ", "pr.clear":"બધો સાચવેલો ડેટા ભૂંસો",
+  "pr.clearConfirm":"આનાથી તમારા ખાતા સહિત બધો ડેટા ભૂંસાઈ જશે. આ ઉપકરણનાં બીજાં ખાતાંને અસર નહીં થાય. ચોક્કસ?",
+  "pr.cleared":"તમારો બધો AgroVue ડેટા ભૂંસી નાખ્યો. તમે લૉગ આઉટ થશો.", "pr.clearError":"ડેટા ભૂંસવામાં ભૂલ: {message}",
+
+  "auth.username":"યુઝરનેમ", "auth.password":"પાસવર્ડ", "auth.failed":"કંઈક ખોટું થયું. કૃપા કરી ફરી પ્રયાસ કરો.",
+  "auth.expired":"તમારું સત્ર પૂરું થયું. કૃપા કરી ફરી સાઇન ઇન કરો.",
+  "auth.signedOut":"થોડો સમય કોઈ પ્રવૃત્તિ ન હોવાથી અથવા સત્ર પૂરું થવાથી તમે સાઇન આઉટ થયા.",
+  "login.tagline":"ભાવ માહિતી મંચ", "login.welcome":"ફરી સ્વાગત છે", "login.subtitle":"તમારું ખેતર ડેશબોર્ડ જોવા સાઇન ઇન કરો",
+  "login.usernamePh":"તમારું યુઝરનેમ લખો", "login.passwordPh":"તમારો પાસવર્ડ લખો", "login.signIn":"સાઇન ઇન", "login.signingIn":"સાઇન ઇન થઈ રહ્યું છે…",
+  "login.noAccount":"ખાતું નથી?", "login.register":"અહીં નોંધણી કરો", "login.footer":"તમારો ડેટા સુરક્ષિત છે • સર્વરની જરૂર નથી",
+  "login.missing":"કૃપા કરી યુઝરનેમ અને પાસવર્ડ બંને લખો.", "login.notFound":"યુઝરનેમ મળ્યું નહીં. પહેલાં નોંધણી કરો.",
+  "login.tryAgainIn":"ઘણા ખોટા પ્રયાસો. {wait} પછી ફરી પ્રયાસ કરો.", "login.lockedFor":"ઘણા ખોટા પ્રયાસો. ખાતું {wait} માટે બંધ છે.",
+  "login.wrongPassword":"પાસવર્ડ ખોટો છે. કૃપા કરી ફરી પ્રયાસ કરો.",
+
+  "reg.tagline":"તમારું ખાતું બનાવો", "reg.title":"ખાતું બનાવો", "reg.subtitle":"AgroVue વાપરતા હજારો ખેડૂતો સાથે જોડાઓ",
+  "reg.usernamePh":"યુઝરનેમ પસંદ કરો", "reg.namePh":"તમારું પૂરું નામ", "reg.statePh":"દા.ત. ગુજરાત",
+  "reg.phone":"ફોન (વૈકલ્પિક)", "reg.phonePh":"મોબાઇલ નંબર", "reg.passwordPh":"ઓછામાં ઓછા 6 અક્ષર",
+  "reg.confirm":"પાસવર્ડ ફરી", "reg.confirmPh":"પાસવર્ડ ફરી લખો",
+  "reg.weak":"નબળો", "reg.fair":"ઠીક", "reg.good":"સારો", "reg.strong":"મજબૂત",
+  "reg.creating":"ખાતું બની રહ્યું છે…", "reg.haveAccount":"પહેલેથી ખાતું છે?", "reg.footer":"ડેટા તમારા બ્રાઉઝરમાં જ રહે છે • ખાનગી અને સુરક્ષિત",
+  "reg.created":"ખાતું બની ગયું! સાઇન ઇન થઈ રહ્યું છે…",
+  "reg.err.username":"યુઝરનેમ જરૂરી છે.", "reg.err.usernameShort":"યુઝરનેમ ઓછામાં ઓછા 3 અક્ષરનું હોવું જોઈએ.",
+  "reg.err.usernameChars":"યુઝરનેમ: ફક્ત અક્ષરો, અંકો અને અંડરસ્કોર.", "reg.err.password":"પાસવર્ડ જરૂરી છે.",
+  "reg.err.passwordShort":"પાસવર્ડ ઓછામાં ઓછા 6 અક્ષરનો હોવો જોઈએ.", "reg.err.mismatch":"બંને પાસવર્ડ મેળ ખાતા નથી.",
+  "reg.err.name":"પૂરું નામ જરૂરી છે.", "reg.err.taken":"આ યુઝરનેમ પહેલેથી લેવાયેલું છે. બીજું પસંદ કરો.",
+  "vc.title":"અવાજથી ચલાવો", "vc.listening":"સાંભળું છું… બોલો \"અલર્ટ ખોલો\", \"ડુંગળી બતાવો\" અથવા \"અનુમાન વાંચો\"",
+  "vc.opened":"{tab} ખોલું છું.", "vc.crop":"{crop} બતાવું છું.", "vc.alert":"{crop} માટે અલર્ટ મૂક્યો: {target}.",
+  "vc.notUnderstood":"માફ કરશો, આદેશ સમજાયો નહીં. બોલો \"અલર્ટ ખોલો\", \"ડુંગળી બતાવો\" અથવા \"ડેશબોર્ડ વાંચો\".",
+  "vc.unsupported":"અવાજથી ચલાવવા ઇન્ટરનેટ સાથે Chrome અથવા Edge, અથવા ડિવાઇસ પર વૉઇસ મોડેલ જોઈએ.", "vc.micError":"માઇકમાં તકલીફ: {error}",
+  "vc.bye":"ઠીક છે, વાતચીત પૂરી કરું છું. જરૂર પડે ત્યારે માઇક દબાવો.",
+  "say.dashboard":"{crop}. હાલનો ભાવ {price}, ગયા મહિના કરતાં {pct} ટકા {move}. સાત દિવસનું અનુમાન {fc}. 24 મહિનાનો સૌથી ઊંચો {high}. બજારમાં આવક {volume} ટન. ભાવ {date} સુધીના.",
+  "say.up":"વધ્યો", "say.down":"ઘટ્યો", "say.forecast":"{crop} નું {model} અનુમાન, આગામી {n} દિવસ.",
+  "say.row":"{date}: {price}, {low} થી {high} વચ્ચે.", "say.last":"{date} સુધીમાં: {price}.",
+};
+
+const kn = {
+  "nav.dashboard":"ಡ್ಯಾಶ್‌ಬೋರ್ಡ್", "nav.predict":"ಬೆಲೆ ಮುನ್ಸೂಚನೆ", "nav.market":"ಮಾರುಕಟ್ಟೆ ಮಾಹಿತಿ", "nav.advisor":"AI ಸಲಹೆಗಾರ",
+  "nav.voice":"ಧ್ವನಿ", "nav.alerts":"ಎಚ್ಚರಿಕೆಗಳು", "nav.profile":"ಪ್ರೊಫೈಲ್",
+  "nav.tagline":"ಬೆಲೆ ಮಾಹಿತಿ", "nav.logout":"ಲಾಗ್‌ಔಟ್", "nav.signOut":"ಸೈನ್ ಔಟ್", "nav.offline":"ಆಫ್‌ಲೈನ್",
+  "common.language":"ಭಾಷೆ", "common.watch":"{crop} ಗಮನಿಸಿ", "common.unwatch":"{crop} ಗಮನಿಸುವುದನ್ನು ನಿಲ್ಲಿಸಿ",
+  "role.Farmer":"ರೈತ", "role.Trader":"ವ್ಯಾಪಾರಿ", "role.Admin":"ನಿರ್ವಾಹಕ", "role.Researcher":"ಸಂಶೋಧಕ",
+  "unit.perQtl":"/ಕ್ವಿಂಟಾಲ್", "unit.mt":"ಟನ್", "num.lakh":"ಲಕ್ಷ", "num.crore":"ಕೋಟಿ",
+
+  "dash.title":"ಮಾರುಕಟ್ಟೆ ಮಾಹಿತಿ ಡ್ಯಾಶ್‌ಬೋರ್ಡ್", "dash.currentPrice":"ಪ್ರಸ್ತುತ ಬೆಲೆ", "dash.vsLastMonth":"ಕಳೆದ ತಿಂಗಳಿಗಿಂತ {pct}%",
+  "dash.forecast7":"7 ದಿನಗಳ ಮುನ್ಸೂಚನೆ", "dash.bullish":"ಏರಿಕೆಯ ಪ್ರವೃತ್ತಿ", "dash.bearish":"ಇಳಿಕೆಯ ಪ್ರವೃತ್ತಿ",
+  "dash.high24":"24 ತಿಂಗಳ ಗರಿಷ್ಠ", "dash.bestPrice":"ದಾಖಲಾದ ಅತ್ಯುತ್ತಮ ಬೆಲೆ", "dash.volume":"ಮಾರುಕಟ್ಟೆ ಆವಕ", "dash.arrivals":"ಇಂದಿನ ಆವಕ",
+  "dash.history":"{crop} — 24 ತಿಂಗಳ ಇತಿಹಾಸ", "dash.price":"ಬೆಲೆ", "dash.allCrops":"ಎಲ್ಲಾ ಬೆಳೆಗಳು",
+  "dash.insight":"{crop} ಗಾಗಿ AI ಒಳನೋಟ", "dash.season":"ಋತು: {season}", "dash.harvest":"ಕೊಯ್ಲು: {months}",
+  "dash.asOf":"{date} ರಂತೆ", "dash.ageNote":"ಬೆಲೆಗಳು ಕೊನೆಯದಾಗಿ {ago} ನವೀಕರಿಸಲಾಗಿದೆ", "dash.offline":"ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ — ಗಮನಿಸುತ್ತಿರುವ ಬೆಳೆಗಳ ಕೊನೆಯ ಉಳಿಸಿದ ಬೆಲೆಗಳು ಮತ್ತು ಮುನ್ಸೂಚನೆಗಳು",
+
+  "fc.title":"AI ಬೆಲೆ ಮುನ್ಸೂಚನೆ ಎಂಜಿನ್",
+  "fc.subtitle":"ಪ್ರತಿ ಬೆಳೆಯ ಬೆಲೆ ಇತಿಹಾಸದ ಮೇಲೆ ನಿಮ್ಮ ಬ್ರೌಸರ್‌ನಲ್ಲೇ ಹೊಂದಿಸಿದ ಸಂಖ್ಯಾಶಾಸ್ತ್ರೀಯ ಮಾದರಿಗಳು, ದೋಷ ಆಧಾರಿತ ವಿಶ್ವಾಸ ವ್ಯಾಪ್ತಿಯೊಂದಿಗೆ",
+  "fc.crop":"ಬೆಳೆ", "fc.model":"AI ಮಾದರಿ", "fc.horizon":"ಅವಧಿ", "fc.days":"{n} ದಿನಗಳು", "fc.run":"ಮುನ್ಸೂಚನೆ ನಡೆಸಿ", "fc.running":"ನಡೆಯುತ್ತಿದೆ...",
+  "fc.accuracy":"ಬ್ಯಾಕ್‌ಟೆಸ್ಟ್ ನಿಖರತೆ", "fc.inBand":"RMSE {rmse} · {pct}% ವ್ಯಾಪ್ತಿಯಲ್ಲಿ",
+  "fc.chartTitle":"{crop} — {model} ಮುನ್ಸೂಚನೆ", "fc.bandNote":"95% ವಿಶ್ವಾಸ ವ್ಯಾಪ್ತಿಯೊಂದಿಗೆ {n} ದಿನಗಳ ಮುನ್ಸೂಚನೆ",
+  "fc.configure":"ಮೇಲೆ ಆಯ್ಕೆ ಮಾಡಿ ಮುನ್ಸೂಚನೆ ನಡೆಸಿ", "fc.empty":"ಮಾದರಿ ಆಯ್ಕೆ ಮಾಡಿ ಮುನ್ಸೂಚನೆ ನಡೆಸಿ ಒತ್ತಿ", "fc.starting":"{model} ಪ್ರಾರಂಭವಾಗುತ್ತಿದೆ",
+  "fc.upperCI":"ಮೇಲಿನ ಮಿತಿ", "fc.lowerCI":"ಕೆಳಗಿನ ಮಿತಿ", "fc.historical":"ಹಿಂದಿನ ಬೆಲೆಗಳು", "fc.predicted":"ಅಂದಾಜು",
+  "fc.table":"ದೈನಂದಿನ ಮುನ್ಸೂಚನೆ ಕೋಷ್ಟಕ", "fc.date":"ದಿನಾಂಕ", "fc.trend":"ಪ್ರವೃತ್ತಿ", "fc.confidence":"ವಿಶ್ವಾಸ", "fc.up":"ಏರಿಕೆ", "fc.down":"ಇಳಿಕೆ",
+  "fc.backtest":"ಬ್ಯಾಕ್‌ಟೆಸ್ಟ್ — {crop}",
+  "fc.backtestNote":"ಪಕ್ಕಕ್ಕಿಟ್ಟ ಪ್ರತಿ ತಿಂಗಳನ್ನು ಅದರ ಹಿಂದಿನ ದತ್ತಾಂಶದಿಂದ ಒಂದು ತಿಂಗಳು ಮುಂಚಿತವಾಗಿ ಅಂದಾಜಿಸಿ, ನಂತರ ನಿಜವಾದ ಬೆಲೆಯೊಂದಿಗೆ ಹೋಲಿಸಲಾಗುತ್ತದೆ",
+  "fc.lastMonths":"ಕಳೆದ {n} ತಿಂಗಳು", "fc.upperBand":"ಮೇಲಿನ ವ್ಯಾಪ್ತಿ", "fc.lowerBand":"ಕೆಳಗಿನ ವ್ಯಾಪ್ತಿ", "fc.realised":"ನಿಜವಾದ ಬೆಲೆ",
+  "fc.modelForecast":"{model} ಮುನ್ಸೂಚನೆ", "fc.colModel":"ಮಾದರಿ", "fc.coverage":"ವ್ಯಾಪ್ತಿಯಲ್ಲಿ", "fc.backtesting":"ಮಾದರಿಗಳನ್ನು ಪರೀಕ್ಷಿಸಲಾಗುತ್ತಿದೆ…",
+
+  "al.loading":"ಎಚ್ಚರಿಕೆಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…", "al.title":"ಸ್ಮಾರ್ಟ್ ಎಚ್ಚರಿಕೆಗಳು", "al.unread":"{n} ಓದದವು", "al.markRead":"ಎಲ್ಲವನ್ನೂ ಓದಿದಂತೆ ಗುರುತಿಸಿ",
+  "al.empty":"ಇನ್ನೂ ಎಚ್ಚರಿಕೆಗಳಿಲ್ಲ — ಆಮದು ಮಾಡಿದ ಬೆಲೆಗಳು ಅಥವಾ ಗಮನಿಸುತ್ತಿರುವ ಬೆಳೆಯ ಹೊಸ ಮುನ್ಸೂಚನೆ ನಿಮ್ಮ ಮಿತಿ ದಾಟಿದಾಗ ಕಾಣಿಸುತ್ತವೆ.",
+  "al.thresholds":"ಎಚ್ಚರಿಕೆ ಮಿತಿಗಳು", "al.rise":"ಬೆಲೆ ಏರಿಕೆ ಎಚ್ಚರಿಕೆ (%)", "al.drop":"ಬೆಲೆ ಇಳಿಕೆ ಎಚ್ಚರಿಕೆ (%)", "al.trigger":"ಎಚ್ಚರಿಕೆ ಮಿತಿ",
+  "al.watching":"ಗಮನದಲ್ಲಿರುವವು", "al.nothingWatched":"ಯಾವ ಬೆಳೆಯೂ ಗಮನದಲ್ಲಿಲ್ಲ — ಕೆಳಗೆ ಬೆಳೆ ಸೇರಿಸಿ.",
+  "al.riseTitle":"ಈ ಬೆಳೆಗೆ ಏರಿಕೆ ಎಚ್ಚರಿಕೆ % (ಖಾಲಿ = ಸಾಮಾನ್ಯ)", "al.dropTitle":"ಈ ಬೆಳೆಗೆ ಇಳಿಕೆ ಎಚ್ಚರಿಕೆ % (ಖಾಲಿ = ಸಾಮಾನ್ಯ)",
+  "al.mandiTitle":"ಆದ್ಯತೆಯ ಮಂಡಿ", "al.anyMandi":"ಯಾವುದೇ ಮಂಡಿ", "al.addCrop":"ಬೆಳೆ ಸೇರಿಸಿ…", "al.add":"ಸೇರಿಸಿ",
+  "al.above":"{price} ಮೇಲೆ", "al.below":"{price} ಕೆಳಗೆ", "al.clearTarget":"ಈ ಬೆಲೆ ಗುರಿಯನ್ನು ತೆಗೆದುಹಾಕಿ",
+  "al.notifications":"ಬ್ರೌಸರ್ ಅಧಿಸೂಚನೆಗಳು", "al.on":"ಆನ್", "al.off":"ಆಫ್",
+  "al.unsupported":"ಈ ಬ್ರೌಸರ್ ಅಧಿಸೂಚನೆಗಳನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ.",
+  "al.blocked":"ಅಧಿಸೂಚನೆಗಳನ್ನು ತಡೆಯಲಾಗಿದೆ — ಬ್ರೌಸರ್‌ನ ಸೈಟ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ ಅನುಮತಿಸಿ.",
+  "al.notifyNote":"AgroVue ಹಿನ್ನೆಲೆಯಲ್ಲಿದ್ದರೂ ತೀವ್ರ ಎಚ್ಚರಿಕೆಗಳು ಕಾಣಿಸುತ್ತವೆ. ಬೆಳೆ ತೆರೆಯಲು ಎಚ್ಚರಿಕೆಯನ್ನು ಕ್ಲಿಕ್ ಮಾಡಿ.",
+  "al.quiet":"ನಿಶ್ಶಬ್ದ ಸಮಯ", "al.to":"ರಿಂದ",
+  "sev.high":"ತೀವ್ರ", "sev.medium":"ಮಧ್ಯಮ", "sev.low":"ಕಡಿಮೆ",
+  "alertType.price_rise":"ಬೆಲೆ ಏರಿಕೆ", "alertType.price_drop":"ಬೆಲೆ ಇಳಿಕೆ", "alertType.forecast":"ಮುನ್ಸೂಚನೆ",
+  "alertType.weather":"ಹವಾಮಾನ", "alertType.msp":"MSP", "alertType.opportunity":"ಅವಕಾಶ",
+
+  "pr.loading":"ಪ್ರೊಫೈಲ್ ಲೋಡ್ ಆಗುತ್ತಿದೆ…", "pr.title":"ರೈತ ಪ್ರೊಫೈಲ್", "pr.subtitle":"ನಿಮ್ಮ ದತ್ತಾಂಶ ಶಾಶ್ವತವಾಗಿ ಉಳಿಸಲಾಗುತ್ತದೆ — ಪ್ರತಿ ಸೆಷನ್‌ನಲ್ಲೂ ಇರುತ್ತದೆ",
+  "pr.saved":"ಪ್ರೊಫೈಲ್ ಉಳಿಸಲಾಗಿದೆ! ಬದಲಾವಣೆಗಳು ಶಾಶ್ವತ.", "pr.acres":"{n} ಎಕರೆ", "pr.details":"ಪ್ರೊಫೈಲ್ ವಿವರಗಳು",
+  "pr.cancel":"ರದ್ದು", "pr.save":"ಉಳಿಸಿ", "pr.edit":"ತಿದ್ದಿ", "pr.notSet":"ನೀಡಿಲ್ಲ",
+  "pr.langNote":"ಪರದೆಗಳು, ಧ್ವನಿ ಮತ್ತು ಆಫ್‌ಲೈನ್ ಸಲಹೆಗಾರ ಇದೇ ಭಾಷೆಯಲ್ಲಿ ಕೆಲಸ ಮಾಡುತ್ತವೆ.",
+  "pr.field.name":"ಪೂರ್ಣ ಹೆಸರು", "pr.field.state":"ರಾಜ್ಯ", "pr.field.district":"ಜಿಲ್ಲೆ", "pr.field.farmSize":"ಜಮೀನಿನ ಗಾತ್ರ (ಎಕರೆ)",
+  "pr.field.phone":"ಫೋನ್", "pr.field.crops":"ಬೆಳೆಯುವ ಬೆಳೆಗಳು", "pr.field.role":"ಪಾತ್ರ",
+  "pr.income":"ಆದಾಯ ವಿಶ್ಲೇಷಣೆ (ಕಳೆದ 6 ತಿಂಗಳು)", "pr.revenue":"ಆದಾಯ", "pr.expenses":"ವೆಚ್ಚಗಳು",
+  "pr.ledger":"ಕೃಷಿ ಲೆಕ್ಕ ಪುಸ್ತಕ", "pr.ledgerNote":"ಪ್ರತಿ ಮಾರಾಟ ಮತ್ತು ವೆಚ್ಚವನ್ನು ದಾಖಲಿಸಿ — ಚಾರ್ಟ್ ಮತ್ತು ಲಾಭದ ಕೋಷ್ಟಕಗಳನ್ನು ಅವುಗಳಿಂದಲೇ ಲೆಕ್ಕಹಾಕಲಾಗುತ್ತದೆ.",
+  "pr.ledgerEmpty":"ಇನ್ನೂ ಯಾವುದೇ ದಾಖಲೆಗಳಿಲ್ಲ. ಕೆಳಗೆ ನಿಮ್ಮ ಮೊದಲ ಮಾರಾಟ ಅಥವಾ ವೆಚ್ಚವನ್ನು ಸೇರಿಸಿ.", "led.sale":"ಮಾರಾಟ",
+  "led.expense":"ವೆಚ್ಚ", "led.date":"ದಿನಾಂಕ", "led.crop":"ಬೆಳೆ", "led.qty":"ಪ್ರಮಾಣ (ಕ್ವಿಂಟಾಲ್)", "led.price":"ಬೆಲೆ (₹/ಕ್ವಿಂಟಾಲ್)",
+  "led.mandi":"ಮಂಡಿ", "led.category":"ವರ್ಗ", "led.amount":"ಮೊತ್ತ (₹)", "led.wholeFarm":"ಇಡೀ ಹೊಲ", "led.note":"ಟಿಪ್ಪಣಿ",
+  "led.add":"ಸೇರಿಸಿ", "led.invalid":"ದಿನಾಂಕ, ಬೆಳೆ ಮತ್ತು ಮೊತ್ತಗಳನ್ನು ತುಂಬಿ (ಸೊನ್ನೆಗಿಂತ ಹೆಚ್ಚಿನ ಸಂಖ್ಯೆಗಳು).", "led.cat.seed":"ಬೀಜ",
+  "led.cat.fertiliser":"ಗೊಬ್ಬರ", "led.cat.labour":"ಕೂಲಿ", "led.cat.transport":"ಸಾಗಣೆ", "led.cat.storage":"ಸಂಗ್ರಹಣೆ",
+  "led.cat.other":"ಇತರೆ", "led.byCrop":"ಬೆಳೆವಾರು ಲಾಭ", "led.bySeason":"ಹಂಗಾಮುವಾರು ಲಾಭ", "led.sold":"ಮಾರಿದ್ದು", "led.costs":"ವೆಚ್ಚಗಳು",
+  "led.profit":"ಲಾಭ / ನಷ್ಟ", "led.avgPrice":"ಸರಾಸರಿ ಬೆಲೆ", "led.costPerQtl":"ವೆಚ್ಚ/ಕ್ವಿಂಟಾಲ್", "led.breakEven":"ಸಮತೋಲನ ಬೆಲೆ",
+  "led.season":"ಹಂಗಾಮು", "led.sharedNote":"ಇಡೀ ಹೊಲದ ವೆಚ್ಚಗಳನ್ನು ಮಾರಾಟದ ಅನುಪಾತದಲ್ಲಿ ಬೆಳೆಗಳಿಗೆ ಹಂಚಲಾಗುತ್ತದೆ. ಸಮತೋಲನ ಬೆಲೆ ಎಂದರೆ ಬೆಳೆಯ ಎಲ್ಲಾ ವೆಚ್ಚವನ್ನು ತೀರಿಸುವ ಕನಿಷ್ಠ ಸರಾಸರಿ ಬೆಲೆ.",
+  "led.entries":"ದಾಖಲೆಗಳು", "led.delete":"ದಾಖಲೆ ಅಳಿಸಿ", "led.qtl":"{n} ಕ್ವಿಂಟಾಲ್",
+  "pr.seed":"ಡೆಮೊ ದತ್ತಾಂಶ ಸೀಡ್",
+  "pr.seedNote":"ಮಾದರಿ ಬೆಲೆಗಳು ಮತ್ತು ಮಾರುಕಟ್ಟೆ ಹೋಲಿಕೆಗಳು ಇದೇ ಸೀಡ್‌ನಿಂದ ಬರುತ್ತವೆ — ಒಂದೇ ದಿನ ಒಂದೇ ಸೀಡ್ ಯಾವಾಗಲೂ ಅದೇ ಸಂಖ್ಯೆಗಳನ್ನು ತೋರಿಸುತ್ತದೆ.",
+  "pr.shuffle":"ಬದಲಿಸಿ", "pr.reset":"ಮರುಹೊಂದಿಸಿ", "pr.storage":"ಶಾಶ್ವತ ಸಂಗ್ರಹ ಮಾಹಿತಿ",
+  "pr.store.profile":"ಪ್ರೊಫೈಲ್ ದತ್ತಾಂಶ", "pr.store.profile.desc":"ಹೆಸರು, ಪಾತ್ರ, ಸ್ಥಳ ಮತ್ತು ಜಮೀನಿನ ವಿವರ",
+  "pr.store.chat":"AI ಚಾಟ್ ಇತಿಹಾಸ", "pr.store.chat.desc":"ಹೆಸರಿಸಿದ ಸಲಹೆಗಾರ ಸಂಭಾಷಣೆಗಳು ಮತ್ತು ಪಿನ್ ಮಾಡಿದ ಉತ್ತರಗಳು",
+  "pr.store.alerts":"ಎಚ್ಚರಿಕೆ ಸ್ಥಿತಿ", "pr.store.alerts.desc":"ಓದಿದವು/ಓದದವು ಯಾವಾಗಲೂ ನೆನಪಿರುತ್ತವೆ",
+  "pr.store.thresholds":"ಎಚ್ಚರಿಕೆ ಮಿತಿಗಳು", "pr.store.thresholds.desc":"ನಿಮ್ಮ ಬೆಲೆ ಎಚ್ಚರಿಕೆ ಸೆಟ್ಟಿಂಗ್‌ಗಳು, ಸ್ವಯಂ ಉಳಿಸಲಾಗಿದೆ",
+  "pr.store.prices":"ಮಂಡಿ ಬೆಲೆಗಳು", "pr.store.prices.desc":"ಆಮದು ಮಾಡಿದ AgMarkNet / eNAM ದಾಖಲೆಗಳು",
+  "pr.store.seed":"ಡೆಮೊ ದತ್ತಾಂಶ ಸೀಡ್", "pr.store.seed.desc":"ಮಾದರಿ ಚಾರ್ಟ್‌ಗಳನ್ನು ಮತ್ತೆ ಅದೇ ರೀತಿ ಪಡೆಯುವಂತೆ ಇಡುತ್ತದೆ",
+  "pr.store.costs":"ಮಂಡಿ ವೆಚ್ಚಗಳು", "pr.store.costs.desc":"ನಿಮ್ಮ ಕಮಿಷನ್ ಮತ್ತು ಮಾರುಕಟ್ಟೆ ಶುಲ್ಕದ ಸ್ವಂತ ದರಗಳು",
+  "pr.store.watchlist":"ಗಮನ ಪಟ್ಟಿ", "pr.store.watchlist.desc":"ಗಮನಿಸುವ ಬೆಳೆಗಳು, ಬೆಳೆವಾರು ಮಿತಿಗಳು ಮತ್ತು ಮಂಡಿಗಳು",
+  "pr.store.snapshots":"ಆಫ್‌ಲೈನ್ ಸ್ನ್ಯಾಪ್‌ಶಾಟ್‌ಗಳು", "pr.store.snapshots.desc":"ಗಮನಿಸುತ್ತಿರುವ ಪ್ರತಿ ಬೆಳೆಯ ಕೊನೆಯ ಬೆಲೆ & ಮುನ್ಸೂಚನೆ",
+  "pr.store.queue":"ಆಫ್‌ಲೈನ್ ಪ್ರಶ್ನೆಗಳು", "pr.store.queue.desc":"ಸಂಪರ್ಕಕ್ಕಾಗಿ ಕಾಯುತ್ತಿರುವ ಸಲಹೆಗಾರ ಪ್ರಶ್ನೆಗಳು",
+  "pr.store.ledger":"ಕೃಷಿ ಲೆಕ್ಕ ಪುಸ್ತಕ", "pr.store.ledger.desc":"ನಿಮ್ಮ ಮಾರಾಟ ಮತ್ತು ವೆಚ್ಚಗಳು",
+  "pr.notPersistent":"ಏನನ್ನೂ ಉಳಿಸಲಾಗುತ್ತಿಲ್ಲ", "pr.notPersistentNote":"— ಈ ಬ್ರೌಸರ್ ಸಂಗ್ರಹವನ್ನು ತಡೆಯುತ್ತದೆ, ಹಾಗಾಗಿ ಟ್ಯಾಬ್ ಮುಚ್ಚುವವರೆಗೆ ಮಾತ್ರ ಬದಲಾವಣೆಗಳು ಇರುತ್ತವೆ.",
+  "pr.persistent":"ದತ್ತಾಂಶ ಶಾಶ್ವತವಾಗಿ ಉಳಿದಿದೆ",
+  "pr.persistentNote":"{backend} ನಲ್ಲಿ — ಬ್ರೌಸರ್ ಮತ್ತೆ ತೆರೆದರೂ ಹೊಸ ಸೆಷನ್‌ನಲ್ಲೂ ಇರುತ್ತದೆ. ಈ ಸಾಧನದಲ್ಲಿ ಪ್ರತಿ ಖಾತೆಗೆ ತನ್ನದೇ ಪ್ರತಿ ಇದೆ.",
+  "pr.browserStorage":"ಬ್ರೌಸರ್ ಸಂಗ್ರಹ", "pr.clear":"ಉಳಿಸಿದ ಎಲ್ಲಾ ದತ್ತಾಂಶ ಅಳಿಸಿ",
+  "pr.clearConfirm":"ಇದು ನಿಮ್ಮ ಖಾತೆಯೂ ಸೇರಿದಂತೆ ಎಲ್ಲಾ ದತ್ತಾಂಶವನ್ನು ಅಳಿಸುತ್ತದೆ. ಈ ಸಾಧನದ ಇತರ ಖಾತೆಗಳಿಗೆ ತೊಂದರೆಯಿಲ್ಲ. ಖಚಿತವೇ?",
+  "pr.cleared":"ನಿಮ್ಮ ಎಲ್ಲಾ AgroVue ದತ್ತಾಂಶ ಅಳಿಸಲಾಗಿದೆ. ನೀವು ಲಾಗ್ ಔಟ್ ಆಗುತ್ತೀರಿ.", "pr.clearError":"ದತ್ತಾಂಶ ಅಳಿಸುವಲ್ಲಿ ದೋಷ: {message}",
+
+  "auth.username":"ಬಳಕೆದಾರ ಹೆಸರು", "auth.password":"ಪಾಸ್‌ವರ್ಡ್", "auth.failed":"ಏನೋ ತಪ್ಪಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "auth.expired":"ನಿಮ್ಮ ಸೆಷನ್ ಮುಗಿದಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಸೈನ್ ಇನ್ ಮಾಡಿ.",
+  "auth.signedOut":"ಸ್ವಲ್ಪ ಸಮಯ ಚಟುವಟಿಕೆ ಇಲ್ಲದ್ದರಿಂದ ಅಥವಾ ಸೆಷನ್ ಮುಗಿದಿದ್ದರಿಂದ ನೀವು ಸೈನ್ ಔಟ್ ಆಗಿದ್ದೀರಿ.",
+  "login.tagline":"ಬೆಲೆ ಮಾಹಿತಿ ವೇದಿಕೆ", "login.welcome":"ಮರಳಿ ಸ್ವಾಗತ", "login.subtitle":"ನಿಮ್ಮ ಜಮೀನಿನ ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ ನೋಡಲು ಸೈನ್ ಇನ್ ಮಾಡಿ",
+  "login.usernamePh":"ನಿಮ್ಮ ಬಳಕೆದಾರ ಹೆಸರು ನಮೂದಿಸಿ", "login.passwordPh":"ನಿಮ್ಮ ಪಾಸ್‌ವರ್ಡ್ ನಮೂದಿಸಿ", "login.signIn":"ಸೈನ್ ಇನ್", "login.signingIn":"ಸೈನ್ ಇನ್ ಆಗುತ್ತಿದೆ…",
+  "login.noAccount":"ಖಾತೆ ಇಲ್ಲವೇ?", "login.register":"ಇಲ್ಲಿ ನೋಂದಾಯಿಸಿ", "login.footer":"ನಿಮ್ಮ ದತ್ತಾಂಶ ಸುರಕ್ಷಿತ • ಸರ್ವರ್ ಅಗತ್ಯವಿಲ್ಲ",
+  "login.missing":"ದಯವಿಟ್ಟು ಬಳಕೆದಾರ ಹೆಸರು ಮತ್ತು ಪಾಸ್‌ವರ್ಡ್ ಎರಡನ್ನೂ ನಮೂದಿಸಿ.", "login.notFound":"ಬಳಕೆದಾರ ಹೆಸರು ಸಿಗಲಿಲ್ಲ. ಮೊದಲು ನೋಂದಾಯಿಸಿ.",
+  "login.tryAgainIn":"ಹಲವು ವಿಫಲ ಪ್ರಯತ್ನಗಳು. {wait} ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.", "login.lockedFor":"ಹಲವು ವಿಫಲ ಪ್ರಯತ್ನಗಳು. ಖಾತೆಯನ್ನು {wait} ಕಾಲ ಲಾಕ್ ಮಾಡಲಾಗಿದೆ.",
+  "login.wrongPassword":"ಪಾಸ್‌ವರ್ಡ್ ತಪ್ಪು. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+
+  "reg.tagline":"ನಿಮ್ಮ ಖಾತೆ ರಚಿಸಿ", "reg.title":"ಖಾತೆ ರಚಿಸಿ", "reg.subtitle":"AgroVue ಬಳಸುವ ಸಾವಿರಾರು ರೈತರೊಂದಿಗೆ ಸೇರಿ",
+  "reg.usernamePh":"ಬಳಕೆದಾರ ಹೆಸರು ಆರಿಸಿ", "reg.namePh":"ನಿಮ್ಮ ಪೂರ್ಣ ಹೆಸರು", "reg.statePh":"ಉದಾ. ಕರ್ನಾಟಕ",
+  "reg.phone":"ಫೋನ್ (ಐಚ್ಛಿಕ)", "reg.phonePh":"ಮೊಬೈಲ್ ಸಂಖ್ಯೆ", "reg.passwordPh":"ಕನಿಷ್ಠ 6 ಅಕ್ಷರಗಳು",
+  "reg.confirm":"ಪಾಸ್‌ವರ್ಡ್ ದೃಢೀಕರಿಸಿ", "reg.confirmPh":"ಪಾಸ್‌ವರ್ಡ್ ಮತ್ತೆ ನಮೂದಿಸಿ",
+  "reg.weak":"ದುರ್ಬಲ", "reg.fair":"ಪರವಾಗಿಲ್ಲ", "reg.good":"ಉತ್ತಮ", "reg.strong":"ಬಲಿಷ್ಠ",
+  "reg.creating":"ಖಾತೆ ರಚಿಸಲಾಗುತ್ತಿದೆ…", "reg.haveAccount":"ಈಗಾಗಲೇ ಖಾತೆ ಇದೆಯೇ?", "reg.footer":"ದತ್ತಾಂಶ ನಿಮ್ಮ ಬ್ರೌಸರ್‌ನಲ್ಲೇ ಇರುತ್ತದೆ • ಖಾಸಗಿ ಮತ್ತು ಸುರಕ್ಷಿತ",
+  "reg.created":"ಖಾತೆ ರಚಿಸಲಾಗಿದೆ! ಸೈನ್ ಇನ್ ಆಗುತ್ತಿದೆ…",
+  "reg.err.username":"ಬಳಕೆದಾರ ಹೆಸರು ಅಗತ್ಯ.", "reg.err.usernameShort":"ಬಳಕೆದಾರ ಹೆಸರು ಕನಿಷ್ಠ 3 ಅಕ್ಷರಗಳಿರಬೇಕು.",
+  "reg.err.usernameChars":"ಬಳಕೆದಾರ ಹೆಸರು: ಅಕ್ಷರಗಳು, ಸಂಖ್ಯೆಗಳು, ಅಂಡರ್‌ಸ್ಕೋರ್ ಮಾತ್ರ.", "reg.err.password":"ಪಾಸ್‌ವರ್ಡ್ ಅಗತ್ಯ.",
+  "reg.err.passwordShort":"ಪಾಸ್‌ವರ್ಡ್ ಕನಿಷ್ಠ 6 ಅಕ್ಷರಗಳಿರಬೇಕು.", "reg.err.mismatch":"ಪಾಸ್‌ವರ್ಡ್‌ಗಳು ಹೊಂದುತ್ತಿಲ್ಲ.",
+  "reg.err.name":"ಪೂರ್ಣ ಹೆಸರು ಅಗತ್ಯ.", "reg.err.taken":"ಈ ಬಳಕೆದಾರ ಹೆಸರು ಈಗಾಗಲೇ ಬಳಕೆಯಲ್ಲಿದೆ. ಬೇರೆ ಆರಿಸಿ.",
+  "vc.title":"ಧ್ವನಿ ಆಜ್ಞೆಗಳು", "vc.listening":"ಕೇಳುತ್ತಿದ್ದೇನೆ… \"ಎಚ್ಚರಿಕೆಗಳನ್ನು ತೆರೆ\", \"ಈರುಳ್ಳಿ ತೋರಿಸು\" ಅಥವಾ \"ಮುನ್ಸೂಚನೆ ಓದು\" ಎಂದು ಹೇಳಿ",
+  "vc.opened":"{tab} ತೆರೆಯುತ್ತಿದ್ದೇನೆ.", "vc.crop":"{crop} ತೋರಿಸುತ್ತಿದ್ದೇನೆ.", "vc.alert":"{crop} ಗೆ ಎಚ್ಚರಿಕೆ ಹೊಂದಿಸಲಾಗಿದೆ: {target}.",
+  "vc.notUnderstood":"ಕ್ಷಮಿಸಿ, ಆಜ್ಞೆ ಅರ್ಥವಾಗಲಿಲ್ಲ. \"ಎಚ್ಚರಿಕೆಗಳನ್ನು ತೆರೆ\", \"ಈರುಳ್ಳಿ ತೋರಿಸು\" ಅಥವಾ \"ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ ಓದು\" ಎಂದು ಪ್ರಯತ್ನಿಸಿ.",
+  "vc.unsupported":"ಧ್ವನಿ ಆಜ್ಞೆಗಳಿಗೆ ಇಂಟರ್ನೆಟ್‌ನೊಂದಿಗೆ Chrome ಅಥವಾ Edge, ಅಥವಾ ಸಾಧನದಲ್ಲಿ ಧ್ವನಿ ಮಾದರಿ ಬೇಕು.", "vc.micError":"ಮೈಕ್ ದೋಷ: {error}",
+  "vc.bye":"ಸರಿ, ಸಂಭಾಷಣೆ ಮುಗಿಸುತ್ತೇನೆ. ಬೇಕಾದಾಗ ಮೈಕ್ ಒತ್ತಿ.",
+  "say.dashboard":"{crop}. ಈಗಿನ ಬೆಲೆ {price}, ಕಳೆದ ತಿಂಗಳಿಗಿಂತ {pct} ಶೇಕಡಾ {move}. ಏಳು ದಿನಗಳ ಮುನ್ಸೂಚನೆ {fc}. 24 ತಿಂಗಳ ಗರಿಷ್ಠ {high}. ಮಾರುಕಟ್ಟೆ ಆವಕ {volume} ಟನ್. ಬೆಲೆಗಳು {date} ರಂತೆ.",
+  "say.up":"ಏರಿಕೆ", "say.down":"ಇಳಿಕೆ", "say.forecast":"{crop} ಗೆ {model} ಮುನ್ಸೂಚನೆ, ಮುಂದಿನ {n} ದಿನಗಳು.",
+  "say.row":"{date}: {price}, {low} ರಿಂದ {high} ನಡುವೆ.", "say.last":"{date} ರೊಳಗೆ: {price}.",
+};
+
+export const MESSAGES = { en, hi, pa, te, ta, mr, gu, kn };
@@ -0,0 +1,54 @@
+// ─── STORAGE SCHEMA MIGRATIONS ────────────────────────────────────────────────
+// One list of steps per persisted key. A value stored at version n runs through
+// steps n, n+1, … the next time it is loaded, and is saved back at the latest
+// version. Data written before versioning existed counts as version 0, so every
+// step must also accept values that already have the newer shape. Steps are
+// snapshots of the format at the time and intentionally import nothing.
+
+const RELATIVE = /^(\d+)\s*([mhd])\s*ago$/i;
+const UNIT_MS  = { m:60000, h:3600000, d:86400000 };
+
+export const MIGRATIONS = {
+  AgroVue_users:   [],
+  AgroVue_session: [],
+  AgroVue_profile: [],
+  AgroVue_chat: [
+    // v1 — the single message list becomes the first of several named conversations
+    (chat, { now }) => (Array.isArray(chat)
+      ? { activeId:"legacy", threads:[{ id:"legacy", title:"Advisor chat", crop:null, createdAt:now, updatedAt:now, messages:chat }] }
+      : chat),
+  ],
+  AgroVue_alerts: [
+    // v1 — "2h ago" display strings become real timestamps, every alert gets a dedupe key
+    (alerts, { now }) => (Array.isArray(alerts) ? alerts : []).map(a => {
+      if (a.ts) return a;
+      const { time, ...rest } = a;
+      const hit = RELATIVE.exec(String(time || "").trim());
+      return { ...rest, key: a.key || `legacy|${a.id}`, ts: hit ? now - hit[1] * UNIT_MS[hit[2].toLowerCase()] : now };
+    }),
+  ],
+  AgroVue_alert_thresholds: [
+    // v1 — notification preferences live next to rise/drop
+    (t) => ({
+      notify: {
+        enabled: false,
+        quiet: { enabled:true, from:"22:00", to:"06:00" },
+        types: { price_rise:true, price_drop:true, forecast:true, weather:true, msp:true, opportunity:true },
+      },
+      ...t,
+    }),
+  ],
+  AgroVue_prices:      [],
+  AgroVue_demo_seed:   [],
+  AgroVue_mandi_costs: [],
+  AgroVue_watchlist:   [],
+  AgroVue_snapshots:   [],
+  AgroVue_advisor_queue: [],
+  AgroVue_ledger:        [],
+};
+
+export const latestVersion = (key) => (MIGRATIONS[key] || []).length;
+
+export function migrate(key, value, fromVersion = 0, { now = Date.now() } = {}) {
+  return (MIGRATIONS[key] || []).slice(fromVersion).reduce((v, step) => step(v, { now }), value);
+}
@@ -0,0 +1,63 @@
+import { THRESHOLDS_KEY, DEFAULT_THRESHOLDS, DEFAULT_NOTIFY } from "./alerts";
+import { load } from "./storage";
+
+// ─── BROWSER NOTIFICATIONS ────────────────────────────────────────────────────
+// High-severity alerts are shown through the service worker (public/sw.js) so
+// they appear while the tab is in the background; the worker routes clicks back
+// as { type:"open-crop", crop }. Without a worker, a page-level Notification is
+// used and its click calls `onOpen` directly.
+
+const SW_URL = `${process.env.PUBLIC_URL || ""}/sw.js`;
+let registration = null;
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+export const notificationPermission = () => (notificationsSupported() ? window.Notification.permission : "unsupported");
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return window.Notification.requestPermission();
+}
+
+export async function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !navigator.serviceWorker) return null;
+  try {
+    registration = await navigator.serviceWorker.register(SW_URL);
+  } catch (e) {
+    console.warn("Service worker registration failed:", e);
+  }
+  return registration;
+}
+
+const toMinutes = (hhmm) => { const [h, m] = String(hhmm).split(":").map(Number); return (h || 0) * 60 + (m || 0); };
+
+// Windows may wrap midnight (22:00 → 06:00)
+export function inQuietHours(quiet, date = new Date()) {
+  if (!quiet?.enabled) return false;
+  const t = date.getHours() * 60 + date.getMinutes();
+  const from = toMinutes(quiet.from); const to = toMinutes(quiet.to);
+  if (from === to) return false;
+  return from < to ? t >= from && t < to : t >= from || t < to;
+}
+
+export function shouldNotify(alert, notify = DEFAULT_NOTIFY, date = new Date()) {
+  return !!notify.enabled && alert.sev === "high" && notify.types?.[alert.type] !== false && !inQuietHours(notify.quiet, date);
+}
+
+export async function notifyAlerts(alerts, { onOpen = () => {}, now = new Date() } = {}) {
+  if (!alerts.length || notificationPermission() !== "granted") return [];
+  const { notify } = { ...DEFAULT_THRESHOLDS, ...(await load(THRESHOLDS_KEY, DEFAULT_THRESHOLDS)) };
+  const due = alerts.filter(a => shouldNotify(a, notify, now));
+  const reg = registration || (await navigator.serviceWorker?.getRegistration?.()) || null;
+  for (const a of due) {
+    const title = `AgroVue · ${a.crop} alert`;
+    const options = { body: a.msg, tag: a.key, data: { crop: a.crop }, icon: `${process.env.PUBLIC_URL || ""}/logo192.png` };
+    if (reg) {
+      await reg.showNotification(title, options);
+    } else {
+      const n = new window.Notification(title, options);
+      n.onclick = () => { window.focus(); onOpen(a.crop); n.close(); };
+    }
+  }
+  return due;
+}
@@ -0,0 +1,23 @@
+import { inQuietHours, shouldNotify } from "./notifications";
+import { DEFAULT_NOTIFY } from "./alerts";
+
+const at = (h, m = 0) => new Date(2025, 2, 14, h, m);
+
+test("quiet hours may wrap past midnight", () => {
+  const quiet = { enabled: true, from: "22:00", to: "06:00" };
+  expect(inQuietHours(quiet, at(23, 30))).toBe(true);
+  expect(inQuietHours(quiet, at(5, 59))).toBe(true);
+  expect(inQuietHours(quiet, at(6))).toBe(false);
+  expect(inQuietHours({ enabled: true, from: "13:00", to: "14:00" }, at(13, 15))).toBe(true);
+  expect(inQuietHours({ ...quiet, enabled: false }, at(23))).toBe(false);
+});
+
+test("only enabled, high-severity alert types outside quiet hours notify", () => {
+  const notify = { ...DEFAULT_NOTIFY, enabled: true, types: { ...DEFAULT_NOTIFY.types, forecast: false } };
+  const alert = { type: "price_rise", sev: "high" };
+  expect(shouldNotify(alert, notify, at(12))).toBe(true);
+  expect(shouldNotify(alert, notify, at(23))).toBe(false);
+  expect(shouldNotify({ ...alert, sev: "medium" }, notify, at(12))).toBe(false);
+  expect(shouldNotify({ ...alert, type: "forecast" }, notify, at(12))).toBe(false);
+  expect(shouldNotify(alert, { ...notify, enabled: false }, at(12))).toBe(false);
+});
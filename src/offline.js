@@ -0,0 +1,114 @@
+import { save, load } from "./storage";
+import { latestDate } from "./prices";
+
+// ─── OFFLINE ──────────────────────────────────────────────────────────────────
+// Village connectivity comes and goes. public/sw.js precaches the app shell so
+// AgroVue opens without a network; this module keeps the data side useful:
+//   snapshots  the latest price and forecast for each watched crop, saved as
+//              they change, so forecasts survive a reload and every number
+//              carries the date it is "as of"
+//   queue      advisor questions asked offline. They are answered at once from
+//              localFallback.js and asked again when the connection returns;
+//              the model's answer then replaces the local one.
+
+export const SNAPSHOTS_KEY = "AgroVue_snapshots";
+export const ADVISOR_QUEUE_KEY = "AgroVue_advisor_queue";
+
+const DAY = 86400000;
+// Price data older than this is "stale" (amber), and "old" (red) after a week
+export const STALE_AFTER = DAY;
+export const OLD_AFTER = 7 * DAY;
+
+export const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+// listener(online) on every change; returns the unsubscribe function
+export function onConnectivityChange(listener) {
+  const up = () => listener(true);
+  const down = () => listener(false);
+  window.addEventListener("online", up);
+  window.addEventListener("offline", down);
+  return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
+}
+
+// ─── Snapshots
+// Imported records are as old as their latest arrival date; the simulated
+// series is generated for today. Both resolve to local midnight.
+export function dataAsOf(records, now = Date.now()) {
+  const latest = latestDate(records);
+  return latest ? new Date(`${latest}T00:00:00`).getTime() : new Date(now).setHours(0, 0, 0, 0);
+}
+
+export function staleness(asOf, now = Date.now()) {
+  const age = now - asOf;
+  return age >= OLD_AFTER ? "old" : age >= STALE_AFTER ? "stale" : "fresh";
+}
+
+// `hist` is the monthly series the charts use, `outlook` the Dashboard's 7-day
+// rows and `forecast` the latest { model, rows, at } run on the Forecast tab
+export function takeSnapshot(crop, hist, { outlook = [], forecast = null, imported = false, asOf = Date.now() } = {}) {
+  const last = hist[hist.length - 1] || {};
+  return {
+    crop,
+    price: last.actual || 0,
+    prev: hist[hist.length - 2]?.actual || 0,
+    volume: last.volume || 0,
+    fc7: outlook[outlook.length - 1]?.predicted || 0,
+    forecast,
+    source: imported ? "mandi" : "demo",
+    asOf,
+  };
+}
+
+// Snapshots for crops no longer watched are dropped. The same object comes
+// back when nothing changed, so callers can skip the save.
+export function updateSnapshots(current, fresh) {
+  const next = Object.fromEntries(fresh.map(s => [s.crop, s]));
+  return JSON.stringify(next) === JSON.stringify(current) ? current : next;
+}
+
+export const loadSnapshots = () => load(SNAPSHOTS_KEY, {});
+export const saveSnapshots = (snapshots) => save(SNAPSHOTS_KEY, snapshots);
+
+// Forecast runs kept in snapshots, in the App's crop → { model, rows, at } shape
+export const snapshotForecasts = (snapshots) =>
+  Object.fromEntries(Object.values(snapshots || {}).filter(s => s.forecast).map(s => [s.crop, s.forecast]));
+
+// ─── Advisor queue
+let seq = 0;
+export function enqueueQuestion(queue, { threadId, text, crop, now = Date.now() }) {
+  const id = `q${now.toString(36)}${(seq++).toString(36)}`;
+  return [...queue, { id, threadId, text, crop, askedAt: now }];
+}
+
+// Asks `ask(item)` for each question in order. One that fails stays queued with
+// everything after it — the connection has most likely dropped again.
+export async function flushQueue(queue, ask, { onAnswered = () => {} } = {}) {
+  for (let i = 0; i < queue.length; i++) {
+    let reply;
+    try {
+      reply = await ask(queue[i]);
+    } catch (e) {
+      return queue.slice(i);
+    }
+    await onAnswered(queue[i], reply);
+  }
+  return [];
+}
+
+export const loadAdvisorQueue = () => load(ADVISOR_QUEUE_KEY, []);
+export const saveAdvisorQueue = (queue) => save(ADVISOR_QUEUE_KEY, queue);
+
+// Changes run one at a time: a question queued while the queue is being
+// answered would otherwise be saved over by the answered run's leftovers
+let queueChanges = Promise.resolve();
+
+// Loads the queue, saves `change(queue)` and resolves with what was saved
+export function updateAdvisorQueue(change) {
+  const run = queueChanges.then(async () => {
+    const queue = change(await loadAdvisorQueue());
+    await saveAdvisorQueue(queue);
+    return queue;
+  });
+  queueChanges = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,50 @@
+import { dataAsOf, staleness, takeSnapshot, updateSnapshots, snapshotForecasts, enqueueQuestion, flushQueue, loadAdvisorQueue, updateAdvisorQueue } from "./offline";
+import { setStorageBackend, memoryBackend } from "./storage";
+
+const DAY = 86400000;
+
+test("data is as old as its latest arrival, and ages from fresh to stale to old", () => {
+  const records = [{ crop: "Onion", date: "2024-03-01", modal: 1800 }, { crop: "Onion", date: "2024-03-04", modal: 1900 }];
+  const asOf = dataAsOf(records);
+  expect(new Date(asOf).getDate()).toBe(4);
+  expect(dataAsOf([], asOf + 5 * 3600000)).toBe(asOf);
+  expect(staleness(asOf, asOf + 3600000)).toBe("fresh");
+  expect(staleness(asOf, asOf + 2 * DAY)).toBe("stale");
+  expect(staleness(asOf, asOf + 8 * DAY)).toBe("old");
+});
+
+test("snapshots keep the latest price and forecast, and only change when the data does", () => {
+  const hist = [{ actual: 1800, volume: 40 }, { actual: 2000, volume: 55 }];
+  const forecast = { model: "Ensemble", rows: [{ predicted: 2100 }], at: 1 };
+  const snap = takeSnapshot("Onion", hist, { outlook: [{ predicted: 2050 }, { predicted: 2120 }], forecast, imported: true, asOf: 5 });
+  expect(snap).toEqual({ crop: "Onion", price: 2000, prev: 1800, volume: 55, fc7: 2120, forecast, source: "mandi", asOf: 5 });
+  const current = updateSnapshots({}, [snap]);
+  expect(updateSnapshots(current, [{ ...snap }])).toBe(current);
+  expect(updateSnapshots(current, [])).toEqual({});
+  expect(snapshotForecasts({ ...current, Wheat: takeSnapshot("Wheat", hist) })).toEqual({ Onion: forecast });
+});
+
+test("queued questions are asked in order and stop at the first failure", async () => {
+  let queue = enqueueQuestion([], { threadId: "t1", text: "Sell onion?", crop: "Onion", now: 10 });
+  queue = enqueueQuestion(queue, { threadId: "t1", text: "And wheat?", crop: "Wheat", now: 20 });
+  queue = enqueueQuestion(queue, { threadId: "t2", text: "Rain?", crop: "Rice", now: 30 });
+  expect(new Set(queue.map(q => q.id)).size).toBe(3);
+  expect(queue[0]).toMatchObject({ threadId: "t1", text: "Sell onion?", askedAt: 10 });
+
+  const answered = [];
+  const ask = async (q) => { if (q.crop === "Wheat") throw new Error("offline"); return `re: ${q.text}`; };
+  const left = await flushQueue(queue, ask, { onAnswered: (q, reply) => answered.push(reply) });
+  expect(answered).toEqual(["re: Sell onion?"]);
+  expect(left.map(q => q.text)).toEqual(["And wheat?", "Rain?"]);
+  expect(await flushQueue(left.slice(1), ask)).toEqual([]);
+});
+
+test("a question queued while answered ones are removed is kept", async () => {
+  setStorageBackend(memoryBackend());
+  const [first] = await updateAdvisorQueue(q => enqueueQuestion(q, { threadId: "t1", text: "Sell onion?", crop: "Onion", now: 10 }));
+  await Promise.all([
+    updateAdvisorQueue(q => q.filter(x => x.id !== first.id)),
+    updateAdvisorQueue(q => enqueueQuestion(q, { threadId: "t1", text: "And wheat?", crop: "Wheat", now: 20 })),
+  ]);
+  expect((await loadAdvisorQueue()).map(q => q.text)).toEqual(["And wheat?"]);
+});
@@ -0,0 +1,257 @@
+import { save, load } from "./storage";
+
+// ─── MANDI PRICE DATA LAYER ───────────────────────────────────────────────────
+// Imports AgMarkNet / eNAM daily arrival & modal price records (CSV or JSON),
+// keeps them under AgroVue_prices grouped by crop, and turns them into the
+// monthly { date, actual, volume } series the charts already understand.
+
+export const PRICES_KEY = "AgroVue_prices";
+
+// Commodity names as they appear in AgMarkNet / eNAM exports → our crop names.
+// The whole name must match (qualifiers in brackets aside), so "Sweet Potato",
+// "Cotton Seed", "Rice Bran" and "Dhaniya" are other commodities, not ours.
+const COMMODITY_ALIASES = [
+  ["Rice",      ["paddy","dhan","rice"]],
+  ["Wheat",     ["wheat"]],
+  ["Maize",     ["maize","makka"]],
+  ["Tomato",    ["tomato"]],
+  ["Onion",     ["onion"]],
+  ["Potato",    ["potato"]],
+  ["Soybean",   ["soyabean","soybean"]],
+  ["Cotton",    ["cotton","kapas"]],
+  ["Sugarcane", ["sugarcane"]],
+  ["Chilli",    ["chilli","chillies","chilly","dry chillies","green chilli","chilli red","red chilli"]],
+];
+
+// Column headers (lower-cased, units and punctuation stripped) → record field
+const FIELD_ALIASES = {
+  crop:     ["commodity","commodityname","crop","cropname"],
+  variety:  ["variety","varietyname","grade"],
+  state:    ["state","statename"],
+  district: ["district","districtname"],
+  market:   ["market","marketname","mandi","apmc","apmcname"],
+  date:     ["arrivaldate","date","pricedate","reporteddate","tradedate","createdat"],
+  modal:    ["modalprice","modal","price"],
+  min:      ["minprice","min"],
+  max:      ["maxprice","max"],
+  arrivals: ["arrivals","arrival","commodityarrivals","arrivalquantity","quantity"],
+};
+
+const MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+
+const normKey = (k) => String(k)
+  .replace(/\(.*?\)/g, "")
+  .replace(/_x0020_/gi, "")
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, "");
+
+const toNumber = (v) => {
+  if (v === undefined || v === null || v === "") return 0;
+  const n = parseFloat(String(v).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : 0;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "Paddy(Dhan)(Common)" → Rice, "ONION" → Onion, "tomatoes" → Tomato
+export function matchCrop(name) {
+  const q = String(name || "").toLowerCase().replace(/\(.*?\)/g, " ").replace(/\s+/g, " ").trim();
+  if (!q) return null;
+  const hit = COMMODITY_ALIASES.find(([, aliases]) => aliases.some(a => q === a || q === `${a}s` || q === `${a}es`));
+  return hit ? hit[0] : null;
+}
+
+// Accepts 2025-03-14, 14/03/2025, 14-03-2025 and 14-Mar-2025 → "2025-03-14"
+export function parseDate(v) {
+  const s = String(v || "").trim();
+  let y, m, d, hit;
+  if ((hit = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)))                 [, y, m, d] = hit;
+  else if ((hit = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/)))    [, d, m, y] = hit;
+  else if ((hit = s.match(/^(\d{1,2})[ -]([A-Za-z]{3})[A-Za-z]*[ -](\d{4})$/))) {
+    [, d, , y] = hit; m = MONTHS.indexOf(hit[2].toLowerCase()) + 1;
+  }
+  else return null;
+  const dt = new Date(Date.UTC(+y, +m - 1, +d));
+  if (!+m || dt.getUTCMonth() !== +m - 1 || dt.getUTCDate() !== +d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// Minimal RFC-4180 reader: quoted fields, escaped quotes, CRLF
+export function parseCSV(text) {
+  const rows = []; let row = []; let field = ""; let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+  if (!rows.length) return [];
+  const [header, ...body] = rows;
+  return body.map(cells => Object.fromEntries(header.map((h, i) => [h.trim(), (cells[i] || "").trim()])));
+}
+
+export function normaliseRecord(raw) {
+  const byKey = {};
+  Object.entries(raw || {}).forEach(([k, v]) => { byKey[normKey(k)] = v; });
+  const pick = (field) => {
+    const key = FIELD_ALIASES[field].find(a => byKey[a] !== undefined && byKey[a] !== "");
+    return key ? byKey[key] : undefined;
+  };
+  const name  = String(pick("crop") || "").trim();
+  const crop  = matchCrop(name);
+  const date  = parseDate(pick("date"));
+  const modal = Math.round(toNumber(pick("modal")));
+  if (!crop || !date || modal <= 0) return null;
+  return {
+    crop, date, modal,
+    state:    String(pick("state") || "").trim(),
+    district: String(pick("district") || "").trim(),
+    market:   String(pick("market") || "").trim(),
+    // "Paddy(Dhan)(Basmati) / 1121": exports list several varieties per mandi per day
+    variety:  [name, String(pick("variety") || "").trim()].filter(Boolean).join(" / "),
+    min:      Math.round(toNumber(pick("min"))) || modal,
+    max:      Math.round(toNumber(pick("max"))) || modal,
+    arrivals: toNumber(pick("arrivals")),
+  };
+}
+
+// JSON may be a bare array, a data.gov.in { records:[…] } payload or eNAM { data:[…] }
+export function parsePriceFile(text) {
+  const trimmed = String(text || "").trim();
+  let rows;
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const json = JSON.parse(trimmed);
+    rows = Array.isArray(json) ? json : json.records || json.data || [];
+  } else {
+    rows = parseCSV(trimmed);
+  }
+  const records = []; let skipped = 0;
+  rows.forEach(r => { const rec = normaliseRecord(r); rec ? records.push(rec) : skipped++; });
+  return { records, skipped };
+}
+
+const recordId = (r) => `${r.date}|${r.state.toLowerCase()}|${r.market.toLowerCase()}|${(r.variety || "").toLowerCase()}`;
+
+// Same crop + date + state + market + variety is one observation — a re-import
+// replaces it.
+// Records are kept sorted so the stored file is identical however it was built.
+export function mergeRecords(store, records) {
+  const next = { ...store }; let added = 0; let updated = 0;
+  const byCrop = {};
+  records.forEach(r => { (byCrop[r.crop] = byCrop[r.crop] || []).push(r); });
+  Object.entries(byCrop).forEach(([crop, incoming]) => {
+    const index = new Map((next[crop] || []).map(r => [recordId(r), r]));
+    incoming.forEach(r => {
+      const id = recordId(r);
+      index.has(id) ? updated++ : added++;
+      index.set(id, r);
+    });
+    next[crop] = [...index.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([, r]) => r);
+  });
+  return { prices: next, added, updated };
+}
+
+export const loadPrices = () => load(PRICES_KEY, {});
+
+export async function importPrices(text) {
+  const { records, skipped } = parsePriceFile(text);
+  const { prices, added, updated } = mergeRecords(await loadPrices(), records);
+  await save(PRICES_KEY, prices);
+  return { prices, added, updated, skipped };
+}
+
+// Monthly series anchored on the latest month in the data (not today), so the
+// same file always charts the same numbers. Price is arrival-weighted modal.
+export function monthlySeries(records, months = 24, { state, market } = {}) {
+  const rows = (records || []).filter(r => (!state || r.state === state) && (!market || r.market === market));
+  if (!rows.length) return [];
+  const buckets = new Map();
+  rows.forEach(r => {
+    const ym = r.date.slice(0, 7);
+    const b = buckets.get(ym) || { wsum: 0, w: 0, sum: 0, n: 0, volume: 0 };
+    b.wsum += r.modal * r.arrivals; b.w += r.arrivals;
+    b.sum  += r.modal; b.n++;
+    b.volume += r.arrivals;
+    buckets.set(ym, b);
+  });
+  return [...buckets.keys()].sort().slice(-(months + 1)).map(ym => {
+    const b = buckets.get(ym);
+    const [y, m] = ym.split("-").map(Number);
+    return {
+      date:   new Date(y, m - 1, 1).toLocaleDateString("en-IN", { month:"short", year:"2-digit" }),
+      actual: Math.round(b.w > 0 ? b.wsum / b.w : b.sum / b.n),
+      volume: Math.round(b.volume),
+    };
+  });
+}
+
+// ─── MANDI ANALYTICS ──────────────────────────────────────────────────────────
+const DAY_MS = 86400000;
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+export const shiftDate = (iso, days) => isoDay(Date.parse(iso + "T00:00:00Z") + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+export const latestDate = (records) => (records || []).reduce((max, r) => (r.date > max ? r.date : max), "");
+
+export function filterRecords(records, { state, market, from, to } = {}) {
+  return (records || []).filter(r =>
+    (!state || r.state === state) && (!market || r.market === market) &&
+    (!from || r.date >= from) && (!to || r.date <= to));
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach(r => {
+    const k = keyOf(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  });
+  return groups;
+}
+
+function aggregate(rows) {
+  let wsum = 0, w = 0, sum = 0, premium = 0;
+  rows.forEach(r => { wsum += r.modal * r.arrivals; w += r.arrivals; sum += r.modal; premium += r.max - r.modal; });
+  return {
+    avgPrice: Math.round(w > 0 ? wsum / w : sum / rows.length),
+    arrivals: Math.round(w),
+    premium:  Math.round(premium / rows.length),
+    count:    rows.length,
+  };
+}
+
+// One row per state or market: arrival-weighted modal price, total arrivals,
+// average max-over-modal premium, and growth vs the equally long period before `from`.
+export function summarise(records, by, { from, to } = {}) {
+  const group = (rows) => groupBy(rows, r => r[by] || "—");
+  const current = group(filterRecords(records, { from, to }));
+  const previous = from && to
+    ? group(filterRecords(records, { from: shiftDate(from, -daysBetween(from, to)), to: shiftDate(from, -1) }))
+    : new Map();
+  return [...current.entries()].map(([key, rows]) => {
+    const agg = aggregate(rows);
+    const prev = previous.get(key);
+    const prevPrice = prev ? aggregate(prev).avgPrice : 0;
+    return { key, ...agg, growth: prevPrice ? +((agg.avgPrice - prevPrice) / prevPrice * 100).toFixed(1) : null };
+  });
+}
+
+// Arrival-weighted price per day across whatever records are passed in
+export function dailySeries(records) {
+  const byDay = groupBy(records, r => r.date);
+  return [...byDay.keys()].sort().map(date => {
+    const { avgPrice, arrivals } = aggregate(byDay.get(date));
+    return { date, price: avgPrice, arrivals };
+  });
+}
@@ -0,0 +1,75 @@
+import { matchCrop, parseDate, parsePriceFile, mergeRecords, monthlySeries, summarise, filterRecords } from "./prices";
+
+const AGMARKNET_CSV = `State,District,Market,Commodity,Variety,Arrival_Date,Min_x0020_Price,Max_x0020_Price,Modal_x0020_Price,Arrivals (Tonnes)
+Punjab,Karnal,Karnal,Wheat,Dara,14/03/2025,2100,2300,2200,100
+Punjab,Amritsar,Amritsar,Wheat,Dara,20/03/2025,2300,2500,2400,300
+Delhi,Delhi,Azadpur,"Paddy(Dhan)(Common)",Common,02/04/2025,"3,000","3,200","3,100",50
+Delhi,Delhi,Azadpur,Mangoes,Alphonso,02/04/2025,5000,6000,5500,10`;
+
+test("parses AgMarkNet and eNAM date formats", () => {
+  expect(parseDate("14/03/2025")).toBe("2025-03-14");
+  expect(parseDate("2025-3-4")).toBe("2025-03-04");
+  expect(parseDate("05-Apr-2025")).toBe("2025-04-05");
+  expect(parseDate("31/02/2025")).toBeNull();
+});
+
+test("normalises AgMarkNet CSV rows and skips unknown commodities", () => {
+  const { records, skipped } = parsePriceFile(AGMARKNET_CSV);
+  expect(skipped).toBe(1);
+  expect(records.map(r => r.crop)).toEqual(["Wheat","Wheat","Rice"]);
+  expect(records[2]).toMatchObject({ market:"Azadpur", variety:"Paddy(Dhan)(Common) / Common", modal:3100, min:3000, arrivals:50 });
+});
+
+test("matches whole commodity names, not names that contain a crop", () => {
+  expect(["Paddy(Dhan)(Common)", "Rice", "Wheat", "ONION", "Soyabean", "Kapas", "Dry Chillies", "tomatoes"].map(matchCrop))
+    .toEqual(["Rice", "Rice", "Wheat", "Onion", "Soybean", "Cotton", "Chilli", "Tomato"]);
+  expect(["Sweet Potato", "Cotton Seed", "Rice Bran", "Wheat Atta", "Dhaniya", "Mangoes", ""].map(matchCrop))
+    .toEqual([null, null, null, null, null, null, null]);
+});
+
+test("reads eNAM-style JSON payloads", () => {
+  const { records } = parsePriceFile(JSON.stringify({ data: [
+    { state:"Maharashtra", apmc:"Lasalgaon", commodity:"ONION", modal_price:"1450", commodity_arrivals:"820", created_at:"2025-05-02" },
+  ]}));
+  expect(records).toEqual([expect.objectContaining({ crop:"Onion", market:"Lasalgaon", date:"2025-05-02", modal:1450, arrivals:820 })]);
+});
+
+test("re-importing the same file gives identical stored data and series", () => {
+  const { records } = parsePriceFile(AGMARKNET_CSV);
+  const first  = mergeRecords({}, records);
+  const second = mergeRecords(first.prices, [...records].reverse());
+  expect(second.added).toBe(0);
+  expect(second.updated).toBe(3);
+  expect(second.prices).toEqual(first.prices);
+  expect(monthlySeries(second.prices.Wheat, 24)).toEqual([{ date: expect.any(String), actual: 2350, volume: 400 }]);
+});
+
+test("varieties of a crop at one mandi on one day are kept apart", () => {
+  const { records } = parsePriceFile(`State,Market,Commodity,Variety,Arrival_Date,Modal_x0020_Price,Arrivals (Tonnes)
+Maharashtra,Lasalgaon,Onion,Red,02/05/2025,1500,300
+Maharashtra,Lasalgaon,Onion,Local,02/05/2025,1300,100
+Delhi,Azadpur,Paddy(Dhan)(Common),Common,02/05/2025,2300,50
+Delhi,Azadpur,Paddy(Dhan)(Basmati),1121,02/05/2025,4300,50`);
+  const { prices, added, updated } = mergeRecords({}, records);
+  expect([added, updated]).toEqual([4, 0]);
+  expect(prices.Onion.map(r => [r.variety, r.modal])).toEqual([["Onion / Local", 1300], ["Onion / Red", 1500]]);
+  expect(prices.Rice).toHaveLength(2);
+  expect(monthlySeries(prices.Onion, 24)).toEqual([{ date: expect.any(String), actual: 1450, volume: 400 }]);
+});
+
+test("summarise groups by state with growth against the previous period", () => {
+  const rec = (state, market, date, modal, arrivals) => ({ crop:"Onion", state, market, date, modal, min:modal, max:modal + 100, arrivals });
+  const records = [
+    rec("Maharashtra", "Lasalgaon", "2025-05-01", 1000, 10),
+    rec("Maharashtra", "Vashi",     "2025-05-02", 1400, 30),
+    rec("Maharashtra", "Lasalgaon", "2025-05-12", 1500, 10),
+    rec("Maharashtra", "Vashi",     "2025-05-13", 1500, 10),
+    rec("Delhi",       "Azadpur",   "2025-05-14", 2000, 5),
+  ];
+  const rows = summarise(records, "state", { from:"2025-05-11", to:"2025-05-20" });
+  expect(rows).toEqual([
+    { key:"Maharashtra", avgPrice:1500, arrivals:20, premium:100, count:2, growth:15.4 },
+    { key:"Delhi",       avgPrice:2000, arrivals:5,  premium:100, count:1, growth:null },
+  ]);
+  expect(summarise(filterRecords(records, { state:"Maharashtra" }), "market", {}).map(r => r.key)).toEqual(["Lasalgaon","Vashi"]);
+});
@@ -0,0 +1,34 @@
+// ─── SPOKEN READ-OUTS ─────────────────────────────────────────────────────────
+// The Dashboard cards and the forecast table as sentences in the app language,
+// for farmers who would rather listen than read. `t` is createT(lang), so
+// numbers, dates and crop names match what the screen shows; speechText()
+// (speech.js) turns "₹2,150/qtl" into words before it is spoken.
+
+export const READ_ROWS = 7; // forecast days read one by one before skipping to the last
+
+export function dashboardReadout(t, { crop, hist, outlook = [], asOf }) {
+  const cur  = hist[hist.length - 1]?.actual || 0;
+  const prev = hist[hist.length - 2]?.actual || cur || 1;
+  const chg  = (cur - prev) / prev * 100;
+  const perQtl = (n) => `${t.rupees(n)}${t("unit.perQtl")}`;
+  return t("say.dashboard", {
+    crop: t.crop(crop),
+    price: perQtl(cur),
+    move: t(chg >= 0 ? "say.up" : "say.down"),
+    pct: t.num(Math.abs(+chg.toFixed(1))),
+    fc: perQtl(outlook[outlook.length - 1]?.predicted || 0),
+    high: perQtl(Math.max(...hist.map(d => d.actual))),
+    volume: t.num(hist[hist.length - 1]?.volume || 0),
+    date: t.date(asOf, { day:"numeric", month:"long" }),
+  });
+}
+
+export function forecastReadout(t, { crop, model, rows, max = READ_ROWS }) {
+  const row = (r) => t("say.row", { date:t.months(r.date), price:t.rupees(r.predicted), low:t.rupees(r.lower), high:t.rupees(r.upper) });
+  const last = rows[rows.length - 1];
+  return [
+    t("say.forecast", { model, crop:t.crop(crop), n:t.num(rows.length) }),
+    ...rows.slice(0, max).map(row),
+    ...(rows.length > max ? [t("say.last", { date:t.months(last.date), price:t.rupees(last.predicted) })] : []),
+  ].join(" ");
+}
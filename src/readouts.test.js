@@ -0,0 +1,20 @@
+import { dashboardReadout, forecastReadout } from "./readouts";
+import { createT } from "./i18n";
+
+const hist = [{ date: "Feb 25", actual: 2000, volume: 310 }, { date: "Mar 25", actual: 2150, volume: 420 }];
+const asOf = new Date(2025, 2, 14).getTime();
+
+test("the Dashboard cards are read as one sentence per card", () => {
+  const text = dashboardReadout(createT("en"), { crop: "Wheat", hist, outlook: [{ predicted: 2210 }], asOf });
+  expect(text).toBe("Wheat. Current price ₹2,150/qtl, up 7.5 percent on last month. Seven-day forecast ₹2,210/qtl. "
+    + "Highest in 24 months ₹2,150/qtl. Market arrivals 420 tonnes. Prices as of 14 March.");
+  expect(dashboardReadout(createT("hi"), { crop: "Wheat", hist, outlook: [{ predicted: 2210 }], asOf })).toMatch(/^गेहूं। अभी का भाव ₹2,150\/क्विंटल/);
+});
+
+test("the forecast table is read day by day, then skips to the horizon end", () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ date: `Mar ${15 + i}`, predicted: 2150 + i * 10, lower: 2100, upper: 2300 }));
+  const text = forecastReadout(createT("en"), { crop: "Wheat", model: "ARIMA", rows, max: 2 });
+  expect(text).toBe("ARIMA forecast for Wheat, next 10 days. Mar 15: ₹2,150, between ₹2,100 and ₹2,300. "
+    + "Mar 16: ₹2,160, between ₹2,100 and ₹2,300. By Mar 24: ₹2,240.");
+  expect(forecastReadout(createT("en"), { crop: "Wheat", model: "ARIMA", rows: rows.slice(0, 1) })).not.toMatch(/By/);
+});
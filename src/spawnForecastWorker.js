@@ -0,0 +1,5 @@
+// Kept in its own module and loaded lazily: webpack bundles the worker from the
+// import.meta.url reference, which jest cannot parse (jsdom has no Worker anyway).
+export default function spawnForecastWorker() {
+  return new Worker(new URL("./forecast.worker.js", import.meta.url));
+}
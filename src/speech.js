@@ -0,0 +1,47 @@
+import { langId, langCode } from "./languages";
+
+// ─── SPEECH OUTPUT ────────────────────────────────────────────────────────────
+// What the speech synthesiser should say for a piece of app text: markdown,
+// citations and symbols it would read out literally are stripped, and amounts
+// are said the way people say them — "₹2,150/qtl" becomes "2150 rupees per
+// quintal" in the voice language, in whatever digits the text uses.
+
+const RUPEES = { en:"rupees", hi:"रुपये", pa:"ਰੁਪਏ", te:"రూపాయలు", ta:"ரூபாய்", mr:"रुपये", gu:"રૂપિયા", kn:"ರೂಪಾಯಿ" };
+// "/qtl" after an amount, as each language says "per quintal"
+const PER = {
+  en:u => `per ${u}`, hi:u => `प्रति ${u}`, pa:u => `ਪ੍ਰਤੀ ${u}`, mr:u => `प्रति ${u}`, gu:u => `પ્રતિ ${u}`,
+  te:u => `ప్రతి ${u}కు`, ta:u => `ஒரு ${u}க்கு`, kn:u => `ಪ್ರತಿ ${u}ಗೆ`,
+};
+const MEANS  = { en:"means" };
+
+export function speechText(text, lang = "en") {
+  const id = langId(lang);
+  return String(text || "")
+    .replace(/\s*\[[A-Za-z]+(:[A-Za-z]+)?\]/g, "") // source citations
+    .replace(/\*\*/g, "")
+    .replace(/#{1,3} /g, "")
+    .replace(/(\p{Nd}),(?=\p{Nd})/gu, "$1")      // 12,34,567 is one number, not three
+    .replace(/₹\s*(\p{Nd}+(?:\.\p{Nd}+)?)/gu, `$1 ${RUPEES[id]}`)
+    .replace(/₹/g, ` ${RUPEES[id]} `)
+    .replace(new RegExp(`(\\p{Nd}|${RUPEES[id]})\\s*/\\s*([\\p{L}\\p{M}\\u200C\\u200D]+)`, "gu"),
+      (_, amount, unit) => `${amount} ${PER[id](unit.toLowerCase() === "qtl" ? "quintal" : unit)}`)
+    .replace(/^\s*•\s*/, "")
+    .replace(/\s*\n\s*•\s*/g, "\n")                // a bullet on a new line is one pause, not two
+    .replace(/\s*•\s*/g, ", ")
+    .replace(/\s*→\s*/g, MEANS[id] ? ` ${MEANS[id]} ` : ", ")
+    .replace(/\n/g, ". ")
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+// Speaks `text` in the voice language, replacing anything still being said.
+// Returns false when the browser cannot speak; onEnd fires when it finishes.
+export function speakAloud(text, lang, { onEnd = () => {}, rate = 0.88 } = {}) {
+  if (typeof window === "undefined" || !window.speechSynthesis) return false;
+  window.speechSynthesis.cancel();
+  const utt = new SpeechSynthesisUtterance(speechText(text, lang));
+  utt.lang = langCode(lang); utt.rate = rate; utt.pitch = 1;
+  utt.onend = utt.onerror = () => onEnd();
+  window.speechSynthesis.speak(utt);
+  return true;
+}
@@ -0,0 +1,13 @@
+import { speechText } from "./speech";
+
+test("amounts are read as numbers followed by the rupee word, without markup", () => {
+  expect(speechText("**Wheat** ₹2,150/qtl → hold [Prices:Wheat]\n• sell in April")).toBe("Wheat 2150 rupees per quintal means hold. sell in April");
+  expect(speechText("• Onion: hold\n• Wheat: sell • Rice: wait")).toBe("Onion: hold. Wheat: sell, Rice: wait");
+  expect(speechText("Volume 12,34,567 MT, season Rabi/Kharif.")).toBe("Volume 1234567 MT, season Rabi/Kharif.");
+});
+
+test("the rupee and per-quintal words follow the voice language and its digits", () => {
+  expect(speechText("भाव ₹२,१५०/क्विंटल।", "mr-IN")).toBe("भाव २१५० रुपये प्रति क्विंटल।");
+  expect(speechText("₹1,500/ਕੁਇੰਟਲ", "pa")).toBe("1500 ਰੁਪਏ ਪ੍ਰਤੀ ਕੁਇੰਟਲ");
+  expect(speechText("A → B", "ta")).toBe("A, B");
+});
@@ -0,0 +1,212 @@
+import { langId, langCode } from "./languages";
+
+// ─── SPEECH ENGINES ───────────────────────────────────────────────────────────
+// Speech recognition behind one small interface, so the voice screens do not
+// care who is listening:
+//
+//   engine.available(lang)  → Promise<boolean>  can it listen in this language?
+//   engine.listen({ lang, interim, onStart, onResult(text, isFinal), onError(code), onEnd })
+//                           → { stop() }        starts at once; one utterance per call
+//
+// Error codes follow the Web Speech API: "no-speech", "not-allowed", "network",
+// plus "engine-unavailable" when an engine fails to load.
+//
+//   webSpeechEngine   the browser's recogniser (Chrome, Edge). Accurate, but it
+//                     streams audio to the browser vendor, so it needs a network
+//   onDeviceEngine    Vosk — Kaldi compiled to WebAssembly — running in the page.
+//                     Works with no connection. The engine script and a model
+//                     per language are static files listed in
+//                     public/speech/manifest.json; none ship with the repo, so
+//                     it is unavailable until a model is added (README.md,
+//                     "On-device speech recognition")
+//   createRecordedEngine  a test double that "hears" prepared transcripts
+
+export const NO_SPEECH_MS = 8000; // on-device: give up if nothing is heard for this long
+
+const recognitionClass = () =>
+  typeof window === "undefined" ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+export const webSpeechEngine = {
+  id: "web",
+  label: "Browser speech recognition",
+  onDevice: false,
+  available: async () => !!recognitionClass(),
+  listen({ lang, interim = true, onStart, onResult, onError, onEnd }) {
+    const Recognition = recognitionClass();
+    const recog = new Recognition();
+    recog.lang = langCode(lang);
+    recog.interimResults = interim;
+    recog.maxAlternatives = 1;
+    recog.continuous = false;
+    recog.onstart  = () => onStart?.();
+    recog.onerror  = (e) => onError?.(e.error);
+    recog.onend    = () => onEnd?.();
+    recog.onresult = (e) => {
+      const results = Array.from(e.results);
+      if (results[results.length - 1].isFinal) {
+        onResult(results.filter(r => r.isFinal).map(r => r[0].transcript).join(" ").trim(), true);
+      } else {
+        onResult(results.map(r => r[0].transcript).join(""), false);
+      }
+    };
+    recog.start();
+    return { stop: () => recog.stop() };
+  },
+};
+
+// Adds <script src> once and resolves with the global it defines
+const scripts = new Map();
+function loadScript(src, global) {
+  if (!scripts.has(src)) {
+    scripts.set(src, new Promise((resolve, reject) => {
+      const el = document.createElement("script");
+      el.src = src;
+      el.async = true;
+      el.onload  = () => (window[global] ? resolve(window[global]) : reject(new Error(`${src} did not define ${global}`)));
+      el.onerror = () => { scripts.delete(src); reject(new Error(`Could not load ${src}`)); };
+      document.head.appendChild(el);
+    }));
+  }
+  return scripts.get(src);
+}
+
+// `base` is where the manifest lives. The manifest names the engine script
+// (vosk-browser's vosk.js, which defines window.Vosk) and a model archive per
+// language id: { "engine": "vosk.js", "models": { "hi": "models/vosk-model-small-hi-0.22.tar.gz" } }
+export function createOnDeviceEngine({ base = `${process.env.PUBLIC_URL || ""}/speech/` } = {}) {
+  let manifest = null;
+  const models = new Map(); // language id → Promise<Vosk model>, loaded once per session
+  const getManifest = () => manifest || (manifest = fetch(`${base}manifest.json`)
+    .then(res => (res.ok ? res.json() : {}))
+    .catch(() => ({})));
+  const modelFor = async (id) => {
+    const { engine = "vosk.js", models: files = {} } = await getManifest();
+    if (!models.has(id)) {
+      const loading = loadScript(`${base}${engine}`, "Vosk").then(Vosk => Vosk.createModel(`${base}${files[id]}`));
+      loading.catch(() => models.delete(id));
+      models.set(id, loading);
+    }
+    return models.get(id);
+  };
+
+  return {
+    id: "device",
+    label: "On-device recognition (Vosk)",
+    onDevice: true,
+    async available(lang) {
+      if (typeof WebAssembly === "undefined" || typeof navigator === "undefined" || !navigator.mediaDevices?.getUserMedia) return false;
+      const { models: files = {} } = await getManifest();
+      return !!files[langId(lang)];
+    },
+    listen({ lang, interim = true, onStart, onResult, onError, onEnd }) {
+      let ended = false;
+      let cleanup = () => {};
+      let silence = null;
+      const end = () => {
+        if (ended) return;
+        ended = true;
+        clearTimeout(silence);
+        cleanup();
+        onEnd?.();
+      };
+      (async () => {
+        try {
+          const model = await modelFor(langId(lang));
+          const stream = await navigator.mediaDevices.getUserMedia({ audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true } });
+          const ctx = new (window.AudioContext || window.webkitAudioContext)();
+          const recognizer = new model.KaldiRecognizer(ctx.sampleRate);
+          const source = ctx.createMediaStreamSource(stream);
+          const node = ctx.createScriptProcessor(4096, 1, 1);
+          cleanup = () => {
+            node.disconnect(); source.disconnect();
+            stream.getTracks().forEach(track => track.stop());
+            recognizer.remove();
+            ctx.close();
+          };
+          if (ended) { cleanup(); return; } // stopped while the model was loading
+          recognizer.on("partialresult", (msg) => {
+            const text = msg.result?.partial;
+            if (!text) return;
+            clearTimeout(silence);
+            if (interim) onResult(text, false);
+          });
+          // Vosk ends an utterance by itself when the speaker pauses
+          recognizer.on("result", (msg) => {
+            const text = msg.result?.text?.trim();
+            if (!text) return;
+            onResult(text, true);
+            end();
+          });
+          node.onaudioprocess = (e) => { if (!ended) recognizer.acceptWaveform(e.inputBuffer); };
+          source.connect(node);
+          node.connect(ctx.destination);
+          silence = setTimeout(() => { onError?.("no-speech"); end(); }, NO_SPEECH_MS);
+          onStart?.();
+        } catch (e) {
+          if (ended) return;
+          onError?.(e?.name === "NotAllowedError" ? "not-allowed" : "engine-unavailable");
+          end();
+        }
+      })();
+      return { stop: end };
+    },
+  };
+}
+
+export const onDeviceEngine = createOnDeviceEngine();
+
+// Test double: each listen() "hears" the next transcript — an interim half
+// first, then the whole as final — and a "no-speech" error once they run out.
+// `delay` is in ms, so callers can observe the listening state.
+export function createRecordedEngine(transcripts, { delay = 0, onDevice = true, label = "Recorded transcripts" } = {}) {
+  const queue = [...transcripts];
+  return {
+    id: "recorded",
+    label,
+    onDevice,
+    available: async () => true,
+    remaining: () => queue.length,
+    listen({ interim = true, onStart, onResult, onError, onEnd }) {
+      let stopped = false, fired = false;
+      const timer = setTimeout(() => {
+        fired = true;
+        onStart?.();
+        const text = queue.shift();
+        if (text === undefined) onError?.("no-speech");
+        else {
+          const words = text.split(/\s+/);
+          if (interim && words.length > 1) onResult(words.slice(0, Math.ceil(words.length / 2)).join(" "), false);
+          if (!stopped) onResult(text, true);
+        }
+        onEnd?.();
+      }, delay);
+      return {
+        stop: () => {
+          stopped = true;
+          if (!fired) { clearTimeout(timer); onEnd?.(); }
+        },
+      };
+    },
+  };
+}
+
+// ─── ENGINE CHOICE ────────────────────────────────────────────────────────────
+let engines = null;
+export const speechEngines = () => engines || [webSpeechEngine, onDeviceEngine];
+
+// Tests (and embedders) swap the list; null restores the default
+export function setSpeechEngines(list) {
+  engines = list;
+}
+
+// Online, the browser's recogniser is the most accurate; offline, or where the
+// browser has none, an on-device engine with a model for the language takes
+// over. Resolves null when nothing can listen in `lang`.
+export async function pickSpeechEngine(lang, { online = true, list = speechEngines() } = {}) {
+  const usable = [];
+  for (const engine of list) {
+    if (await engine.available(lang).catch(() => false)) usable.push(engine);
+  }
+  const ranked = online ? usable : [...usable.filter(e => e.onDevice), ...usable.filter(e => !e.onDevice)];
+  return ranked[0] || null;
+}
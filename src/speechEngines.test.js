@@ -0,0 +1,48 @@
+import { webSpeechEngine, createRecordedEngine, pickSpeechEngine } from "./speechEngines";
+
+const engine = (id, onDevice, ok = true) => ({ id, onDevice, available: async () => ok });
+
+test("pickSpeechEngine prefers the browser online and on-device offline", async () => {
+  const web = engine("web", false), device = engine("device", true);
+  expect((await pickSpeechEngine("hi-IN", { online:true,  list:[web, device] })).id).toBe("web");
+  expect((await pickSpeechEngine("hi-IN", { online:false, list:[web, device] })).id).toBe("device");
+  expect((await pickSpeechEngine("hi-IN", { online:false, list:[web, engine("device", true, false)] })).id).toBe("web");
+  const broken = { id:"x", onDevice:true, available: async () => { throw new Error("no manifest"); } };
+  expect(await pickSpeechEngine("hi-IN", { list:[broken] })).toBeNull();
+});
+
+test("the recorded engine hears its transcripts in order, then silence", async () => {
+  const rec = createRecordedEngine(["what is the price of onion", "stop"]);
+  const hear = () => new Promise(resolve => {
+    const events = [];
+    rec.listen({
+      onStart:  () => events.push("start"),
+      onResult: (text, isFinal) => events.push(`${isFinal ? "final" : "interim"}:${text}`),
+      onError:  (code) => events.push(`error:${code}`),
+      onEnd:    () => resolve(events),
+    });
+  });
+  expect(await hear()).toEqual(["start", "interim:what is the", "final:what is the price of onion"]);
+  expect(await hear()).toEqual(["start", "final:stop"]);
+  expect(await hear()).toEqual(["start", "error:no-speech"]);
+  expect(rec.remaining()).toBe(0);
+});
+
+test("webSpeechEngine wraps the browser recogniser", async () => {
+  let recog;
+  window.webkitSpeechRecognition = class { constructor() { recog = this; } start() { this.onstart(); } stop() { this.onend(); } };
+  try {
+    expect(await webSpeechEngine.available("ta")).toBe(true);
+    const results = [];
+    const session = webSpeechEngine.listen({ lang:"ta", onResult: (text, isFinal) => results.push([text, isFinal]), onEnd: () => results.push("end") });
+    expect(recog.lang).toBe("ta-IN");
+    const r = (text, isFinal) => Object.assign([{ transcript:text }], { isFinal });
+    recog.onresult({ results:[r("வெங்காயம் ", false)] });
+    recog.onresult({ results:[r("வெங்காயம் விலை", true)] });
+    session.stop();
+    expect(results).toEqual([["வெங்காயம் ", false], ["வெங்காயம் விலை", true], "end"]);
+  } finally {
+    delete window.webkitSpeechRecognition;
+  }
+  expect(await webSpeechEngine.available("ta")).toBe(false);
+});
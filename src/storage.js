@@ -0,0 +1,235 @@
+import { latestVersion, migrate } from "./migrations";
+
+// ─── PERSIST HELPERS ──────────────────────────────────────────────────────────
+// save/load/remove sit on a pluggable backend: the artifact sandbox's
+// window.storage when present, otherwise IndexedDB, then localStorage, then an
+// in-memory map (tests, or browsers with storage disabled). Every backend stores
+// strings under string keys: get → string | null, set, delete.
+//
+// Accounts, the session, the schema table and the login screen's language
+// belong to the device; every other key belongs to the logged-in user and is
+// stored as "user:<username>:<key>".
+// save/load/remove take the plain key and resolve it against whoever
+// openUserStorage() opened.
+
+export const DEVICE_KEYS = ["AgroVue_users", "AgroVue_session", "AgroVue_schema", "AgroVue_ui_lang"];
+
+// Everything a user owns — clearUserData() and the legacy migration walk this list
+export const USER_KEYS = [
+  "AgroVue_profile", "AgroVue_chat", "AgroVue_alerts", "AgroVue_alert_thresholds",
+  "AgroVue_prices", "AgroVue_demo_seed", "AgroVue_mandi_costs", "AgroVue_watchlist",
+  "AgroVue_snapshots", "AgroVue_advisor_queue", "AgroVue_ledger",
+];
+
+const SCHEMA_KEY = "AgroVue_schema";
+
+// ─── Backends
+export const windowStorageBackend = () => ({
+  name: "Sandbox storage", persistent: true,
+  get: async (k) => { const r = await window.storage.get(k); return r ? r.value : null; },
+  set: (k, v) => window.storage.set(k, v),
+  delete: (k) => window.storage.delete(k),
+});
+
+export function indexedDBBackend(dbName = "AgroVue", store = "kv") {
+  let opening = null;
+  const open = () => opening || (opening = new Promise((resolve, reject) => {
+    const req = window.indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(store);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = async (mode, op) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = op(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error || req.error);
+    });
+  };
+  return {
+    name: "IndexedDB", persistent: true, ready: open,
+    get: async (k) => (await run("readonly", s => s.get(k))) ?? null,
+    set: (k, v) => run("readwrite", s => s.put(v, k)),
+    delete: (k) => run("readwrite", s => s.delete(k)),
+  };
+}
+
+export const localStorageBackend = (ls = window.localStorage) => ({
+  name: "localStorage", persistent: true,
+  get: async (k) => ls.getItem(k),
+  set: async (k, v) => ls.setItem(k, v),
+  delete: async (k) => ls.removeItem(k),
+});
+
+export function memoryBackend(initial = {}) {
+  const mem = new Map(Object.entries(initial));
+  return {
+    name: "Memory only", persistent: false, mem,
+    get: async (k) => (mem.has(k) ? mem.get(k) : null),
+    set: async (k, v) => { mem.set(k, v); },
+    delete: async (k) => { mem.delete(k); },
+  };
+}
+
+async function pickBackend() {
+  if (typeof window === "undefined") return memoryBackend();
+  if (window.storage?.get) return windowStorageBackend();
+  if (window.indexedDB) {
+    try { const idb = indexedDBBackend(); await idb.ready(); return idb; } catch (e) { console.warn("IndexedDB unavailable:", e); }
+  }
+  try {
+    window.localStorage.setItem("AgroVue_probe", "1");
+    window.localStorage.removeItem("AgroVue_probe");
+    return localStorageBackend();
+  } catch {}
+  return memoryBackend();
+}
+
+let backendPromise = null;
+let schemaCache = null;
+
+const backend = () => backendPromise || (backendPromise = pickBackend());
+
+export function setStorageBackend(next) {
+  backendPromise = Promise.resolve(next);
+  schemaCache = null;
+}
+
+export async function storageInfo() {
+  const { name, persistent } = await backend();
+  return { name, persistent };
+}
+
+// ─── Error reporting: listeners get { kind, key, message, at } where kind is
+// "quota" (storage full), "write", "read" or "corrupt" (unparseable JSON)
+const listeners = new Set();
+
+export function onStorageIssue(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const isQuotaError = (e) =>
+  e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22 || e?.code === 1014;
+
+function report(kind, key, error) {
+  const issue = { kind: isQuotaError(error) ? "quota" : kind, key, message: error?.message || String(error), at: Date.now() };
+  console.warn(`Storage ${issue.kind} error (${key}):`, error);
+  listeners.forEach(l => l(issue));
+}
+
+// ─── Schema versions: { [stored key]: version }, kept on the device
+async function schema() {
+  if (!schemaCache) {
+    const b = await backend();
+    try { schemaCache = JSON.parse(await b.get(SCHEMA_KEY)) || {}; } catch { schemaCache = {}; }
+  }
+  return schemaCache;
+}
+
+async function setVersion(fullKey, version) {
+  const table = await schema();
+  if ((table[fullKey] || 0) === version) return;
+  if (version) table[fullKey] = version; else delete table[fullKey];
+  await (await backend()).set(SCHEMA_KEY, JSON.stringify(table));
+}
+
+// ─── Namespacing
+let currentUser = null;
+
+export const scopedKey = (key, user = currentUser) =>
+  user && !DEVICE_KEYS.includes(key) ? `user:${user}:${key}` : key;
+
+// Missing keys may resolve to null or throw depending on the backend
+const rawGet = async (fullKey) => {
+  try { return await (await backend()).get(fullKey); } catch { return null; }
+};
+
+export const save = async (key, val) => {
+  const fullKey = scopedKey(key);
+  try {
+    await (await backend()).set(fullKey, JSON.stringify(val));
+    await setVersion(fullKey, latestVersion(key));
+  } catch (e) {
+    report("write", key, e);
+  }
+};
+
+export const load = async (key, fallback) => {
+  const fullKey = scopedKey(key);
+  let raw;
+  try {
+    raw = await (await backend()).get(fullKey);
+  } catch (e) {
+    report("read", key, e);
+    return fallback;
+  }
+  if (raw === null || raw === undefined) return fallback;
+  let value;
+  try { value = JSON.parse(raw); } catch (e) { report("corrupt", key, e); return fallback; }
+  const stored = (await schema())[fullKey] || 0;
+  if (stored < latestVersion(key)) {
+    value = migrate(key, value, stored);
+    await save(key, value);
+  }
+  return value;
+};
+
+export const remove = async (key) => {
+  const fullKey = scopedKey(key);
+  try {
+    await (await backend()).delete(fullKey);
+    await setVersion(fullKey, 0);
+  } catch (e) {
+    report("write", key, e);
+  }
+};
+
+// Before namespacing, one set of un-prefixed keys served everyone on the device.
+// They go to the user named in the old profile, or — when the profile predates
+// usernames — to whoever logs in first. Keys the user already has are left alone.
+async function migrateLegacyData(username) {
+  const b = await backend();
+  let legacyProfile = null;
+  try { legacyProfile = JSON.parse(await rawGet("AgroVue_profile")); } catch {}
+  if (legacyProfile?.username && legacyProfile.username !== username) return [];
+  const moved = [];
+  for (const key of USER_KEYS) {
+    try {
+      const value = await rawGet(key);
+      if (value === null) continue;
+      const target = scopedKey(key, username);
+      if ((await rawGet(target)) === null) {
+        await b.set(target, value);
+        await setVersion(target, (await schema())[key] || 0);
+        moved.push(key);
+      }
+      await b.delete(key);
+      await setVersion(key, 0);
+    } catch (e) {
+      report("write", key, e);
+    }
+  }
+  return moved;
+}
+
+export async function openUserStorage(username) {
+  currentUser = username || null;
+  return currentUser ? migrateLegacyData(currentUser) : [];
+}
+
+export const closeUserStorage = () => { currentUser = null; };
+
+// Deletes the current user's keys and account; other users on the device are untouched
+export async function clearUserData() {
+  if (!currentUser) return;
+  for (const key of USER_KEYS) await remove(key);
+  const users = await load("AgroVue_users", {});
+  delete users[currentUser];
+  await save("AgroVue_users", users);
+  const session = await load("AgroVue_session", null);
+  if (session?.username === currentUser) await remove("AgroVue_session");
+  currentUser = null;
+}
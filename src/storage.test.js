@@ -0,0 +1,79 @@
+import {
+  save, load, openUserStorage, closeUserStorage, clearUserData,
+  setStorageBackend, windowStorageBackend, memoryBackend, onStorageIssue,
+} from "./storage";
+
+let mem;
+beforeEach(() => {
+  mem = new Map();
+  window.storage = {
+    get: async (k) => (mem.has(k) ? { key: k, value: mem.get(k) } : null),
+    set: async (k, v) => { mem.set(k, v); },
+    delete: async (k) => { mem.delete(k); },
+  };
+  setStorageBackend(windowStorageBackend());
+  closeUserStorage();
+});
+
+test("user keys are namespaced, device keys are shared", async () => {
+  await openUserStorage("ravi");
+  await save("AgroVue_chat", ["hi ravi"]);
+  await save("AgroVue_session", { username: "ravi" });
+  await openUserStorage("meena");
+  expect(await load("AgroVue_chat", [])).toEqual([]);
+  expect(await load("AgroVue_session", null)).toEqual({ username: "ravi" });
+  expect([...mem.keys()].sort()).toEqual(["AgroVue_schema", "AgroVue_session", "user:ravi:AgroVue_chat"]);
+});
+
+test("legacy global data moves to its owner on first login", async () => {
+  mem.set("AgroVue_profile", JSON.stringify({ name: "Ravi", username: "ravi" }));
+  mem.set("AgroVue_chat", JSON.stringify(["old chat"]));
+  expect(await openUserStorage("meena")).toEqual([]);
+  expect(mem.has("AgroVue_chat")).toBe(true);
+  expect(await openUserStorage("ravi")).toEqual(["AgroVue_profile", "AgroVue_chat"]);
+  expect((await load("AgroVue_chat", null)).threads[0].messages).toEqual(["old chat"]);
+  expect(mem.has("AgroVue_chat")).toBe(false);
+});
+
+test("clearing data removes only the current user and their account", async () => {
+  await save("AgroVue_users", { ravi: {}, meena: {} });
+  await openUserStorage("meena");
+  await save("AgroVue_alerts", [1]);
+  await openUserStorage("ravi");
+  await save("AgroVue_alerts", [2]);
+  await save("AgroVue_session", { username: "ravi" });
+  await clearUserData();
+  expect(await load("AgroVue_users", {})).toEqual({ meena: {} });
+  expect(await load("AgroVue_session", null)).toBeNull();
+  await openUserStorage("meena");
+  expect(await load("AgroVue_alerts", [])).toEqual([1]);
+});
+
+test("old values are migrated to the latest schema on load", async () => {
+  const backend = memoryBackend({
+    "user:ravi:AgroVue_alerts": JSON.stringify([{ id: 1, type: "msp", crop: "Rice", msg: "MSP up", time: "2h ago", read: true, sev: "low" }]),
+    "user:ravi:AgroVue_alert_thresholds": JSON.stringify({ rise: 12, drop: 5 }),
+  });
+  setStorageBackend(backend);
+  await openUserStorage("ravi");
+  const before = Date.now();
+  const [alert] = await load("AgroVue_alerts", []);
+  expect(alert).toMatchObject({ id: 1, key: "legacy|1" });
+  expect(alert.time).toBeUndefined();
+  expect(before - alert.ts).toBeGreaterThanOrEqual(2 * 3600000 - 1000);
+  expect(await load("AgroVue_alert_thresholds", {})).toMatchObject({ rise: 12, drop: 5, notify: { enabled: false } });
+  expect(JSON.parse(backend.mem.get("AgroVue_schema"))).toEqual({
+    "user:ravi:AgroVue_alerts": 1, "user:ravi:AgroVue_alert_thresholds": 1,
+  });
+});
+
+test("write failures are reported with quota errors told apart", async () => {
+  const backend = memoryBackend();
+  backend.set = async () => { const e = new Error("full"); e.name = "QuotaExceededError"; throw e; };
+  setStorageBackend(backend);
+  const issues = [];
+  const off = onStorageIssue(i => issues.push(i));
+  await save("AgroVue_prices", { Wheat: [] });
+  off();
+  expect(issues).toMatchObject([{ kind: "quota", key: "AgroVue_prices" }]);
+});
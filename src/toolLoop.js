@@ -0,0 +1,73 @@
+import { streamAdvisor } from "./advisorClient";
+import { ADVISOR_TOOLS, toolSpecs, runTool } from "./advisorTools";
+
+// ─── TOOL-USE LOOP ────────────────────────────────────────────────────────────
+// A model is any async ({ system, messages, tools, toolChoice, onDelta, signal })
+// → { text, toolCalls, stopped }. Each turn that asks for tools has them run
+// against `env`, and the results go back as tool_result blocks until the model
+// answers in plain text. After `maxSteps` rounds tools are switched off
+// (toolChoice "none") so the model has to answer with what it has.
+
+export const MAX_TOOL_STEPS = 4;
+
+// The advisor server as a model
+export const advisorModel = ({ user }) => ({ onDelta, signal, ...request }) =>
+  streamAdvisor({ ...request, user }, { onDelta, signal });
+
+// Resolves with { text, toolCalls, stopped }: the text of every turn joined,
+// and each call made as { id, name, input, ok, result | error, summary }.
+// onDelta(chunk, textSoFar) streams across turns; onToolCall(call) fires as each finishes.
+export async function runToolLoop({ system, messages, model, env = {}, registry = ADVISOR_TOOLS, onDelta, onToolCall, signal, maxSteps = MAX_TOOL_STEPS }) {
+  const convo = [...messages];
+  const toolCalls = [];
+  const tools = toolSpecs(registry);
+  let text = "";
+  for (let step = 0; ; step++) {
+    const prefix = text ? `${text}\n\n` : "";
+    const turn = await model({
+      system, messages: convo, tools, toolChoice: step < maxSteps ? "auto" : "none", signal,
+      onDelta: onDelta && ((delta, sofar) => onDelta(delta, prefix + sofar)),
+    });
+    text = (prefix + (turn.text || "")).trim();
+    if (turn.stopped || !turn.toolCalls?.length || step >= maxSteps) return { text, toolCalls, stopped: !!turn.stopped };
+
+    convo.push({ role:"assistant", content: [
+      ...(turn.text ? [{ type:"text", text:turn.text }] : []),
+      ...turn.toolCalls.map(({ id, name, input }) => ({ type:"tool_use", id, name, input })),
+    ] });
+    const results = [];
+    for (const call of turn.toolCalls) {
+      const out = await runTool(call, env, registry);
+      const done = { ...call, ...out };
+      toolCalls.push(done);
+      onToolCall?.(done);
+      results.push({
+        type:"tool_result", tool_use_id:call.id,
+        content: JSON.stringify(out.ok ? out.result : { error: out.error }),
+        ...(!out.ok && { is_error:true }),
+      });
+    }
+    convo.push({ role:"user", content:results });
+  }
+}
+
+// Offline stand-in for the advisor server, for tests and demos. Replays `turns`
+// in order — each { text, toolCalls:[{ name, input }] } or (request) => one —
+// streaming the text word by word. Every request is kept on `.calls`.
+export function scriptedModel(turns) {
+  const calls = [];
+  const model = async (request) => {
+    calls.push(request);
+    const next = turns[calls.length - 1] ?? { text:"" };
+    const { text = "", toolCalls = [] } = typeof next === "function" ? next(request) : next;
+    let sofar = "";
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) return { text:sofar.trim(), toolCalls:[], stopped:true };
+      sofar += word;
+      request.onDelta?.(word, sofar);
+    }
+    return { text:text.trim(), toolCalls:toolCalls.map((c, i) => ({ id:c.id || `call_${calls.length}_${i}`, input:{}, ...c })), stopped:false };
+  };
+  model.calls = calls;
+  return model;
+}
@@ -0,0 +1,42 @@
+import { runToolLoop, scriptedModel, MAX_TOOL_STEPS } from "./toolLoop";
+
+const ONION = ["2025-04-01", "2025-04-02", "2025-04-03"].map((date, i) => ({ crop:"Onion", date, modal:1500 + i * 100, market:"Lasalgaon", state:"Maharashtra", min:1400, max:1800, arrivals:200 }));
+const question = [{ role:"user", content:"Should I sell onion this week?" }];
+
+test("runs requested tools, feeds results back and streams every turn", async () => {
+  const model = scriptedModel([
+    { text:"Checking Lasalgaon.", toolCalls:[{ name:"get_price_history", input:{ crop:"Onion", mandi:"Lasalgaon", days:7 } }] },
+    (req) => ({ text:`Onion is at ₹${JSON.parse(req.messages.at(-1).content[0].content).latest} — up 13%, sell half.` }),
+  ]);
+  const seen = []; const deltas = [];
+  const out = await runToolLoop({ system:"sys", messages:question, model, env:{ prices:{ Onion:ONION } }, onToolCall:c => seen.push(c), onDelta:(_, sofar) => deltas.push(sofar) });
+
+  expect(model.calls).toHaveLength(2);
+  expect(model.calls[0].tools.map(t => t.name)).toEqual(["get_price_history", "run_forecast", "rank_mandis", "create_alert"]);
+  expect(model.calls[1].messages.slice(1)).toEqual([
+    { role:"assistant", content:[{ type:"text", text:"Checking Lasalgaon." }, { type:"tool_use", id:"call_1_0", name:"get_price_history", input:{ crop:"Onion", mandi:"Lasalgaon", days:7 } }] },
+    { role:"user", content:[{ type:"tool_result", tool_use_id:"call_1_0", content:expect.stringContaining('"latest":1700') }] },
+  ]);
+  expect(seen[0]).toMatchObject({ name:"get_price_history", ok:true, summary:"Onion ₹1,700 on 2025-04-03 (+13.3% since 2025-04-01)" });
+  expect(out).toEqual({ text:"Checking Lasalgaon.\n\nOnion is at ₹1700 — up 13%, sell half.", toolCalls:seen, stopped:false });
+  expect(deltas.at(-1)).toBe(out.text);
+});
+
+test("tool errors go back to the model flagged, and tools switch off after the step limit", async () => {
+  const looping = { toolCalls:[{ name:"get_price_history", input:{ crop:"Mango" } }] };
+  const model = scriptedModel([...Array(MAX_TOOL_STEPS).fill(looping), { text:"I could not find mango prices." }]);
+  const out = await runToolLoop({ system:"", messages:question, model });
+  const result = model.calls[1].messages.at(-1).content[0];
+  expect(result.is_error).toBe(true);
+  expect(JSON.parse(result.content).error).toMatch(/"Mango" is not a valid crop/);
+  expect(model.calls.map(c => c.toolChoice)).toEqual([...Array(MAX_TOOL_STEPS).fill("auto"), "none"]);
+  expect(out.text).toBe("I could not find mango prices.");
+  expect(out.toolCalls).toHaveLength(MAX_TOOL_STEPS);
+});
+
+test("aborting mid-answer stops the loop with the partial text", async () => {
+  const controller = new AbortController();
+  const model = scriptedModel([{ text:"Hold for two weeks then sell." }]);
+  const out = await runToolLoop({ system:"", messages:question, model, signal:controller.signal, onDelta:(_, sofar) => sofar.includes("two") && controller.abort() });
+  expect(out).toEqual({ text:"Hold for two", toolCalls:[], stopped:true });
+});
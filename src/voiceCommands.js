@@ -0,0 +1,96 @@
+import { mentionedCrop } from "./localFallback";
+import { detectLanguage, langId } from "./languages";
+import { translate } from "./i18n";
+
+// ─── VOICE COMMANDS ───────────────────────────────────────────────────────────
+// Spoken phrases that change the app instead of asking the advisor:
+//   "switch to onion", "show me wheat prices"        → { type:"crop", crop }
+//   "set alert for tomato above 2000"                → { type:"alert", crop, direction:"above", price }
+//   "tell me when onion falls below 1,500 rupees"    → { type:"alert", …, direction:"below" }
+//   "stop", "goodbye", "end the conversation"        → { type:"stop" }
+// Crop names are recognised in any of the voice languages (fallbackLocales.js);
+// the command words are English. Anything else is a question (null).
+
+// Only the whole utterance stops, so "stop selling onion?" is still a question
+const STOP   = /^(ok(ay)? )?(stop|exit|quit|cancel|goodbye|bye|that'?s all|thank you|thanks|end( the)? (conversation|chat))( now| please)?$/;
+const SWITCH = /^(please )?(switch|change|go|move|jump)( over)? to\b|^(please )?(show|open|select|pick)( me)?\b/;
+const ALERT  = /\b(alert|notify|remind|warn|tell me when|let me know when)\b/;
+const ABOVE  = /\b(above|over|more than|higher than|exceeds?|crosses|reaches|goes up to|rises to)\b/;
+const BELOW  = /\b(below|under|less than|lower than|drops? to|falls? to|goes down to)\b/;
+
+// "2000", "2,000", "₹2000", "2.5 thousand", "2k" → 2000 / 2500
+export function spokenAmount(text) {
+  const hit = String(text).replace(/(\d),(\d)/g, "$1$2").match(/(\d+(?:\.\d+)?)\s*(k\b|thousand|hazaar|hazar)?/i);
+  if (!hit) return null;
+  const n = parseFloat(hit[1]) * (hit[2] ? 1000 : 1);
+  return n > 0 ? Math.round(n) : null;
+}
+
+// `crop` is the crop selected in the app, used when an alert names none
+export function parseVoiceCommand(text, { crop = null, lang = "en" } = {}) {
+  const q = String(text || "").toLowerCase().replace(/[.!?।]+$/, "").trim();
+  if (!q) return null;
+  if (STOP.test(q)) return { type:"stop" };
+  const named = mentionedCrop(q, detectLanguage(q, lang));
+  if (ALERT.test(q)) {
+    const direction = ABOVE.test(q) ? "above" : BELOW.test(q) ? "below" : null;
+    const price = spokenAmount(q);
+    if (direction && price && (named || crop)) return { type:"alert", crop: named || crop, direction, price };
+    return null;
+  }
+  if (named && SWITCH.test(q)) return { type:"crop", crop: named };
+  return null;
+}
+
+// ─── APP-WIDE COMMANDS ────────────────────────────────────────────────────────
+// The mic on every tab understands the voice languages, not just English:
+// a tab's name opens it, a read word reads the Dashboard cards or the forecast
+// table aloud, and a crop name on its own selects that crop. Tab names come
+// from the translated nav labels plus the everyday words below.
+export const APP_TABS = ["dashboard", "predict", "market", "advisor", "voice", "alerts", "profile"];
+
+const NAV_WORDS = {
+  en: { read:["read","tell me","say","speak"], dashboard:["dashboard","home","overview","cards"], predict:["forecast","prediction","predict"],
+        market:["market","mandi"], advisor:["advisor","chat"], voice:["voice assistant"], alerts:["alerts","alert","notifications"], profile:["profile","settings","account"] },
+  hi: { read:["पढ़ो","पढ़कर","पढ़ें","सुनाओ","सुनाइए","बताओ","बताइए","बोलो","padho","sunao","batao"], dashboard:["डैशबोर्ड","होम"], predict:["पूर्वानुमान","अनुमान","भविष्यवाणी"],
+        market:["बाज़ार","बाजार","मंडी"], advisor:["सलाहकार"], voice:[], alerts:["अलर्ट","चेतावनी"], profile:["प्रोफ़ाइल","प्रोफाइल"] },
+  pa: { read:["ਪੜ੍ਹੋ","ਸੁਣਾਓ","ਦੱਸੋ"], dashboard:["ਡੈਸ਼ਬੋਰਡ"], predict:["ਅਨੁਮਾਨ"], market:["ਮੰਡੀ","ਬਾਜ਼ਾਰ"], advisor:["ਸਲਾਹਕਾਰ"], voice:[],
+        alerts:["ਅਲਰਟ","ਚੇਤਾਵਨੀ"], profile:["ਪ੍ਰੋਫ਼ਾਈਲ","ਪ੍ਰੋਫਾਈਲ"] },
+  te: { read:["చదువు","చదవండి","చెప్పు","చెప్పండి","వినిపించు"], dashboard:["డాష్‌బోర్డ్","డాష్ బోర్డ్"], predict:["అంచనా"], market:["మార్కెట్","మండి"],
+        advisor:["సలహాదారు"], voice:[], alerts:["హెచ్చరిక"], profile:["ప్రొఫైల్"] },
+  ta: { read:["படி","படிக்கவும்","சொல்","சொல்லுங்கள்"], dashboard:["டாஷ்போர்டு"], predict:["கணிப்பு"], market:["சந்தை","மண்டி"], advisor:["ஆலோசகர்"], voice:[],
+        alerts:["எச்சரிக்கை"], profile:["சுயவிவரம்"] },
+  mr: { read:["वाचा","वाचून","सांगा","ऐकवा"], dashboard:["डॅशबोर्ड"], predict:["अंदाज"], market:["बाजार","मंडी"], advisor:["सल्लागार"], voice:[],
+        alerts:["अलर्ट","सूचना"], profile:["प्रोफाइल"] },
+  gu: { read:["વાંચો","સંભળાવો","કહો"], dashboard:["ડેશબોર્ડ"], predict:["અનુમાન","આગાહી"], market:["બજાર","મંડી"], advisor:["સલાહકાર"], voice:[],
+        alerts:["અલર્ટ","ચેતવણી"], profile:["પ્રોફાઇલ"] },
+  kn: { read:["ಓದು","ಓದಿ","ಹೇಳು","ಹೇಳಿ"], dashboard:["ಡ್ಯಾಶ್‌ಬೋರ್ಡ್"], predict:["ಮುನ್ಸೂಚನೆ"], market:["ಮಾರುಕಟ್ಟೆ","ಮಂಡಿ"], advisor:["ಸಲಹೆಗಾರ"], voice:[],
+        alerts:["ಎಚ್ಚರಿಕೆ"], profile:["ಪ್ರೊಫೈಲ್"] },
+};
+
+// Words for `kind` in the spoken language and English, longest first
+function words(kind, lang) {
+  const nav = kind === "read" ? [] : [translate(lang, `nav.${kind}`), translate("en", `nav.${kind}`)];
+  const list = [...nav, ...(NAV_WORDS[lang]?.[kind] || []), ...NAV_WORDS.en[kind]].map(w => w.toLowerCase());
+  return [...new Set(list)].sort((a, b) => b.length - a.length);
+}
+
+// `tab` is the open tab, which decides what a bare "read it out" reads
+export function parseAppCommand(text, { crop = null, lang = "en", tab = "dashboard" } = {}) {
+  const q = String(text || "").toLowerCase().replace(/[.!?।]+$/, "").trim();
+  if (!q) return null;
+  const alert = parseVoiceCommand(q, { crop, lang });
+  if (alert?.type === "alert") return alert;
+  const spoken = detectLanguage(q, langId(lang));
+  const padded = ` ${q}`;
+  const says = (w) => padded.includes(` ${w}`);
+  const named = mentionedCrop(q, spoken);
+  const target = APP_TABS.find(id => words(id, spoken).some(says)) || null;
+  if (words("read", spoken).some(says)) {
+    const what = (target || tab) === "predict" ? "forecast" : "dashboard";
+    return { type:"read", what, crop:named };
+  }
+  if (target) return { type:"tab", tab:target, crop:named };
+  if (named) return { type:"crop", crop:named };
+  return null;
+}
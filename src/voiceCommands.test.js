@@ -0,0 +1,38 @@
+import { parseVoiceCommand, parseAppCommand, spokenAmount } from "./voiceCommands";
+
+test("switch commands select a crop named in any voice language", () => {
+  expect(parseVoiceCommand("Switch to onion")).toEqual({ type: "crop", crop: "Onion" });
+  expect(parseVoiceCommand("show me wheat prices.")).toEqual({ type: "crop", crop: "Wheat" });
+  expect(parseVoiceCommand("switch to प्याज", { lang: "hi" })).toEqual({ type: "crop", crop: "Onion" });
+  expect(parseVoiceCommand("best time to sell onion?")).toBeNull();
+  expect(parseVoiceCommand("switch to something else")).toBeNull();
+});
+
+test("alert commands need a direction and a price, and fall back to the selected crop", () => {
+  expect(parseVoiceCommand("set alert for tomato above 2000")).toEqual({ type: "alert", crop: "Tomato", direction: "above", price: 2000 });
+  expect(parseVoiceCommand("Tell me when wheat falls below 2,200 rupees", { crop: "Onion" })).toEqual({ type: "alert", crop: "Wheat", direction: "below", price: 2200 });
+  expect(parseVoiceCommand("alert me if it goes over 2.5 thousand", { crop: "Onion" })).toEqual({ type: "alert", crop: "Onion", direction: "above", price: 2500 });
+  expect(parseVoiceCommand("alert me about tomato")).toBeNull();
+  expect(spokenAmount("₹1,850 per quintal")).toBe(1850);
+});
+
+test("only a whole utterance like \"stop\" ends the conversation", () => {
+  expect(parseVoiceCommand("Stop.")).toEqual({ type: "stop" });
+  expect(parseVoiceCommand("okay end the conversation")).toEqual({ type: "stop" });
+  expect(parseVoiceCommand("should I stop selling onion now?")).toBeNull();
+  expect(parseVoiceCommand("stop selling onion")).toBeNull();
+});
+
+test("app-wide commands open tabs, pick crops and read out data in the voice languages", () => {
+  const parse = parseAppCommand;
+  expect(parse("open alerts")).toEqual({ type: "tab", tab: "alerts", crop: null });
+  expect(parse("go to the price forecast for onion")).toEqual({ type: "tab", tab: "predict", crop: "Onion" });
+  expect(parse("अलर्ट खोलो", { lang: "hi" })).toEqual({ type: "tab", tab: "alerts", crop: null });
+  expect(parse("டாஷ்போர்டு திற", { lang: "ta" })).toEqual({ type: "tab", tab: "dashboard", crop: null });
+  expect(parse("प्याज का भाव बताओ", { lang: "hi" })).toEqual({ type: "read", what: "dashboard", crop: "Onion" });
+  expect(parse("read it out", { tab: "predict" })).toEqual({ type: "read", what: "forecast", crop: null });
+  expect(parse("ಮುನ್ಸೂಚನೆ ಓದು", { lang: "kn" })).toEqual({ type: "read", what: "forecast", crop: null });
+  expect(parse("tomato")).toEqual({ type: "crop", crop: "Tomato" });
+  expect(parse("set alert for tomato above 2000")).toMatchObject({ type: "alert", crop: "Tomato", price: 2000 });
+  expect(parse("what a lovely day")).toBeNull();
+});
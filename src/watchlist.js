@@ -0,0 +1,66 @@
+import { CROPS } from "./crops";
+import { matchCrop } from "./prices";
+import { save, load } from "./storage";
+
+// ─── CROP WATCHLIST ───────────────────────────────────────────────────────────
+// Ordered list of { crop, rise, drop, mandi, above?, below? }. rise/drop
+// override the global alert thresholds for that crop (null = use global); mandi
+// narrows price alerts to one market and is what the advisor is told the farmer
+// sells at; above/below are ₹/qtl price targets, usually set by voice.
+
+export const WATCHLIST_KEY = "AgroVue_watchlist";
+export const DEFAULT_WATCHLIST_CROPS = ["Wheat","Onion","Tomato"];
+
+const entry = (crop) => ({ crop, rise:null, drop:null, mandi:null });
+
+// "Wheat, paddy; Onion / tomato" → ["Wheat","Rice","Onion","Tomato"]
+export function parseCropList(text) {
+  return String(text || "").split(/[,;/|\n]+/)
+    .map(s => matchCrop(s.trim()))
+    .filter((c, i, a) => c && a.indexOf(c) === i);
+}
+
+export function addCrop(list, crop) {
+  if (!CROPS.includes(crop) || list.some(e => e.crop === crop)) return list;
+  return [...list, entry(crop)];
+}
+
+export const removeCrop = (list, crop) => list.filter(e => e.crop !== crop);
+
+export const updateEntry = (list, crop, patch) => list.map(e => (e.crop === crop ? { ...e, ...patch } : e));
+
+export const watchedCrops = (list) => list.map(e => e.crop);
+
+export const isWatched = (list, crop) => list.some(e => e.crop === crop);
+
+export function thresholdsFor(list, crop, global) {
+  const e = list.find(x => x.crop === crop) || {};
+  return { rise: e.rise ?? global.rise, drop: e.drop ?? global.drop };
+}
+
+// Watched crops first in watchlist order, everything else after in its original order
+export function sortByWatchlist(items, list, cropOf = (x) => x) {
+  const rank = (x) => { const i = list.findIndex(e => e.crop === cropOf(x)); return i < 0 ? list.length : i; };
+  return items.map((x, i) => [x, i]).sort(([a, i], [b, j]) => rank(a) - rank(b) || i - j).map(([x]) => x);
+}
+
+// One line per crop for the advisor's system prompt
+export function describeWatchlist(list) {
+  return list.map(e => {
+    const notes = [];
+    if (e.rise !== null || e.drop !== null) notes.push(`alerts at ${e.rise !== null ? `+${e.rise}%` : "default rise"} / ${e.drop !== null ? `−${e.drop}%` : "default drop"}`);
+    if (e.above || e.below) notes.push(`price targets ${[e.above && `above ₹${e.above}`, e.below && `below ₹${e.below}`].filter(Boolean).join(" / ")}`);
+    if (e.mandi) notes.push(`sells at ${e.mandi}`);
+    return `${e.crop}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+  }).join("; ");
+}
+
+// First run seeds the list from the profile's free-text "Crops Grown"
+export async function loadWatchlist(profile) {
+  const stored = await load(WATCHLIST_KEY, null);
+  if (Array.isArray(stored)) return stored;
+  const parsed = parseCropList(profile?.crops);
+  return (parsed.length ? parsed : DEFAULT_WATCHLIST_CROPS).map(entry);
+}
+
+export const saveWatchlist = (list) => save(WATCHLIST_KEY, list);
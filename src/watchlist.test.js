@@ -0,0 +1,22 @@
+import { parseCropList, addCrop, removeCrop, updateEntry, thresholdsFor, sortByWatchlist, describeWatchlist } from "./watchlist";
+
+test("parses the profile's free-text crops, aliases included", () => {
+  expect(parseCropList("Wheat, paddy; Onion / tomato, wheat, mangoes")).toEqual(["Wheat", "Rice", "Onion", "Tomato"]);
+  expect(parseCropList("")).toEqual([]);
+});
+
+test("adds, removes and edits entries without duplicates", () => {
+  let list = addCrop([], "Onion");
+  list = addCrop(addCrop(list, "Onion"), "Mango");
+  expect(list).toEqual([{ crop: "Onion", rise: null, drop: null, mandi: null }]);
+  list = updateEntry(addCrop(list, "Wheat"), "Onion", { rise: 15, mandi: "Lasalgaon" });
+  expect(thresholdsFor(list, "Onion", { rise: 10, drop: 8 })).toEqual({ rise: 15, drop: 8 });
+  expect(thresholdsFor(list, "Chilli", { rise: 10, drop: 8 })).toEqual({ rise: 10, drop: 8 });
+  expect(describeWatchlist(list)).toBe("Onion (alerts at +15% / default drop, sells at Lasalgaon); Wheat");
+  expect(removeCrop(list, "Onion").map(e => e.crop)).toEqual(["Wheat"]);
+});
+
+test("watched crops sort first in watchlist order", () => {
+  const list = [{ crop: "Onion" }, { crop: "Maize" }];
+  expect(sortByWatchlist(["Wheat", "Rice", "Maize", "Onion"], list)).toEqual(["Onion", "Maize", "Wheat", "Rice"]);
+});